@@ -1,3 +1,15 @@
 module.exports = {
-    homepage: "https://AlienKevin.github.io/buyan-studio"
+    homepage: "https://AlienKevin.github.io/buyan-studio",
+    configureWebpack: (config, env) => {
+        if (env === "production") {
+            config.plugins
+                .filter(plugin => plugin.constructor.name === "GenerateSW")
+                .forEach(plugin => {
+                    // precaches the translations and the other files in public/
+                    plugin.config.importScripts =
+                        (plugin.config.importScripts || []).concat(["offline-worker.js"]);
+                });
+        }
+        return config;
+    }
 }
\ No newline at end of file
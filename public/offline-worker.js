@@ -0,0 +1,69 @@
+// Imported by the service worker that Create Elm App generates (see
+// elmapp.config.js). That worker only precaches the files built by webpack,
+// so this also precaches the files in public/ that the app needs at runtime,
+// letting it start without a network connection. The translation files are
+// read from the manifest of the languages, so a new language is cached as
+// soon as it is listed there.
+
+var publicCacheName = "buyan-studio-public";
+
+var languagesFile = "translations/languages.json";
+
+var publicFiles = [
+  languagesFile,
+  "site.webmanifest",
+  "favicon.ico",
+  "favicon-16x16.png",
+  "favicon-32x32.png",
+  "apple-touch-icon.png",
+  "android-chrome-192x192.png",
+  "android-chrome-512x512.png",
+  "safari-pinned-tab.svg",
+];
+
+function publicUrl(file) {
+  return new URL(file, self.registration.scope).href;
+}
+
+self.addEventListener("install", function (event) {
+  event.waitUntil(
+    Promise.all([
+      caches.open(publicCacheName),
+      // skip the http cache so a new version never precaches old translations
+      fetch(publicUrl(languagesFile), { cache: "reload" }).then(function (response) {
+        return response.json();
+      }),
+    ]).then(function ([cache, manifest]) {
+      var translationFiles = manifest.languages.map(function (language) {
+        return "translations/" + language.id + ".json";
+      });
+      return cache.addAll(publicFiles.concat(translationFiles).map(function (file) {
+        return new Request(publicUrl(file), { cache: "reload" });
+      }));
+    })
+  );
+});
+
+self.addEventListener("fetch", function (event) {
+  if (event.request.method !== "GET"
+    || (publicFiles.map(publicUrl).indexOf(event.request.url) === -1
+      && !event.request.url.startsWith(publicUrl("translations/")))) {
+    return;
+  }
+  event.respondWith(
+    caches.open(publicCacheName)
+      .then(function (cache) {
+        return cache.match(event.request);
+      })
+      .then(function (response) {
+        return response || fetch(event.request);
+      })
+  );
+});
+
+// sent when the user chooses to reload into the new version
+self.addEventListener("message", function (event) {
+  if (event.data && event.data.type === "SKIP_WAITING") {
+    self.skipWaiting();
+  }
+});
@@ -0,0 +1,117 @@
+/**
+ * Reports the problems of the translation files listed in
+ * public/translations/languages.json:
+ *
+ * - keys of the fallback language that another language does not translate
+ * - keys of a language that the fallback language does not have
+ * - translations whose {{placeholders}} differ from the fallback language
+ * - keys of the fallback language that no Elm module uses
+ * - translation files that the manifest does not list
+ *
+ * Run it with `npm run check-translations`. It exits with 1 when it finds
+ * any problem.
+ */
+var fs = require("fs");
+var path = require("path");
+
+var rootDirectory = path.join(__dirname, "..");
+var translationsDirectory = path.join(rootDirectory, "public", "translations");
+var sourceDirectory = path.join(rootDirectory, "src");
+var manifestFile = "languages.json";
+
+function main() {
+  var manifest = readJson(path.join(translationsDirectory, manifestFile));
+  var problemCount = 0;
+  var report = function (title, lines) {
+    if (lines.length > 0) {
+      problemCount += lines.length;
+      console.log(title);
+      lines.forEach(function (line) {
+        console.log("  " + line);
+      });
+    }
+  };
+
+  var fallback = flattenKeys(readTranslations(manifest.fallback));
+  manifest.languages.forEach(function (language) {
+    if (language.id === manifest.fallback) {
+      return;
+    }
+    var translations = flattenKeys(readTranslations(language.id));
+    report(language.id + " is missing:", Object.keys(fallback).filter(function (key) {
+      return !(key in translations) || translations[key] === "";
+    }));
+    report(language.id + " has keys that " + manifest.fallback + " does not have:", Object.keys(translations).filter(function (key) {
+      return !(key in fallback);
+    }));
+    report(language.id + " has different placeholders in:", Object.keys(translations).filter(function (key) {
+      return key in fallback && translations[key] !== ""
+        && placeholdersOf(translations[key]) !== placeholdersOf(fallback[key]);
+    }));
+  });
+
+  var elmSource = readElmSource(sourceDirectory);
+  report("Unused keys:", Object.keys(fallback).filter(function (key) {
+    return !new RegExp("\\b" + elmReference(key).replace(/\./g, "\\.") + "\\b").test(elmSource);
+  }));
+
+  var listedFiles = [manifestFile].concat(manifest.languages.map(function (language) {
+    return language.id + ".json";
+  }));
+  report("Translation files missing from " + manifestFile + ":", fs.readdirSync(translationsDirectory).filter(function (file) {
+    return file.endsWith(".json") && listedFiles.indexOf(file) === -1;
+  }));
+
+  console.log(problemCount === 0 ? "The translations are complete." : problemCount + (problemCount === 1 ? " problem found." : " problems found."));
+  process.exitCode = problemCount === 0 ? 0 : 1;
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function readTranslations(id) {
+  return readJson(path.join(translationsDirectory, id + ".json"));
+}
+
+// Nested keys are joined with dots, like `scriptName.oracle`
+function flattenKeys(translations, prefix) {
+  var keys = {};
+  Object.keys(translations).forEach(function (key) {
+    var value = translations[key];
+    if (typeof value === "object" && value !== null) {
+      Object.assign(keys, flattenKeys(value, (prefix || "") + key + "."));
+    } else {
+      keys[(prefix || "") + key] = value;
+    }
+  });
+  return keys;
+}
+
+function placeholdersOf(text) {
+  return (text.match(/{{\s*\w+\s*}}/g) || []).map(function (placeholder) {
+    return placeholder.replace(/\s/g, "");
+  }).sort().join(" ");
+}
+
+// elm-i18next-gen turns `scriptName.oracle` into `Translations.ScriptName.oracle`
+function elmReference(key) {
+  var parts = key.split(".");
+  var name = parts.pop();
+  return ["Translations"].concat(parts.map(function (part) {
+    return part.charAt(0).toUpperCase() + part.slice(1);
+  })).concat([name]).join(".");
+}
+
+// Every Elm module apart from the generated translations
+function readElmSource(directory) {
+  return fs.readdirSync(directory, { withFileTypes: true }).map(function (entry) {
+    var file = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      return entry.name === "Translations" ? "" : readElmSource(file);
+    }
+    return entry.name.endsWith(".elm") && entry.name !== "Translations.elm" ? fs.readFileSync(file, "utf8") : "";
+  }).join("\n");
+}
+
+main();
@@ -0,0 +1,136 @@
+/**
+ * Generates src/RadicalStrokes.elm, which gives the radical and stroke order
+ * of the CJK ideographs the radical sort supports, from the kRSUnicode field
+ * of the Unihan database in the ucd-full package.
+ *
+ * A kRSUnicode value like `85.5` is the number of the Kangxi radical and the
+ * strokes added to it. An apostrophe after the radical, like `120'.3`, marks
+ * its simplified form, which comes after the traditional one. Characters
+ * with several values are ordered by the first.
+ *
+ * The order of each code point is kept as one character of a string, offset
+ * into the printable ideographs, so the table adds tens of kilobytes to the
+ * app rather than megabytes. Run it with `npm run generate-radical-strokes`
+ * after updating ucd-full.
+ */
+var fs = require("fs");
+var path = require("path");
+
+var rootDirectory = path.join(__dirname, "..");
+var sourceFile = path.join(rootDirectory, "node_modules", "ucd-full", "Unihan_IRGSources.json");
+var targetFile = path.join(rootDirectory, "src", "RadicalStrokes.elm");
+
+// The unified ideographs, extension A and the compatibility ideographs
+var ranges = [
+  [0x4E00, 0x9FFF],
+  [0x3400, 0x4DBF],
+  [0xF900, 0xFAFF],
+];
+
+// Residual strokes go from -2 up, and an order of 0 means the code point has no kRSUnicode
+var minStrokes = -2;
+var strokeCount = 48;
+var maxRadical = 214;
+// Every order is under 20992, so it stays within the unified ideographs
+var orderOffset = 0x4E00;
+var rowLength = 100;
+
+function main() {
+  var radicalStrokes = {};
+  JSON.parse(fs.readFileSync(sourceFile, "utf8")).Unihan_IRGSources.forEach(function (entry) {
+    if (entry.kRSUnicode !== undefined) {
+      radicalStrokes[parseInt(entry.codepoint.slice(2), 16)] = entry.kRSUnicode;
+    }
+  });
+
+  var orders = "";
+  var elmRanges = ranges.map(function (range) {
+    var start = orders.length;
+    for (var codePoint = range[0]; codePoint <= range[1]; codePoint++) {
+      orders += String.fromCharCode(orderOffset + orderOf(radicalStrokes[codePoint]));
+    }
+    return "( " + hex(range[0]) + ", " + hex(range[1]) + ", " + start + " )";
+  });
+
+  var rows = [];
+  for (var i = 0; i < orders.length; i += rowLength) {
+    rows.push('"' + orders.slice(i, i + rowLength) + '"');
+  }
+
+  fs.writeFileSync(targetFile, [
+    "-- Do not manually edit this file, it was generated by scripts/generateRadicalStrokes.js",
+    "-- from the kRSUnicode field of the Unihan database",
+    "",
+    "",
+    "module RadicalStrokes exposing (radicalStrokeOrder)",
+    "",
+    "",
+    "",
+    "-- The position of a code point in the radical and stroke order, or Nothing when it has none",
+    "",
+    "",
+    "radicalStrokeOrder : Int -> Maybe Int",
+    "radicalStrokeOrder codePoint =",
+    "    case List.filter (\\( first, last, _ ) -> first <= codePoint && codePoint <= last) ranges of",
+    "        ( first, _, start ) :: _ ->",
+    "            String.slice (start + codePoint - first) (start + codePoint - first + 1) orders",
+    "                |> String.toList",
+    "                |> List.head",
+    "                |> Maybe.map (\\order -> Char.toCode order - orderOffset)",
+    "                |> Maybe.andThen",
+    "                    (\\order ->",
+    "                        if order == 0 then",
+    "                            Nothing",
+    "",
+    "                        else",
+    "                            Just order",
+    "                    )",
+    "",
+    "        [] ->",
+    "            Nothing",
+    "",
+    "",
+    "orderOffset : Int",
+    "orderOffset =",
+    "    " + hex(orderOffset),
+    "",
+    "",
+    "",
+    "-- The first and last code point of each range and where its orders start",
+    "",
+    "",
+    "ranges : List ( Int, Int, Int )",
+    "ranges =",
+    "    [ " + elmRanges.join("\n    , "),
+    "    ]",
+    "",
+    "",
+    "orders : String",
+    "orders =",
+    "    String.concat",
+    "        [ " + rows.join("\n        , "),
+    "        ]",
+    "",
+  ].join("\n"));
+  console.log("Generated " + path.relative(rootDirectory, targetFile) + " with " + orders.length + " code points.");
+}
+
+function orderOf(kRSUnicode) {
+  if (kRSUnicode === undefined) {
+    return 0;
+  }
+  var match = /^(\d+)('*)\.(-?\d+)/.exec(kRSUnicode);
+  var radical = parseInt(match[1], 10);
+  var isSimplified = match[2].length > 0;
+  var strokes = parseInt(match[3], 10);
+  if (radical < 1 || radical > maxRadical || strokes < minStrokes || strokes >= minStrokes + strokeCount) {
+    throw new Error("kRSUnicode out of range: " + kRSUnicode);
+  }
+  return ((radical * 2 + (isSimplified ? 1 : 0)) * strokeCount) + strokes - minStrokes;
+}
+
+function hex(n) {
+  return "0x" + n.toString(16).toUpperCase();
+}
+
+main();
@@ -22,12 +22,12 @@ import Html exposing (Html)
 import Html.Attributes
 import Html.Events
 import Html.Events.Extra.Touch
-import Http
 import I18Next
 import Json.Decode as Decode exposing (Decoder)
 import Json.Encode as Encode exposing (Value)
 import List.Extra
 import Math.Vector2 as Vector2 exposing (Vec2)
+import RadicalStrokes
 import String.Extra
 import String.Graphemes
 import SvgParser
@@ -39,6 +39,7 @@ import Translations.PeriodName
 import Translations.ScriptName
 import Translations.StageName
 import Translations.OrientationType
+import Translations.Problem
 import TypedSvg as Svg
 import TypedSvg.Attributes as SvgAttributes
 import TypedSvg.Core exposing (Svg)
@@ -47,7 +48,19 @@ import TypedSvg.Types as SvgTypes
 import Maybe
 
 
-port addSimpleCharsPort : () -> Cmd msg
+port addSimpleCharsPort : Value -> Cmd msg
+
+
+port importSpriteSheetPort : Value -> Cmd msg
+
+
+port importFontGlyphsPort : Value -> Cmd msg
+
+
+port gotSimpleCharsToImportPort : (Value -> msg) -> Sub msg
+
+
+port importSimpleCharsPort : Value -> Cmd msg
 
 
 port gotSavedSimpleCharsPort : (Encode.Value -> msg) -> Sub msg
@@ -56,21 +69,45 @@ port gotSavedSimpleCharsPort : (Encode.Value -> msg) -> Sub msg
 port gotNewSimpleCharsPort : (Encode.Value -> msg) -> Sub msg
 
 
-port uploadSimpleCharPort : String -> Cmd msg
+port uploadSimpleCharPort : Value -> Cmd msg
 
 
 port loadedSimpleCharPort : (Encode.Value -> msg) -> Sub msg
 
 
-port downloadCharsPort : List String -> Cmd msg
+port gotSvgWarningsPort : (Value -> msg) -> Sub msg
+
+
+port downloadCharsPort : Value -> Cmd msg
+
+
+port exportCatalogPort : Value -> Cmd msg
+
+
+port saveChangesPort : Value -> Cmd msg
+
+
+port gotStorageUsagePort : (Value -> msg) -> Sub msg
 
 
-port saveModelPort : Value -> Cmd msg
+port gotUpdateAvailablePort : (Value -> msg) -> Sub msg
+
+
+port loadTranslationsPort : Value -> Cmd msg
+
+
+port gotTranslationsPort : (Value -> msg) -> Sub msg
+
+
+port reloadToUpdatePort : () -> Cmd msg
 
 
 port getModelPort : (Value -> msg) -> Sub msg
 
 
+port gotLoadProblemPort : (Value -> msg) -> Sub msg
+
+
 port deleteSimpleCharPort : String -> Cmd msg
 
 
@@ -89,6 +126,93 @@ port succeededInBackupPort : (() -> msg) -> Sub msg
 port uploadBackupPort : () -> Cmd msg
 
 
+port exportFontPort : Value -> Cmd msg
+
+
+port exportSpecimenPort : Value -> Cmd msg
+
+
+port readStrokesPort : Value -> Cmd msg
+
+
+port gotStrokesPort : (Value -> msg) -> Sub msg
+
+
+port gotExportProgressPort : (Value -> msg) -> Sub msg
+
+
+port gotBackupPort : (Value -> msg) -> Sub msg
+
+
+port gotBackupErrorsPort : (Value -> msg) -> Sub msg
+
+
+port applyBackupPort : Value -> Cmd msg
+
+
+port takeSnapshotPort : Value -> Cmd msg
+
+
+port listSnapshotsPort : () -> Cmd msg
+
+
+port gotSnapshotsPort : (Value -> msg) -> Sub msg
+
+
+port chooseSnapshotDirectoryPort : () -> Cmd msg
+
+
+port useBrowserSnapshotsPort : () -> Cmd msg
+
+
+port loadSnapshotPort : String -> Cmd msg
+
+
+port gotSnapshotPort : (Value -> msg) -> Sub msg
+
+
+port exportPreferencesPort : Value -> Cmd msg
+
+
+port importPreferencesPort : () -> Cmd msg
+
+
+port gotPreferencesFilePort : (Value -> msg) -> Sub msg
+
+
+port gotProjectsPort : (Value -> msg) -> Sub msg
+
+
+port createProjectPort : String -> Cmd msg
+
+
+port renameProjectPort : Value -> Cmd msg
+
+
+port duplicateProjectPort : Value -> Cmd msg
+
+
+port deleteProjectPort : String -> Cmd msg
+
+
+port openProjectPort : String -> Cmd msg
+
+
+port copyCharsToProjectPort : Value -> Cmd msg
+
+
+port gotCopiedCharsPort : (Value -> msg) -> Sub msg
+
+
+port gotHistoryPort : (Value -> msg) -> Sub msg
+
+
+port saveHistoryPort : Value -> Cmd msg
+
+
+port saveSimpleCharSvgsPort : Value -> Cmd msg
+
+
 
 ---- MODEL ----
 
@@ -98,8 +222,9 @@ type alias Model =
     , chars : Dict Grapheme MyChar
     , charExplainations : Dict Grapheme Explaination
     , selectedChar : Maybe Grapheme
-    , selectedCharHistory : History
+    , history : History
     , simpleCharSvgs : SimpleCharSvgs
+    , simpleCharSvgTexts : Dict Grapheme String
     , boxUnits : Int
     , borderUnits : Float
     , unitSize : Float
@@ -108,6 +233,9 @@ type alias Model =
     , popUp : PopUp
     , newCompoundChar : String
     , newComponentChar : String
+    , newCharName : String
+    , newSimpleChar : String
+    , strokeEditor : Maybe StrokeEditor
     , inputError : Maybe InputError
     , drag : Draggable.State DragData
     , dragDelta : Vec2
@@ -119,8 +247,13 @@ type alias Model =
     , previewParagraph : String
     , previewOrientation : TextOrientation
     , previewFontSize : Int
+    , previewLineHeight : Float
+    , previewLetterSpacing : Float
+    , isPreviewBoxShown : Bool
+    , isPreviewFallbackShown : Bool
     , trs : I18Next.Translations
     , language : Language
+    , languages : List LanguageOption
     , device : E.Device
     , palette :
         Palette
@@ -129,39 +262,285 @@ type alias Model =
     , fontSize :
         FontSize
     , isBackingUp : Bool
+    , fontName : String
+    , exportProgress : Maybe ExportProgress
+    , exportOptions : ExportOptions
+    , pendingBackup : Maybe PendingBackup
+    , snapshots : List Snapshot
+    , snapshotLocation : SnapshotLocation
+    , canChooseSnapshotDirectory : Bool
+    , maxSnapshots : Int
+    , selectedSnapshot : Maybe String
+    , backupMode : BackupMode
+    , lastSavedModel : Maybe SavedModel
+    , loadProblem : Maybe Problem
+    , lastSnapshotState : Maybe LibraryState
+    , storageUsage : Maybe StorageUsage
+    , isUpdateAvailable : Bool
+    , fontGlyphSelection : String
+    , idsText : String
+    , idsData : Dict Grapheme String
+    , pendingSimpleChars : Maybe PendingSimpleChars
+    , isReplacingSimpleChars : Bool
+    , isConvertingFillsToStrokes : Bool
+    , gridUnits : Int
+    , componentSize : Float
+    , presets : Dict String Preferences
+    , newPresetName : String
+    , projects : List Project
+    , currentProjectId : String
+    , newProjectName : String
+    , renamedProject : Maybe Project
+    , charsToCopy : String
+    , copiedChars : Maybe CopiedChars
+    , charFilter : CharFilter
+    , isCharFilterShown : Bool
+    , charViews : Dict String CharFilter
+    , newCharViewName : String
+    , newTag : String
+    , onionSkin : Maybe Int
+    , onionSkinOpacity : Float
+    }
+
+
+type alias Project =
+    { id : String
+    , name : String
+    }
+
+
+type alias CopiedChars =
+    { projectId : String
+    , copied : List Grapheme
+    , skipped : List SkippedImport
+    }
+
+
+type alias StorageUsage =
+    { usage : Float
+    , quota : Float
+    }
+
+
+
+-- Browsers without the File System Access API can only download backups, not keep writing to a file
+
+
+type BackupMode
+    = FileHandleBackupMode
+    | DownloadBackupMode
+
+
+type alias Snapshot =
+    { id : String
+    , label : String
+    }
+
+
+type SnapshotLocation
+    = BrowserStorage
+    | DirectoryStorage String
+
+
+type alias PendingBackup =
+    { fileName : String
+    , savedModel : SavedModel
+    , simpleCharSvgs : Dict Grapheme String
+    , conflicts : Dict Grapheme ConflictResolution
+    }
+
+
+type ConflictResolution
+    = KeepMine
+    | TakeTheirs
+    | RenameTheirs Grapheme
+
+
+type alias ExportOptions =
+    { sizes : List Int
+    , padding : Int
+    , backgroundColor : String
+    , isBackgroundTransparent : Bool
+    , format : ExportFormat
+    }
+
+
+type ExportFormat
+    = ExportPng
+    | ExportWebp
+    | ExportJpeg
+    | ExportSvg
+
+
+type alias ExportProgress =
+    { done : Int
+    , total : Int
+    , failures : List ExportFailure
+    , isFinished : Bool
+
+    -- the problem that stopped the whole export, like writing the font or ZIP file
+    , error : Maybe Problem
+    }
+
+
+type alias ExportFailure =
+    { char : Grapheme
+    , reason : Problem
+    }
+
+
+type alias PendingSimpleChars =
+    { source : String
+    , chars : List SimpleCharToImport
+    , skipped : List SkippedImport
+    }
+
+
+type alias SimpleCharToImport =
+    { char : Grapheme
+    , svg : String
+    , preview : DataUrl
+    , warnings : List Problem
+    }
+
+
+type alias SkippedImport =
+    { name : String
+    , reason : Problem
+    }
+
+
+
+-- A problem reported by JavaScript, the key of its translation under `problem` and the values of its placeholders
+
+
+type alias Problem =
+    { code : String
+    , args : Dict String String
+    }
+
+
+
+-- An Ideographic Description Sequence like ⿰氵⿱木口, each operator laying out the parts that follow it
+
+
+type Ids
+    = IdsComponent Grapheme
+    | IdsLayout Grapheme (List Ids)
+
+
+type alias IdsImport =
+    { char : Grapheme
+    , ids : String
+    , result : Result IdsError (List Placement)
     }
 
 
+type IdsError
+    = IdsNotFound
+    | InvalidIds
+    | IdsCharAlreadyExists
+    | IdsContainsItself
+    | MissingComponents (List Grapheme)
+
+
+-- The changes to the library that can be undone, kept across reloads. Every entry stores the characters,
+-- explanations and simple character svgs it changed, before and after the change
+
+
 type alias History =
-    { snapshots : Array MyChar
-    , currentIndex : Int
+    { done : List HistoryEntry
+    , undone : List HistoryEntry
+    , recorded : LibraryState
+    }
+
+
+type alias HistoryEntry =
+    { id : Int
+    , command : HistoryCommand
+    , chars : Dict Grapheme (Change MyChar)
+    , charExplainations : Dict Grapheme (Change Explaination)
+    , simpleCharSvgs : Dict Grapheme (Change String)
+    }
+
+
+type alias Change a =
+    { before : Maybe a
+    , after : Maybe a
+    }
+
+
+type HistoryCommand
+    = AddCharsCommand (List Grapheme)
+    | DeleteCharsCommand (List Grapheme)
+    | UploadSvgCommand Grapheme
+    | DrawStrokesCommand Grapheme
+    | EditComponentsCommand Grapheme
+    | EditNoteCommand Grapheme
+    | EditReferenceImageCommand Grapheme
+    | EditTagsCommand Grapheme
+    | RenameCharCommand Grapheme Grapheme
+    | RestoreFromBackupCommand
+
+
+
+-- The state of the library when the last change was recorded
+
+
+type alias LibraryState =
+    { chars : Dict Grapheme MyChar
+    , charExplainations : Dict Grapheme Explaination
+    , simpleCharSvgs : Dict Grapheme String
     }
 
 
 emptyHistory : History
 emptyHistory =
-    { snapshots = Array.empty
-    , currentIndex = 0
+    { done = []
+    , undone = []
+    , recorded =
+        { chars = Dict.empty
+        , charExplainations = Dict.empty
+        , simpleCharSvgs = Dict.empty
+        }
     }
 
 
+maxHistoryEntries : Int
+maxHistoryEntries =
+    100
+
+
 type TextOrientation
     = Horizontal
     | Vertical
 
 
+type SpecimenFormat
+    = SpecimenPng
+    | SpecimenSvg
+    | SpecimenPdf
+
+
 type alias Grapheme =
     String
 
 
 type alias Explaination =
     { note : String
-    , referenceImage : Maybe ReferenceImage
+    , referenceImages : List ReferenceImage
+    , tags : List String
+    , modified : Maybe Time.Posix
     }
 
 
+-- An attestation of a character, with where it comes from and how to cite it
+
+
 type alias ReferenceImage =
     { image : DataUrl
+    , caption : String
+    , citation : String
     , origin : String
     , time :
         Maybe
@@ -176,6 +555,8 @@ type alias ReferenceImage =
 emptyReferenceImage : ReferenceImage
 emptyReferenceImage =
     { image = ""
+    , caption = ""
+    , citation = ""
     , origin = ""
     , time = Nothing
     , script = Seal
@@ -209,7 +590,9 @@ type Script
 emptyExplaination : Explaination
 emptyExplaination =
     { note = ""
-    , referenceImage = Nothing
+    , referenceImages = []
+    , tags = []
+    , modified = Nothing
     }
 
 
@@ -256,15 +639,46 @@ type alias FontSize =
 type alias SavedModel =
     { chars : Dict Grapheme MyChar
     , charExplainations : Dict Grapheme Explaination
+    , preferences : Preferences
+    , presets : Dict String Preferences
+    , charViews : Dict String CharFilter
+    }
+
+
+type alias Preferences =
+    { language : Language
     , strokeWidth : Float
-    , language : Language
+    , borderUnits : Float
+    , boxUnits : Int
+    , gridUnits : Int
+    , componentSize : Float
+    , isSnapToGrid : Bool
+    , isAspectRatioLocked : Bool
+    , isReferenceCharShown : Bool
+    , isConvertingFillsToStrokes : Bool
+    , previewParagraph : String
+    , previewOrientation : TextOrientation
+    , previewFontSize : Int
+    , previewLineHeight : Float
+    , previewLetterSpacing : Float
+    , isPreviewBoxShown : Bool
+    , isPreviewFallbackShown : Bool
+    , maxSnapshots : Int
     }
 
 
-type Language
-    = LanguageEn
-    | LanguageZhHans
-    | LanguageZhHant
+
+-- The id of a language in translations/languages.json, which is also the name of its translation file
+
+
+type alias Language =
+    String
+
+
+type alias LanguageOption =
+    { id : Language
+    , name : String
+    }
 
 
 type Scale
@@ -301,6 +715,20 @@ type MirrorDirection
     | MirrorDirectionY
 
 
+
+-- A simple character stretched over a box in the 0 to 100 coordinates of a character.
+-- A negative width or height means the box is mirrored in that direction.
+
+
+type alias Placement =
+    { char : Grapheme
+    , x : Float
+    , y : Float
+    , width : Float
+    , height : Float
+    }
+
+
 emptyMirror : Mirror
 emptyMirror =
     { x = False, y = False }
@@ -321,6 +749,47 @@ type MyCharType
     | CompoundCharType
 
 
+
+-- Which characters the browse mode shows and in what order. Every filter that is Nothing lets all characters through
+
+
+type alias CharFilter =
+    { query : String
+    , charType : Maybe MyCharType
+    , script : Maybe Script
+    , period : Maybe Period
+    , stage : Maybe Stage
+    , hasReferenceImage : Maybe Bool
+    , tag : Maybe String
+    , sortOrder : CharSortOrder
+    }
+
+
+type CharSortOrder
+    = SortByCodePoint
+    | SortByRadical
+    | SortByModified
+
+
+type CatalogFormat
+    = CatalogCsv
+    | CatalogJson
+    | CatalogPrint
+
+
+emptyCharFilter : CharFilter
+emptyCharFilter =
+    { query = ""
+    , charType = Nothing
+    , script = Nothing
+    , period = Nothing
+    , stage = Nothing
+    , hasReferenceImage = Nothing
+    , tag = Nothing
+    , sortOrder = SortByCodePoint
+    }
+
+
 type alias SimpleCharSvgs =
     Dict Grapheme SimpleCharSvg
 
@@ -329,13 +798,75 @@ type alias SimpleCharSvg =
     ( Svg Msg, Maybe Vec2 )
 
 
+
+-- A path drawn in the stroke editor. Points are in em percent and a handle on its anchor point makes that side straight
+
+
+type alias Stroke =
+    { anchors : List StrokeAnchor
+    , isClosed : Bool
+    }
+
+
+type alias StrokeAnchor =
+    { point : Vec2
+    , handleIn : Vec2
+    , handleOut : Vec2
+    }
+
+
+type alias StrokeEditor =
+    { char : Grapheme
+    , strokes : List Stroke
+    , selection : Maybe StrokeSelection
+    , draggedPart : Maybe StrokePart
+    , dragPosition : Vec2
+    , drag : Draggable.State StrokePart
+    }
+
+
+type alias StrokeSelection =
+    { stroke : Int
+    , anchor : Int
+    }
+
+
+type alias StrokePart =
+    { stroke : Int
+    , anchor : Int
+    , partType : StrokePartType
+    }
+
+
+type StrokePartType
+    = AnchorPoint
+    | HandleIn
+    | HandleOut
+
+
 type PopUp
     = AddCompoundCharPopUp
     | ConfirmDeleteSelectedCharPopUp
+    | RenameSelectedCharPopUp
     | ConfirmClearCharsPopUp MyCharType
     | PreviewInParagraphPopUp
     | AppPreferencesPopUp
     | AddComponentToSelectedCharPopUp
+    | ExportFontPopUp
+    | ExportCharsPopUp (List Grapheme)
+    | ImportBackupPopUp
+    | BackupErrorsPopUp (List Problem)
+    | PreferencesErrorsPopUp (List Problem)
+    | ProjectsPopUp
+    | HistoryPopUp
+    | DependenciesPopUp
+    | ConfirmDeleteProjectPopUp Project
+    | SvgWarningsPopUp (List SkippedImport)
+    | SnapshotsPopUp
+    | ImportSimpleCharsPopUp
+    | ImportIdsPopUp
+    | CompareReferenceImagesPopUp
+    | ExportCatalogPopUp
     | NoPopUp
 
 
@@ -344,6 +875,26 @@ minStrokeWidth =
     10
 
 
+exportSizes : List Int
+exportSizes =
+    [ 64, 128, 256, 512, 1024, 2048 ]
+
+
+maxExportPadding : Int
+maxExportPadding =
+    25
+
+
+maxMaxSnapshots : Int
+maxMaxSnapshots =
+    50
+
+
+snapshotInterval : Float
+snapshotInterval =
+    5 * 60 * 1000
+
+
 maxStrokeWidth : Float
 maxStrokeWidth =
     70
@@ -359,6 +910,21 @@ maxPreviewFontSize =
     200
 
 
+minPreviewLineHeight : Float
+minPreviewLineHeight =
+    1
+
+
+maxPreviewLineHeight : Float
+maxPreviewLineHeight =
+    3
+
+
+maxPreviewLetterSpacing : Float
+maxPreviewLetterSpacing =
+    1
+
+
 minBorderUnits : Float
 minBorderUnits =
     2
@@ -369,6 +935,29 @@ maxBorderUnits =
     3.5
 
 
+minGridUnits : Int
+minGridUnits =
+    4
+
+
+maxGridUnits : Int
+maxGridUnits =
+    72
+
+
+-- Percent of its own size that a component takes up when it is added to a character
+
+
+minComponentSize : Float
+minComponentSize =
+    10
+
+
+maxComponentSize : Float
+maxComponentSize =
+    100
+
+
 init : Value -> ( Model, Cmd Msg )
 init flags =
     let
@@ -390,8 +979,9 @@ init flags =
             , chars = Dict.empty
             , charExplainations = Dict.empty
             , selectedChar = Nothing
-            , selectedCharHistory = emptyHistory
+            , history = emptyHistory
             , simpleCharSvgs = Dict.empty
+            , simpleCharSvgTexts = Dict.empty
             , boxUnits = 36
             , borderUnits = 3
             , unitSize = 16
@@ -400,6 +990,9 @@ init flags =
             , popUp = NoPopUp
             , newCompoundChar = ""
             , newComponentChar = ""
+            , newCharName = ""
+            , newSimpleChar = ""
+            , strokeEditor = Nothing
             , inputError = Nothing
             , drag = Draggable.init
             , dragDelta = Vector2.vec2 0 0
@@ -411,8 +1004,13 @@ init flags =
             , previewParagraph = ""
             , previewOrientation = Vertical
             , previewFontSize = fontSize.title * 2
+            , previewLineHeight = 1.5
+            , previewLetterSpacing = 0
+            , isPreviewBoxShown = False
+            , isPreviewFallbackShown = True
             , trs = I18Next.initialTranslations
-            , language = LanguageEn
+            , language = "LanguageEn"
+            , languages = []
             , device =
                 { class = E.Desktop
                 , orientation = E.Landscape
@@ -443,32 +1041,130 @@ init flags =
                 fontSize
             , isBackingUp =
                 False
+            , fontName =
+                "Buyan Studio"
+            , exportProgress =
+                Nothing
+            , exportOptions =
+                { sizes = [ 512 ]
+                , padding = 10
+                , backgroundColor = "#ffffff"
+                , isBackgroundTransparent = True
+                , format = ExportPng
+                }
+            , pendingBackup =
+                Nothing
+            , snapshots =
+                []
+            , snapshotLocation =
+                BrowserStorage
+            , canChooseSnapshotDirectory =
+                False
+            , maxSnapshots =
+                10
+            , selectedSnapshot =
+                Nothing
+            , backupMode =
+                DownloadBackupMode
+            , lastSavedModel =
+                Nothing
+            , loadProblem =
+                Nothing
+            , lastSnapshotState =
+                Nothing
+            , storageUsage =
+                Nothing
+            , isUpdateAvailable =
+                False
+            , fontGlyphSelection =
+                ""
+            , idsText =
+                ""
+            , idsData =
+                Dict.empty
+            , pendingSimpleChars =
+                Nothing
+            , isReplacingSimpleChars =
+                True
+            , isConvertingFillsToStrokes =
+                False
+            , gridUnits =
+                36
+            , componentSize =
+                50
+            , presets =
+                Dict.empty
+            , newPresetName =
+                ""
+            , projects =
+                []
+            , currentProjectId =
+                ""
+            , newProjectName =
+                ""
+            , renamedProject =
+                Nothing
+            , charsToCopy =
+                ""
+            , copiedChars =
+                Nothing
+            , charFilter =
+                emptyCharFilter
+            , isCharFilterShown =
+                False
+            , charViews =
+                Dict.empty
+            , newCharViewName =
+                ""
+            , newTag =
+                ""
+            , onionSkin =
+                Nothing
+            , onionSkinOpacity =
+                0.4
             }
     in
     case
         Decode.decodeValue
-            (Decode.map4
-                (\language translations windowWidth windowHeight ->
+            (Decode.map6
+                (\language translations languages windowWidth windowHeight supportsFileSystemAccess ->
                     { language = language
                     , translations = translations
+                    , languages = languages
                     , windowWidth = windowWidth
                     , windowHeight = windowHeight
+                    , supportsFileSystemAccess = supportsFileSystemAccess
                     }
                 )
                 (Decode.field "language" decodeLanguage)
                 (Decode.field "translations" I18Next.translationsDecoder)
+                (Decode.field "languages" <|
+                    Decode.list <|
+                        Decode.map2 LanguageOption
+                            (Decode.field "id" decodeLanguage)
+                            (Decode.field "name" Decode.string)
+                )
                 (Decode.field "windowWidth" Decode.int)
                 (Decode.field "windowHeight" Decode.int)
+                (Decode.field "supportsFileSystemAccess" Decode.bool)
             )
             flags
     of
-        Ok { language, translations, windowWidth, windowHeight } ->
+        Ok { language, translations, languages, windowWidth, windowHeight, supportsFileSystemAccess } ->
             updateDevice windowWidth windowHeight <|
                 { model
                     | language =
                         language
                     , trs =
                         translations
+                    , languages =
+                        languages
+                    , backupMode =
+                        if supportsFileSystemAccess then
+                            FileHandleBackupMode
+
+                        else
+                            DownloadBackupMode
                 }
 
         Err _ ->
@@ -486,14 +1182,17 @@ type Msg
     | UploadSimpleChar
     | LoadedSimpleChar Value
     | SelectChar Grapheme
-    | UndoSelectedCharHistory
-    | RedoSelectedCharHistory
+    | Undo
+    | Redo
     | EditChar Grapheme
     | RequestAddComponentToSelectedChar
     | UpdatePendingComponentChar String
     | AddPendingComponentChar
     | RequestDeleteSelectedChar
     | DeleteSelectedChar
+    | RequestRenameSelectedChar
+    | UpdateNewCharName String
+    | RenameSelectedChar
     | RequestClearChars MyCharType
     | ClearChars MyCharType
     | UpdatePendingCompoundChar String
@@ -510,6 +1209,7 @@ type Msg
     | CopyActiveComponent
     | DeleteActiveComponent
     | GotModel Value
+    | GotLoadProblem Value
     | SaveModel ()
     | UpdateStrokeWidth Float
     | ToggleIsAspectRatioLocked
@@ -517,27 +1217,150 @@ type Msg
     | UpdatePreviewParagraph String
     | UpdatePreviewOrientation TextOrientation
     | UpdatePreviewFontSize Int
+    | UpdatePreviewLineHeight Float
+    | UpdatePreviewLetterSpacing Float
+    | ToggleIsPreviewBoxShown
+    | ToggleIsPreviewFallbackShown
+    | CreateMissingChar Grapheme
+    | ExportSpecimen SpecimenFormat
     | ToggleIsSnapToGrid
     | ToggleIsReferenceCharShown
     | DownloadSelectedChar
-    | DownloadCharsForPreview
+    | DownloadAllChars
     | UpdateLanguage Language
-    | GotTranslations (Result Http.Error I18Next.Translations)
+    | GotTranslations Value
     | UpdateDevice Int Int
     | UpdateMode Mode
     | ShowAppPreferences
     | UpdateExplainationNote String
-    | UploadReferenceImage
-    | SelectedReferenceImage File
-    | LoadedReferenceImage DataUrl
-    | UpdateReferenceImageOrigin String
-    | UpdateReferenceImagePeriod Period
-    | UpdateReferenceImageStage Stage
-    | UpdateReferenceImageScript Script
-    | UpdateReferenceImageUrl String
+    | UploadReferenceImage (Maybe Int)
+    | SelectedReferenceImage Int File
+    | SelectedReferenceImages File (List File)
+    | LoadedReferenceImage (Maybe Int) DataUrl
+    | UpdateReferenceImageCaption Int String
+    | UpdateReferenceImageCitation Int String
+    | UpdateReferenceImageOrigin Int String
+    | UpdateReferenceImagePeriod Int Period
+    | UpdateReferenceImageStage Int Stage
+    | UpdateReferenceImageScript Int Script
+    | UpdateReferenceImageUrl Int String
+    | DeleteReferenceImage Int
+    | CompareReferenceImages
+    | UpdateOnionSkin (Maybe Int)
+    | UpdateOnionSkinOpacity Float
     | UpdateBackupLocation
     | SucceededInBackup
     | UploadBackup
+    | RequestExportFont
+    | UpdateFontName String
+    | ExportFont
+    | GotExportProgress Value
+    | CloseExportProgress
+    | ToggleExportSize Int
+    | UpdateExportPadding Int
+    | UpdateExportBackgroundColor String
+    | ToggleIsExportBackgroundTransparent
+    | UpdateExportFormat ExportFormat
+    | DownloadChars (List Grapheme)
+    | GotBackup Value
+    | GotBackupErrors Value
+    | UpdateConflictResolution Grapheme ConflictResolution
+    | ReplaceWithBackup
+    | MergeBackup
+    | BackupNow
+    | TakeSnapshot
+    | GotSnapshots Value
+    | ShowSnapshots
+    | ChooseSnapshotDirectory
+    | UseBrowserSnapshots
+    | UpdateMaxSnapshots Int
+    | SelectSnapshot String
+    | GotSnapshot Value
+    | RestoreCharFromBackup Grapheme
+    | GotStorageUsage Value
+    | GotUpdateAvailable
+    | ReloadToUpdate
+    | ChooseSimpleCharFiles
+    | ChooseSpriteSheet
+    | UpdateFontGlyphSelection String
+    | ChooseFont
+    | GotSimpleCharsToImport Value
+    | ToggleIsReplacingSimpleChars
+    | ImportSimpleChars
+    | ToggleIsConvertingFillsToStrokes
+    | RequestImportIds
+    | UpdateIdsText String
+    | ChooseIdsFile
+    | SelectedIdsFile File
+    | LoadedIdsFile String
+    | ImportIds
+    | GotSvgWarnings Value
+    | UpdateGridUnits Int
+    | UpdateComponentSize Float
+    | UpdateNewPresetName String
+    | SavePreset
+    | ApplyPreset String
+    | DeletePreset String
+    | ExportPreferences
+    | ImportPreferences
+    | GotPreferencesFile Value
+    | ShowProjects
+    | GotProjects Value
+    | UpdateNewProjectName String
+    | CreateProject
+    | OpenProject String
+    | StartRenamingProject Project
+    | UpdateRenamedProjectName String
+    | RenameProject
+    | DuplicateProject Project
+    | RequestDeleteProject Project
+    | DeleteProject String
+    | UpdateCharsToCopy String
+    | CopyCharsToProject String
+    | GotCopiedChars Value
+    | GotHistory Value
+    | ShowHistory
+    | GoToHistoryEntry Int
+    | ClearHistory
+    | ShowDependencies
+    | UpdateNewSimpleChar String
+    | DrawNewSimpleChar
+    | EditStrokes
+    | GotStrokes Value
+    | AddStrokeAnchor Vec2
+    | StrokeDragMsg (Draggable.Msg StrokePart)
+    | SelectStrokePart StrokePart
+    | StartDraggingStrokePart StrokePart
+    | OnDragStrokePartBy Vec2
+    | ToggleStrokeAnchorCurve
+    | DeleteStrokeAnchor
+    | DeleteStroke
+    | ToggleIsStrokeClosed
+    | FinishStroke
+    | CancelStrokes
+    | SaveStrokes
+    | UpdateCharQuery String
+    | ToggleIsCharFilterShown
+    | UpdateCharTypeFilter (Maybe MyCharType)
+    | UpdateScriptFilter (Maybe Script)
+    | UpdatePeriodFilter (Maybe Period)
+    | UpdateStageFilter (Maybe Stage)
+    | UpdateReferenceImageFilter (Maybe Bool)
+    | UpdateTagFilter (Maybe String)
+    | UpdateCharSortOrder CharSortOrder
+    | ClearCharFilter
+    | UpdateNewCharViewName String
+    | SaveCharView
+    | ApplyCharView String
+    | DeleteCharView String
+    | ExportCharView String
+    | ExportShownChars
+    | RequestExportCatalog
+    | ExportCatalog CatalogFormat
+    | UpdateNewTag String
+    | AddTag
+    | RemoveTag String
+    | RecordHistory HistoryCommand Time.Posix
 
 
 type alias DragData =
@@ -556,6 +1379,15 @@ dragConfig =
         ]
 
 
+strokeDragConfig : Draggable.Config StrokePart Msg
+strokeDragConfig =
+    Draggable.customConfig
+        [ Draggable.Events.onDragBy (\( dx, dy ) -> Vector2.vec2 dx dy |> OnDragStrokePartBy)
+        , Draggable.Events.onDragStart StartDraggingStrokePart
+        , Draggable.Events.onClick SelectStrokePart
+        ]
+
+
 update : Msg -> Model -> ( Model, Cmd Msg )
 update msg model =
     case msg of
@@ -577,11 +1409,11 @@ update msg model =
         SelectChar char ->
             selectChar char model
         
-        UndoSelectedCharHistory ->
-            undoSelectedCharHistory model
-        
-        RedoSelectedCharHistory ->
-            redoSelectedCharHistory model
+        Undo ->
+            undo model
+
+        Redo ->
+            redo model
         
         EditChar char ->
             editChar char model
@@ -601,6 +1433,15 @@ update msg model =
         DeleteSelectedChar ->
             deleteSelectedChar model
 
+        RequestRenameSelectedChar ->
+            requestRenameSelectedChar model
+
+        UpdateNewCharName name ->
+            updateNewCharName name model
+
+        RenameSelectedChar ->
+            renameSelectedChar model
+
         RequestClearChars myCharType ->
             requestClearChars myCharType model
 
@@ -649,6 +1490,9 @@ update msg model =
         GotModel savedModelJson ->
             gotModel savedModelJson model
 
+        GotLoadProblem problemJson ->
+            gotLoadProblem problemJson model
+
         SaveModel _ ->
             saveModel model
 
@@ -670,6 +1514,24 @@ update msg model =
         UpdatePreviewFontSize newSize ->
             updatePreviewFontSize newSize model
 
+        UpdatePreviewLineHeight newLineHeight ->
+            updatePreviewLineHeight newLineHeight model
+
+        UpdatePreviewLetterSpacing newLetterSpacing ->
+            updatePreviewLetterSpacing newLetterSpacing model
+
+        ToggleIsPreviewBoxShown ->
+            toggleIsPreviewBoxShown model
+
+        ToggleIsPreviewFallbackShown ->
+            toggleIsPreviewFallbackShown model
+
+        CreateMissingChar char ->
+            createMissingChar char model
+
+        ExportSpecimen format ->
+            exportSpecimen format model
+
         ToggleIsSnapToGrid ->
             toggleIsSnapToGrid model
 
@@ -678,9 +1540,9 @@ update msg model =
 
         DownloadSelectedChar ->
             downloadSelectedChar model
-        
-        DownloadCharsForPreview ->
-            downloadCharsForPreview model
+
+        DownloadAllChars ->
+            downloadAllChars model
 
         UpdateLanguage language ->
             updateLanguage language model
@@ -700,29 +1562,50 @@ update msg model =
         UpdateExplainationNote note ->
             updateExplainationNote note model
 
-        UploadReferenceImage ->
-            uploadReferenceImage model
+        UploadReferenceImage index ->
+            uploadReferenceImage index model
+
+        SelectedReferenceImage index file ->
+            selectedReferenceImage index file model
 
-        SelectedReferenceImage file ->
-            selectedReferenceImage file model
+        SelectedReferenceImages file files ->
+            selectedReferenceImages file files model
 
-        LoadedReferenceImage dataUrl ->
-            loadedReferenceImage dataUrl model
+        LoadedReferenceImage index dataUrl ->
+            loadedReferenceImage index dataUrl model
 
-        UpdateReferenceImageOrigin origin ->
-            updateReferenceImageOrigin origin model
+        UpdateReferenceImageCaption index caption ->
+            updateReferenceImageCaption index caption model
 
-        UpdateReferenceImagePeriod period ->
-            updateReferenceImagePeriod period model
+        UpdateReferenceImageCitation index citation ->
+            updateReferenceImageCitation index citation model
 
-        UpdateReferenceImageStage stage ->
-            updateReferenceImageStage stage model
+        UpdateReferenceImageOrigin index origin ->
+            updateReferenceImageOrigin index origin model
 
-        UpdateReferenceImageScript script ->
-            updateReferenceImageScript script model
+        UpdateReferenceImagePeriod index period ->
+            updateReferenceImagePeriod index period model
 
-        UpdateReferenceImageUrl url ->
-            updateReferenceImageUrl url model
+        UpdateReferenceImageStage index stage ->
+            updateReferenceImageStage index stage model
+
+        UpdateReferenceImageScript index script ->
+            updateReferenceImageScript index script model
+
+        UpdateReferenceImageUrl index url ->
+            updateReferenceImageUrl index url model
+
+        DeleteReferenceImage index ->
+            deleteReferenceImage index model
+
+        CompareReferenceImages ->
+            compareReferenceImages model
+
+        UpdateOnionSkin index ->
+            updateOnionSkin index model
+
+        UpdateOnionSkinOpacity opacity ->
+            updateOnionSkinOpacity opacity model
 
         UpdateBackupLocation ->
             updateBackupLocation model
@@ -733,2054 +1616,9125 @@ update msg model =
         UploadBackup ->
             uploadBackup model
 
+        RequestExportFont ->
+            requestExportFont model
 
-undoSelectedCharHistory : Model -> (Model, Cmd Msg)
-undoSelectedCharHistory model =
-    updateSelectedCharHistory
-        (\index ->
-            if index == 0 then
-                index
-            else
-                index - 1
-        )
-        model
+        UpdateFontName fontName ->
+            updateFontName fontName model
 
+        ExportFont ->
+            exportFont model
 
-redoSelectedCharHistory : Model -> (Model, Cmd Msg)
-redoSelectedCharHistory model =
-    let
-        lastIndex =
-            Array.length model.selectedCharHistory.snapshots - 1
-    in
-    updateSelectedCharHistory
-        (\index ->
-            if index == lastIndex then
-                index
-            else
-                index + 1
-        )
-        model
+        GotExportProgress progressJson ->
+            gotExportProgress progressJson model
 
+        CloseExportProgress ->
+            closeExportProgress model
 
-updateSelectedCharHistory : (Int -> Int) -> Model -> (Model, Cmd Msg)
-updateSelectedCharHistory updateCurrentIndex model =
-    let
-        history =
-            model.selectedCharHistory
-        
-        newCurrentIndex =
-            updateCurrentIndex history.currentIndex
-        
-        selectedChar =
-            unboxChar model.selectedChar
-        
-        currentSnapshot =
-            unboxMyChar <| Array.get newCurrentIndex history.snapshots
-    in
-    ( { model
-        | selectedCharHistory =
-            { history
-                | currentIndex =
-                    newCurrentIndex
-            }
-        , chars =
-            Dict.insert
-                selectedChar
-                currentSnapshot
-                model.chars
-    }
-    , Cmd.none
-    )
+        ToggleExportSize size ->
+            toggleExportSize size model
 
+        UpdateExportPadding padding ->
+            updateExportPadding padding model
 
-editChar : Grapheme -> Model -> (Model, Cmd Msg)
-editChar char model =
-    selectChar char model
-    |> Tuple.first
-    |> updateMode EditMode
-    |> Tuple.first
-    |> closePopUp
+        UpdateExportBackgroundColor color ->
+            updateExportBackgroundColor color model
 
+        ToggleIsExportBackgroundTransparent ->
+            toggleIsExportBackgroundTransparent model
 
-updatePreviewFontSize : Int -> Model -> ( Model, Cmd Msg )
-updatePreviewFontSize newSize model =
-    let
-        _ = Debug.log "newSize" newSize
-    in
-    ( { model
-        | previewFontSize =
-            newSize
-    }
-    , Cmd.none
-    )
+        UpdateExportFormat format ->
+            updateExportFormat format model
 
-updatePreviewOrientation : TextOrientation -> Model -> ( Model, Cmd Msg )
-updatePreviewOrientation newOrientation model =
-    ( { model
-        | previewOrientation =
-            newOrientation
-    }
-    , Cmd.none
-    )
+        DownloadChars chars ->
+            downloadChars chars model
 
+        GotBackup backupJson ->
+            gotBackup backupJson model
 
-uploadBackup : Model -> ( Model, Cmd Msg )
-uploadBackup model =
-    ( model
-    , uploadBackupPort ()
-    )
+        GotBackupErrors errorsJson ->
+            gotBackupErrors errorsJson model
 
+        UpdateConflictResolution char resolution ->
+            updateConflictResolution char resolution model
 
-succeededInBackup : Model -> ( Model, Cmd Msg )
-succeededInBackup model =
-    ( { model
-        | isBackingUp =
-            True
-      }
-    , Cmd.none
-    )
+        ReplaceWithBackup ->
+            replaceWithBackup model
 
+        MergeBackup ->
+            mergeBackup model
 
-updateBackupLocation : Model -> ( Model, Cmd Msg )
-updateBackupLocation model =
-    ( model
-    , updateBackupLocationPort <| encodeModel model
-    )
+        BackupNow ->
+            ( model, backupAsLocalFilePort <| encodeModel model )
 
+        TakeSnapshot ->
+            takeSnapshot model
 
-loadedSimpleChar : Value -> Model -> ( Model, Cmd Msg )
-loadedSimpleChar svgJson model =
-    ( case Decode.decodeValue decodeSimpleCharSvg svgJson of
-        Ok svg ->
-            { model
-                | simpleCharSvgs =
-                    case model.selectedChar of
-                        Just c ->
-                            Dict.insert
-                                c
-                                svg
-                                model.simpleCharSvgs
+        GotSnapshots snapshotsJson ->
+            gotSnapshots snapshotsJson model
 
-                        Nothing ->
-                            model.simpleCharSvgs
-            }
+        ShowSnapshots ->
+            showSnapshots model
 
-        Err _ ->
-            model
-    , Cmd.none
-    )
+        ChooseSnapshotDirectory ->
+            ( model, chooseSnapshotDirectoryPort () )
 
+        UseBrowserSnapshots ->
+            ( model, useBrowserSnapshotsPort () )
 
-uploadSimpleChar : Model -> ( Model, Cmd Msg )
-uploadSimpleChar model =
-    ( model
-    , uploadSimpleCharPort (unboxChar model.selectedChar)
-    )
+        UpdateMaxSnapshots maxSnapshots ->
+            updateMaxSnapshots maxSnapshots model
 
+        SelectSnapshot id ->
+            selectSnapshot id model
 
-updateReferenceImageUrl : String -> Model -> ( Model, Cmd Msg )
-updateReferenceImageUrl url model =
-    updateReferenceImage
-        (Maybe.map
-            (\referenceImage ->
-                { referenceImage
-                    | url =
-                        url
-                }
-            )
-        )
-        model
+        GotSnapshot snapshotJson ->
+            gotSnapshot snapshotJson model
 
+        RestoreCharFromBackup char ->
+            restoreCharFromBackup char model
 
-updateReferenceImageScript : Script -> Model -> ( Model, Cmd Msg )
-updateReferenceImageScript script model =
-    updateReferenceImage
-        (Maybe.map
-            (\referenceImage ->
-                { referenceImage
-                    | script =
-                        script
-                }
-            )
-        )
-        model
+        GotStorageUsage usageJson ->
+            gotStorageUsage usageJson model
 
+        GotUpdateAvailable ->
+            gotUpdateAvailable model
 
-updateReferenceImageStage : Stage -> Model -> ( Model, Cmd Msg )
-updateReferenceImageStage stage model =
-    updateReferenceImage
-        (Maybe.map
-            (\referenceImage ->
-                { referenceImage
-                    | time =
-                        case referenceImage.time of
-                            Just time ->
-                                if time.stage == Just stage then
-                                    Just
-                                        { time
-                                            | stage =
-                                                Nothing
-                                        }
+        ReloadToUpdate ->
+            reloadToUpdate model
 
-                                else
-                                    Just
-                                        { time
-                                            | stage =
-                                                Just stage
-                                        }
+        ChooseSimpleCharFiles ->
+            ( model, addSimpleCharsPort <| encodeSvgImportOptions [] model )
 
-                            Nothing ->
-                                Just
-                                    { stage =
-                                        Just stage
-                                    , period =
-                                        Shang
-                                    }
-                }
+        ChooseSpriteSheet ->
+            ( model, importSpriteSheetPort <| encodeSvgImportOptions [] model )
+
+        UpdateFontGlyphSelection selection ->
+            updateFontGlyphSelection selection model
+
+        ChooseFont ->
+            ( model
+            , importFontGlyphsPort <|
+                encodeSvgImportOptions [ ( "selection", Encode.string model.fontGlyphSelection ) ] model
             )
-        )
-        model
 
+        GotSimpleCharsToImport importJson ->
+            gotSimpleCharsToImport importJson model
 
-updateReferenceImagePeriod : Period -> Model -> ( Model, Cmd Msg )
-updateReferenceImagePeriod period model =
-    updateReferenceImage
-        (Maybe.map
-            (\referenceImage ->
-                { referenceImage
-                    | time =
-                        case referenceImage.time of
-                            Just time ->
-                                if time.period == period then
-                                    Nothing
+        ToggleIsReplacingSimpleChars ->
+            toggleIsReplacingSimpleChars model
 
-                                else
-                                    Just
-                                        { time
-                                            | period =
-                                                period
-                                        }
+        ImportSimpleChars ->
+            importSimpleChars model
 
-                            Nothing ->
-                                Just
-                                    { period =
-                                        period
-                                    , stage =
-                                        Nothing
-                                    }
-                }
-            )
-        )
-        model
+        ToggleIsConvertingFillsToStrokes ->
+            toggleIsConvertingFillsToStrokes model
 
+        RequestImportIds ->
+            requestImportIds model
 
-updateReferenceImageOrigin : String -> Model -> ( Model, Cmd Msg )
-updateReferenceImageOrigin origin model =
-    updateReferenceImage
-        (Maybe.map
-            (\referenceImage ->
-                { referenceImage
-                    | origin =
-                        origin
-                }
-            )
-        )
-        model
+        UpdateIdsText text ->
+            updateIdsText text model
 
+        ChooseIdsFile ->
+            chooseIdsFile model
 
-updateReferenceImage : (Maybe ReferenceImage -> Maybe ReferenceImage) -> Model -> ( Model, Cmd Msg )
-updateReferenceImage func model =
-    updateExplaination
-        (\e ->
-            { e
-                | referenceImage =
-                    func e.referenceImage
-            }
-        )
-        model
+        SelectedIdsFile file ->
+            selectedIdsFile file model
 
+        LoadedIdsFile text ->
+            loadedIdsFile text model
 
-loadedReferenceImage : DataUrl -> Model -> ( Model, Cmd Msg )
-loadedReferenceImage dataUrl model =
-    updateExplaination
-        (\e ->
-            { e
-                | referenceImage =
-                    case e.referenceImage of
-                        Just referenceImage ->
-                            Just
-                                { referenceImage
-                                    | image =
-                                        dataUrl
-                                }
+        ImportIds ->
+            importIds model
 
-                        Nothing ->
-                            Just
-                                { emptyReferenceImage
-                                    | image =
-                                        dataUrl
-                                }
-            }
-        )
-        model
+        GotSvgWarnings warningsJson ->
+            gotSvgWarnings warningsJson model
 
+        UpdateGridUnits gridUnits ->
+            updateGridUnits gridUnits model
 
-selectedReferenceImage : File -> Model -> ( Model, Cmd Msg )
-selectedReferenceImage file model =
-    ( model
-    , Task.perform LoadedReferenceImage (File.toUrl file)
-    )
+        UpdateComponentSize componentSize ->
+            updateComponentSize componentSize model
 
+        UpdateNewPresetName name ->
+            updateNewPresetName name model
 
-uploadReferenceImage : Model -> ( Model, Cmd Msg )
-uploadReferenceImage model =
-    ( model
-    , File.Select.file [ "image/jpeg", "image/png", "image/webp" ] SelectedReferenceImage
-    )
+        SavePreset ->
+            savePreset model
 
+        ApplyPreset name ->
+            applyPreset name model
 
-updateExplainationNote : String -> Model -> ( Model, Cmd Msg )
-updateExplainationNote note model =
-    updateExplaination
-        (\e ->
-            { e
-                | note =
-                    note
-            }
-        )
-        model
+        DeletePreset name ->
+            deletePreset name model
 
+        ExportPreferences ->
+            ( model, exportPreferencesPort <| encodePreferencesFile model )
 
-updateExplaination : (Explaination -> Explaination) -> Model -> ( Model, Cmd Msg )
-updateExplaination func model =
-    ( { model
-        | charExplainations =
-            case model.selectedChar of
-                Just char ->
-                    Dict.update
-                        char
-                        (Just << func << Maybe.withDefault emptyExplaination)
-                        model.charExplainations
+        ImportPreferences ->
+            ( model, importPreferencesPort () )
 
-                Nothing ->
-                    model.charExplainations
-      }
-    , Cmd.none
-    )
+        GotPreferencesFile fileJson ->
+            gotPreferencesFile fileJson model
 
+        ShowProjects ->
+            showProjects model
 
-toggleIsReferenceCharShown : Model -> ( Model, Cmd Msg )
-toggleIsReferenceCharShown model =
-    ( { model
-        | isReferenceCharShown =
-            not model.isReferenceCharShown
-      }
-    , Cmd.none
-    )
+        GotProjects projectsJson ->
+            gotProjects projectsJson model
 
+        UpdateNewProjectName name ->
+            updateNewProjectName name model
 
-addPendingComponentChar : Model -> ( Model, Cmd Msg )
-addPendingComponentChar model =
-    ( addSnapshot <| { model
-        | chars =
-            Maybe.map
-                (\selectedChar ->
-                    Dict.update
-                        selectedChar
-                        (Maybe.map <|
-                            addComponentToMyChar model.chars model.newComponentChar
-                        )
-                        model.chars
-                )
-                model.selectedChar
-                |> Maybe.withDefault model.chars
-        , popUp =
-            NoPopUp
-      }
-    , Cmd.none
-    )
+        CreateProject ->
+            createProject model
 
+        OpenProject id ->
+            openProject id model
 
-updatePendingComponentChar : String -> Model -> ( Model, Cmd Msg )
-updatePendingComponentChar charInput model =
-    ( { model
-        | newComponentChar =
-            charInput
-      }
-    , Cmd.none
-    )
+        StartRenamingProject project ->
+            startRenamingProject project model
 
+        UpdateRenamedProjectName name ->
+            updateRenamedProjectName name model
 
-requestAddComponentToSelectedChar : Model -> ( Model, Cmd Msg )
-requestAddComponentToSelectedChar model =
-    ( { model
-        | popUp =
-            AddComponentToSelectedCharPopUp
-      }
-    , Cmd.none
-    )
+        RenameProject ->
+            renameProject model
 
+        DuplicateProject project ->
+            duplicateProject project model
 
-showAppPreferences : Model -> ( Model, Cmd Msg )
-showAppPreferences model =
-    ( { model
-        | popUp =
-            AppPreferencesPopUp
-      }
-    , Cmd.none
-    )
+        RequestDeleteProject project ->
+            requestDeleteProject project model
 
+        DeleteProject id ->
+            deleteProject id model
 
-updateMode : Mode -> Model -> ( Model, Cmd Msg )
-updateMode mode ({ isBackingUp } as model) =
-    ( { model
-        | mode =
-            mode
-      }
-    , case mode of
-        BrowseMode ->
-            if isBackingUp then
-                backupAsLocalFilePort <| encodeModel model
+        UpdateCharsToCopy chars ->
+            updateCharsToCopy chars model
 
-            else
-                Cmd.none
+        CopyCharsToProject id ->
+            copyCharsToProject id model
 
-        _ ->
-            Cmd.none
-    )
+        GotCopiedChars copiedJson ->
+            gotCopiedChars copiedJson model
 
+        GotHistory historyJson ->
+            gotHistory historyJson model
 
-updateDevice : Int -> Int -> Model -> ( Model, Cmd Msg )
-updateDevice width height model =
-    let
-        device =
-            E.classifyDevice
-                { width = width
-                , height = height
-                }
+        ShowHistory ->
+            showHistory model
 
-        minSize =
-            toFloat <|
-                min width height
-                    - (case device.orientation of
-                        E.Portrait ->
-                            0
+        GoToHistoryEntry id ->
+            goToHistoryEntry id model
 
-                        E.Landscape ->
-                            model.fontSize.large + model.spacing.small
-                      )
+        ClearHistory ->
+            clearHistory model
 
-        unitSize =
-            minSize / (toFloat model.boxUnits + model.borderUnits * 2)
-    in
-    ( { model
-        | device =
-            device
-        , unitSize =
-            unitSize
-        , thumbnailUnitSize =
-            case device.class of
-                E.Phone ->
-                    2
+        ShowDependencies ->
+            showDependencies model
 
-                E.Tablet ->
-                    2.6
+        UpdateNewSimpleChar char ->
+            updateNewSimpleChar char model
 
-                E.Desktop ->
-                    2.6
+        DrawNewSimpleChar ->
+            drawNewSimpleChar model
 
-                E.BigDesktop ->
-                    8
-        , spacing =
-            let
-                tiny =
-                    round << E.modular 5 1.25
+        EditStrokes ->
+            editStrokes model
 
-                small =
-                    round << E.modular 10 1.25
+        GotStrokes strokesJson ->
+            gotStrokes strokesJson model
 
-                medium =
-                    round << E.modular 20 1.5
+        AddStrokeAnchor position ->
+            addStrokeAnchor position model
 
-                large =
-                    round << E.modular 30 1.5
-            in
-            case device.class of
-                E.Phone ->
-                    { tiny = tiny -3
-                    , small = small -3
-                    , medium = medium -3
-                    , large = large -3
-                    }
+        StrokeDragMsg msg_ ->
+            strokeDragMsg msg_ model
 
-                E.Tablet ->
-                    { tiny = tiny -2
-                    , small = small -2
-                    , medium = medium -2
-                    , large = large -2
-                    }
+        SelectStrokePart part ->
+            selectStrokePart part model
 
-                E.Desktop ->
-                    { tiny = tiny -1
-                    , small = small -1
-                    , medium = medium -1
-                    , large = large -1
-                    }
+        StartDraggingStrokePart part ->
+            startDraggingStrokePart part model
 
-                E.BigDesktop ->
-                    { tiny = tiny 1
-                    , small = small 1
-                    , medium = medium 1
-                    , large = large 1
-                    }
-        , fontSize =
-            let
-                small =
-                    round << E.modular 16 1.1
+        OnDragStrokePartBy delta ->
+            onDragStrokePartBy delta model
 
-                medium =
-                    round << E.modular 20 1.1
+        ToggleStrokeAnchorCurve ->
+            toggleStrokeAnchorCurve model
 
-                large =
-                    round << E.modular 30 1.25
+        DeleteStrokeAnchor ->
+            deleteStrokeAnchor model
 
-                title =
-                    round << E.modular 40 1.25
-            in
-            case device.class of
-                E.Phone ->
-                    { small = small -2
-                    , medium = medium -1
-                    , large = large -2
-                    , title = title -2
-                    , thumb = title -2
-                    }
+        DeleteStroke ->
+            deleteStroke model
 
-                E.Tablet ->
-                    { small = small -1
-                    , medium = medium -1
-                    , large = large -1
-                    , title = title -1
-                    , thumb = title -1
-                    }
+        ToggleIsStrokeClosed ->
+            toggleIsStrokeClosed model
 
-                E.Desktop ->
-                    { small = small -1
-                    , medium = medium -1
-                    , large = large -1
-                    , title = title -1
-                    , thumb = large -1
-                    }
+        FinishStroke ->
+            finishStroke model
 
-                E.BigDesktop ->
-                    { small = small 1
-                    , medium = medium 1
-                    , large = large 1
-                    , title = title 1
-                    , thumb = large 1
-                    }
-      }
-    , Cmd.none
-    )
+        CancelStrokes ->
+            cancelStrokes model
 
+        SaveStrokes ->
+            saveStrokes model
 
-gotTranslations : Result Http.Error I18Next.Translations -> Model -> ( Model, Cmd Msg )
-gotTranslations trs model =
-    ( { model
-        | trs =
-            Result.withDefault model.trs trs
-      }
-    , Cmd.none
-    )
+        UpdateCharQuery query ->
+            updateCharQuery query model
 
+        ToggleIsCharFilterShown ->
+            toggleIsCharFilterShown model
 
-updateLanguage : Language -> Model -> ( Model, Cmd Msg )
-updateLanguage language model =
-    ( { model
-        | language =
-            language
-      }
-    , Http.get
-        { url =
-            "translations/" ++ stringFromLanguage language ++ ".json"
-        , expect =
-            Http.expectJson GotTranslations I18Next.translationsDecoder
-        }
-    )
+        UpdateCharTypeFilter charType ->
+            updateCharTypeFilter charType model
 
+        UpdateScriptFilter script ->
+            updateScriptFilter script model
 
-mirrorActiveComponent : MirrorDirection -> Model -> ( Model, Cmd Msg )
-mirrorActiveComponent direction ({ activeComponentIndex } as model) =
-    ( addSnapshot <| { model
-        | chars =
-            Maybe.map
-                (\selectedChar ->
-                    Dict.update
-                        selectedChar
-                        (Maybe.map <|
-                            updateMyCharComponents
-                                (List.Extra.updateAt
-                                    (Maybe.withDefault -1 activeComponentIndex)
-                                    (\component ->
-                                        let
-                                            oldMirror =
-                                                component.mirror
-                                        in
-                                        { component
-                                            | mirror =
-                                                case direction of
-                                                    MirrorDirectionX ->
-                                                        { oldMirror
-                                                            | x =
-                                                                not oldMirror.x
-                                                        }
+        UpdatePeriodFilter period ->
+            updatePeriodFilter period model
 
-                                                    MirrorDirectionY ->
-                                                        { oldMirror
-                                                            | y =
-                                                                not oldMirror.y
-                                                        }
-                                        }
-                                    )
-                                )
-                        )
-                        model.chars
-                )
-                model.selectedChar
-                |> Maybe.withDefault model.chars
-      }
-    , Cmd.none
-    )
+        UpdateStageFilter stage ->
+            updateStageFilter stage model
 
+        UpdateReferenceImageFilter hasReferenceImage ->
+            updateReferenceImageFilter hasReferenceImage model
 
-deleteActiveComponent : Model -> ( Model, Cmd Msg )
-deleteActiveComponent ({ activeComponentIndex } as model) =
-    ( addSnapshot <| { model
-        | chars =
-            Maybe.map
-                (\selectedChar ->
-                    Dict.update
-                        selectedChar
-                        (Maybe.map <|
-                            updateMyCharComponents
-                                (List.Extra.removeAt (Maybe.withDefault -1 activeComponentIndex))
-                        )
-                        model.chars
-                )
-                model.selectedChar
-                |> Maybe.withDefault model.chars
-        , activeComponentIndex =
-            Nothing
-      }
-    , Cmd.none
-    )
+        UpdateTagFilter tag ->
+            updateTagFilter tag model
 
+        UpdateCharSortOrder sortOrder ->
+            updateCharSortOrder sortOrder model
 
-copyActiveComponent : Model -> ( Model, Cmd Msg )
-copyActiveComponent ({ activeComponentIndex, isSnapToGrid, boxUnits } as model) =
-    ( addSnapshot <| { model
-        | chars =
-            Maybe.map
-                (\selectedChar ->
-                    Dict.update
-                        selectedChar
-                        (Maybe.map <|
-                            \myChar ->
-                                case myChar of
-                                    SimpleChar _ ->
-                                        myChar
+        ClearCharFilter ->
+            clearCharFilter model
 
-                                    CompoundChar c components ->
-                                        let
-                                            activeComponent =
-                                                Maybe.andThen
-                                                    (\index ->
-                                                        Array.get index <| Array.fromList components
-                                                    )
-                                                    activeComponentIndex
-                                        in
-                                        case activeComponent of
-                                            Just component ->
-                                                let
-                                                    delta =
-                                                        5
+        UpdateNewCharViewName name ->
+            updateNewCharViewName name model
 
-                                                    copiedPosition =
-                                                        (if isSnapToGrid then
-                                                            snapToGrid boxUnits
+        SaveCharView ->
+            saveCharView model
 
-                                                         else
-                                                            identity
-                                                        )
-                                                        <|
-                                                            Vector2.add (Vector2.vec2 delta delta) component.position
+        ApplyCharView name ->
+            applyCharView name model
 
-                                                    copiedComponent =
-                                                        { char = component.char
-                                                        , dimension = component.dimension
-                                                        , position = copiedPosition
-                                                        , mirror = component.mirror
-                                                        }
-                                                in
-                                                CompoundChar c (components ++ [ copiedComponent ])
+        DeleteCharView name ->
+            deleteCharView name model
 
-                                            Nothing ->
-                                                myChar
-                        )
-                        model.chars
-                )
-                model.selectedChar
-                |> Maybe.withDefault model.chars
-      }
-    , Cmd.none
-    )
+        ExportCharView name ->
+            exportCharView name model
 
+        ExportShownChars ->
+            exportShownChars model
 
-requestClearChars : MyCharType -> Model -> ( Model, Cmd Msg )
-requestClearChars myCharType model =
-    ( { model
-        | popUp =
-            ConfirmClearCharsPopUp myCharType
-      }
-    , Cmd.none
-    )
+        RequestExportCatalog ->
+            requestExportCatalog model
 
+        ExportCatalog format ->
+            exportCatalog format model
 
-clearChars : MyCharType -> Model -> ( Model, Cmd Msg )
-clearChars myCharType model =
-    case myCharType of
-        SimpleCharType ->
-            ( { model
-                | chars =
-                    Dict.filter
-                        (\_ myChar ->
-                            case myChar of
-                                SimpleChar _ ->
-                                    False
+        UpdateNewTag tag ->
+            updateNewTag tag model
 
-                                _ ->
-                                    True
-                        )
-                        model.chars
-                , popUp =
-                    NoPopUp
-              }
-            , clearSimpleCharsPort ()
-            )
+        AddTag ->
+            addTag model
 
-        CompoundCharType ->
-            ( { model
-                | chars =
-                    Dict.filter
-                        (\_ myChar ->
-                            case myChar of
-                                CompoundChar _ _ ->
-                                    False
+        RemoveTag tag ->
+            removeTag tag model
 
-                                _ ->
-                                    True
-                        )
-                        model.chars
-                , popUp =
-                    NoPopUp
-              }
-            , Cmd.none
-            )
+        RecordHistory command time ->
+            recordHistoryAt command time model
 
 
-downloadSelectedChar : Model -> ( Model, Cmd Msg )
-downloadSelectedChar model =
-    ( model
-    , downloadCharsPort [ unboxChar model.selectedChar ]
-    )
+undo : Model -> ( Model, Cmd Msg )
+undo model =
+    case undoHistoryEntry model of
+        Just newModel ->
+            moveInHistory model newModel
 
+        Nothing ->
+            ( model, Cmd.none )
 
-downloadCharsForPreview : Model -> ( Model, Cmd Msg )
-downloadCharsForPreview model =
-    ( model
-    , downloadCharsPort <| String.Graphemes.toList <| model.previewParagraph
-    )
 
+redo : Model -> ( Model, Cmd Msg )
+redo model =
+    case redoHistoryEntry model of
+        Just newModel ->
+            moveInHistory model newModel
 
-toggleIsSnapToGrid : Model -> ( Model, Cmd Msg )
-toggleIsSnapToGrid model =
+        Nothing ->
+            ( model, Cmd.none )
+
+
+
+-- Undoes or redoes every entry between the current one and the chosen one, 0 being the start of the history
+
+
+goToHistoryEntry : Int -> Model -> ( Model, Cmd Msg )
+goToHistoryEntry id model =
     let
-        newIsSnapToGrid =
-            not model.isSnapToGrid
-    in
-    ( { model
-        | isSnapToGrid =
-            newIsSnapToGrid
-        , isAspectRatioLocked =
-            if newIsSnapToGrid then
-                False
+        step =
+            if id == 0 || List.any (\entry -> entry.id == id) model.history.done then
+                undoHistoryEntry
 
             else
-                model.isAspectRatioLocked
-      }
-    , Cmd.none
-    )
+                redoHistoryEntry
 
+        go current =
+            if currentHistoryId current.history == id then
+                current
 
-updatePreviewParagraph : String -> Model -> ( Model, Cmd Msg )
-updatePreviewParagraph paragraph model =
-    ( { model
-        | previewParagraph =
-            paragraph
-      }
-    , Cmd.none
-    )
+            else
+                case step current of
+                    Just next ->
+                        go next
+
+                    Nothing ->
+                        current
+    in
+    moveInHistory model (go model)
 
 
-previewInParagraph : Model -> ( Model, Cmd Msg )
-previewInParagraph model =
-    ( { model
-        | popUp =
-            PreviewInParagraphPopUp
-      }
-    , Cmd.none
-    )
+undoHistoryEntry : Model -> Maybe Model
+undoHistoryEntry ({ history } as model) =
+    case history.done of
+        entry :: done ->
+            Just <|
+                applyHistoryEntry True
+                    entry
+                    { model
+                        | history =
+                            { history
+                                | done =
+                                    done
+                                , undone =
+                                    entry :: history.undone
+                            }
+                    }
 
+        [] ->
+            Nothing
 
-requestDeleteSelectedChar : Model -> ( Model, Cmd Msg )
-requestDeleteSelectedChar model =
-    ( { model
-        | popUp =
-            ConfirmDeleteSelectedCharPopUp
-      }
-    , Cmd.none
-    )
 
+redoHistoryEntry : Model -> Maybe Model
+redoHistoryEntry ({ history } as model) =
+    case history.undone of
+        entry :: undone ->
+            Just <|
+                applyHistoryEntry False
+                    entry
+                    { model
+                        | history =
+                            { history
+                                | done =
+                                    entry :: history.done
+                                , undone =
+                                    undone
+                            }
+                    }
 
-deleteSelectedChar : Model -> ( Model, Cmd Msg )
-deleteSelectedChar model =
-    ( { model
-        | selectedChar =
+        [] ->
             Nothing
-        , chars =
-            case model.selectedChar of
-                Just char ->
-                    Dict.remove char model.chars
 
-                Nothing ->
-                    model.chars
-        , popUp =
-            NoPopUp
-      }
-    , case model.selectedChar of
-        Just char ->
-            deleteSimpleCharPort char
 
-        Nothing ->
-            Cmd.none
-    )
+applyHistoryEntry : Bool -> HistoryEntry -> Model -> Model
+applyHistoryEntry isUndo entry model =
+    { model
+        | chars =
+            applyChanges isUndo entry.chars model.chars
+        , charExplainations =
+            applyChanges isUndo entry.charExplainations model.charExplainations
+        , simpleCharSvgTexts =
+            applyChanges isUndo entry.simpleCharSvgs model.simpleCharSvgTexts
+    }
 
 
-toggleIsAspectRatioLocked : Model -> ( Model, Cmd Msg )
-toggleIsAspectRatioLocked model =
-    ( { model
-        | isAspectRatioLocked =
-            not model.isAspectRatioLocked
-      }
-    , Cmd.none
-    )
+applyChanges : Bool -> Dict Grapheme (Change a) -> Dict Grapheme a -> Dict Grapheme a
+applyChanges isUndo changes dict =
+    Dict.foldl
+        (\key { before, after } ->
+            Dict.update key
+                (\_ ->
+                    if isUndo then
+                        before
 
+                    else
+                        after
+                )
+        )
+        dict
+        changes
 
-updateStrokeWidth : Float -> Model -> ( Model, Cmd Msg )
-updateStrokeWidth newStrokeWidth model =
-    ( { model
-        | strokeWidth =
-            newStrokeWidth
-        , borderUnits =
-            lerp minStrokeWidth maxStrokeWidth minBorderUnits maxBorderUnits newStrokeWidth
-      }
-    , Cmd.none
-    )
 
 
-saveModel : Model -> ( Model, Cmd Msg )
-saveModel model =
-    ( model, saveModelPort <| encodeModel model )
+-- Brings the simple character svgs, the selected character and the saved history up to date after undoing or redoing
 
 
-encodeModel : Model -> Value
-encodeModel { chars, charExplainations, strokeWidth, language } =
-    Encode.object
-        [ ( "chars", Encode.dict identity encodeMyChar chars )
-        , ( "charExplainations", Encode.dict identity encodeExplaination charExplainations )
-        , ( "strokeWidth", Encode.float strokeWidth )
-        , ( "language", encodeLanguage language )
-        ]
+moveInHistory : Model -> Model -> ( Model, Cmd Msg )
+moveInHistory oldModel newModel =
+    let
+        history =
+            newModel.history
 
+        changedSvgs =
+            Dict.keys <| dictChanges oldModel.simpleCharSvgTexts newModel.simpleCharSvgTexts
 
-encodeExplaination : Explaination -> Value
-encodeExplaination { note, referenceImage } =
-    Encode.object <|
-        ( "note", Encode.string note )
-            :: (case referenceImage of
-                    Just image ->
-                        [ ( "referenceImage", encodeReferenceImage image ) ]
+        selectedChar =
+            Maybe.andThen
+                (\char ->
+                    if Dict.member char newModel.chars then
+                        Just char
 
-                    Nothing ->
-                        []
-               )
+                    else
+                        Nothing
+                )
+                newModel.selectedChar
+    in
+    ( { newModel
+        | history =
+            { history
+                | recorded =
+                    libraryState newModel
+            }
+        , simpleCharSvgs =
+            List.foldl
+                (\char ->
+                    Dict.update char
+                        (\_ ->
+                            Dict.get char newModel.simpleCharSvgTexts
+                                |> Maybe.andThen (Result.toMaybe << Decode.decodeValue decodeSimpleCharSvg << Encode.string)
+                        )
+                )
+                newModel.simpleCharSvgs
+                changedSvgs
+        , selectedChar =
+            selectedChar
+        , mode =
+            if selectedChar == Nothing then
+                BrowseMode
 
+            else
+                newModel.mode
+        , activeComponentIndex =
+            Nothing
+      }
+    , Cmd.batch
+        [ saveHistory [] [] history
+        , if List.isEmpty changedSvgs then
+            Cmd.none
 
-encodeReferenceImage : ReferenceImage -> Value
-encodeReferenceImage { image, origin, time, script, url } =
-    Encode.object <|
-        [ ( "image", Encode.string image )
-        , ( "origin", Encode.string origin )
+          else
+            saveSimpleCharSvgsPort <|
+                encodeDictChanges Encode.string oldModel.simpleCharSvgTexts newModel.simpleCharSvgTexts
         ]
-            ++ (case time of
-                    Just { period, stage } ->
-                        [ ( "time"
-                          , Encode.object
-                                (( "period", encodePeriod period )
-                                    :: (case stage of
-                                            Just s ->
-                                                [ ( "stage", encodeStage s ) ]
+    )
 
-                                            Nothing ->
-                                                []
-                                       )
-                                )
-                          )
-                        ]
 
-                    Nothing ->
-                        []
-               )
-            ++ [ ( "script", encodeScript script )
-               , ( "url", Encode.string url )
-               ]
 
+-- Records everything that changed in the library since the last recorded change as one entry.
+-- Typing into the same field again adds to the last entry instead of recording every key.
+-- The entry is recorded once the current time is known, which marks when its characters were modified
 
-encodeLanguage : Language -> Value
-encodeLanguage =
-    Encode.string << stringFromLanguage
 
+recordHistory : HistoryCommand -> ( Model, Cmd Msg ) -> ( Model, Cmd Msg )
+recordHistory command ( model, cmd ) =
+    ( model
+    , Cmd.batch
+        [ cmd
+        , Task.perform (RecordHistory command) Time.now
+        ]
+    )
 
-stringFromLanguage : Language -> String
-stringFromLanguage language =
-    case language of
-        LanguageEn ->
-            "LanguageEn"
 
-        LanguageZhHans ->
-            "LanguageZhHans"
+recordHistoryAt : HistoryCommand -> Time.Posix -> Model -> ( Model, Cmd Msg )
+recordHistoryAt command time unstampedModel =
+    let
+        model =
+            stampModified time unstampedModel
 
-        LanguageZhHant ->
-            "LanguageZhHant"
+        history =
+            model.history
+
+        state =
+            libraryState model
+
+        entry =
+            { id =
+                nextHistoryId history
+            , command =
+                command
+            , chars =
+                dictChanges history.recorded.chars state.chars
+            , charExplainations =
+                dictChanges history.recorded.charExplainations state.charExplainations
+            , simpleCharSvgs =
+                dictChanges history.recorded.simpleCharSvgs state.simpleCharSvgs
+            }
 
+        ( done, dropped ) =
+            (case history.done of
+                last :: rest ->
+                    if last.command == command && isTypingCommand command then
+                        mergeHistoryEntries last entry :: rest
 
-encodeChar : Grapheme -> Value
-encodeChar =
-    Encode.string
+                    else
+                        entry :: history.done
 
+                [] ->
+                    [ entry ]
+            )
+                |> List.filter (not << isEmptyHistoryEntry)
+                |> List.Extra.splitAt maxHistoryEntries
 
-encodePeriod : Period -> Value
-encodePeriod period =
-    Encode.string <|
-        case period of
-            Shang ->
-                "Shang"
+        newHistory =
+            { done =
+                done
+            , undone =
+                []
+            , recorded =
+                state
+            }
 
-            WesternZhou ->
-                "WesternZhou"
+        keptIds =
+            List.map .id done
+    in
+    if isEmptyHistoryEntry entry then
+        ( model, Cmd.none )
 
-            SpringAndAutumn ->
-                "SpringAndAutumn"
+    else
+        ( { model
+            | history =
+                newHistory
+          }
+        , saveHistory
+            (List.take 1 done)
+            (List.filter (\id -> not <| List.member id keptIds) <|
+                List.map .id (history.undone ++ history.done ++ dropped)
+            )
+            newHistory
+        )
 
-            WarringStates ->
-                "WarringStates"
 
 
-encodeStage : Stage -> Value
-encodeStage stage =
-    Encode.string <|
-        case stage of
-            Early ->
-                "Early"
+-- Every character that changed since the last recorded state is marked as modified now, so undoing a change also restores when the character was modified before
 
-            Middle ->
-                "Middle"
 
-            Late ->
-                "Late"
+stampModified : Time.Posix -> Model -> Model
+stampModified time model =
+    let
+        recorded =
+            model.history.recorded
 
+        state =
+            libraryState model
 
-encodeScript : Script -> Value
-encodeScript script =
-    Encode.string <|
-        case script of
-            Oracle ->
-                "Oracle"
+        changedChars =
+            List.Extra.unique <|
+                Dict.keys (dictChanges recorded.chars state.chars)
+                    ++ Dict.keys (dictChanges recorded.charExplainations state.charExplainations)
+                    ++ Dict.keys (dictChanges recorded.simpleCharSvgs state.simpleCharSvgs)
+    in
+    { model
+        | charExplainations =
+            List.foldl
+                (\char ->
+                    if Dict.member char model.chars then
+                        Dict.update char
+                            (Just
+                                << (\e ->
+                                        { e
+                                            | modified =
+                                                Just time
+                                        }
+                                   )
+                                << Maybe.withDefault emptyExplaination
+                            )
 
-            Bronze ->
-                "Bronze"
+                    else
+                        identity
+                )
+                model.charExplainations
+                changedChars
+    }
 
-            Seal ->
-                "Seal"
 
+recordComponentEdit : ( Model, Cmd Msg ) -> ( Model, Cmd Msg )
+recordComponentEdit ( model, cmd ) =
+    case model.selectedChar of
+        Just char ->
+            recordHistory (EditComponentsCommand char) ( model, cmd )
 
-encodeMyChar : MyChar -> Value
-encodeMyChar myChar =
-    case myChar of
-        SimpleChar ref ->
-            Encode.object
-                [ ( "type", Encode.string "SimpleChar" )
-                , ( "reference", encodeMyCharRef ref )
-                ]
+        Nothing ->
+            ( model, cmd )
 
-        CompoundChar ref components ->
-            Encode.object
-                [ ( "type", Encode.string "CompoundChar" )
-                , ( "reference", encodeMyCharRef ref )
-                , ( "components", Encode.list encodeMyCharRef components )
-                ]
 
+isTypingCommand : HistoryCommand -> Bool
+isTypingCommand command =
+    case command of
+        EditNoteCommand _ ->
+            True
 
-encodeMyCharRef : MyCharRef -> Value
-encodeMyCharRef { char, dimension, position, mirror } =
-    Encode.object <|
-        [ ( "char", encodeChar char )
-        , ( "dimension", encodeVec2 dimension )
-        , ( "position", encodeVec2 position )
-        ]
-            ++ (if mirror /= emptyMirror then
-                    [ ( "mirror", encodeMirror mirror ) ]
-
-                else
-                    []
-               )
+        EditReferenceImageCommand _ ->
+            True
 
+        _ ->
+            False
 
-encodeMirror : Mirror -> Value
-encodeMirror mirror =
-    Encode.object
-        [ ( "x", Encode.bool mirror.x )
-        , ( "y", Encode.bool mirror.y )
-        ]
 
+mergeHistoryEntries : HistoryEntry -> HistoryEntry -> HistoryEntry
+mergeHistoryEntries older newer =
+    { older
+        | chars =
+            mergeChanges older.chars newer.chars
+        , charExplainations =
+            mergeChanges older.charExplainations newer.charExplainations
+        , simpleCharSvgs =
+            mergeChanges older.simpleCharSvgs newer.simpleCharSvgs
+    }
 
-encodeVec2 : Vec2 -> Value
-encodeVec2 vec =
-    Encode.object
-        [ ( "x", Encode.float <| Vector2.getX vec )
-        , ( "y", Encode.float <| Vector2.getY vec )
-        ]
 
+mergeChanges : Dict Grapheme (Change a) -> Dict Grapheme (Change a) -> Dict Grapheme (Change a)
+mergeChanges older newer =
+    Dict.merge
+        Dict.insert
+        (\key olderChange newerChange ->
+            if olderChange.before == newerChange.after then
+                identity
 
-gotModel : Value -> Model -> ( Model, Cmd Msg )
-gotModel savedModelJson model =
-    case Decode.decodeValue decodeSavedModel savedModelJson of
-        Ok { chars, charExplainations, strokeWidth, language } ->
-            let
-                newModel =
-                    { model
-                        | chars =
-                            chars
-                        , charExplainations =
-                            charExplainations
-                        , strokeWidth =
-                            strokeWidth
-                        , language =
-                            language
+            else
+                Dict.insert key
+                    { before =
+                        olderChange.before
+                    , after =
+                        newerChange.after
                     }
-            in
-            updateLanguage language newModel
-
-        Err _ ->
-            ( model, Cmd.none )
-
-
-decodeSavedModel : Decoder SavedModel
-decodeSavedModel =
-    Decode.map4 SavedModel
-        (Decode.field "chars" <| Decode.dict decodeMyChar)
-        (Decode.field "charExplainations" <| Decode.dict decodeExplaination)
-        (Decode.field "strokeWidth" Decode.float)
-        (Decode.field "language" decodeLanguage)
-
-
-decodeExplaination : Decoder Explaination
-decodeExplaination =
-    Decode.map2 Explaination
-        (Decode.field "note" Decode.string)
-        (Decode.maybe <| Decode.field "referenceImage" decodeReferenceImage)
-
-
-decodeReferenceImage : Decoder ReferenceImage
-decodeReferenceImage =
-    Decode.map5 ReferenceImage
-        (Decode.field "image" Decode.string)
-        (Decode.field "origin" Decode.string)
-        (Decode.maybe <|
-            Decode.field "time" <|
-                Decode.map2
-                    (\period stage ->
-                        { period = period
-                        , stage = stage
-                        }
-                    )
-                    (Decode.field "period" decodePeriod)
-                    (Decode.maybe <| Decode.field "stage" decodeStage)
         )
-        (Decode.field "script" decodeScript)
-        (Decode.field "url" Decode.string)
+        Dict.insert
+        older
+        newer
+        Dict.empty
 
 
-decodePeriod : Decoder Period
-decodePeriod =
-    Decode.string
-        |> Decode.andThen
-            (\period ->
-                case period of
-                    "Shang" ->
-                        Decode.succeed Shang
+dictChanges : Dict Grapheme a -> Dict Grapheme a -> Dict Grapheme (Change a)
+dictChanges oldDict newDict =
+    Dict.merge
+        (\key oldValue -> Dict.insert key { before = Just oldValue, after = Nothing })
+        (\key oldValue newValue ->
+            if oldValue == newValue then
+                identity
 
-                    "WesternZhou" ->
-                        Decode.succeed WesternZhou
+            else
+                Dict.insert key { before = Just oldValue, after = Just newValue }
+        )
+        (\key newValue -> Dict.insert key { before = Nothing, after = Just newValue })
+        oldDict
+        newDict
+        Dict.empty
+
+
+isEmptyHistoryEntry : HistoryEntry -> Bool
+isEmptyHistoryEntry entry =
+    Dict.isEmpty entry.chars
+        && Dict.isEmpty entry.charExplainations
+        && Dict.isEmpty entry.simpleCharSvgs
+
+
+libraryState : Model -> LibraryState
+libraryState model =
+    { chars =
+        model.chars
+    , charExplainations =
+        model.charExplainations
+    , simpleCharSvgs =
+        model.simpleCharSvgTexts
+    }
 
-                    "SpringAndAutumn" ->
-                        Decode.succeed SpringAndAutumn
 
-                    "WarringStates" ->
-                        Decode.succeed WarringStates
 
-                    _ ->
-                        Decode.fail <|
-                            "Trying to decode Period, but "
-                                ++ period
-                                ++ " is not supported."
-            )
+-- Changes that were not made by the user, like loading the library, are not recorded
 
 
-decodeStage : Decoder Stage
-decodeStage =
-    Decode.string
-        |> Decode.andThen
-            (\stage ->
-                case stage of
-                    "Early" ->
-                        Decode.succeed Early
+rebaseHistory : Model -> Model
+rebaseHistory ({ history } as model) =
+    { model
+        | history =
+            { history
+                | recorded =
+                    libraryState model
+            }
+    }
 
-                    "Middle" ->
-                        Decode.succeed Middle
 
-                    "Late" ->
-                        Decode.succeed Late
+currentHistoryId : History -> Int
+currentHistoryId history =
+    List.head history.done
+        |> Maybe.map .id
+        |> Maybe.withDefault 0
 
-                    _ ->
-                        Decode.fail <|
-                            "Trying to decode Stage, but "
-                                ++ stage
-                                ++ " is not supported."
-            )
 
+nextHistoryId : History -> Int
+nextHistoryId history =
+    List.map .id (history.done ++ history.undone)
+        |> List.maximum
+        |> Maybe.withDefault 0
+        |> (+) 1
 
-decodeScript : Decoder Script
-decodeScript =
-    Decode.string
-        |> Decode.andThen
-            (\script ->
-                case script of
-                    "Oracle" ->
-                        Decode.succeed Oracle
 
-                    "Bronze" ->
-                        Decode.succeed Bronze
+saveHistory : List HistoryEntry -> List Int -> History -> Cmd Msg
+saveHistory upserts removals history =
+    saveHistoryPort <|
+        Encode.object
+            [ ( "upserts"
+              , Encode.object <|
+                    List.map (\entry -> ( String.fromInt entry.id, encodeHistoryEntry entry )) upserts
+              )
+            , ( "removals", Encode.list (Encode.string << String.fromInt) removals )
+            , ( "position", Encode.int <| currentHistoryId history )
+            ]
 
-                    "Seal" ->
-                        Decode.succeed Seal
 
-                    _ ->
-                        Decode.fail <|
-                            "Trying to decode Script, but "
-                                ++ script
-                                ++ " is not supported."
+gotHistory : Value -> Model -> ( Model, Cmd Msg )
+gotHistory historyJson model =
+    case Decode.decodeValue decodeHistory historyJson of
+        Ok ( entries, position ) ->
+            let
+                ( done, undone ) =
+                    List.partition (\entry -> entry.id <= position) <|
+                        List.sortBy .id entries
+            in
+            ( rebaseHistory
+                { model
+                    | history =
+                        { emptyHistory
+                            | done =
+                                List.reverse done
+                            , undone =
+                                undone
+                        }
+                }
+            , Cmd.none
             )
 
+        Err _ ->
+            ( model, Cmd.none )
 
-decodeLanguage : Decoder Language
-decodeLanguage =
-    Decode.string
-        |> Decode.andThen
-            (\language ->
-                case language of
-                    "LanguageEn" ->
-                        Decode.succeed LanguageEn
-
-                    "LanguageZhHans" ->
-                        Decode.succeed LanguageZhHans
-
-                    "LanguageZhHant" ->
-                        Decode.succeed LanguageZhHant
-
-                    _ ->
-                        Decode.fail <|
-                            "Trying to decode Language, but "
-                                ++ language
-                                ++ " is not supported."
-            )
 
+showHistory : Model -> ( Model, Cmd Msg )
+showHistory model =
+    ( { model
+        | popUp =
+            HistoryPopUp
+      }
+    , Cmd.none
+    )
 
-decodeMyChar : Decoder MyChar
-decodeMyChar =
-    Decode.field "type" Decode.string
-        |> Decode.andThen
-            (\myCharType ->
-                case myCharType of
-                    "SimpleChar" ->
-                        Decode.map SimpleChar
-                            (Decode.field "reference" decodeMyCharRef)
 
-                    "CompoundChar" ->
-                        Decode.map2 CompoundChar
-                            (Decode.field "reference" decodeMyCharRef)
-                            (Decode.field "components" (Decode.list decodeMyCharRef))
+clearHistory : Model -> ( Model, Cmd Msg )
+clearHistory ({ history } as model) =
+    let
+        newHistory =
+            { emptyHistory
+                | recorded =
+                    history.recorded
+            }
+    in
+    ( { model
+        | history =
+            newHistory
+      }
+    , saveHistory [] (List.map .id (history.done ++ history.undone)) newHistory
+    )
 
-                    _ ->
-                        Decode.fail <|
-                            "Trying to decode MyChar, but "
-                                ++ myCharType
-                                ++ " is not supported."
-            )
 
+showDependencies : Model -> ( Model, Cmd Msg )
+showDependencies model =
+    ( { model
+        | popUp =
+            DependenciesPopUp
+      }
+    , Cmd.none
+    )
 
-decodeMyCharRef : Decoder MyCharRef
-decodeMyCharRef =
-    Decode.map4 MyCharRef
-        (Decode.field "char" Decode.string)
-        (Decode.field "dimension" decodeVec2)
-        (Decode.field "position" decodeVec2)
-        (Decode.map (Maybe.withDefault emptyMirror) <| Decode.maybe <| Decode.field "mirror" decodeMirror)
 
+editChar : Grapheme -> Model -> (Model, Cmd Msg)
+editChar char model =
+    selectChar char model
+    |> Tuple.first
+    |> updateMode EditMode
+    |> Tuple.first
+    |> closePopUp
 
-decodeMirror : Decoder Mirror
-decodeMirror =
-    Decode.map2 Mirror
-        (Decode.field "x" Decode.bool)
-        (Decode.field "y" Decode.bool)
 
+updatePreviewFontSize : Int -> Model -> ( Model, Cmd Msg )
+updatePreviewFontSize newSize model =
+    let
+        _ = Debug.log "newSize" newSize
+    in
+    ( { model
+        | previewFontSize =
+            newSize
+    }
+    , Cmd.none
+    )
 
-decodeVec2 : Decoder Vec2
-decodeVec2 =
-    Decode.map2 Vector2.vec2
-        (Decode.field "x" Decode.float)
-        (Decode.field "y" Decode.float)
+updatePreviewLineHeight : Float -> Model -> ( Model, Cmd Msg )
+updatePreviewLineHeight newLineHeight model =
+    ( { model
+        | previewLineHeight =
+            newLineHeight
+      }
+    , Cmd.none
+    )
 
 
-dragMsg : Draggable.Msg DragData -> Model -> ( Model, Cmd Msg )
-dragMsg msg model =
-    Draggable.update dragConfig msg model
+updatePreviewLetterSpacing : Float -> Model -> ( Model, Cmd Msg )
+updatePreviewLetterSpacing newLetterSpacing model =
+    ( { model
+        | previewLetterSpacing =
+            newLetterSpacing
+      }
+    , Cmd.none
+    )
 
 
-setActiveComponent : Maybe Int -> Model -> ( Model, Cmd Msg )
-setActiveComponent index model =
+toggleIsPreviewBoxShown : Model -> ( Model, Cmd Msg )
+toggleIsPreviewBoxShown model =
     ( { model
-        | activeComponentIndex =
-            index
+        | isPreviewBoxShown =
+            not model.isPreviewBoxShown
       }
     , Cmd.none
     )
 
 
-endDragging : Model -> ( Model, Cmd Msg )
-endDragging model =
-    ( addSnapshot <| { model
-        | activeComponentIndex =
-            Nothing
-        , dragDelta =
-            Vector2.vec2 0 0
+toggleIsPreviewFallbackShown : Model -> ( Model, Cmd Msg )
+toggleIsPreviewFallbackShown model =
+    ( { model
+        | isPreviewFallbackShown =
+            not model.isPreviewFallbackShown
       }
     , Cmd.none
     )
 
 
-addSnapshot : Model -> Model
-addSnapshot model =
+createMissingChar : Grapheme -> Model -> ( Model, Cmd Msg )
+createMissingChar char model =
     let
-        history =
-            model.selectedCharHistory
-        selectedMyChar =
-            unboxMyChar <| Dict.get (unboxChar model.selectedChar) model.chars
-        lastIndex =
-            Array.length history.snapshots - 1
-    in
-    { model
-        | selectedCharHistory =
-            if history.currentIndex >= lastIndex then
-                { history
-                    | snapshots =
-                        Array.push selectedMyChar history.snapshots
-                    , currentIndex =
-                        history.currentIndex + 1
-                }
-            else
-                { history
-                    | snapshots =
-                        Array.push selectedMyChar <|
-                            Array.slice 0 history.currentIndex history.snapshots
+        ( addedModel, addCmd ) =
+            addPendingCompoundChar
+                { model
+                    | newCompoundChar =
+                        char
                 }
-    }
 
+        ( editedModel, editCmd ) =
+            updateMode EditMode addedModel
+    in
+    ( editedModel
+    , Cmd.batch [ addCmd, editCmd ]
+    )
 
-startDragging : DragData -> Model -> ( Model, Cmd Msg )
-startDragging { index, scale } ({ isSnapToGrid, boxUnits } as model) =
-    ( updateActiveComponent
-        (if isSnapToGrid then
-            updateMyCharRefDimension (snapToGrid boxUnits)
-                << updateMyCharRefPosition (snapToGrid boxUnits)
 
-         else
-            identity
-        )
-        { model
-            | activeComponentIndex =
-                Just index
-            , activeScale =
-                scale
-            , dragDelta =
-                Vector2.vec2 0 0
-        }
-    , Cmd.none
+
+-- Exports the preview as it is laid out on screen, index.js measures every character
+
+
+exportSpecimen : SpecimenFormat -> Model -> ( Model, Cmd Msg )
+exportSpecimen format ({ chars, exportOptions, boxUnits, unitSize, strokeWidth } as model) =
+    ( model
+    , exportSpecimenPort <|
+        Encode.object
+            [ ( "format"
+              , Encode.string <|
+                    case format of
+                        SpecimenPng ->
+                            "png"
+
+                        SpecimenSvg ->
+                            "svg"
+
+                        SpecimenPdf ->
+                            "pdf"
+              )
+            , ( "glyphs"
+              , Encode.dict identity
+                    (Encode.list encodePlacement << flattenMyChar chars)
+                    (Dict.filter
+                        (\char _ -> List.member char (String.Graphemes.toList model.previewParagraph))
+                        chars
+                    )
+              )
+            , -- the preview draws strokes at the width they have in the editor
+              -- and characters over their whole box, without the border
+              ( "strokeWidth", Encode.float <| 100 * strokeWidth / ((toFloat boxUnits + 2 * minBorderUnits) * unitSize) )
+            , ( "background"
+              , if exportOptions.isBackgroundTransparent then
+                    Encode.null
+
+                else
+                    Encode.string exportOptions.backgroundColor
+              )
+            , ( "isBoxShown", Encode.bool model.isPreviewBoxShown )
+            , ( "fontSize", Encode.int model.previewFontSize )
+            ]
     )
 
 
-type OffsetType
-    = DimensionOffset
-    | PositionOffset
+updatePreviewOrientation : TextOrientation -> Model -> ( Model, Cmd Msg )
+updatePreviewOrientation newOrientation model =
+    ( { model
+        | previewOrientation =
+            newOrientation
+    }
+    , Cmd.none
+    )
 
 
-onDragBy : Vec2 -> Model -> ( Model, Cmd Msg )
-onDragBy delta ({ dragDelta, isSnapToGrid, boxUnits, unitSize } as model) =
-    let
-        factor =
-            100 / (toFloat boxUnits * unitSize)
-    in
-    ( if isSnapToGrid then
-        let
-            oldDeltaX =
-                Vector2.getX dragDelta
+uploadBackup : Model -> ( Model, Cmd Msg )
+uploadBackup model =
+    ( model
+    , uploadBackupPort ()
+    )
 
-            oldDeltaY =
-                Vector2.getY dragDelta
 
-            deltaX =
-                Vector2.getX delta
+gotBackup : Value -> Model -> ( Model, Cmd Msg )
+gotBackup backupJson model =
+    gotPendingBackup ImportBackupPopUp backupJson model
 
-            deltaY =
-                Vector2.getY delta
 
-            newDeltaX =
-                if sign oldDeltaX /= 0 && sign deltaX /= 0 && sign oldDeltaX /= sign deltaX then
-                    deltaX
+gotSnapshot : Value -> Model -> ( Model, Cmd Msg )
+gotSnapshot snapshotJson model =
+    gotPendingBackup SnapshotsPopUp snapshotJson model
 
-                else
-                    oldDeltaX + deltaX
 
-            newDeltaY =
-                if sign oldDeltaY /= 0 && sign deltaY /= 0 && sign oldDeltaY /= sign deltaY then
-                    deltaY
+gotPendingBackup : PopUp -> Value -> Model -> ( Model, Cmd Msg )
+gotPendingBackup backupPopUp backupJson model =
+    case Decode.decodeValue (decodeBackup <| preferencesFromModel model) backupJson of
+        Ok { fileName, savedModel, simpleCharSvgs, changedSvgs } ->
+            ( { model
+                | pendingBackup =
+                    Just
+                        { fileName = fileName
+                        , savedModel = savedModel
+                        , simpleCharSvgs = simpleCharSvgs
+                        , conflicts = backupConflicts savedModel changedSvgs model
+                        }
+                , popUp =
+                    backupPopUp
+              }
+            , Cmd.none
+            )
 
-                else
-                    oldDeltaY + deltaY
-        in
-        if abs newDeltaX >= unitSize || abs newDeltaY >= unitSize then
-            updateOnDrag factor
-                (Vector2.vec2 (roundToUnitSize unitSize newDeltaX) (roundToUnitSize unitSize newDeltaY))
-                { model
-                    | dragDelta =
-                        Vector2.vec2 0 0
-                }
+        Err error ->
+            ( { model
+                | popUp =
+                    BackupErrorsPopUp [ unexpectedProblem <| Decode.errorToString error ]
+              }
+            , Cmd.none
+            )
 
-        else
-            { model
-                | dragDelta =
-                    Vector2.vec2 newDeltaX newDeltaY
-            }
 
-      else
-        updateOnDrag factor delta model
+gotBackupErrors : Value -> Model -> ( Model, Cmd Msg )
+gotBackupErrors errorsJson model =
+    ( { model
+        | popUp =
+            BackupErrorsPopUp <|
+                Result.withDefault [] <|
+                    Decode.decodeValue (Decode.list decodeProblem) errorsJson
+      }
     , Cmd.none
     )
 
 
-roundToUnitSize : Float -> Float -> Float
-roundToUnitSize unitSize n =
-    unitSize * (toFloat <| round (n / unitSize))
-
-
-updateOnDrag : Float -> Vec2 -> Model -> Model
-updateOnDrag factor delta ({ activeScale, isAspectRatioLocked } as model) =
-    updateActiveComponent
-        (\char ->
-            let
-                offsetDimension xDir yDir =
-                    offsetDrag DimensionOffset isAspectRatioLocked char.dimension factor xDir yDir delta
+backupConflicts : SavedModel -> List Grapheme -> Model -> Dict Grapheme ConflictResolution
+backupConflicts theirs changedSvgs model =
+    Dict.foldl
+        (\char theirChar conflicts ->
+            case Dict.get char model.chars of
+                Just myChar ->
+                    if
+                        myChar
+                            /= theirChar
+                            || Dict.get char model.charExplainations
+                            /= Dict.get char theirs.charExplainations
+                            || List.member char changedSvgs
+                    then
+                        Dict.insert char KeepMine conflicts
 
-                offsetPosition xDir yDir =
-                    offsetDrag PositionOffset isAspectRatioLocked char.dimension factor xDir yDir delta
-            in
-            (case activeScale of
-                NoScale ->
-                    updateMyCharRefPosition
-                        (Vector2.add <| Vector2.scale factor delta)
+                    else
+                        conflicts
 
-                ScaleTopLeft ->
-                    updateMyCharRefDimension (Vector2.add (offsetDimension -1 -1))
-                        << updateMyCharRefPosition (Vector2.add (offsetPosition 1 1))
+                Nothing ->
+                    conflicts
+        )
+        Dict.empty
+        theirs.chars
 
-                ScaleTopRight ->
-                    updateMyCharRefDimension (Vector2.add (offsetDimension 1 -1))
-                        << updateMyCharRefPosition (Vector2.add (offsetPosition 0 1))
 
-                ScaleBottomLeft ->
-                    updateMyCharRefDimension (Vector2.add (offsetDimension -1 1))
-                        << updateMyCharRefPosition (Vector2.add (offsetPosition 1 0))
+updateConflictResolution : Grapheme -> ConflictResolution -> Model -> ( Model, Cmd Msg )
+updateConflictResolution char resolution model =
+    ( { model
+        | pendingBackup =
+            Maybe.map
+                (\backup ->
+                    { backup
+                        | conflicts =
+                            Dict.insert char resolution backup.conflicts
+                    }
+                )
+                model.pendingBackup
+      }
+    , Cmd.none
+    )
 
-                ScaleBottomRight ->
-                    updateMyCharRefDimension (Vector2.add (offsetDimension 1 1))
-                        << updateMyCharRefPosition (Vector2.add (offsetPosition 0 0))
 
-                ScaleLeft ->
-                    updateMyCharRefDimension (Vector2.add (offsetDimension -1 0))
-                        << updateMyCharRefPosition (Vector2.add (offsetPosition 1 1))
+invalidRenames : PendingBackup -> Model -> List Grapheme
+invalidRenames { savedModel, conflicts } model =
+    let
+        newNames =
+            Dict.values conflicts
+                |> List.filterMap
+                    (\resolution ->
+                        case resolution of
+                            RenameTheirs newName ->
+                                Just newName
 
-                ScaleRight ->
-                    updateMyCharRefDimension (Vector2.add (offsetDimension 1 0))
-                        << updateMyCharRefPosition (Vector2.add (offsetPosition 0 0))
+                            _ ->
+                                Nothing
+                    )
+    in
+    Dict.foldr
+        (\char resolution invalidChars ->
+            case resolution of
+                RenameTheirs newName ->
+                    if
+                        String.Graphemes.length newName
+                            /= 1
+                            || Dict.member newName model.chars
+                            || Dict.member newName savedModel.chars
+                            || List.Extra.count ((==) newName) newNames
+                            > 1
+                    then
+                        char :: invalidChars
 
-                ScaleTop ->
-                    updateMyCharRefDimension (Vector2.add (offsetDimension 0 -1))
-                        << updateMyCharRefPosition (Vector2.add (offsetPosition 0 1))
+                    else
+                        invalidChars
 
-                ScaleBottom ->
-                    updateMyCharRefDimension (Vector2.add (offsetDimension 0 1))
-                        << updateMyCharRefPosition (Vector2.add (offsetPosition 0 0))
-            )
-                char
+                _ ->
+                    invalidChars
         )
-        model
-
+        []
+        conflicts
 
-updateActiveComponent : (MyCharRef -> MyCharRef) -> Model -> Model
-updateActiveComponent func ({ activeComponentIndex } as model) =
-    case model.selectedChar of
-        Just selectedChar ->
-            { model
-                | chars =
-                    Dict.update
-                        selectedChar
-                        (Maybe.map
-                            (\myChar ->
-                                case myChar of
-                                    SimpleChar ref ->
-                                        SimpleChar (func ref)
 
-                                    CompoundChar _ _ ->
-                                        (updateMyCharComponents <|
-                                            List.Extra.updateAt
-                                                -- impossible
-                                                (Maybe.withDefault -1 activeComponentIndex)
-                                                func
-                                        )
-                                            myChar
-                            )
-                        )
-                        model.chars
-            }
+replaceWithBackup : Model -> ( Model, Cmd Msg )
+replaceWithBackup model =
+    case model.pendingBackup of
+        Just { savedModel, simpleCharSvgs } ->
+            let
+                ( newModel, languageCmd ) =
+                    applyPreferences savedModel.preferences
+                        { model
+                            | chars =
+                                savedModel.chars
+                            , charExplainations =
+                                savedModel.charExplainations
+                            , presets =
+                                savedModel.presets
+                            , charViews =
+                                savedModel.charViews
+                            , simpleCharSvgTexts =
+                                simpleCharSvgs
+                            , selectedChar =
+                                Nothing
+                            , mode =
+                                BrowseMode
+                            , pendingBackup =
+                                Nothing
+                            , popUp =
+                                NoPopUp
+                        }
+            in
+            -- the replaced characters are kept in the history, so the replace can be undone
+            recordHistory RestoreFromBackupCommand
+                ( newModel
+                , Cmd.batch
+                    [ languageCmd
+                    , applyBackupPort <|
+                        Encode.object
+                            [ ( "simpleCharSvgs", Encode.dict identity Encode.string simpleCharSvgs )
+                            , ( "isReplace", Encode.bool True )
+                            ]
+                    ]
+                )
 
         Nothing ->
-            model
-
+            ( model, Cmd.none )
 
-offsetDrag : OffsetType -> Bool -> Vec2 -> Float -> Float -> Float -> Vec2 -> Vec2
-offsetDrag offsetType isAspectRatioLocked dimension factor xDir yDir delta =
-    let
-        deltaX =
-            Vector2.getX delta
 
-        deltaY =
-            Vector2.getY delta
-    in
-    Vector2.scale factor <|
-        if isAspectRatioLocked then
+mergeBackup : Model -> ( Model, Cmd Msg )
+mergeBackup model =
+    case model.pendingBackup of
+        Just ({ savedModel, conflicts } as backup) ->
             let
-                averagedDelta =
-                    (abs deltaX + abs deltaY) / 2
+                newName char =
+                    case Dict.get char conflicts of
+                        Just (RenameTheirs name) ->
+                            name
 
-                ratioOfXOverY =
-                    Vector2.getX dimension / Vector2.getY dimension
+                        _ ->
+                            char
 
-                averagedDeltaX =
-                    sign deltaX * averagedDelta * ratioOfXOverY
+                importedChars =
+                    Dict.filter
+                        (\char _ ->
+                            case Dict.get char conflicts of
+                                Just KeepMine ->
+                                    False
 
-                averagedDeltaY =
-                    sign
-                        (case offsetType of
-                            DimensionOffset ->
-                                deltaX
+                                Just _ ->
+                                    True
 
-                            PositionOffset ->
-                                deltaY
+                                Nothing ->
+                                    not <| Dict.member char model.chars
                         )
-                        * averagedDelta
-            in
-            Vector2.vec2 (xDir * averagedDeltaX)
-                ((case offsetType of
-                    DimensionOffset ->
-                        xDir
+                        savedModel.chars
 
-                    PositionOffset ->
-                        yDir
-                 )
-                    * averagedDeltaY
-                )
+                newModel =
+                    { model
+                        | chars =
+                            Dict.foldl
+                                (\char myChar ->
+                                    Dict.insert (newName char) (renameMyChar newName myChar)
+                                )
+                                model.chars
+                                importedChars
+                        , charExplainations =
+                            Dict.foldl
+                                (\char _ ->
+                                    Dict.update (newName char)
+                                        (\_ -> Dict.get char savedModel.charExplainations)
+                                )
+                                model.charExplainations
+                                importedChars
+                        , presets =
+                            -- presets with the same name keep their current settings
+                            Dict.union model.presets savedModel.presets
+                        , charViews =
+                            Dict.union model.charViews savedModel.charViews
+                        , pendingBackup =
+                            Nothing
+                        , popUp =
+                            NoPopUp
+                    }
 
-        else
-            Vector2.vec2 (xDir * deltaX) (yDir * deltaY)
+                importedSvgs =
+                    Dict.foldl
+                        (\char _ svgs ->
+                            case Dict.get char backup.simpleCharSvgs of
+                                Just svg ->
+                                    Dict.insert (newName char) svg svgs
 
+                                Nothing ->
+                                    svgs
+                        )
+                        Dict.empty
+                        importedChars
+            in
+            if List.isEmpty (invalidRenames backup model) then
+                recordHistory RestoreFromBackupCommand
+                    ( { newModel
+                        | simpleCharSvgTexts =
+                            Dict.union importedSvgs newModel.simpleCharSvgTexts
+                      }
+                    , applyBackupPort <|
+                        Encode.object
+                            [ ( "simpleCharSvgs", Encode.dict identity Encode.string importedSvgs )
+                            , ( "isReplace", Encode.bool False )
+                            ]
+                    )
 
-sign : number -> number
-sign n =
-    if n < 0 then
-        -1
+            else
+                ( model, Cmd.none )
 
-    else if n > 0 then
-        1
+        Nothing ->
+            ( model, Cmd.none )
 
-    else
-        0
 
 
-snapToGrid : Int -> Vec2 -> Vec2
-snapToGrid boxUnits position =
-    let
-        unitPercent =
-            100 / toFloat boxUnits
+-- Snapshots rotate out the oldest ones, so none is taken before the library loads or when the library
+-- is the same as in the last snapshot
 
-        roundToGrid pos =
-            if pos < unitPercent then
-                pos
 
-            else
-                (*) unitPercent <| toFloat <| round <| pos / unitPercent
+takeSnapshot : Model -> ( Model, Cmd Msg )
+takeSnapshot model =
+    let
+        state =
+            libraryState model
     in
-    Vector2.vec2
-        (roundToGrid <| Vector2.getX position)
-        (roundToGrid <| Vector2.getY position)
-
-
-addComponentToMyChar : Dict Grapheme MyChar -> Grapheme -> MyChar -> MyChar
-addComponentToMyChar chars componentChar myChar =
-    case myChar of
-        -- impossible
-        SimpleChar _ ->
-            myChar
-
-        CompoundChar compoundChar components ->
-            -- Prevent infinite recursive self-reference
-            if componentChar == compoundChar.char then
-                myChar
-
-            else
-                let
-                    dimension =
-                        case Dict.get componentChar chars of
-                            Just component ->
-                                Vector2.scale 0.5 <| .dimension (calculateMyCharDimension component)
-
-                            -- impossible
-                            Nothing ->
-                                Vector2.vec2 50 50
-
-                    position =
-                        calculateCenterPosition dimension
-
-                    newComponent =
-                        { char = componentChar
-                        , dimension = dimension
-                        , position = position
-                        , mirror = emptyMirror
-                        }
-                in
-                CompoundChar
-                    compoundChar
-                    (components ++ [ newComponent ])
-
-
-calculateCenterPosition : Vec2 -> Vec2
-calculateCenterPosition dimension =
-    Vector2.scale 0.5 <|
-        Vector2.sub (Vector2.vec2 100 100) dimension
+    if model.lastSavedModel == Nothing || model.lastSnapshotState == Just state then
+        ( model, Cmd.none )
 
+    else
+        ( { model
+            | lastSnapshotState =
+                Just state
+          }
+        , takeSnapshotPort <|
+            Encode.object
+                [ ( "model", encodeModel model )
+                , ( "maxSnapshots", Encode.int model.maxSnapshots )
+                ]
+        )
 
-calculateMyCharDimension : MyChar -> { position : Vec2, dimension : Vec2 }
-calculateMyCharDimension myChar =
-    case myChar of
-        SimpleChar { dimension } ->
-            { position = Vector2.vec2 0 0
-            , dimension = dimension
-            }
 
-        CompoundChar _ components ->
-            (\{ minX, minY, maxX, maxY } ->
-                { position =
-                    Vector2.vec2 minX minY
-                , dimension =
-                    Vector2.vec2 (maxX - minX) (maxY - minY)
-                }
+gotSnapshots : Value -> Model -> ( Model, Cmd Msg )
+gotSnapshots snapshotsJson model =
+    case Decode.decodeValue decodeSnapshots snapshotsJson of
+        Ok { location, canChooseDirectory, snapshots } ->
+            ( { model
+                | snapshotLocation =
+                    location
+                , canChooseSnapshotDirectory =
+                    canChooseDirectory
+                , snapshots =
+                    snapshots
+              }
+            , Cmd.none
             )
-            <|
-                List.foldl
-                    (\current extreme ->
-                        { minX =
-                            min current.minX extreme.minX
-                        , minY =
-                            min current.minY extreme.minY
-                        , maxX =
-                            max current.maxX extreme.maxX
-                        , maxY =
-                            max current.maxY extreme.maxY
-                        }
-                    )
-                    { minX = 100
-                    , minY = 100
-                    , maxX = 0
-                    , maxY = 0
-                    }
-                <|
-                    List.map
-                        (\{ position, dimension } ->
-                            let
-                                topLeftPoint =
-                                    position
 
-                                bottomRightPoint =
-                                    Vector2.add position dimension
-                            in
-                            { minX = Vector2.getX topLeftPoint
-                            , minY = Vector2.getY topLeftPoint
-                            , maxX = Vector2.getX bottomRightPoint
-                            , maxY = Vector2.getY bottomRightPoint
-                            }
-                        )
-                        components
+        Err _ ->
+            ( model, Cmd.none )
 
 
-closePopUp : Model -> ( Model, Cmd Msg )
-closePopUp model =
+showSnapshots : Model -> ( Model, Cmd Msg )
+showSnapshots model =
     ( { model
-        | popUp = NoPopUp
+        | popUp =
+            SnapshotsPopUp
+        , selectedSnapshot =
+            Nothing
+        , pendingBackup =
+            Nothing
       }
-    , Cmd.none
+    , listSnapshotsPort ()
     )
 
 
-hideInputError : Model -> ( Model, Cmd Msg )
-hideInputError model =
+updateMaxSnapshots : Int -> Model -> ( Model, Cmd Msg )
+updateMaxSnapshots maxSnapshots model =
     ( { model
-        | inputError =
-            Nothing
+        | maxSnapshots =
+            maxSnapshots
       }
     , Cmd.none
     )
 
 
-showInputError : InputError -> Model -> ( Model, Cmd Msg )
-showInputError error model =
+selectSnapshot : String -> Model -> ( Model, Cmd Msg )
+selectSnapshot id model =
     ( { model
-        | inputError =
-            Just error
+        | selectedSnapshot =
+            Just id
+        , pendingBackup =
+            Nothing
       }
-    , Cmd.none
+    , loadSnapshotPort id
     )
 
 
-addPendingCompoundChar : Model -> ( Model, Cmd Msg )
-addPendingCompoundChar model =
-    let
-        newChar =
-            model.newCompoundChar
+restoreCharFromBackup : Grapheme -> Model -> ( Model, Cmd Msg )
+restoreCharFromBackup char model =
+    case model.pendingBackup of
+        Just backup ->
+            let
+                restoredChars =
+                    charsToRestore backup.savedModel.chars model.chars char []
 
-        newCompoundChar =
-            CompoundChar
-                { char = newChar
-                , dimension = Vector2.vec2 100 100
-                , position = Vector2.vec2 0 0
-                , mirror = emptyMirror
-                }
-                []
-    in
-    ( { model
-        | chars =
-            Dict.insert newChar newCompoundChar model.chars
-        , charExplainations =
-            Dict.insert newChar emptyExplaination model.charExplainations
-        , selectedChar =
-            Just <| charFromMyChar newCompoundChar
-        , popUp =
-            NoPopUp
-      }
-    , Cmd.none
-    )
+                newModel =
+                    { model
+                        | chars =
+                            List.foldl
+                                (\restoredChar ->
+                                    Dict.update restoredChar
+                                        (\_ -> Dict.get restoredChar backup.savedModel.chars)
+                                )
+                                model.chars
+                                restoredChars
+                        , charExplainations =
+                            List.foldl
+                                (\restoredChar ->
+                                    Dict.update restoredChar
+                                        (\_ -> Dict.get restoredChar backup.savedModel.charExplainations)
+                                )
+                                model.charExplainations
+                                restoredChars
+                        , simpleCharSvgTexts =
+                            Dict.union restoredSvgs model.simpleCharSvgTexts
+                        , pendingBackup =
+                            Just
+                                { backup
+                                    | conflicts =
+                                        List.foldl Dict.remove backup.conflicts restoredChars
+                                }
+                    }
 
+                restoredSvgs =
+                    Dict.filter
+                        (\svgChar _ -> List.member svgChar restoredChars)
+                        backup.simpleCharSvgs
+            in
+            recordHistory RestoreFromBackupCommand
+                ( newModel
+                , applyBackupPort <|
+                    Encode.object
+                        [ ( "simpleCharSvgs", Encode.dict identity Encode.string restoredSvgs )
+                        , ( "isReplace", Encode.bool False )
+                        ]
+                )
 
-updatePendingCompoundChar : String -> Model -> ( Model, Cmd Msg )
-updatePendingCompoundChar charInput model =
-    ( { model
-        | newCompoundChar =
-            charInput
-      }
-    , Cmd.none
-    )
+        Nothing ->
+            ( model, Cmd.none )
 
 
-selectChar : Grapheme -> Model -> ( Model, Cmd Msg )
-selectChar char model =
+
+-- A character restored from a backup brings along the components it uses that are no longer in the library
+
+
+charsToRestore : Dict Grapheme MyChar -> Dict Grapheme MyChar -> Grapheme -> List Grapheme -> List Grapheme
+charsToRestore backupChars libraryChars char restoredChars =
+    if List.member char restoredChars then
+        restoredChars
+
+    else
+        case Dict.get char backupChars of
+            Just (CompoundChar _ components) ->
+                List.foldl
+                    (\component restored ->
+                        if Dict.member component.char libraryChars then
+                            restored
+
+                        else
+                            charsToRestore backupChars libraryChars component.char restored
+                    )
+                    (char :: restoredChars)
+                    components
+
+            Just (SimpleChar _) ->
+                char :: restoredChars
+
+            Nothing ->
+                restoredChars
+
+
+renameMyChar : (Grapheme -> Grapheme) -> MyChar -> MyChar
+renameMyChar rename myChar =
     let
-        selectedMyChar =
-            unboxMyChar <| Dict.get char model.chars
+        renameRef ref =
+            { ref
+                | char =
+                    rename ref.char
+            }
     in
+    case myChar of
+        SimpleChar ref ->
+            SimpleChar (renameRef ref)
+
+        CompoundChar ref components ->
+            CompoundChar (renameRef ref) (List.map renameRef components)
+
+
+succeededInBackup : Model -> ( Model, Cmd Msg )
+succeededInBackup model =
     ( { model
-        | selectedChar =
-            Just char
-        , selectedCharHistory =
-            { snapshots =
-                Array.fromList [ selectedMyChar ]
-            , currentIndex =
-                0
-            }
-        , activeComponentIndex =
-            Nothing
+        | isBackingUp =
+            True
       }
     , Cmd.none
     )
 
 
-gotSavedSimpleChars : Value -> Model -> ( Model, Cmd Msg )
-gotSavedSimpleChars svgsJson model =
-    ( case Decode.decodeValue decodeSimpleCharSvgs svgsJson of
-        Ok svgs ->
-            { model
-                | simpleCharSvgs =
-                    Dict.merge
-                        (\key a -> Dict.insert key a)
-                        (\key a _ -> Dict.insert key a)
-                        (\key b -> Dict.insert key b)
-                        svgs
-                        model.simpleCharSvgs
-                        Dict.empty
-            }
-
-        Err _ ->
-            model
-    , Cmd.none
+updateBackupLocation : Model -> ( Model, Cmd Msg )
+updateBackupLocation model =
+    ( model
+    , updateBackupLocationPort <| encodeModel model
     )
 
 
-gotNewSimpleChars : Value -> Model -> ( Model, Cmd Msg )
-gotNewSimpleChars svgsJson model =
-    ( case Decode.decodeValue decodeSimpleCharSvgs svgsJson of
-        Ok svgs ->
-            { model
-                | chars =
-                    Dict.foldl
-                        (\char ( _, maybeDimension ) ->
-                            let
-                                fullDimension =
-                                    Vector2.vec2 100 100
-
-                                dimension =
-                                    case maybeDimension of
-                                        Just d ->
-                                            let
-                                                width =
-                                                    Vector2.getX d
+loadedSimpleChar : Value -> Model -> ( Model, Cmd Msg )
+loadedSimpleChar svgJson model =
+    case ( Decode.decodeValue decodeSimpleCharSvg svgJson, Decode.decodeValue Decode.string svgJson, model.selectedChar ) of
+        ( Ok svg, Ok svgText, Just c ) ->
+            recordHistory (UploadSvgCommand c)
+                ( { model
+                    | simpleCharSvgs =
+                        Dict.insert
+                            c
+                            svg
+                            model.simpleCharSvgs
+                    , simpleCharSvgTexts =
+                        Dict.insert c svgText model.simpleCharSvgTexts
+                  }
+                , Cmd.none
+                )
 
-                                                height =
-                                                    Vector2.getY d
+        _ ->
+            ( model, Cmd.none )
 
-                                                f =
-                                                    lerp 0 (max width height) 0 100
-                                            in
-                                            Vector2.vec2 (f width) (f height)
 
-                                        Nothing ->
-                                            fullDimension
+uploadSimpleChar : Model -> ( Model, Cmd Msg )
+uploadSimpleChar model =
+    ( model
+    , uploadSimpleCharPort <|
+        encodeSvgImportOptions [ ( "char", Encode.string <| unboxChar model.selectedChar ) ] model
+    )
 
-                                position =
-                                    calculateCenterPosition dimension
-                            in
-                            Dict.insert
-                                char
-                                (SimpleChar
-                                    { char = char
-                                    , dimension = dimension
-                                    , position = position
-                                    , mirror = emptyMirror
-                                    }
-                                )
-                        )
-                        model.chars
-                        svgs
-                , simpleCharSvgs =
-                    Dict.merge
-                        (\key a -> Dict.insert key a)
-                        (\key a _ -> Dict.insert key a)
-                        (\key b -> Dict.insert key b)
-                        svgs
-                        model.simpleCharSvgs
-                        Dict.empty
-            }
 
-        Err _ ->
-            model
+updateNewSimpleChar : String -> Model -> ( Model, Cmd Msg )
+updateNewSimpleChar char model =
+    ( { model
+        | newSimpleChar =
+            char
+      }
     , Cmd.none
     )
 
 
-lerp : Float -> Float -> Float -> Float -> Float -> Float
-lerp inMin inMax outMin outMax n =
-    (n - inMin) / (inMax - inMin) * (outMax - outMin) + outMin
+newSimpleCharError : Model -> Maybe InputError
+newSimpleCharError { newSimpleChar, chars } =
+    let
+        inputLength =
+            String.Graphemes.length newSimpleChar
+    in
+    if inputLength /= 1 then
+        Just <| InvalidInputLength inputLength
 
+    else if Dict.member newSimpleChar chars then
+        Just CharacterAlreadyExists
 
-addChar : MyCharType -> Model -> ( Model, Cmd Msg )
-addChar myCharType model =
-    case myCharType of
-        SimpleCharType ->
-            ( model, addSimpleCharsPort () )
+    else
+        Nothing
 
-        CompoundCharType ->
-            ( { model
-                | popUp =
-                    AddCompoundCharPopUp
-              }
-            , Cmd.none
-            )
 
 
-updateMyCharComponents : (List MyCharRef -> List MyCharRef) -> MyChar -> MyChar
-updateMyCharComponents func myChar =
-    case myChar of
-        SimpleChar _ ->
-            myChar
+-- Adds an empty simple character filling the whole box and opens it in the stroke editor
 
-        CompoundChar c components ->
-            CompoundChar c (func components)
 
+drawNewSimpleChar : Model -> ( Model, Cmd Msg )
+drawNewSimpleChar ({ newSimpleChar } as model) =
+    let
+        ref =
+            { char = newSimpleChar
+            , dimension = Vector2.vec2 100 100
+            , position = Vector2.vec2 0 0
+            , mirror = emptyMirror
+            }
 
-updateMyCharRefPosition : (Vec2 -> Vec2) -> MyCharRef -> MyCharRef
-updateMyCharRefPosition func myCharRef =
-    { myCharRef
-        | position =
-            func myCharRef.position
-    }
+        svgText =
+            strokesToSvg ref []
 
+        newSvgTexts =
+            Dict.insert newSimpleChar svgText model.simpleCharSvgTexts
+    in
+    case ( newSimpleCharError model, Decode.decodeValue decodeSimpleCharSvg (Encode.string svgText) ) of
+        ( Nothing, Ok svg ) ->
+            recordHistory (AddCharsCommand [ newSimpleChar ])
+                ( { model
+                    | chars =
+                        Dict.insert newSimpleChar (SimpleChar ref) model.chars
+                    , charExplainations =
+                        Dict.insert newSimpleChar emptyExplaination model.charExplainations
+                    , simpleCharSvgs =
+                        Dict.insert newSimpleChar svg model.simpleCharSvgs
+                    , simpleCharSvgTexts =
+                        newSvgTexts
+                    , selectedChar =
+                        Just newSimpleChar
+                    , activeComponentIndex =
+                        Nothing
+                    , mode =
+                        EditMode
+                    , popUp =
+                        NoPopUp
+                    , newSimpleChar =
+                        ""
+                    , strokeEditor =
+                        Just <| newStrokeEditor newSimpleChar []
+                  }
+                , saveSimpleCharSvgsPort <|
+                    encodeDictChanges Encode.string model.simpleCharSvgTexts newSvgTexts
+                )
 
-updateMyCharDimension : (Vec2 -> Vec2) -> MyChar -> MyChar
-updateMyCharDimension func myChar =
-    case myChar of
-        SimpleChar c ->
-            SimpleChar
-                { c
-                    | dimension =
-                        func c.dimension
-                }
+        _ ->
+            ( model, Cmd.none )
 
-        CompoundChar c components ->
-            CompoundChar
-                { c
-                    | dimension =
-                        func c.dimension
+
+
+-- Asks index.js for the strokes of the selected simple character, read from its svg in the box the editor shows it in
+
+
+editStrokes : Model -> ( Model, Cmd Msg )
+editStrokes ({ chars, simpleCharSvgTexts } as model) =
+    case
+        Maybe.andThen
+            (\char -> Maybe.map2 Tuple.pair (Dict.get char chars) (Dict.get char simpleCharSvgTexts))
+            model.selectedChar
+    of
+        Just ( SimpleChar ref, svgText ) ->
+            ( model
+            , readStrokesPort <|
+                Encode.object
+                    [ ( "char", Encode.string ref.char )
+                    , ( "svg", Encode.string svgText )
+                    , ( "box"
+                      , Encode.object
+                            [ ( "x", Encode.float <| Vector2.getX ref.position )
+                            , ( "y", Encode.float <| Vector2.getY ref.position )
+                            , ( "width", Encode.float <| Vector2.getX ref.dimension )
+                            , ( "height", Encode.float <| Vector2.getY ref.dimension )
+                            ]
+                      )
+                    ]
+            )
+
+        _ ->
+            ( model, Cmd.none )
+
+
+gotStrokes : Value -> Model -> ( Model, Cmd Msg )
+gotStrokes strokesJson model =
+    case
+        Decode.decodeValue
+            (Decode.map2 Tuple.pair
+                (Decode.field "char" Decode.string)
+                (Decode.field "strokes" decodeStrokes)
+            )
+            strokesJson
+    of
+        Ok ( char, strokes ) ->
+            ( if model.selectedChar == Just char then
+                { model
+                    | strokeEditor =
+                        Just <| newStrokeEditor char strokes
                 }
-                components
 
+              else
+                model
+            , Cmd.none
+            )
+
+        Err _ ->
+            ( model, Cmd.none )
 
-updateMyCharRefDimension : (Vec2 -> Vec2) -> MyCharRef -> MyCharRef
-updateMyCharRefDimension func myCharRef =
-    { myCharRef
-        | dimension =
-            func myCharRef.dimension
+
+newStrokeEditor : Grapheme -> List Stroke -> StrokeEditor
+newStrokeEditor char strokes =
+    { char = char
+    , strokes = strokes
+    , selection = Nothing
+    , draggedPart = Nothing
+    , dragPosition = Vector2.vec2 0 0
+    , drag = Draggable.init
     }
 
 
+updateStrokeEditor : (StrokeEditor -> StrokeEditor) -> Model -> ( Model, Cmd Msg )
+updateStrokeEditor func model =
+    ( { model
+        | strokeEditor =
+            Maybe.map func model.strokeEditor
+      }
+    , Cmd.none
+    )
 
--- Requires: char to be in chars
 
+updateStrokeAnchor : Int -> Int -> (StrokeAnchor -> StrokeAnchor) -> List Stroke -> List Stroke
+updateStrokeAnchor strokeIndex anchorIndex func strokes =
+    List.Extra.updateAt strokeIndex
+        (\stroke ->
+            { stroke
+                | anchors =
+                    List.Extra.updateAt anchorIndex func stroke.anchors
+            }
+        )
+        strokes
 
-myCharTypeFromChar : Dict Grapheme MyChar -> Grapheme -> MyCharType
-myCharTypeFromChar chars char =
-    case Dict.get char chars of
-        Just myChar ->
-            myCharTypeFromMyChar myChar
 
-        Nothing ->
-            -- impossible
-            SimpleCharType
 
+-- The open stroke whose last anchor is selected, which a click on the canvas continues
 
-myCharTypeFromMyChar : MyChar -> MyCharType
-myCharTypeFromMyChar myChar =
-    case myChar of
-        SimpleChar _ ->
-            SimpleCharType
 
-        CompoundChar _ _ ->
-            CompoundCharType
+drawnStroke : StrokeEditor -> Maybe ( Int, Stroke )
+drawnStroke { strokes, selection } =
+    Maybe.andThen
+        (\{ stroke, anchor } ->
+            Maybe.andThen
+                (\drawn ->
+                    if not drawn.isClosed && anchor == List.length drawn.anchors - 1 then
+                        Just ( stroke, drawn )
 
+                    else
+                        Nothing
+                )
+                (List.Extra.getAt stroke strokes)
+        )
+        selection
 
 
----- VIEW ----
+selectedStrokeAnchor : StrokeEditor -> Maybe StrokeAnchor
+selectedStrokeAnchor { strokes, selection } =
+    Maybe.andThen
+        (\{ stroke, anchor } ->
+            Maybe.andThen (List.Extra.getAt anchor << .anchors) (List.Extra.getAt stroke strokes)
+        )
+        selection
 
 
-view : Model -> Html Msg
-view ({ mode, spacing, fontSize, device } as model) =
-    E.layout
-        [ E.padding spacing.large
-        , E.inFront <| popUp model
-        , E.width E.fill
-        , E.height E.fill
-        , Font.size fontSize.medium
-        , Font.family [ Font.typeface "Source Han Sans TC", Font.sansSerif ]
-        ]
-    <|
-        case mode of
-            BrowseMode ->
-                E.el
-                    [ E.inFront <|
-                        appHeader model
-                    , E.width E.fill
-                    , E.height E.fill
-                    ]
-                    (charPanels model)
+addStrokeAnchor : Vec2 -> Model -> ( Model, Cmd Msg )
+addStrokeAnchor position ({ isSnapToGrid, gridUnits } as model) =
+    let
+        point =
+            if isSnapToGrid then
+                snapPointToGrid gridUnits position
 
-            EditMode ->
-                E.column
-                    [ E.width E.fill
-                    , E.height E.fill
-                    ]
-                    [ (case device.orientation of
-                        E.Portrait ->
-                            E.column
+            else
+                position
 
-                        E.Landscape ->
-                            E.row
-                      )
-                        [ E.spacing spacing.large ]
-                        [ editor model
-                        , editorSidePanel model
-                        ]
-                    ]
+        newAnchor =
+            { point = point
+            , handleIn = point
+            , handleOut = point
+            }
+    in
+    updateStrokeEditor
+        (\strokeEditor ->
+            case drawnStroke strokeEditor of
+                Just ( strokeIndex, drawn ) ->
+                    { strokeEditor
+                        | strokes =
+                            List.Extra.setAt strokeIndex
+                                { drawn
+                                    | anchors =
+                                        drawn.anchors ++ [ newAnchor ]
+                                }
+                                strokeEditor.strokes
+                        , selection =
+                            Just { stroke = strokeIndex, anchor = List.length drawn.anchors }
+                    }
 
+                Nothing ->
+                    { strokeEditor
+                        | strokes =
+                            strokeEditor.strokes ++ [ { anchors = [ newAnchor ], isClosed = False } ]
+                        , selection =
+                            Just { stroke = List.length strokeEditor.strokes, anchor = 0 }
+                    }
+        )
+        model
 
-appHeader : Model -> E.Element Msg
-appHeader { spacing, fontSize } =
-    E.row
-        [ E.alignRight
-        , E.spacing spacing.medium
-        ]
-        [ iconButton
-            { icon =
-                FeatherIcons.eye
-            , size =
-                fontSize.large
-            , onPress =
-                Just <| PreviewInParagraph
+
+strokeDragMsg : Draggable.Msg StrokePart -> Model -> ( Model, Cmd Msg )
+strokeDragMsg msg model =
+    case model.strokeEditor of
+        Just strokeEditor ->
+            Tuple.mapFirst
+                (\newStrokeEditorState ->
+                    { model
+                        | strokeEditor =
+                            Just newStrokeEditorState
+                    }
+                )
+                (Draggable.update strokeDragConfig msg strokeEditor)
+
+        Nothing ->
+            ( model, Cmd.none )
+
+
+selectStrokePart : StrokePart -> Model -> ( Model, Cmd Msg )
+selectStrokePart { stroke, anchor } model =
+    updateStrokeEditor
+        (\strokeEditor ->
+            { strokeEditor
+                | selection =
+                    Just { stroke = stroke, anchor = anchor }
             }
-        , iconButton
-            { icon =
-                FeatherIcons.settings
-            , size =
-                fontSize.large
-            , onPress =
-                Just <| ShowAppPreferences
+        )
+        model
+
+
+startDraggingStrokePart : StrokePart -> Model -> ( Model, Cmd Msg )
+startDraggingStrokePart part model =
+    updateStrokeEditor
+        (\strokeEditor ->
+            { strokeEditor
+                | selection =
+                    Just { stroke = part.stroke, anchor = part.anchor }
+                , draggedPart =
+                    Just part
+                , dragPosition =
+                    Maybe.withDefault (Vector2.vec2 0 0) <|
+                        Maybe.map (strokePartPosition part.partType) <|
+                            Maybe.andThen (List.Extra.getAt part.anchor << .anchors) <|
+                                List.Extra.getAt part.stroke strokeEditor.strokes
             }
-        ]
+        )
+        model
 
 
-popUp : Model -> E.Element Msg
-popUp model =
-    case model.popUp of
-        AddCompoundCharPopUp ->
-            addCompoundCharPopUp model
 
-        ConfirmDeleteSelectedCharPopUp ->
-            confirmDeleteSelectedCharPopUp model
+-- The dragged point follows the pointer exactly and the part snaps to the grid point nearest to it
 
-        ConfirmClearCharsPopUp myCharType ->
-            confirmClearCharsPopUp myCharType model
 
-        PreviewInParagraphPopUp ->
-            previewInParagraphPopUp model
+onDragStrokePartBy : Vec2 -> Model -> ( Model, Cmd Msg )
+onDragStrokePartBy delta ({ isSnapToGrid, gridUnits } as model) =
+    updateStrokeEditor
+        (\strokeEditor ->
+            case strokeEditor.draggedPart of
+                Just { stroke, anchor, partType } ->
+                    let
+                        dragPosition =
+                            Vector2.add strokeEditor.dragPosition (Vector2.scale (editorUnitsPerPixel model) delta)
 
-        AppPreferencesPopUp ->
-            appPreferencesPopUp model
+                        position =
+                            if isSnapToGrid then
+                                snapPointToGrid gridUnits dragPosition
 
-        AddComponentToSelectedCharPopUp ->
-            addComponentToSelectedCharPopUp model
+                            else
+                                dragPosition
+                    in
+                    { strokeEditor
+                        | dragPosition =
+                            dragPosition
+                        , strokes =
+                            updateStrokeAnchor stroke anchor (moveStrokePart partType position) strokeEditor.strokes
+                    }
 
-        NoPopUp ->
-            E.none
+                Nothing ->
+                    strokeEditor
+        )
+        model
 
 
-addComponentToSelectedCharPopUp : Model -> E.Element Msg
-addComponentToSelectedCharPopUp ({ chars, selectedChar, trs, newComponentChar, inputError, boxUnits, thumbnailUnitSize, palette, spacing, fontSize } as model) =
-    let
-        newInputError =
-            case String.Graphemes.uncons newComponentChar of
-                Just ( char, _ ) ->
+strokePartPosition : StrokePartType -> StrokeAnchor -> Vec2
+strokePartPosition partType =
+    case partType of
+        AnchorPoint ->
+            .point
+
+        HandleIn ->
+            .handleIn
+
+        HandleOut ->
+            .handleOut
+
+
+
+-- Moving an anchor point carries its handles along
+
+
+moveStrokePart : StrokePartType -> Vec2 -> StrokeAnchor -> StrokeAnchor
+moveStrokePart partType position strokeAnchor =
+    case partType of
+        AnchorPoint ->
+            let
+                offset =
+                    Vector2.sub position strokeAnchor.point
+            in
+            { point =
+                position
+            , handleIn =
+                Vector2.add offset strokeAnchor.handleIn
+            , handleOut =
+                Vector2.add offset strokeAnchor.handleOut
+            }
+
+        HandleIn ->
+            { strokeAnchor
+                | handleIn =
+                    position
+            }
+
+        HandleOut ->
+            { strokeAnchor
+                | handleOut =
+                    position
+            }
+
+
+hasHandles : StrokeAnchor -> Bool
+hasHandles { point, handleIn, handleOut } =
+    Vector2.distance point handleIn > 0 || Vector2.distance point handleOut > 0
+
+
+
+-- Turns a corner into a smooth point with handles along its neighbours, and a smooth point back into a corner
+
+
+toggleStrokeAnchorCurve : Model -> ( Model, Cmd Msg )
+toggleStrokeAnchorCurve model =
+    updateStrokeEditor
+        (\strokeEditor ->
+            case ( strokeEditor.selection, selectedStrokeAnchor strokeEditor ) of
+                ( Just { stroke, anchor }, Just selectedAnchor ) ->
                     let
-                        inputLength =
-                            String.Graphemes.length newComponentChar
+                        anchors =
+                            Maybe.withDefault [] <| Maybe.map .anchors <| List.Extra.getAt stroke strokeEditor.strokes
+
+                        isClosed =
+                            Maybe.withDefault False <| Maybe.map .isClosed <| List.Extra.getAt stroke strokeEditor.strokes
+
+                        neighbour neighbourIndex =
+                            Maybe.map .point <|
+                                List.Extra.getAt
+                                    (if isClosed then
+                                        modBy (List.length anchors) neighbourIndex
+
+                                     else
+                                        neighbourIndex
+                                    )
+                                    anchors
                     in
-                    if inputLength /= 1 then
-                        Just <| InvalidInputLength inputLength
+                    { strokeEditor
+                        | strokes =
+                            updateStrokeAnchor stroke
+                                anchor
+                                (\_ ->
+                                    if hasHandles selectedAnchor then
+                                        { selectedAnchor
+                                            | handleIn =
+                                                selectedAnchor.point
+                                            , handleOut =
+                                                selectedAnchor.point
+                                        }
 
-                    else if
-                        isCharPartOfMyChar chars
-                            (unboxChar selectedChar)
-                            (myCharFromChar chars char)
-                    then
-                        Just <| ContainsSelfReference
+                                    else
+                                        smoothAnchor (neighbour (anchor - 1)) (neighbour (anchor + 1)) selectedAnchor
+                                )
+                                strokeEditor.strokes
+                    }
 
-                    else if not (Dict.member char chars) then
-                        Just <| CharacterNotFound
+                _ ->
+                    strokeEditor
+        )
+        model
 
-                    else
-                        Nothing
 
-                Nothing ->
-                    Just <| InvalidInputLength 0
+smoothAnchor : Maybe Vec2 -> Maybe Vec2 -> StrokeAnchor -> StrokeAnchor
+smoothAnchor previousPoint nextPoint strokeAnchor =
+    let
+        point =
+            strokeAnchor.point
 
-        width =
-            toFloat boxUnits * thumbnailUnitSize * 2.3
+        tangent =
+            Vector2.sub
+                (Maybe.withDefault point nextPoint)
+                (Maybe.withDefault point previousPoint)
+
+        handleLength neighbourPoint =
+            Maybe.withDefault 0 <| Maybe.map (\p -> Vector2.distance p point / 3) neighbourPoint
     in
-    popUpTemplate
-        { borderColor =
+    if Vector2.length tangent == 0 then
+        strokeAnchor
+
+    else
+        { strokeAnchor
+            | handleIn =
+                Vector2.sub point (Vector2.scale (handleLength previousPoint) (Vector2.normalize tangent))
+            , handleOut =
+                Vector2.add point (Vector2.scale (handleLength nextPoint) (Vector2.normalize tangent))
+        }
+
+
+deleteStrokeAnchor : Model -> ( Model, Cmd Msg )
+deleteStrokeAnchor model =
+    updateStrokeEditor
+        (\strokeEditor ->
+            case strokeEditor.selection of
+                Just { stroke, anchor } ->
+                    let
+                        anchors =
+                            Maybe.withDefault [] <| Maybe.map .anchors <| List.Extra.getAt stroke strokeEditor.strokes
+                    in
+                    if List.length anchors <= 1 then
+                        { strokeEditor
+                            | strokes =
+                                List.Extra.removeAt stroke strokeEditor.strokes
+                            , selection =
+                                Nothing
+                        }
+
+                    else
+                        { strokeEditor
+                            | strokes =
+                                List.Extra.updateAt stroke
+                                    (\selectedStroke ->
+                                        { selectedStroke
+                                            | anchors =
+                                                List.Extra.removeAt anchor selectedStroke.anchors
+                                        }
+                                    )
+                                    strokeEditor.strokes
+                            , selection =
+                                Just { stroke = stroke, anchor = max 0 (anchor - 1) }
+                        }
+
+                Nothing ->
+                    strokeEditor
+        )
+        model
+
+
+deleteStroke : Model -> ( Model, Cmd Msg )
+deleteStroke model =
+    updateStrokeEditor
+        (\strokeEditor ->
+            case strokeEditor.selection of
+                Just { stroke } ->
+                    { strokeEditor
+                        | strokes =
+                            List.Extra.removeAt stroke strokeEditor.strokes
+                        , selection =
+                            Nothing
+                    }
+
+                Nothing ->
+                    strokeEditor
+        )
+        model
+
+
+toggleIsStrokeClosed : Model -> ( Model, Cmd Msg )
+toggleIsStrokeClosed model =
+    updateStrokeEditor
+        (\strokeEditor ->
+            case strokeEditor.selection of
+                Just { stroke } ->
+                    { strokeEditor
+                        | strokes =
+                            List.Extra.updateAt stroke
+                                (\selectedStroke ->
+                                    { selectedStroke
+                                        | isClosed =
+                                            not selectedStroke.isClosed
+                                    }
+                                )
+                                strokeEditor.strokes
+                    }
+
+                Nothing ->
+                    strokeEditor
+        )
+        model
+
+
+
+-- Clears the selection so the next click on the canvas starts a new stroke
+
+
+finishStroke : Model -> ( Model, Cmd Msg )
+finishStroke model =
+    updateStrokeEditor
+        (\strokeEditor ->
+            { strokeEditor
+                | selection =
+                    Nothing
+            }
+        )
+        model
+
+
+cancelStrokes : Model -> ( Model, Cmd Msg )
+cancelStrokes model =
+    ( { model
+        | strokeEditor =
+            Nothing
+      }
+    , Cmd.none
+    )
+
+
+
+-- Writes the strokes into the svg of the simple character. The viewBox is the box the character is shown in,
+-- so the compound characters that use it keep their layout
+
+
+saveStrokes : Model -> ( Model, Cmd Msg )
+saveStrokes ({ chars } as model) =
+    case Maybe.map (\strokeEditor -> ( strokeEditor, Dict.get strokeEditor.char chars )) model.strokeEditor of
+        Just ( { char, strokes }, Just (SimpleChar ref) ) ->
+            let
+                svgText =
+                    strokesToSvg ref strokes
+
+                newSvgTexts =
+                    Dict.insert char svgText model.simpleCharSvgTexts
+            in
+            case Decode.decodeValue decodeSimpleCharSvg (Encode.string svgText) of
+                Ok svg ->
+                    recordHistory (DrawStrokesCommand char)
+                        ( { model
+                            | simpleCharSvgs =
+                                Dict.insert char svg model.simpleCharSvgs
+                            , simpleCharSvgTexts =
+                                newSvgTexts
+                            , strokeEditor =
+                                Nothing
+                          }
+                        , saveSimpleCharSvgsPort <|
+                            encodeDictChanges Encode.string model.simpleCharSvgTexts newSvgTexts
+                        )
+
+                Err _ ->
+                    ( model, Cmd.none )
+
+        _ ->
+            ( model, Cmd.none )
+
+
+strokesToSvg : MyCharRef -> List Stroke -> String
+strokesToSvg { position, dimension } strokes =
+    "<svg xmlns=\"http://www.w3.org/2000/svg\" viewBox=\""
+        ++ String.join " "
+            (List.map formatStrokeNumber
+                [ Vector2.getX position, Vector2.getY position, Vector2.getX dimension, Vector2.getY dimension ]
+            )
+        ++ "\">"
+        ++ String.concat
+            (List.map
+                (\stroke ->
+                    "<path d=\""
+                        ++ strokePathData stroke
+                        ++ "\" fill=\"none\" stroke=\"#000\" stroke-linecap=\"round\" stroke-linejoin=\"round\"/>"
+                )
+                strokes
+            )
+        ++ "</svg>"
+
+
+
+-- A stroke with a single anchor is drawn as a dot
+
+
+strokePathData : Stroke -> String
+strokePathData { anchors, isClosed } =
+    case anchors of
+        first :: rest ->
+            "M"
+                ++ formatStrokePoint first.point
+                ++ String.concat
+                    (List.map2 strokeSegment
+                        anchors
+                        (if isClosed then
+                            rest ++ [ first ]
+
+                         else if List.isEmpty rest then
+                            [ first ]
+
+                         else
+                            rest
+                        )
+                    )
+                ++ (if isClosed then
+                        "Z"
+
+                    else
+                        ""
+                   )
+
+        [] ->
+            ""
+
+
+strokeSegment : StrokeAnchor -> StrokeAnchor -> String
+strokeSegment from to =
+    if Vector2.distance from.handleOut from.point == 0 && Vector2.distance to.handleIn to.point == 0 then
+        "L" ++ formatStrokePoint to.point
+
+    else
+        "C"
+            ++ formatStrokePoint from.handleOut
+            ++ " "
+            ++ formatStrokePoint to.handleIn
+            ++ " "
+            ++ formatStrokePoint to.point
+
+
+formatStrokePoint : Vec2 -> String
+formatStrokePoint point =
+    formatStrokeNumber (Vector2.getX point) ++ " " ++ formatStrokeNumber (Vector2.getY point)
+
+
+formatStrokeNumber : Float -> String
+formatStrokeNumber n =
+    String.fromFloat <| toFloat (round (n * 100)) / 100
+
+
+snapPointToGrid : Int -> Vec2 -> Vec2
+snapPointToGrid gridUnits point =
+    let
+        unitPercent =
+            100 / toFloat gridUnits
+
+        roundToGrid n =
+            unitPercent * (toFloat <| round <| n / unitPercent)
+    in
+    Vector2.vec2
+        (roundToGrid <| Vector2.getX point)
+        (roundToGrid <| Vector2.getY point)
+
+
+
+-- Em percent per pixel in the editor box
+
+
+editorUnitsPerPixel : Model -> Float
+editorUnitsPerPixel { boxUnits, borderUnits, unitSize } =
+    100 / ((toFloat boxUnits + 2 * minBorderUnits - 2 * borderUnits) * unitSize)
+
+
+updateCharQuery : String -> Model -> ( Model, Cmd Msg )
+updateCharQuery query model =
+    updateCharFilter
+        (\charFilter ->
+            { charFilter
+                | query =
+                    query
+            }
+        )
+        model
+
+
+toggleIsCharFilterShown : Model -> ( Model, Cmd Msg )
+toggleIsCharFilterShown model =
+    ( { model
+        | isCharFilterShown =
+            not model.isCharFilterShown
+      }
+    , Cmd.none
+    )
+
+
+updateCharTypeFilter : Maybe MyCharType -> Model -> ( Model, Cmd Msg )
+updateCharTypeFilter charType model =
+    updateCharFilter
+        (\charFilter ->
+            { charFilter
+                | charType =
+                    charType
+            }
+        )
+        model
+
+
+updateScriptFilter : Maybe Script -> Model -> ( Model, Cmd Msg )
+updateScriptFilter script model =
+    updateCharFilter
+        (\charFilter ->
+            { charFilter
+                | script =
+                    script
+            }
+        )
+        model
+
+
+updatePeriodFilter : Maybe Period -> Model -> ( Model, Cmd Msg )
+updatePeriodFilter period model =
+    updateCharFilter
+        (\charFilter ->
+            { charFilter
+                | period =
+                    period
+            }
+        )
+        model
+
+
+updateStageFilter : Maybe Stage -> Model -> ( Model, Cmd Msg )
+updateStageFilter stage model =
+    updateCharFilter
+        (\charFilter ->
+            { charFilter
+                | stage =
+                    stage
+            }
+        )
+        model
+
+
+updateReferenceImageFilter : Maybe Bool -> Model -> ( Model, Cmd Msg )
+updateReferenceImageFilter hasReferenceImage model =
+    updateCharFilter
+        (\charFilter ->
+            { charFilter
+                | hasReferenceImage =
+                    hasReferenceImage
+            }
+        )
+        model
+
+
+updateTagFilter : Maybe String -> Model -> ( Model, Cmd Msg )
+updateTagFilter tag model =
+    updateCharFilter
+        (\charFilter ->
+            { charFilter
+                | tag =
+                    tag
+            }
+        )
+        model
+
+
+updateCharSortOrder : CharSortOrder -> Model -> ( Model, Cmd Msg )
+updateCharSortOrder sortOrder model =
+    updateCharFilter
+        (\charFilter ->
+            { charFilter
+                | sortOrder =
+                    sortOrder
+            }
+        )
+        model
+
+
+clearCharFilter : Model -> ( Model, Cmd Msg )
+clearCharFilter model =
+    updateCharFilter (\_ -> emptyCharFilter) model
+
+
+updateCharFilter : (CharFilter -> CharFilter) -> Model -> ( Model, Cmd Msg )
+updateCharFilter func model =
+    ( { model
+        | charFilter =
+            func model.charFilter
+      }
+    , Cmd.none
+    )
+
+
+updateNewCharViewName : String -> Model -> ( Model, Cmd Msg )
+updateNewCharViewName name model =
+    ( { model
+        | newCharViewName =
+            name
+      }
+    , Cmd.none
+    )
+
+
+saveCharView : Model -> ( Model, Cmd Msg )
+saveCharView model =
+    let
+        name =
+            String.trim model.newCharViewName
+    in
+    if String.isEmpty name then
+        ( model, Cmd.none )
+
+    else
+        ( { model
+            | charViews =
+                Dict.insert name model.charFilter model.charViews
+            , newCharViewName =
+                ""
+          }
+        , Cmd.none
+        )
+
+
+applyCharView : String -> Model -> ( Model, Cmd Msg )
+applyCharView name model =
+    case Dict.get name model.charViews of
+        Just charFilter ->
+            updateCharFilter (\_ -> charFilter) model
+
+        Nothing ->
+            ( model, Cmd.none )
+
+
+deleteCharView : String -> Model -> ( Model, Cmd Msg )
+deleteCharView name model =
+    ( { model
+        | charViews =
+            Dict.remove name model.charViews
+      }
+    , Cmd.none
+    )
+
+
+
+-- A saved view exports the characters it shows now, not the ones it showed when it was saved.
+-- They are drawn from their saved svgs, so the view need not be the one on screen
+
+
+exportCharView : String -> Model -> ( Model, Cmd Msg )
+exportCharView name model =
+    case Dict.get name model.charViews of
+        Just charFilter ->
+            requestDownloadChars (List.map charFromMyChar <| filterChars charFilter model) model
+
+        Nothing ->
+            ( model, Cmd.none )
+
+
+exportShownChars : Model -> ( Model, Cmd Msg )
+exportShownChars model =
+    requestDownloadChars (List.map charFromMyChar <| filterChars model.charFilter model) model
+
+
+requestExportCatalog : Model -> ( Model, Cmd Msg )
+requestExportCatalog model =
+    ( { model
+        | popUp =
+            ExportCatalogPopUp
+      }
+    , Cmd.none
+    )
+
+
+
+-- Exports the explanations and reference image citations of the shown characters
+
+
+exportCatalog : CatalogFormat -> Model -> ( Model, Cmd Msg )
+exportCatalog format ({ trs } as model) =
+    ( { model
+        | popUp =
+            NoPopUp
+      }
+    , exportCatalogPort <|
+        Encode.object
+            [ ( "format"
+              , Encode.string <|
+                    case format of
+                        CatalogCsv ->
+                            "csv"
+
+                        CatalogJson ->
+                            "json"
+
+                        CatalogPrint ->
+                            "print"
+              )
+            , ( "entries"
+              , Encode.list
+                    (\myChar ->
+                        let
+                            char =
+                                charFromMyChar myChar
+
+                            { note, referenceImages, tags } =
+                                Maybe.withDefault emptyExplaination <|
+                                    Dict.get char model.charExplainations
+                        in
+                        Encode.object
+                            [ ( "char", encodeChar char )
+                            , ( "type", encodeMyCharType <| myCharTypeFromMyChar myChar )
+                            , ( "placements", Encode.list encodePlacement <| flattenMyChar model.chars myChar )
+                            , ( "note", Encode.string note )
+                            , ( "tags", Encode.list Encode.string tags )
+                            , ( "referenceImages", Encode.list (encodeCatalogReferenceImage trs) referenceImages )
+                            ]
+                    )
+                    (filterChars model.charFilter model)
+              )
+            , ( "strokeWidth", Encode.float <| strokeWidthInEmPercent model )
+            , ( "labels"
+              , Encode.object
+                    [ ( "title"
+                      , Encode.string <|
+                            Maybe.withDefault "" <|
+                                Maybe.map .name <|
+                                    List.Extra.find (\project -> project.id == model.currentProjectId) model.projects
+                      )
+                    , ( "explaination", Encode.string <| Translations.explaination trs )
+                    , ( "tags", Encode.string <| Translations.tags trs )
+                    , ( "referenceImages", Encode.string <| Translations.referenceImages trs )
+                    , ( "origin", Encode.string <| Translations.origin trs )
+                    , ( "url", Encode.string <| Translations.url trs )
+                    ]
+              )
+            ]
+    )
+
+
+
+-- A reference image as a flat catalogue row, with its dating spelled out in the current language
+
+
+encodeCatalogReferenceImage : I18Next.Translations -> ReferenceImage -> Value
+encodeCatalogReferenceImage trs ({ image, caption, citation, origin, time, script, url } as referenceImage) =
+    Encode.object
+        [ ( "image", Encode.string image )
+        , ( "caption", Encode.string caption )
+        , ( "citation", Encode.string citation )
+        , ( "origin", Encode.string origin )
+        , ( "url", Encode.string url )
+        , ( "script", encodeScript script )
+        , ( "period", Maybe.withDefault Encode.null <| Maybe.map (.period >> encodePeriod) time )
+        , ( "stage", Maybe.withDefault Encode.null <| Maybe.map encodeStage <| Maybe.andThen .stage time )
+        , ( "dating", Encode.string <| referenceImageDating trs referenceImage )
+        ]
+
+
+filterChars : CharFilter -> Model -> List MyChar
+filterChars charFilter model =
+    Dict.values model.chars
+        |> List.filter
+            (\myChar ->
+                matchesCharFilter charFilter myChar <|
+                    Maybe.withDefault emptyExplaination <|
+                        Dict.get (charFromMyChar myChar) model.charExplainations
+            )
+        |> sortChars charFilter.sortOrder model.charExplainations
+
+
+matchesCharFilter : CharFilter -> MyChar -> Explaination -> Bool
+matchesCharFilter charFilter myChar explaination =
+    matchesCharQuery charFilter.query (charFromMyChar myChar) explaination
+        && matchesFilter charFilter.charType (Just <| myCharTypeFromMyChar myChar)
+        && matchesAnyReferenceImage charFilter.script (Just << .script) explaination.referenceImages
+        && matchesAnyReferenceImage charFilter.period (Maybe.map .period << .time) explaination.referenceImages
+        && matchesAnyReferenceImage charFilter.stage (Maybe.andThen .stage << .time) explaination.referenceImages
+        && matchesFilter charFilter.hasReferenceImage (Just <| not <| List.isEmpty explaination.referenceImages)
+        && (case charFilter.tag of
+                Just tag ->
+                    List.member tag explaination.tags
+
+                Nothing ->
+                    True
+           )
+
+
+
+-- A filter on the reference images passes when any one of them matches
+
+
+matchesAnyReferenceImage : Maybe a -> (ReferenceImage -> Maybe a) -> List ReferenceImage -> Bool
+matchesAnyReferenceImage filter field referenceImages =
+    filter == Nothing || List.any (matchesFilter filter << field) referenceImages
+
+
+matchesFilter : Maybe a -> Maybe a -> Bool
+matchesFilter filter value =
+    case filter of
+        Just _ ->
+            filter == value
+
+        Nothing ->
+            True
+
+
+
+-- A query of 4 or more hex digits, or one starting with U+, also finds characters by their code point
+
+
+matchesCharQuery : String -> Grapheme -> Explaination -> Bool
+matchesCharQuery query char explaination =
+    let
+        needle =
+            String.toLower <| String.trim query
+
+        containsNeedle text =
+            String.contains needle (String.toLower text)
+
+        codePointNeedle =
+            String.toUpper <|
+                if String.startsWith "u+" needle then
+                    String.dropLeft 2 needle
+
+                else
+                    needle
+
+        isCodePointQuery =
+            not (String.isEmpty codePointNeedle)
+                && String.all Char.isHexDigit codePointNeedle
+                && (String.startsWith "u+" needle || String.length needle >= 4)
+    in
+    String.isEmpty needle
+        || containsNeedle char
+        || (isCodePointQuery
+                && List.any
+                    (String.startsWith codePointNeedle << String.padLeft 4 '0' << hexFromInt)
+                    (codePoints char)
+           )
+        || containsNeedle explaination.note
+        || List.any
+            (\{ caption, citation, origin } -> List.any containsNeedle [ caption, citation, origin ])
+            explaination.referenceImages
+        || List.any containsNeedle explaination.tags
+
+
+sortChars : CharSortOrder -> Dict Grapheme Explaination -> List MyChar -> List MyChar
+sortChars sortOrder charExplainations myChars =
+    case sortOrder of
+        SortByCodePoint ->
+            List.sortBy (codePoints << charFromMyChar) myChars
+
+        SortByRadical ->
+            -- characters without a radical, like named components, come last
+            List.sortBy
+                (\myChar ->
+                    let
+                        char =
+                            charFromMyChar myChar
+
+                        radicalOrder =
+                            case codePoints char of
+                                [ code ] ->
+                                    RadicalStrokes.radicalStrokeOrder code
+
+                                _ ->
+                                    Nothing
+                    in
+                    case radicalOrder of
+                        Just order ->
+                            ( 0, order, codePoints char )
+
+                        Nothing ->
+                            ( 1, 0, codePoints char )
+                )
+                myChars
+
+        SortByModified ->
+            -- the most recently modified first, characters that were never modified since tracking began last
+            List.sortBy
+                (\myChar ->
+                    let
+                        char =
+                            charFromMyChar myChar
+                    in
+                    ( negate <|
+                        Maybe.withDefault 0 <|
+                            Maybe.map Time.posixToMillis <|
+                                Maybe.andThen .modified <|
+                                    Dict.get char charExplainations
+                    , codePoints char
+                    )
+                )
+                myChars
+
+
+codePoints : Grapheme -> List Int
+codePoints char =
+    List.map Char.toCode <| String.toList char
+
+
+hexFromInt : Int -> String
+hexFromInt n =
+    let
+        lastDigit =
+            String.slice (modBy 16 n) (modBy 16 n + 1) "0123456789ABCDEF"
+    in
+    if n < 16 then
+        lastDigit
+
+    else
+        hexFromInt (n // 16) ++ lastDigit
+
+
+updateReferenceImageUrl : Int -> String -> Model -> ( Model, Cmd Msg )
+updateReferenceImageUrl index url model =
+    updateReferenceImage index
+        (\referenceImage ->
+            { referenceImage
+                | url =
+                    url
+            }
+        )
+        model
+
+
+updateReferenceImageScript : Int -> Script -> Model -> ( Model, Cmd Msg )
+updateReferenceImageScript index script model =
+    updateReferenceImage index
+        (\referenceImage ->
+            { referenceImage
+                | script =
+                    script
+            }
+        )
+        model
+
+
+updateReferenceImageStage : Int -> Stage -> Model -> ( Model, Cmd Msg )
+updateReferenceImageStage index stage model =
+    updateReferenceImage index
+        (\referenceImage ->
+            { referenceImage
+                | time =
+                    case referenceImage.time of
+                        Just time ->
+                            if time.stage == Just stage then
+                                Just
+                                    { time
+                                        | stage =
+                                            Nothing
+                                    }
+
+                            else
+                                Just
+                                    { time
+                                        | stage =
+                                            Just stage
+                                    }
+
+                        Nothing ->
+                            Just
+                                { stage =
+                                    Just stage
+                                , period =
+                                    Shang
+                                }
+            }
+        )
+        model
+
+
+updateReferenceImagePeriod : Int -> Period -> Model -> ( Model, Cmd Msg )
+updateReferenceImagePeriod index period model =
+    updateReferenceImage index
+        (\referenceImage ->
+            { referenceImage
+                | time =
+                    case referenceImage.time of
+                        Just time ->
+                            if time.period == period then
+                                Nothing
+
+                            else
+                                Just
+                                    { time
+                                        | period =
+                                            period
+                                    }
+
+                        Nothing ->
+                            Just
+                                { period =
+                                    period
+                                , stage =
+                                    Nothing
+                                }
+            }
+        )
+        model
+
+
+updateReferenceImageOrigin : Int -> String -> Model -> ( Model, Cmd Msg )
+updateReferenceImageOrigin index origin model =
+    updateReferenceImage index
+        (\referenceImage ->
+            { referenceImage
+                | origin =
+                    origin
+            }
+        )
+        model
+
+
+updateReferenceImageCaption : Int -> String -> Model -> ( Model, Cmd Msg )
+updateReferenceImageCaption index caption model =
+    updateReferenceImage index
+        (\referenceImage ->
+            { referenceImage
+                | caption =
+                    caption
+            }
+        )
+        model
+
+
+updateReferenceImageCitation : Int -> String -> Model -> ( Model, Cmd Msg )
+updateReferenceImageCitation index citation model =
+    updateReferenceImage index
+        (\referenceImage ->
+            { referenceImage
+                | citation =
+                    citation
+            }
+        )
+        model
+
+
+updateReferenceImage : Int -> (ReferenceImage -> ReferenceImage) -> Model -> ( Model, Cmd Msg )
+updateReferenceImage index func model =
+    updateExplaination EditReferenceImageCommand
+        (\e ->
+            { e
+                | referenceImages =
+                    List.Extra.updateAt index func e.referenceImages
+            }
+        )
+        model
+
+
+deleteReferenceImage : Int -> Model -> ( Model, Cmd Msg )
+deleteReferenceImage index model =
+    updateExplaination EditReferenceImageCommand
+        (\e ->
+            { e
+                | referenceImages =
+                    List.Extra.removeAt index e.referenceImages
+            }
+        )
+        { model
+            | onionSkin =
+                -- the images after the deleted one move up by one
+                Maybe.andThen
+                    (\shown ->
+                        if shown == index then
+                            Nothing
+
+                        else if shown > index then
+                            Just (shown - 1)
+
+                        else
+                            Just shown
+                    )
+                    model.onionSkin
+        }
+
+
+
+-- A new image is added after the others, a replaced one keeps its caption, citation and dating
+
+
+loadedReferenceImage : Maybe Int -> DataUrl -> Model -> ( Model, Cmd Msg )
+loadedReferenceImage index dataUrl model =
+    case index of
+        Just replaced ->
+            updateReferenceImage replaced
+                (\referenceImage ->
+                    { referenceImage
+                        | image =
+                            dataUrl
+                    }
+                )
+                model
+
+        Nothing ->
+            updateExplaination EditReferenceImageCommand
+                (\e ->
+                    { e
+                        | referenceImages =
+                            e.referenceImages
+                                ++ [ { emptyReferenceImage
+                                        | image =
+                                            dataUrl
+                                     }
+                                   ]
+                    }
+                )
+                model
+
+
+selectedReferenceImage : Int -> File -> Model -> ( Model, Cmd Msg )
+selectedReferenceImage index file model =
+    ( model
+    , Task.perform (LoadedReferenceImage <| Just index) (File.toUrl file)
+    )
+
+
+selectedReferenceImages : File -> List File -> Model -> ( Model, Cmd Msg )
+selectedReferenceImages file files model =
+    ( model
+    , Cmd.batch <|
+        List.map
+            (Task.perform (LoadedReferenceImage Nothing) << File.toUrl)
+            (file :: files)
+    )
+
+
+
+-- Uploading without an index adds one or more images, with an index it replaces that image
+
+
+uploadReferenceImage : Maybe Int -> Model -> ( Model, Cmd Msg )
+uploadReferenceImage index model =
+    ( model
+    , case index of
+        Just replaced ->
+            File.Select.file referenceImageTypes (SelectedReferenceImage replaced)
+
+        Nothing ->
+            File.Select.files referenceImageTypes SelectedReferenceImages
+    )
+
+
+referenceImageTypes : List String
+referenceImageTypes =
+    [ "image/jpeg", "image/png", "image/webp" ]
+
+
+compareReferenceImages : Model -> ( Model, Cmd Msg )
+compareReferenceImages model =
+    ( { model
+        | popUp =
+            CompareReferenceImagesPopUp
+      }
+    , Cmd.none
+    )
+
+
+updateOnionSkin : Maybe Int -> Model -> ( Model, Cmd Msg )
+updateOnionSkin index model =
+    ( { model
+        | onionSkin =
+            index
+      }
+    , Cmd.none
+    )
+
+
+updateOnionSkinOpacity : Float -> Model -> ( Model, Cmd Msg )
+updateOnionSkinOpacity opacity model =
+    ( { model
+        | onionSkinOpacity =
+            opacity
+      }
+    , Cmd.none
+    )
+
+
+updateExplainationNote : String -> Model -> ( Model, Cmd Msg )
+updateExplainationNote note model =
+    updateExplaination EditNoteCommand
+        (\e ->
+            { e
+                | note =
+                    note
+            }
+        )
+        model
+
+
+updateNewTag : String -> Model -> ( Model, Cmd Msg )
+updateNewTag tag model =
+    ( { model
+        | newTag =
+            tag
+      }
+    , Cmd.none
+    )
+
+
+addTag : Model -> ( Model, Cmd Msg )
+addTag model =
+    let
+        tag =
+            String.trim model.newTag
+    in
+    if String.isEmpty tag then
+        ( model, Cmd.none )
+
+    else
+        updateExplaination EditTagsCommand
+            (\e ->
+                { e
+                    | tags =
+                        List.Extra.unique (e.tags ++ [ tag ])
+                }
+            )
+            { model
+                | newTag =
+                    ""
+            }
+
+
+removeTag : String -> Model -> ( Model, Cmd Msg )
+removeTag tag model =
+    updateExplaination EditTagsCommand
+        (\e ->
+            { e
+                | tags =
+                    List.filter ((/=) tag) e.tags
+            }
+        )
+        model
+
+
+updateExplaination : (Grapheme -> HistoryCommand) -> (Explaination -> Explaination) -> Model -> ( Model, Cmd Msg )
+updateExplaination toCommand func model =
+    case model.selectedChar of
+        Just char ->
+            recordHistory (toCommand char)
+                ( { model
+                    | charExplainations =
+                        Dict.update
+                            char
+                            (Just << func << Maybe.withDefault emptyExplaination)
+                            model.charExplainations
+                  }
+                , Cmd.none
+                )
+
+        Nothing ->
+            ( model, Cmd.none )
+
+
+toggleIsReferenceCharShown : Model -> ( Model, Cmd Msg )
+toggleIsReferenceCharShown model =
+    ( { model
+        | isReferenceCharShown =
+            not model.isReferenceCharShown
+      }
+    , Cmd.none
+    )
+
+
+addPendingComponentChar : Model -> ( Model, Cmd Msg )
+addPendingComponentChar model =
+    recordComponentEdit <| ( { model
+        | chars =
+            Maybe.map
+                (\selectedChar ->
+                    Dict.update
+                        selectedChar
+                        (Maybe.map <|
+                            addComponentToMyChar model.componentSize model.chars model.newComponentChar
+                        )
+                        model.chars
+                )
+                model.selectedChar
+                |> Maybe.withDefault model.chars
+        , popUp =
+            NoPopUp
+      }
+    , Cmd.none
+    )
+
+
+updatePendingComponentChar : String -> Model -> ( Model, Cmd Msg )
+updatePendingComponentChar charInput model =
+    ( { model
+        | newComponentChar =
+            charInput
+      }
+    , Cmd.none
+    )
+
+
+requestAddComponentToSelectedChar : Model -> ( Model, Cmd Msg )
+requestAddComponentToSelectedChar model =
+    ( { model
+        | popUp =
+            AddComponentToSelectedCharPopUp
+      }
+    , Cmd.none
+    )
+
+
+showAppPreferences : Model -> ( Model, Cmd Msg )
+showAppPreferences model =
+    ( { model
+        | popUp =
+            AppPreferencesPopUp
+      }
+    , Cmd.none
+    )
+
+
+updateMode : Mode -> Model -> ( Model, Cmd Msg )
+updateMode mode model =
+    let
+        newModel =
+            { model
+                | mode =
+                    mode
+            }
+    in
+    case mode of
+        BrowseMode ->
+            takeSnapshot newModel
+
+        _ ->
+            ( newModel, Cmd.none )
+
+
+updateDevice : Int -> Int -> Model -> ( Model, Cmd Msg )
+updateDevice width height model =
+    let
+        device =
+            E.classifyDevice
+                { width = width
+                , height = height
+                }
+
+        minSize =
+            toFloat <|
+                min width height
+                    - (case device.orientation of
+                        E.Portrait ->
+                            0
+
+                        E.Landscape ->
+                            model.fontSize.large + model.spacing.small
+                      )
+
+        unitSize =
+            minSize / (toFloat model.boxUnits + model.borderUnits * 2)
+    in
+    ( { model
+        | device =
+            device
+        , unitSize =
+            unitSize
+        , thumbnailUnitSize =
+            case device.class of
+                E.Phone ->
+                    2
+
+                E.Tablet ->
+                    2.6
+
+                E.Desktop ->
+                    2.6
+
+                E.BigDesktop ->
+                    8
+        , spacing =
+            let
+                tiny =
+                    round << E.modular 5 1.25
+
+                small =
+                    round << E.modular 10 1.25
+
+                medium =
+                    round << E.modular 20 1.5
+
+                large =
+                    round << E.modular 30 1.5
+            in
+            case device.class of
+                E.Phone ->
+                    { tiny = tiny -3
+                    , small = small -3
+                    , medium = medium -3
+                    , large = large -3
+                    }
+
+                E.Tablet ->
+                    { tiny = tiny -2
+                    , small = small -2
+                    , medium = medium -2
+                    , large = large -2
+                    }
+
+                E.Desktop ->
+                    { tiny = tiny -1
+                    , small = small -1
+                    , medium = medium -1
+                    , large = large -1
+                    }
+
+                E.BigDesktop ->
+                    { tiny = tiny 1
+                    , small = small 1
+                    , medium = medium 1
+                    , large = large 1
+                    }
+        , fontSize =
+            let
+                small =
+                    round << E.modular 16 1.1
+
+                medium =
+                    round << E.modular 20 1.1
+
+                large =
+                    round << E.modular 30 1.25
+
+                title =
+                    round << E.modular 40 1.25
+            in
+            case device.class of
+                E.Phone ->
+                    { small = small -2
+                    , medium = medium -1
+                    , large = large -2
+                    , title = title -2
+                    , thumb = title -2
+                    }
+
+                E.Tablet ->
+                    { small = small -1
+                    , medium = medium -1
+                    , large = large -1
+                    , title = title -1
+                    , thumb = title -1
+                    }
+
+                E.Desktop ->
+                    { small = small -1
+                    , medium = medium -1
+                    , large = large -1
+                    , title = title -1
+                    , thumb = large -1
+                    }
+
+                E.BigDesktop ->
+                    { small = small 1
+                    , medium = medium 1
+                    , large = large 1
+                    , title = title 1
+                    , thumb = large 1
+                    }
+      }
+    , Cmd.none
+    )
+
+
+
+-- Translations that arrive after the user has picked another language are dropped
+
+
+gotTranslations : Value -> Model -> ( Model, Cmd Msg )
+gotTranslations translationsJson model =
+    case
+        Decode.decodeValue
+            (Decode.map2 Tuple.pair
+                (Decode.field "language" decodeLanguage)
+                (Decode.field "translations" I18Next.translationsDecoder)
+            )
+            translationsJson
+    of
+        Ok ( language, trs ) ->
+            if language == model.language then
+                ( { model
+                    | trs =
+                        trs
+                  }
+                , Cmd.none
+                )
+
+            else
+                ( model, Cmd.none )
+
+        Err _ ->
+            ( model, Cmd.none )
+
+
+
+-- The translations are loaded by index.js, which fills the keys the language lacks from the fallback language
+
+
+updateLanguage : Language -> Model -> ( Model, Cmd Msg )
+updateLanguage language model =
+    ( { model
+        | language =
+            language
+      }
+    , loadTranslationsPort <| encodeLanguage language
+    )
+
+
+mirrorActiveComponent : MirrorDirection -> Model -> ( Model, Cmd Msg )
+mirrorActiveComponent direction ({ activeComponentIndex } as model) =
+    recordComponentEdit <| ( { model
+        | chars =
+            Maybe.map
+                (\selectedChar ->
+                    Dict.update
+                        selectedChar
+                        (Maybe.map <|
+                            updateMyCharComponents
+                                (List.Extra.updateAt
+                                    (Maybe.withDefault -1 activeComponentIndex)
+                                    (\component ->
+                                        let
+                                            oldMirror =
+                                                component.mirror
+                                        in
+                                        { component
+                                            | mirror =
+                                                case direction of
+                                                    MirrorDirectionX ->
+                                                        { oldMirror
+                                                            | x =
+                                                                not oldMirror.x
+                                                        }
+
+                                                    MirrorDirectionY ->
+                                                        { oldMirror
+                                                            | y =
+                                                                not oldMirror.y
+                                                        }
+                                        }
+                                    )
+                                )
+                        )
+                        model.chars
+                )
+                model.selectedChar
+                |> Maybe.withDefault model.chars
+      }
+    , Cmd.none
+    )
+
+
+deleteActiveComponent : Model -> ( Model, Cmd Msg )
+deleteActiveComponent ({ activeComponentIndex } as model) =
+    recordComponentEdit <| ( { model
+        | chars =
+            Maybe.map
+                (\selectedChar ->
+                    Dict.update
+                        selectedChar
+                        (Maybe.map <|
+                            updateMyCharComponents
+                                (List.Extra.removeAt (Maybe.withDefault -1 activeComponentIndex))
+                        )
+                        model.chars
+                )
+                model.selectedChar
+                |> Maybe.withDefault model.chars
+        , activeComponentIndex =
+            Nothing
+      }
+    , Cmd.none
+    )
+
+
+copyActiveComponent : Model -> ( Model, Cmd Msg )
+copyActiveComponent ({ activeComponentIndex, isSnapToGrid, gridUnits } as model) =
+    recordComponentEdit <| ( { model
+        | chars =
+            Maybe.map
+                (\selectedChar ->
+                    Dict.update
+                        selectedChar
+                        (Maybe.map <|
+                            \myChar ->
+                                case myChar of
+                                    SimpleChar _ ->
+                                        myChar
+
+                                    CompoundChar c components ->
+                                        let
+                                            activeComponent =
+                                                Maybe.andThen
+                                                    (\index ->
+                                                        Array.get index <| Array.fromList components
+                                                    )
+                                                    activeComponentIndex
+                                        in
+                                        case activeComponent of
+                                            Just component ->
+                                                let
+                                                    delta =
+                                                        5
+
+                                                    copiedPosition =
+                                                        (if isSnapToGrid then
+                                                            snapToGrid gridUnits
+
+                                                         else
+                                                            identity
+                                                        )
+                                                        <|
+                                                            Vector2.add (Vector2.vec2 delta delta) component.position
+
+                                                    copiedComponent =
+                                                        { char = component.char
+                                                        , dimension = component.dimension
+                                                        , position = copiedPosition
+                                                        , mirror = component.mirror
+                                                        }
+                                                in
+                                                CompoundChar c (components ++ [ copiedComponent ])
+
+                                            Nothing ->
+                                                myChar
+                        )
+                        model.chars
+                )
+                model.selectedChar
+                |> Maybe.withDefault model.chars
+      }
+    , Cmd.none
+    )
+
+
+requestClearChars : MyCharType -> Model -> ( Model, Cmd Msg )
+requestClearChars myCharType model =
+    ( { model
+        | popUp =
+            ConfirmClearCharsPopUp myCharType
+      }
+    , Cmd.none
+    )
+
+
+clearChars : MyCharType -> Model -> ( Model, Cmd Msg )
+clearChars myCharType model =
+    let
+        ( clearedChars, keptChars ) =
+            Dict.partition
+                (\_ myChar ->
+                    case ( myCharType, myChar ) of
+                        ( SimpleCharType, SimpleChar _ ) ->
+                            True
+
+                        ( CompoundCharType, CompoundChar _ _ ) ->
+                            True
+
+                        _ ->
+                            False
+                )
+                model.chars
+
+        newModel =
+            { model
+                | chars =
+                    keptChars
+                , popUp =
+                    NoPopUp
+            }
+    in
+    recordHistory (DeleteCharsCommand <| Dict.keys clearedChars) <|
+        case myCharType of
+            SimpleCharType ->
+                ( { newModel
+                    | simpleCharSvgs =
+                        Dict.empty
+                    , simpleCharSvgTexts =
+                        Dict.empty
+                  }
+                , clearSimpleCharsPort ()
+                )
+
+            CompoundCharType ->
+                ( newModel, Cmd.none )
+
+
+downloadSelectedChar : Model -> ( Model, Cmd Msg )
+downloadSelectedChar model =
+    requestDownloadChars [ unboxChar model.selectedChar ] model
+
+
+downloadAllChars : Model -> ( Model, Cmd Msg )
+downloadAllChars model =
+    requestDownloadChars (Dict.keys model.chars) model
+
+
+requestDownloadChars : List Grapheme -> Model -> ( Model, Cmd Msg )
+requestDownloadChars chars model =
+    ( { model
+        | popUp =
+            ExportCharsPopUp chars
+      }
+    , Cmd.none
+    )
+
+
+toggleExportSize : Int -> Model -> ( Model, Cmd Msg )
+toggleExportSize size ({ exportOptions } as model) =
+    ( { model
+        | exportOptions =
+            { exportOptions
+                | sizes =
+                    if List.member size exportOptions.sizes then
+                        List.filter ((/=) size) exportOptions.sizes
+
+                    else
+                        List.sort <| size :: exportOptions.sizes
+            }
+      }
+    , Cmd.none
+    )
+
+
+updateExportPadding : Int -> Model -> ( Model, Cmd Msg )
+updateExportPadding padding ({ exportOptions } as model) =
+    ( { model
+        | exportOptions =
+            { exportOptions
+                | padding =
+                    padding
+            }
+      }
+    , Cmd.none
+    )
+
+
+updateExportBackgroundColor : String -> Model -> ( Model, Cmd Msg )
+updateExportBackgroundColor color ({ exportOptions } as model) =
+    ( { model
+        | exportOptions =
+            { exportOptions
+                | backgroundColor =
+                    color
+                , isBackgroundTransparent =
+                    False
+            }
+      }
+    , Cmd.none
+    )
+
+
+toggleIsExportBackgroundTransparent : Model -> ( Model, Cmd Msg )
+toggleIsExportBackgroundTransparent ({ exportOptions } as model) =
+    ( { model
+        | exportOptions =
+            { exportOptions
+                | isBackgroundTransparent =
+                    not exportOptions.isBackgroundTransparent
+            }
+      }
+    , Cmd.none
+    )
+
+
+updateExportFormat : ExportFormat -> Model -> ( Model, Cmd Msg )
+updateExportFormat format ({ exportOptions } as model) =
+    ( { model
+        | exportOptions =
+            { exportOptions
+                | format =
+                    format
+            }
+      }
+    , Cmd.none
+    )
+
+
+downloadChars : List Grapheme -> Model -> ( Model, Cmd Msg )
+downloadChars chars model =
+    let
+        myChars =
+            List.filterMap
+                (\char -> Dict.get char model.chars)
+                (List.Extra.unique chars)
+    in
+    if List.isEmpty myChars || List.isEmpty model.exportOptions.sizes then
+        ( { model
+            | popUp =
+                NoPopUp
+          }
+        , Cmd.none
+        )
+
+    else
+        ( { model
+            | popUp =
+                NoPopUp
+            , exportProgress =
+                Just
+                    { done = 0
+                    , total = List.length myChars
+                    , failures = []
+                    , isFinished = False
+                    , error = Nothing
+                    }
+          }
+        , downloadCharsPort <|
+            Encode.object
+                [ ( "chars"
+                  , Encode.list
+                        (\myChar ->
+                            Encode.object
+                                [ ( "char", encodeChar <| charFromMyChar myChar )
+                                , ( "type", encodeMyCharType <| myCharTypeFromMyChar myChar )
+                                , ( "placements", Encode.list encodePlacement <| flattenMyChar model.chars myChar )
+                                ]
+                        )
+                        myChars
+                  )
+                , ( "options"
+                  , encodeExportOptions
+                        (strokeWidthInEmPercent model)
+                        model.exportOptions
+                  )
+                ]
+        )
+
+
+gotExportProgress : Value -> Model -> ( Model, Cmd Msg )
+gotExportProgress progressJson model =
+    case Decode.decodeValue decodeExportProgress progressJson of
+        Ok progress ->
+            ( { model
+                | exportProgress =
+                    -- nothing to report when every character was exported
+                    if progress.isFinished && List.isEmpty progress.failures && progress.error == Nothing then
+                        Nothing
+
+                    else
+                        Just progress
+              }
+            , Cmd.none
+            )
+
+        Err _ ->
+            ( model, Cmd.none )
+
+
+closeExportProgress : Model -> ( Model, Cmd Msg )
+closeExportProgress model =
+    ( { model
+        | exportProgress =
+            Nothing
+      }
+    , Cmd.none
+    )
+
+
+requestExportFont : Model -> ( Model, Cmd Msg )
+requestExportFont model =
+    ( { model
+        | popUp =
+            ExportFontPopUp
+      }
+    , Cmd.none
+    )
+
+
+updateFontName : String -> Model -> ( Model, Cmd Msg )
+updateFontName fontName model =
+    ( { model
+        | fontName =
+            fontName
+      }
+    , Cmd.none
+    )
+
+
+exportFont : Model -> ( Model, Cmd Msg )
+exportFont ({ chars, fontName, boxUnits } as model) =
+    ( { model
+        | popUp =
+            NoPopUp
+      }
+    , exportFontPort <|
+        Encode.object
+            [ ( "fontName", Encode.string fontName )
+            , ( "boxUnits", Encode.int boxUnits )
+            , ( "strokeWidth", Encode.float <| strokeWidthInEmPercent model )
+            , ( "glyphs"
+              , Encode.list
+                    (\myChar ->
+                        Encode.object
+                            [ ( "char", encodeChar <| charFromMyChar myChar )
+                            , ( "type", encodeMyCharType <| myCharTypeFromMyChar myChar )
+                            , ( "placements", Encode.list encodePlacement <| flattenMyChar chars myChar )
+                            ]
+                    )
+                    (Dict.values chars)
+              )
+            ]
+    )
+
+
+strokeWidthInEmPercent : Model -> Float
+strokeWidthInEmPercent { strokeWidth, boxUnits, borderUnits, unitSize } =
+    100 * strokeWidth / ((toFloat boxUnits + 2 * minBorderUnits - 2 * borderUnits) * unitSize)
+
+
+toggleIsSnapToGrid : Model -> ( Model, Cmd Msg )
+toggleIsSnapToGrid model =
+    let
+        newIsSnapToGrid =
+            not model.isSnapToGrid
+    in
+    ( { model
+        | isSnapToGrid =
+            newIsSnapToGrid
+        , isAspectRatioLocked =
+            if newIsSnapToGrid then
+                False
+
+            else
+                model.isAspectRatioLocked
+      }
+    , Cmd.none
+    )
+
+
+updatePreviewParagraph : String -> Model -> ( Model, Cmd Msg )
+updatePreviewParagraph paragraph model =
+    ( { model
+        | previewParagraph =
+            paragraph
+      }
+    , Cmd.none
+    )
+
+
+previewInParagraph : Model -> ( Model, Cmd Msg )
+previewInParagraph model =
+    ( { model
+        | popUp =
+            PreviewInParagraphPopUp
+      }
+    , Cmd.none
+    )
+
+
+requestDeleteSelectedChar : Model -> ( Model, Cmd Msg )
+requestDeleteSelectedChar model =
+    ( { model
+        | popUp =
+            ConfirmDeleteSelectedCharPopUp
+      }
+    , Cmd.none
+    )
+
+
+deleteSelectedChar : Model -> ( Model, Cmd Msg )
+deleteSelectedChar model =
+    case model.selectedChar of
+        Just char ->
+            recordHistory (DeleteCharsCommand [ char ])
+                ( { model
+                    | selectedChar =
+                        Nothing
+                    , chars =
+                        Dict.remove char model.chars
+                    , simpleCharSvgs =
+                        Dict.remove char model.simpleCharSvgs
+                    , simpleCharSvgTexts =
+                        Dict.remove char model.simpleCharSvgTexts
+                    , popUp =
+                        NoPopUp
+                  }
+                , deleteSimpleCharPort char
+                )
+
+        Nothing ->
+            ( { model
+                | popUp =
+                    NoPopUp
+              }
+            , Cmd.none
+            )
+
+
+requestRenameSelectedChar : Model -> ( Model, Cmd Msg )
+requestRenameSelectedChar model =
+    ( { model
+        | popUp =
+            RenameSelectedCharPopUp
+        , newCharName =
+            ""
+      }
+    , Cmd.none
+    )
+
+
+updateNewCharName : String -> Model -> ( Model, Cmd Msg )
+updateNewCharName name model =
+    ( { model
+        | newCharName =
+            name
+      }
+    , Cmd.none
+    )
+
+
+
+-- Moves everything stored under the selected character to the new name and points every compound character that uses it to the new name
+
+
+renameSelectedChar : Model -> ( Model, Cmd Msg )
+renameSelectedChar model =
+    let
+        newChar =
+            model.newCharName
+    in
+    case model.selectedChar of
+        Just char ->
+            if String.Graphemes.length newChar /= 1 || Dict.member newChar model.chars then
+                ( model, Cmd.none )
+
+            else
+                let
+                    rename c =
+                        if c == char then
+                            newChar
+
+                        else
+                            c
+
+                    newSimpleCharSvgTexts =
+                        renameKey char newChar model.simpleCharSvgTexts
+                in
+                recordHistory (RenameCharCommand char newChar)
+                    ( { model
+                        | chars =
+                            Dict.map (\_ myChar -> renameMyChar rename myChar) <|
+                                renameKey char newChar model.chars
+                        , charExplainations =
+                            renameKey char newChar model.charExplainations
+                        , simpleCharSvgs =
+                            renameKey char newChar model.simpleCharSvgs
+                        , simpleCharSvgTexts =
+                            newSimpleCharSvgTexts
+                        , selectedChar =
+                            Just newChar
+                        , popUp =
+                            NoPopUp
+                      }
+                    , saveSimpleCharSvgsPort <|
+                        encodeDictChanges Encode.string model.simpleCharSvgTexts newSimpleCharSvgTexts
+                    )
+
+        Nothing ->
+            ( { model
+                | popUp =
+                    NoPopUp
+              }
+            , Cmd.none
+            )
+
+
+renameKey : Grapheme -> Grapheme -> Dict Grapheme a -> Dict Grapheme a
+renameKey oldKey newKey dict =
+    case Dict.get oldKey dict of
+        Just value ->
+            Dict.insert newKey value (Dict.remove oldKey dict)
+
+        Nothing ->
+            dict
+
+
+toggleIsAspectRatioLocked : Model -> ( Model, Cmd Msg )
+toggleIsAspectRatioLocked model =
+    ( { model
+        | isAspectRatioLocked =
+            not model.isAspectRatioLocked
+      }
+    , Cmd.none
+    )
+
+
+updateStrokeWidth : Float -> Model -> ( Model, Cmd Msg )
+updateStrokeWidth newStrokeWidth model =
+    ( { model
+        | strokeWidth =
+            newStrokeWidth
+        , borderUnits =
+            lerp minStrokeWidth maxStrokeWidth minBorderUnits maxBorderUnits newStrokeWidth
+      }
+    , Cmd.none
+    )
+
+
+updateGridUnits : Int -> Model -> ( Model, Cmd Msg )
+updateGridUnits gridUnits model =
+    ( { model
+        | gridUnits =
+            gridUnits
+      }
+    , Cmd.none
+    )
+
+
+updateComponentSize : Float -> Model -> ( Model, Cmd Msg )
+updateComponentSize componentSize model =
+    ( { model
+        | componentSize =
+            componentSize
+      }
+    , Cmd.none
+    )
+
+
+updateNewPresetName : String -> Model -> ( Model, Cmd Msg )
+updateNewPresetName name model =
+    ( { model
+        | newPresetName =
+            name
+      }
+    , Cmd.none
+    )
+
+
+savePreset : Model -> ( Model, Cmd Msg )
+savePreset model =
+    let
+        name =
+            String.trim model.newPresetName
+    in
+    if String.isEmpty name then
+        ( model, Cmd.none )
+
+    else
+        ( { model
+            | presets =
+                Dict.insert name (preferencesFromModel model) model.presets
+            , newPresetName =
+                ""
+          }
+        , Cmd.none
+        )
+
+
+applyPreset : String -> Model -> ( Model, Cmd Msg )
+applyPreset name model =
+    case Dict.get name model.presets of
+        Just preferences ->
+            applyPreferences preferences model
+
+        Nothing ->
+            ( model, Cmd.none )
+
+
+deletePreset : String -> Model -> ( Model, Cmd Msg )
+deletePreset name model =
+    ( { model
+        | presets =
+            Dict.remove name model.presets
+      }
+    , Cmd.none
+    )
+
+
+gotPreferencesFile : Value -> Model -> ( Model, Cmd Msg )
+gotPreferencesFile fileJson model =
+    let
+        defaultPreferences =
+            preferencesFromModel model
+
+        decodeText text =
+            Decode.decodeString
+                (Decode.map2 Tuple.pair
+                    (Decode.field "preferences" <| decodePreferences defaultPreferences)
+                    (decodePresets defaultPreferences)
+                )
+                text
+                |> Result.mapError (unexpectedProblem << Decode.errorToString)
+    in
+    case
+        Decode.decodeValue
+            (Decode.oneOf
+                [ Decode.map decodeText Decode.string
+
+                -- index.js sends a problem when it cannot read the file
+                , Decode.map Err decodeProblem
+                ]
+            )
+            fileJson
+            |> Result.mapError (unexpectedProblem << Decode.errorToString)
+            |> Result.andThen identity
+    of
+        Ok ( preferences, presets ) ->
+            applyPreferences preferences
+                { model
+                    | presets =
+                        -- imported presets replace the ones with the same name
+                        Dict.union presets model.presets
+                    , popUp =
+                        NoPopUp
+                }
+
+        Err problem ->
+            ( { model
+                | popUp =
+                    PreferencesErrorsPopUp [ problem ]
+              }
+            , Cmd.none
+            )
+
+
+showProjects : Model -> ( Model, Cmd Msg )
+showProjects model =
+    ( { model
+        | popUp =
+            ProjectsPopUp
+        , charsToCopy =
+            Maybe.withDefault "" model.selectedChar
+        , copiedChars =
+            Nothing
+        , renamedProject =
+            Nothing
+      }
+    , Cmd.none
+    )
+
+
+gotProjects : Value -> Model -> ( Model, Cmd Msg )
+gotProjects projectsJson model =
+    case
+        Decode.decodeValue
+            (Decode.map2 Tuple.pair
+                (Decode.field "projects" <|
+                    Decode.list <|
+                        Decode.map2 Project
+                            (Decode.field "id" Decode.string)
+                            (Decode.field "name" Decode.string)
+                )
+                (Decode.field "currentId" Decode.string)
+            )
+            projectsJson
+    of
+        Ok ( projects, currentProjectId ) ->
+            ( { model
+                | projects =
+                    projects
+                , currentProjectId =
+                    currentProjectId
+              }
+            , Cmd.none
+            )
+
+        Err _ ->
+            ( model, Cmd.none )
+
+
+updateNewProjectName : String -> Model -> ( Model, Cmd Msg )
+updateNewProjectName name model =
+    ( { model
+        | newProjectName =
+            name
+      }
+    , Cmd.none
+    )
+
+
+createProject : Model -> ( Model, Cmd Msg )
+createProject model =
+    let
+        name =
+            String.trim model.newProjectName
+    in
+    if String.isEmpty name then
+        ( model, Cmd.none )
+
+    else
+        ( { model
+            | newProjectName =
+                ""
+          }
+        , createProjectPort name
+        )
+
+
+openProject : String -> Model -> ( Model, Cmd Msg )
+openProject id model =
+    let
+        ( newModel, saveCmd ) =
+            saveModel model
+    in
+    ( newModel
+    , Cmd.batch
+        [ saveCmd
+        , openProjectPort id
+        ]
+    )
+
+
+startRenamingProject : Project -> Model -> ( Model, Cmd Msg )
+startRenamingProject project model =
+    ( { model
+        | renamedProject =
+            Just project
+      }
+    , Cmd.none
+    )
+
+
+updateRenamedProjectName : String -> Model -> ( Model, Cmd Msg )
+updateRenamedProjectName name model =
+    ( { model
+        | renamedProject =
+            Maybe.map (\project -> { project | name = name }) model.renamedProject
+      }
+    , Cmd.none
+    )
+
+
+renameProject : Model -> ( Model, Cmd Msg )
+renameProject model =
+    case model.renamedProject of
+        Just { id, name } ->
+            if String.isEmpty (String.trim name) then
+                ( model, Cmd.none )
+
+            else
+                ( { model
+                    | renamedProject =
+                        Nothing
+                  }
+                , renameProjectPort <|
+                    Encode.object
+                        [ ( "id", Encode.string id )
+                        , ( "name", Encode.string <| String.trim name )
+                        ]
+                )
+
+        Nothing ->
+            ( model, Cmd.none )
+
+
+duplicateProject : Project -> Model -> ( Model, Cmd Msg )
+duplicateProject { id, name } model =
+    ( model
+    , duplicateProjectPort <|
+        Encode.object
+            [ ( "id", Encode.string id )
+            , ( "name", Encode.string <| Translations.copyOfProject model.trs name )
+            ]
+    )
+
+
+requestDeleteProject : Project -> Model -> ( Model, Cmd Msg )
+requestDeleteProject project model =
+    ( { model
+        | popUp =
+            ConfirmDeleteProjectPopUp project
+      }
+    , Cmd.none
+    )
+
+
+deleteProject : String -> Model -> ( Model, Cmd Msg )
+deleteProject id model =
+    ( { model
+        | popUp =
+            ProjectsPopUp
+      }
+    , deleteProjectPort id
+    )
+
+
+updateCharsToCopy : String -> Model -> ( Model, Cmd Msg )
+updateCharsToCopy chars model =
+    ( { model
+        | charsToCopy =
+            chars
+      }
+    , Cmd.none
+    )
+
+
+-- A copied character brings along all the components it uses
+
+
+charsToCopyWithComponents : Model -> List Grapheme
+charsToCopyWithComponents model =
+    List.foldl
+        (\char copied -> charsToRestore model.chars Dict.empty char copied)
+        []
+        (String.Graphemes.toList model.charsToCopy)
+
+
+copyCharsToProject : String -> Model -> ( Model, Cmd Msg )
+copyCharsToProject id model =
+    let
+        copied =
+            charsToCopyWithComponents model
+
+        isCopied char _ =
+            List.member char copied
+    in
+    ( { model
+        | copiedChars =
+            Nothing
+      }
+    , copyCharsToProjectPort <|
+        Encode.object
+            [ ( "projectId", Encode.string id )
+            , ( "chars", Encode.dict identity encodeMyChar <| Dict.filter isCopied model.chars )
+            , ( "charExplainations"
+              , Encode.dict identity encodeExplaination <| Dict.filter isCopied model.charExplainations
+              )
+            ]
+    )
+
+
+gotCopiedChars : Value -> Model -> ( Model, Cmd Msg )
+gotCopiedChars copiedJson model =
+    case
+        Decode.decodeValue
+            (Decode.map3 CopiedChars
+                (Decode.field "projectId" Decode.string)
+                (Decode.field "copied" <| Decode.list Decode.string)
+                (Decode.field "skipped" <| Decode.list decodeSkippedImport)
+            )
+            copiedJson
+    of
+        Ok copiedChars ->
+            ( { model
+                | copiedChars =
+                    Just copiedChars
+              }
+            , Cmd.none
+            )
+
+        Err _ ->
+            ( model, Cmd.none )
+
+
+saveModel : Model -> ( Model, Cmd Msg )
+saveModel model =
+    -- nothing is saved until the library is loaded, so an empty or unreadable library never overwrites the saved one
+    case model.lastSavedModel of
+        Just lastSavedModel ->
+            let
+                savedModel =
+                    savedModelFromModel model
+            in
+            if savedModel == lastSavedModel then
+                ( model, Cmd.none )
+
+            else
+                ( { model
+                    | lastSavedModel =
+                        Just savedModel
+                  }
+                , saveChangesPort <| encodeChanges lastSavedModel savedModel
+                )
+
+        Nothing ->
+            ( model, Cmd.none )
+
+
+savedModelFromModel : Model -> SavedModel
+savedModelFromModel model =
+    { chars = model.chars
+    , charExplainations = model.charExplainations
+    , preferences = preferencesFromModel model
+    , presets = model.presets
+    , charViews = model.charViews
+    }
+
+
+preferencesFromModel : Model -> Preferences
+preferencesFromModel model =
+    { language = model.language
+    , strokeWidth = model.strokeWidth
+    , borderUnits = model.borderUnits
+    , boxUnits = model.boxUnits
+    , gridUnits = model.gridUnits
+    , componentSize = model.componentSize
+    , isSnapToGrid = model.isSnapToGrid
+    , isAspectRatioLocked = model.isAspectRatioLocked
+    , isReferenceCharShown = model.isReferenceCharShown
+    , isConvertingFillsToStrokes = model.isConvertingFillsToStrokes
+    , previewParagraph = model.previewParagraph
+    , previewOrientation = model.previewOrientation
+    , previewFontSize = model.previewFontSize
+    , previewLineHeight = model.previewLineHeight
+    , previewLetterSpacing = model.previewLetterSpacing
+    , isPreviewBoxShown = model.isPreviewBoxShown
+    , isPreviewFallbackShown = model.isPreviewFallbackShown
+    , maxSnapshots = model.maxSnapshots
+    }
+
+
+applyPreferences : Preferences -> Model -> ( Model, Cmd Msg )
+applyPreferences preferences model =
+    let
+        -- presets and backups may come from an app with languages this one does not have
+        language =
+            if List.any (\option -> option.id == preferences.language) model.languages then
+                preferences.language
+
+            else
+                model.language
+    in
+    updateLanguage language
+        { model
+            | strokeWidth =
+                preferences.strokeWidth
+            , borderUnits =
+                preferences.borderUnits
+            , boxUnits =
+                preferences.boxUnits
+            , gridUnits =
+                preferences.gridUnits
+            , componentSize =
+                preferences.componentSize
+            , isSnapToGrid =
+                preferences.isSnapToGrid
+            , isAspectRatioLocked =
+                preferences.isAspectRatioLocked
+            , isReferenceCharShown =
+                preferences.isReferenceCharShown
+            , isConvertingFillsToStrokes =
+                preferences.isConvertingFillsToStrokes
+            , previewParagraph =
+                preferences.previewParagraph
+            , previewOrientation =
+                preferences.previewOrientation
+            , previewFontSize =
+                preferences.previewFontSize
+            , previewLineHeight =
+                preferences.previewLineHeight
+            , previewLetterSpacing =
+                preferences.previewLetterSpacing
+            , isPreviewBoxShown =
+                preferences.isPreviewBoxShown
+            , isPreviewFallbackShown =
+                preferences.isPreviewFallbackShown
+            , maxSnapshots =
+                preferences.maxSnapshots
+        }
+
+
+encodeChanges : SavedModel -> SavedModel -> Value
+encodeChanges lastSavedModel savedModel =
+    Encode.object
+        [ ( "chars", encodeDictChanges encodeMyChar lastSavedModel.chars savedModel.chars )
+        , ( "charExplainations"
+          , encodeDictChanges encodeExplaination lastSavedModel.charExplainations savedModel.charExplainations
+          )
+        , ( "settings"
+          , if
+                ( lastSavedModel.preferences, lastSavedModel.presets, lastSavedModel.charViews )
+                    == ( savedModel.preferences, savedModel.presets, savedModel.charViews )
+            then
+                Encode.null
+
+            else
+                encodeSettings savedModel
+          )
+        ]
+
+
+encodeDictChanges : (a -> Value) -> Dict Grapheme a -> Dict Grapheme a -> Value
+encodeDictChanges encodeValue oldDict newDict =
+    let
+        ( upserts, removals ) =
+            Dict.merge
+                (\key _ ( upserted, removed ) -> ( upserted, key :: removed ))
+                (\key oldValue newValue ( upserted, removed ) ->
+                    if oldValue == newValue then
+                        ( upserted, removed )
+
+                    else
+                        ( ( key, encodeValue newValue ) :: upserted, removed )
+                )
+                (\key newValue ( upserted, removed ) -> ( ( key, encodeValue newValue ) :: upserted, removed ))
+                oldDict
+                newDict
+                ( [], [] )
+    in
+    Encode.object
+        [ ( "upserts", Encode.object upserts )
+        , ( "removals", Encode.list Encode.string removals )
+        ]
+
+
+encodeHistoryEntry : HistoryEntry -> Value
+encodeHistoryEntry entry =
+    Encode.object
+        [ ( "id", Encode.int entry.id )
+        , ( "command", encodeHistoryCommand entry.command )
+        , ( "chars", Encode.dict identity (encodeChange encodeMyChar) entry.chars )
+        , ( "charExplainations", Encode.dict identity (encodeChange encodeExplaination) entry.charExplainations )
+        , ( "simpleCharSvgs", Encode.dict identity (encodeChange Encode.string) entry.simpleCharSvgs )
+        ]
+
+
+encodeChange : (a -> Value) -> Change a -> Value
+encodeChange encodeValue { before, after } =
+    Encode.object
+        [ ( "before", Maybe.withDefault Encode.null <| Maybe.map encodeValue before )
+        , ( "after", Maybe.withDefault Encode.null <| Maybe.map encodeValue after )
+        ]
+
+
+encodeHistoryCommand : HistoryCommand -> Value
+encodeHistoryCommand command =
+    let
+        ( commandType, chars ) =
+            case command of
+                AddCharsCommand addedChars ->
+                    ( "AddChars", addedChars )
+
+                DeleteCharsCommand deletedChars ->
+                    ( "DeleteChars", deletedChars )
+
+                UploadSvgCommand char ->
+                    ( "UploadSvg", [ char ] )
+
+                DrawStrokesCommand char ->
+                    ( "DrawStrokes", [ char ] )
+
+                EditComponentsCommand char ->
+                    ( "EditComponents", [ char ] )
+
+                EditNoteCommand char ->
+                    ( "EditNote", [ char ] )
+
+                EditReferenceImageCommand char ->
+                    ( "EditReferenceImage", [ char ] )
+
+                EditTagsCommand char ->
+                    ( "EditTags", [ char ] )
+
+                RenameCharCommand oldChar newChar ->
+                    ( "RenameChar", [ oldChar, newChar ] )
+
+                RestoreFromBackupCommand ->
+                    ( "RestoreFromBackup", [] )
+    in
+    Encode.object
+        [ ( "type", Encode.string commandType )
+        , ( "chars", Encode.list Encode.string chars )
+        ]
+
+
+encodeSettings : SavedModel -> Value
+encodeSettings =
+    Encode.object << settingsFields
+
+
+-- The preferences are kept at the top level, where older versions saved the stroke width and language
+
+
+settingsFields : SavedModel -> List ( String, Value )
+settingsFields { preferences, presets, charViews } =
+    preferencesFields preferences
+        ++ [ ( "presets", Encode.dict identity encodePreferences presets )
+           , ( "charViews", Encode.dict identity encodeCharFilter charViews )
+           ]
+
+
+encodeModel : Model -> Value
+encodeModel model =
+    let
+        savedModel =
+            savedModelFromModel model
+    in
+    Encode.object <|
+        [ ( "chars", Encode.dict identity encodeMyChar savedModel.chars )
+        , ( "charExplainations", Encode.dict identity encodeExplaination savedModel.charExplainations )
+        ]
+            ++ settingsFields savedModel
+
+
+encodePreferences : Preferences -> Value
+encodePreferences =
+    Encode.object << preferencesFields
+
+
+preferencesFields : Preferences -> List ( String, Value )
+preferencesFields preferences =
+    [ ( "language", encodeLanguage preferences.language )
+    , ( "strokeWidth", Encode.float preferences.strokeWidth )
+    , ( "borderUnits", Encode.float preferences.borderUnits )
+    , ( "boxUnits", Encode.int preferences.boxUnits )
+    , ( "gridUnits", Encode.int preferences.gridUnits )
+    , ( "componentSize", Encode.float preferences.componentSize )
+    , ( "isSnapToGrid", Encode.bool preferences.isSnapToGrid )
+    , ( "isAspectRatioLocked", Encode.bool preferences.isAspectRatioLocked )
+    , ( "isReferenceCharShown", Encode.bool preferences.isReferenceCharShown )
+    , ( "isConvertingFillsToStrokes", Encode.bool preferences.isConvertingFillsToStrokes )
+    , ( "previewParagraph", Encode.string preferences.previewParagraph )
+    , ( "previewOrientation", encodeTextOrientation preferences.previewOrientation )
+    , ( "previewFontSize", Encode.int preferences.previewFontSize )
+    , ( "previewLineHeight", Encode.float preferences.previewLineHeight )
+    , ( "previewLetterSpacing", Encode.float preferences.previewLetterSpacing )
+    , ( "isPreviewBoxShown", Encode.bool preferences.isPreviewBoxShown )
+    , ( "isPreviewFallbackShown", Encode.bool preferences.isPreviewFallbackShown )
+    , ( "maxSnapshots", Encode.int preferences.maxSnapshots )
+    ]
+
+
+encodePreferencesFile : Model -> Value
+encodePreferencesFile model =
+    Encode.object
+        [ ( "preferences", encodePreferences <| preferencesFromModel model )
+        , ( "presets", Encode.dict identity encodePreferences model.presets )
+        ]
+
+
+encodeTextOrientation : TextOrientation -> Value
+encodeTextOrientation orientation =
+    Encode.string <|
+        case orientation of
+            Horizontal ->
+                "Horizontal"
+
+            Vertical ->
+                "Vertical"
+
+
+encodeCharFilter : CharFilter -> Value
+encodeCharFilter charFilter =
+    Encode.object <|
+        [ ( "query", Encode.string charFilter.query )
+        , ( "sortOrder", encodeCharSortOrder charFilter.sortOrder )
+        ]
+            ++ List.filterMap identity
+                [ Maybe.map (Tuple.pair "charType" << encodeMyCharType) charFilter.charType
+                , Maybe.map (Tuple.pair "script" << encodeScript) charFilter.script
+                , Maybe.map (Tuple.pair "period" << encodePeriod) charFilter.period
+                , Maybe.map (Tuple.pair "stage" << encodeStage) charFilter.stage
+                , Maybe.map (Tuple.pair "hasReferenceImage" << Encode.bool) charFilter.hasReferenceImage
+                , Maybe.map (Tuple.pair "tag" << Encode.string) charFilter.tag
+                ]
+
+
+encodeCharSortOrder : CharSortOrder -> Value
+encodeCharSortOrder sortOrder =
+    Encode.string <|
+        case sortOrder of
+            SortByCodePoint ->
+                "CodePoint"
+
+            SortByRadical ->
+                "Radical"
+
+            SortByModified ->
+                "Modified"
+
+
+encodeExplaination : Explaination -> Value
+encodeExplaination { note, referenceImages, tags, modified } =
+    Encode.object <|
+        ( "note", Encode.string note )
+            :: ( "referenceImages", Encode.list encodeReferenceImage referenceImages )
+            :: ( "tags", Encode.list Encode.string tags )
+            :: (case modified of
+                    Just time ->
+                        [ ( "modified", Encode.int <| Time.posixToMillis time ) ]
+
+                    Nothing ->
+                        []
+               )
+
+
+encodeReferenceImage : ReferenceImage -> Value
+encodeReferenceImage { image, caption, citation, origin, time, script, url } =
+    Encode.object <|
+        [ ( "image", Encode.string image )
+        , ( "caption", Encode.string caption )
+        , ( "citation", Encode.string citation )
+        , ( "origin", Encode.string origin )
+        ]
+            ++ (case time of
+                    Just { period, stage } ->
+                        [ ( "time"
+                          , Encode.object
+                                (( "period", encodePeriod period )
+                                    :: (case stage of
+                                            Just s ->
+                                                [ ( "stage", encodeStage s ) ]
+
+                                            Nothing ->
+                                                []
+                                       )
+                                )
+                          )
+                        ]
+
+                    Nothing ->
+                        []
+               )
+            ++ [ ( "script", encodeScript script )
+               , ( "url", Encode.string url )
+               ]
+
+
+encodeLanguage : Language -> Value
+encodeLanguage =
+    Encode.string
+
+
+encodeChar : Grapheme -> Value
+encodeChar =
+    Encode.string
+
+
+encodePeriod : Period -> Value
+encodePeriod period =
+    Encode.string <|
+        case period of
+            Shang ->
+                "Shang"
+
+            WesternZhou ->
+                "WesternZhou"
+
+            SpringAndAutumn ->
+                "SpringAndAutumn"
+
+            WarringStates ->
+                "WarringStates"
+
+
+encodeStage : Stage -> Value
+encodeStage stage =
+    Encode.string <|
+        case stage of
+            Early ->
+                "Early"
+
+            Middle ->
+                "Middle"
+
+            Late ->
+                "Late"
+
+
+encodeScript : Script -> Value
+encodeScript script =
+    Encode.string <|
+        case script of
+            Oracle ->
+                "Oracle"
+
+            Bronze ->
+                "Bronze"
+
+            Seal ->
+                "Seal"
+
+
+encodeMyChar : MyChar -> Value
+encodeMyChar myChar =
+    case myChar of
+        SimpleChar ref ->
+            Encode.object
+                [ ( "type", Encode.string "SimpleChar" )
+                , ( "reference", encodeMyCharRef ref )
+                ]
+
+        CompoundChar ref components ->
+            Encode.object
+                [ ( "type", Encode.string "CompoundChar" )
+                , ( "reference", encodeMyCharRef ref )
+                , ( "components", Encode.list encodeMyCharRef components )
+                ]
+
+
+encodeMyCharRef : MyCharRef -> Value
+encodeMyCharRef { char, dimension, position, mirror } =
+    Encode.object <|
+        [ ( "char", encodeChar char )
+        , ( "dimension", encodeVec2 dimension )
+        , ( "position", encodeVec2 position )
+        ]
+            ++ (if mirror /= emptyMirror then
+                    [ ( "mirror", encodeMirror mirror ) ]
+
+                else
+                    []
+               )
+
+
+encodeMirror : Mirror -> Value
+encodeMirror mirror =
+    Encode.object
+        [ ( "x", Encode.bool mirror.x )
+        , ( "y", Encode.bool mirror.y )
+        ]
+
+
+encodeVec2 : Vec2 -> Value
+encodeVec2 vec =
+    Encode.object
+        [ ( "x", Encode.float <| Vector2.getX vec )
+        , ( "y", Encode.float <| Vector2.getY vec )
+        ]
+
+
+encodeMyCharType : MyCharType -> Value
+encodeMyCharType myCharType =
+    Encode.string <|
+        case myCharType of
+            SimpleCharType ->
+                "SimpleChar"
+
+            CompoundCharType ->
+                "CompoundChar"
+
+
+encodeExportOptions : Float -> ExportOptions -> Value
+encodeExportOptions strokeWidth { sizes, padding, backgroundColor, isBackgroundTransparent, format } =
+    Encode.object
+        [ ( "sizes", Encode.list Encode.int sizes )
+        , ( "strokeWidth", Encode.float strokeWidth )
+        , ( "padding", Encode.int padding )
+        , ( "background"
+          , if isBackgroundTransparent then
+                Encode.null
+
+            else
+                Encode.string backgroundColor
+          )
+        , ( "format"
+          , Encode.string <|
+                case format of
+                    ExportPng ->
+                        "png"
+
+                    ExportWebp ->
+                        "webp"
+
+                    ExportJpeg ->
+                        "jpeg"
+
+                    ExportSvg ->
+                        "svg"
+          )
+        ]
+
+
+encodePlacement : Placement -> Value
+encodePlacement { char, x, y, width, height } =
+    Encode.object
+        [ ( "char", encodeChar char )
+        , ( "x", Encode.float x )
+        , ( "y", Encode.float y )
+        , ( "width", Encode.float width )
+        , ( "height", Encode.float height )
+        ]
+
+
+gotModel : Value -> Model -> ( Model, Cmd Msg )
+gotModel savedModelJson model =
+    case Decode.decodeValue (Decode.nullable <| decodeSavedModel <| preferencesFromModel model) savedModelJson of
+        Ok (Just ({ chars, charExplainations, preferences, presets, charViews } as savedModel)) ->
+            applyPreferences preferences <|
+                rebaseHistory
+                    { model
+                        | chars =
+                            chars
+                        , charExplainations =
+                            charExplainations
+                        , presets =
+                            presets
+                        , charViews =
+                            charViews
+                        , lastSavedModel =
+                            Just savedModel
+                    }
+
+        -- a new library starts with the default settings
+        Ok Nothing ->
+            let
+                savedModel =
+                    savedModelFromModel model
+            in
+            ( { model
+                | lastSavedModel =
+                    Just savedModel
+              }
+            , saveChangesPort <| Encode.object [ ( "settings", encodeSettings savedModel ) ]
+            )
+
+        Err error ->
+            ( { model
+                | loadProblem =
+                    Just <| unexpectedProblem <| Decode.errorToString error
+              }
+            , Cmd.none
+            )
+
+
+
+-- index.js sends the problem when it cannot read the library at all
+
+
+gotLoadProblem : Value -> Model -> ( Model, Cmd Msg )
+gotLoadProblem problemJson model =
+    ( { model
+        | loadProblem =
+            Just <|
+                Result.withDefault (unexpectedProblem "") <|
+                    Decode.decodeValue decodeProblem problemJson
+      }
+    , Cmd.none
+    )
+
+
+gotUpdateAvailable : Model -> ( Model, Cmd Msg )
+gotUpdateAvailable model =
+    ( { model
+        | isUpdateAvailable =
+            True
+      }
+    , Cmd.none
+    )
+
+
+reloadToUpdate : Model -> ( Model, Cmd Msg )
+reloadToUpdate model =
+    let
+        ( newModel, saveCmd ) =
+            saveModel model
+    in
+    ( newModel
+    , Cmd.batch
+        [ saveCmd
+        , reloadToUpdatePort ()
+        ]
+    )
+
+
+gotStorageUsage : Value -> Model -> ( Model, Cmd Msg )
+gotStorageUsage usageJson model =
+    case
+        Decode.decodeValue
+            (Decode.map2 StorageUsage
+                (Decode.field "usage" Decode.float)
+                (Decode.field "quota" Decode.float)
+            )
+            usageJson
+    of
+        Ok usage ->
+            ( { model
+                | storageUsage =
+                    Just usage
+              }
+            , Cmd.none
+            )
+
+        Err _ ->
+            ( model, Cmd.none )
+
+
+decodeSavedModel : Preferences -> Decoder SavedModel
+decodeSavedModel defaultPreferences =
+    Decode.map5 SavedModel
+        (Decode.field "chars" <| Decode.dict decodeMyChar)
+        (Decode.field "charExplainations" <| Decode.dict decodeExplaination)
+        (decodePreferences defaultPreferences)
+        (decodePresets defaultPreferences)
+        decodeCharViews
+
+
+-- Every preference falls back to its default, as older versions only saved some of them
+
+
+decodePreferences : Preferences -> Decoder Preferences
+decodePreferences defaults =
+    let
+        fieldOr name decoder default =
+            Decode.map (Maybe.withDefault default) <| Decode.maybe <| Decode.field name decoder
+    in
+    Decode.succeed Preferences
+        |> andMap (fieldOr "language" decodeLanguage defaults.language)
+        |> andMap (fieldOr "strokeWidth" Decode.float defaults.strokeWidth)
+        |> andMap (fieldOr "borderUnits" Decode.float defaults.borderUnits)
+        |> andMap (fieldOr "boxUnits" Decode.int defaults.boxUnits)
+        |> andMap (fieldOr "gridUnits" Decode.int defaults.gridUnits)
+        |> andMap (fieldOr "componentSize" Decode.float defaults.componentSize)
+        |> andMap (fieldOr "isSnapToGrid" Decode.bool defaults.isSnapToGrid)
+        |> andMap (fieldOr "isAspectRatioLocked" Decode.bool defaults.isAspectRatioLocked)
+        |> andMap (fieldOr "isReferenceCharShown" Decode.bool defaults.isReferenceCharShown)
+        |> andMap (fieldOr "isConvertingFillsToStrokes" Decode.bool defaults.isConvertingFillsToStrokes)
+        |> andMap (fieldOr "previewParagraph" Decode.string defaults.previewParagraph)
+        |> andMap (fieldOr "previewOrientation" decodeTextOrientation defaults.previewOrientation)
+        |> andMap (fieldOr "previewFontSize" Decode.int defaults.previewFontSize)
+        |> andMap (fieldOr "previewLineHeight" Decode.float defaults.previewLineHeight)
+        |> andMap (fieldOr "previewLetterSpacing" Decode.float defaults.previewLetterSpacing)
+        |> andMap (fieldOr "isPreviewBoxShown" Decode.bool defaults.isPreviewBoxShown)
+        |> andMap (fieldOr "isPreviewFallbackShown" Decode.bool defaults.isPreviewFallbackShown)
+        |> andMap (fieldOr "maxSnapshots" Decode.int defaults.maxSnapshots)
+
+
+decodePresets : Preferences -> Decoder (Dict String Preferences)
+decodePresets defaults =
+    Decode.map (Maybe.withDefault Dict.empty) <|
+        Decode.maybe <|
+            Decode.field "presets" <|
+                Decode.dict (decodePreferences defaults)
+
+
+decodeCharViews : Decoder (Dict String CharFilter)
+decodeCharViews =
+    Decode.map (Maybe.withDefault Dict.empty) <|
+        Decode.maybe <|
+            Decode.field "charViews" <|
+                Decode.dict decodeCharFilter
+
+
+decodeCharFilter : Decoder CharFilter
+decodeCharFilter =
+    Decode.succeed CharFilter
+        |> andMap (Decode.field "query" Decode.string)
+        |> andMap (Decode.maybe <| Decode.field "charType" decodeMyCharType)
+        |> andMap (Decode.maybe <| Decode.field "script" decodeScript)
+        |> andMap (Decode.maybe <| Decode.field "period" decodePeriod)
+        |> andMap (Decode.maybe <| Decode.field "stage" decodeStage)
+        |> andMap (Decode.maybe <| Decode.field "hasReferenceImage" Decode.bool)
+        |> andMap (Decode.maybe <| Decode.field "tag" Decode.string)
+        |> andMap (Decode.field "sortOrder" decodeCharSortOrder)
+
+
+decodeMyCharType : Decoder MyCharType
+decodeMyCharType =
+    Decode.string
+        |> Decode.andThen
+            (\myCharType ->
+                case myCharType of
+                    "SimpleChar" ->
+                        Decode.succeed SimpleCharType
+
+                    "CompoundChar" ->
+                        Decode.succeed CompoundCharType
+
+                    _ ->
+                        Decode.fail <|
+                            "Trying to decode MyCharType, but "
+                                ++ myCharType
+                                ++ " is not supported."
+            )
+
+
+decodeCharSortOrder : Decoder CharSortOrder
+decodeCharSortOrder =
+    Decode.string
+        |> Decode.andThen
+            (\sortOrder ->
+                case sortOrder of
+                    "CodePoint" ->
+                        Decode.succeed SortByCodePoint
+
+                    "Radical" ->
+                        Decode.succeed SortByRadical
+
+                    "Modified" ->
+                        Decode.succeed SortByModified
+
+                    _ ->
+                        Decode.fail <|
+                            "Trying to decode CharSortOrder, but "
+                                ++ sortOrder
+                                ++ " is not supported."
+            )
+
+
+decodeTextOrientation : Decoder TextOrientation
+decodeTextOrientation =
+    Decode.string
+        |> Decode.andThen
+            (\orientation ->
+                case orientation of
+                    "Horizontal" ->
+                        Decode.succeed Horizontal
+
+                    "Vertical" ->
+                        Decode.succeed Vertical
+
+                    _ ->
+                        Decode.fail <|
+                            "Trying to decode TextOrientation, but "
+                                ++ orientation
+                                ++ " is not supported."
+            )
+
+
+andMap : Decoder a -> Decoder (a -> b) -> Decoder b
+andMap =
+    Decode.map2 (|>)
+
+
+decodeSnapshots :
+    Decoder
+        { location : SnapshotLocation
+        , canChooseDirectory : Bool
+        , snapshots : List Snapshot
+        }
+decodeSnapshots =
+    Decode.map3
+        (\location canChooseDirectory snapshots ->
+            { location = location
+            , canChooseDirectory = canChooseDirectory
+            , snapshots = snapshots
+            }
+        )
+        (Decode.field "location" decodeSnapshotLocation)
+        (Decode.field "canChooseDirectory" Decode.bool)
+        (Decode.field "snapshots" <|
+            Decode.list <|
+                Decode.map2 Snapshot
+                    (Decode.field "id" Decode.string)
+                    (Decode.field "label" Decode.string)
+        )
+
+
+decodeSnapshotLocation : Decoder SnapshotLocation
+decodeSnapshotLocation =
+    Decode.field "type" Decode.string
+        |> Decode.andThen
+            (\locationType ->
+                case locationType of
+                    "browser" ->
+                        Decode.succeed BrowserStorage
+
+                    "directory" ->
+                        Decode.map DirectoryStorage (Decode.field "name" Decode.string)
+
+                    _ ->
+                        Decode.fail <|
+                            "Trying to decode SnapshotLocation, but "
+                                ++ locationType
+                                ++ " is not supported."
+            )
+
+
+decodeBackup :
+    Preferences
+    ->
+        Decoder
+            { fileName : String
+            , savedModel : SavedModel
+            , simpleCharSvgs : Dict Grapheme String
+            , changedSvgs : List Grapheme
+            }
+decodeBackup defaultPreferences =
+    Decode.map4
+        (\fileName savedModel simpleCharSvgs changedSvgs ->
+            { fileName = fileName
+            , savedModel = savedModel
+            , simpleCharSvgs = simpleCharSvgs
+            , changedSvgs = changedSvgs
+            }
+        )
+        (Decode.field "fileName" Decode.string)
+        (Decode.at [ "backup", "model" ] <| decodeSavedModel defaultPreferences)
+        (Decode.at [ "backup", "simpleCharSvgs" ] <| Decode.dict Decode.string)
+        (Decode.field "changedSvgs" <| Decode.list Decode.string)
+
+
+decodeHistory : Decoder ( List HistoryEntry, Int )
+decodeHistory =
+    Decode.map2 Tuple.pair
+        (Decode.field "entries" <| Decode.list decodeHistoryEntry)
+        (Decode.field "position" Decode.int)
+
+
+decodeHistoryEntry : Decoder HistoryEntry
+decodeHistoryEntry =
+    Decode.map5 HistoryEntry
+        (Decode.field "id" Decode.int)
+        (Decode.field "command" decodeHistoryCommand)
+        (Decode.field "chars" <| Decode.dict <| decodeChange decodeMyChar)
+        (Decode.field "charExplainations" <| Decode.dict <| decodeChange decodeExplaination)
+        (Decode.field "simpleCharSvgs" <| Decode.dict <| decodeChange Decode.string)
+
+
+decodeChange : Decoder a -> Decoder (Change a)
+decodeChange decodeValue =
+    Decode.map2 Change
+        (Decode.field "before" <| Decode.nullable decodeValue)
+        (Decode.field "after" <| Decode.nullable decodeValue)
+
+
+decodeHistoryCommand : Decoder HistoryCommand
+decodeHistoryCommand =
+    Decode.map2 Tuple.pair
+        (Decode.field "type" Decode.string)
+        (Decode.field "chars" <| Decode.list Decode.string)
+        |> Decode.andThen
+            (\( commandType, chars ) ->
+                let
+                    char =
+                        Maybe.withDefault "" <| List.head chars
+                in
+                case commandType of
+                    "AddChars" ->
+                        Decode.succeed <| AddCharsCommand chars
+
+                    "DeleteChars" ->
+                        Decode.succeed <| DeleteCharsCommand chars
+
+                    "UploadSvg" ->
+                        Decode.succeed <| UploadSvgCommand char
+
+                    "DrawStrokes" ->
+                        Decode.succeed <| DrawStrokesCommand char
+
+                    "EditComponents" ->
+                        Decode.succeed <| EditComponentsCommand char
+
+                    "EditNote" ->
+                        Decode.succeed <| EditNoteCommand char
+
+                    "EditReferenceImage" ->
+                        Decode.succeed <| EditReferenceImageCommand char
+
+                    "EditTags" ->
+                        Decode.succeed <| EditTagsCommand char
+
+                    "RenameChar" ->
+                        case chars of
+                            [ oldChar, newChar ] ->
+                                Decode.succeed <| RenameCharCommand oldChar newChar
+
+                            _ ->
+                                Decode.fail "Trying to decode RenameChar, but it does not have an old and a new character."
+
+                    "RestoreFromBackup" ->
+                        Decode.succeed RestoreFromBackupCommand
+
+                    _ ->
+                        Decode.fail <|
+                            "Trying to decode HistoryCommand, but "
+                                ++ commandType
+                                ++ " is not supported."
+            )
+
+
+
+-- Ctrl+Z or ⌘Z undoes, Ctrl+Shift+Z, ⌘⇧Z or Ctrl+Y redoes. Text fields keep their own undo
+
+
+decodeHistoryShortcut : Decoder Msg
+decodeHistoryShortcut =
+    Decode.map4 historyShortcut
+        (Decode.field "key" Decode.string)
+        (Decode.map2 (||) (Decode.field "ctrlKey" Decode.bool) (Decode.field "metaKey" Decode.bool))
+        (Decode.field "shiftKey" Decode.bool)
+        (Decode.at [ "target", "tagName" ] Decode.string)
+        |> Decode.andThen
+            (Maybe.map Decode.succeed
+                >> Maybe.withDefault (Decode.fail "not a history shortcut")
+            )
+
+
+historyShortcut : String -> Bool -> Bool -> String -> Maybe Msg
+historyShortcut key isCommand isShift tagName =
+    if not isCommand || List.member tagName [ "INPUT", "TEXTAREA" ] then
+        Nothing
+
+    else
+        case String.toLower key of
+            "z" ->
+                Just <|
+                    if isShift then
+                        Redo
+
+                    else
+                        Undo
+
+            "y" ->
+                Just Redo
+
+            _ ->
+                Nothing
+
+
+decodeExplaination : Decoder Explaination
+decodeExplaination =
+    Decode.map4 Explaination
+        (Decode.field "note" Decode.string)
+        (Decode.oneOf
+            [ Decode.field "referenceImages" <| Decode.list decodeReferenceImage
+
+            -- explanations saved before characters could have several reference images
+            , Decode.map (Maybe.withDefault [] << Maybe.map List.singleton) <|
+                Decode.maybe <|
+                    Decode.field "referenceImage" decodeReferenceImage
+            ]
+        )
+        (Decode.map (Maybe.withDefault []) <| Decode.maybe <| Decode.field "tags" <| Decode.list Decode.string)
+        (Decode.maybe <| Decode.field "modified" <| Decode.map Time.millisToPosix Decode.int)
+
+
+decodeReferenceImage : Decoder ReferenceImage
+decodeReferenceImage =
+    let
+        optionalText name =
+            Decode.map (Maybe.withDefault "") <| Decode.maybe <| Decode.field name Decode.string
+    in
+    Decode.succeed ReferenceImage
+        |> andMap (Decode.field "image" Decode.string)
+        |> andMap (optionalText "caption")
+        |> andMap (optionalText "citation")
+        |> andMap (Decode.field "origin" Decode.string)
+        |> andMap
+            (Decode.maybe <|
+                Decode.field "time" <|
+                    Decode.map2
+                        (\period stage ->
+                            { period = period
+                            , stage = stage
+                            }
+                        )
+                        (Decode.field "period" decodePeriod)
+                        (Decode.maybe <| Decode.field "stage" decodeStage)
+            )
+        |> andMap (Decode.field "script" decodeScript)
+        |> andMap (Decode.field "url" Decode.string)
+
+
+decodePeriod : Decoder Period
+decodePeriod =
+    Decode.string
+        |> Decode.andThen
+            (\period ->
+                case period of
+                    "Shang" ->
+                        Decode.succeed Shang
+
+                    "WesternZhou" ->
+                        Decode.succeed WesternZhou
+
+                    "SpringAndAutumn" ->
+                        Decode.succeed SpringAndAutumn
+
+                    "WarringStates" ->
+                        Decode.succeed WarringStates
+
+                    _ ->
+                        Decode.fail <|
+                            "Trying to decode Period, but "
+                                ++ period
+                                ++ " is not supported."
+            )
+
+
+decodeStage : Decoder Stage
+decodeStage =
+    Decode.string
+        |> Decode.andThen
+            (\stage ->
+                case stage of
+                    "Early" ->
+                        Decode.succeed Early
+
+                    "Middle" ->
+                        Decode.succeed Middle
+
+                    "Late" ->
+                        Decode.succeed Late
+
+                    _ ->
+                        Decode.fail <|
+                            "Trying to decode Stage, but "
+                                ++ stage
+                                ++ " is not supported."
+            )
+
+
+decodeScript : Decoder Script
+decodeScript =
+    Decode.string
+        |> Decode.andThen
+            (\script ->
+                case script of
+                    "Oracle" ->
+                        Decode.succeed Oracle
+
+                    "Bronze" ->
+                        Decode.succeed Bronze
+
+                    "Seal" ->
+                        Decode.succeed Seal
+
+                    _ ->
+                        Decode.fail <|
+                            "Trying to decode Script, but "
+                                ++ script
+                                ++ " is not supported."
+            )
+
+
+decodeLanguage : Decoder Language
+decodeLanguage =
+    Decode.string
+
+
+decodeMyChar : Decoder MyChar
+decodeMyChar =
+    Decode.field "type" Decode.string
+        |> Decode.andThen
+            (\myCharType ->
+                case myCharType of
+                    "SimpleChar" ->
+                        Decode.map SimpleChar
+                            (Decode.field "reference" decodeMyCharRef)
+
+                    "CompoundChar" ->
+                        Decode.map2 CompoundChar
+                            (Decode.field "reference" decodeMyCharRef)
+                            (Decode.field "components" (Decode.list decodeMyCharRef))
+
+                    _ ->
+                        Decode.fail <|
+                            "Trying to decode MyChar, but "
+                                ++ myCharType
+                                ++ " is not supported."
+            )
+
+
+decodeMyCharRef : Decoder MyCharRef
+decodeMyCharRef =
+    Decode.map4 MyCharRef
+        (Decode.field "char" Decode.string)
+        (Decode.field "dimension" decodeVec2)
+        (Decode.field "position" decodeVec2)
+        (Decode.map (Maybe.withDefault emptyMirror) <| Decode.maybe <| Decode.field "mirror" decodeMirror)
+
+
+decodeExportProgress : Decoder ExportProgress
+decodeExportProgress =
+    Decode.map5 ExportProgress
+        (Decode.field "done" Decode.int)
+        (Decode.field "total" Decode.int)
+        (Decode.field "failures" (Decode.list decodeExportFailure))
+        (Decode.field "isFinished" Decode.bool)
+        (Decode.field "error" (Decode.nullable decodeProblem))
+
+
+decodeExportFailure : Decoder ExportFailure
+decodeExportFailure =
+    Decode.map2 ExportFailure
+        (Decode.field "char" Decode.string)
+        (Decode.field "reason" decodeProblem)
+
+
+decodeMirror : Decoder Mirror
+decodeMirror =
+    Decode.map2 Mirror
+        (Decode.field "x" Decode.bool)
+        (Decode.field "y" Decode.bool)
+
+
+decodeStrokes : Decoder (List Stroke)
+decodeStrokes =
+    Decode.list <|
+        Decode.map2 Stroke
+            (Decode.field "anchors" <|
+                Decode.list <|
+                    Decode.map3 StrokeAnchor
+                        (Decode.field "point" decodeVec2)
+                        (Decode.field "handleIn" decodeVec2)
+                        (Decode.field "handleOut" decodeVec2)
+            )
+            (Decode.field "closed" Decode.bool)
+
+
+decodeVec2 : Decoder Vec2
+decodeVec2 =
+    Decode.map2 Vector2.vec2
+        (Decode.field "x" Decode.float)
+        (Decode.field "y" Decode.float)
+
+
+dragMsg : Draggable.Msg DragData -> Model -> ( Model, Cmd Msg )
+dragMsg msg model =
+    Draggable.update dragConfig msg model
+
+
+setActiveComponent : Maybe Int -> Model -> ( Model, Cmd Msg )
+setActiveComponent index model =
+    ( { model
+        | activeComponentIndex =
+            index
+      }
+    , Cmd.none
+    )
+
+
+endDragging : Model -> ( Model, Cmd Msg )
+endDragging model =
+    recordComponentEdit <| ( { model
+        | activeComponentIndex =
+            Nothing
+        , dragDelta =
+            Vector2.vec2 0 0
+      }
+    , Cmd.none
+    )
+
+
+startDragging : DragData -> Model -> ( Model, Cmd Msg )
+startDragging { index, scale } ({ isSnapToGrid, gridUnits } as model) =
+    ( updateActiveComponent
+        (if isSnapToGrid then
+            updateMyCharRefDimension (snapToGrid gridUnits)
+                << updateMyCharRefPosition (snapToGrid gridUnits)
+
+         else
+            identity
+        )
+        { model
+            | activeComponentIndex =
+                Just index
+            , activeScale =
+                scale
+            , dragDelta =
+                Vector2.vec2 0 0
+        }
+    , Cmd.none
+    )
+
+
+type OffsetType
+    = DimensionOffset
+    | PositionOffset
+
+
+onDragBy : Vec2 -> Model -> ( Model, Cmd Msg )
+onDragBy delta ({ dragDelta, isSnapToGrid, boxUnits, gridUnits, unitSize } as model) =
+    let
+        factor =
+            100 / (toFloat boxUnits * unitSize)
+
+        gridCellSize =
+            toFloat boxUnits * unitSize / toFloat gridUnits
+    in
+    ( if isSnapToGrid then
+        let
+            oldDeltaX =
+                Vector2.getX dragDelta
+
+            oldDeltaY =
+                Vector2.getY dragDelta
+
+            deltaX =
+                Vector2.getX delta
+
+            deltaY =
+                Vector2.getY delta
+
+            newDeltaX =
+                if sign oldDeltaX /= 0 && sign deltaX /= 0 && sign oldDeltaX /= sign deltaX then
+                    deltaX
+
+                else
+                    oldDeltaX + deltaX
+
+            newDeltaY =
+                if sign oldDeltaY /= 0 && sign deltaY /= 0 && sign oldDeltaY /= sign deltaY then
+                    deltaY
+
+                else
+                    oldDeltaY + deltaY
+        in
+        if abs newDeltaX >= gridCellSize || abs newDeltaY >= gridCellSize then
+            updateOnDrag factor
+                (Vector2.vec2 (roundToUnitSize gridCellSize newDeltaX) (roundToUnitSize gridCellSize newDeltaY))
+                { model
+                    | dragDelta =
+                        Vector2.vec2 0 0
+                }
+
+        else
+            { model
+                | dragDelta =
+                    Vector2.vec2 newDeltaX newDeltaY
+            }
+
+      else
+        updateOnDrag factor delta model
+    , Cmd.none
+    )
+
+
+roundToUnitSize : Float -> Float -> Float
+roundToUnitSize unitSize n =
+    unitSize * (toFloat <| round (n / unitSize))
+
+
+updateOnDrag : Float -> Vec2 -> Model -> Model
+updateOnDrag factor delta ({ activeScale, isAspectRatioLocked } as model) =
+    updateActiveComponent
+        (\char ->
+            let
+                offsetDimension xDir yDir =
+                    offsetDrag DimensionOffset isAspectRatioLocked char.dimension factor xDir yDir delta
+
+                offsetPosition xDir yDir =
+                    offsetDrag PositionOffset isAspectRatioLocked char.dimension factor xDir yDir delta
+            in
+            (case activeScale of
+                NoScale ->
+                    updateMyCharRefPosition
+                        (Vector2.add <| Vector2.scale factor delta)
+
+                ScaleTopLeft ->
+                    updateMyCharRefDimension (Vector2.add (offsetDimension -1 -1))
+                        << updateMyCharRefPosition (Vector2.add (offsetPosition 1 1))
+
+                ScaleTopRight ->
+                    updateMyCharRefDimension (Vector2.add (offsetDimension 1 -1))
+                        << updateMyCharRefPosition (Vector2.add (offsetPosition 0 1))
+
+                ScaleBottomLeft ->
+                    updateMyCharRefDimension (Vector2.add (offsetDimension -1 1))
+                        << updateMyCharRefPosition (Vector2.add (offsetPosition 1 0))
+
+                ScaleBottomRight ->
+                    updateMyCharRefDimension (Vector2.add (offsetDimension 1 1))
+                        << updateMyCharRefPosition (Vector2.add (offsetPosition 0 0))
+
+                ScaleLeft ->
+                    updateMyCharRefDimension (Vector2.add (offsetDimension -1 0))
+                        << updateMyCharRefPosition (Vector2.add (offsetPosition 1 1))
+
+                ScaleRight ->
+                    updateMyCharRefDimension (Vector2.add (offsetDimension 1 0))
+                        << updateMyCharRefPosition (Vector2.add (offsetPosition 0 0))
+
+                ScaleTop ->
+                    updateMyCharRefDimension (Vector2.add (offsetDimension 0 -1))
+                        << updateMyCharRefPosition (Vector2.add (offsetPosition 0 1))
+
+                ScaleBottom ->
+                    updateMyCharRefDimension (Vector2.add (offsetDimension 0 1))
+                        << updateMyCharRefPosition (Vector2.add (offsetPosition 0 0))
+            )
+                char
+        )
+        model
+
+
+updateActiveComponent : (MyCharRef -> MyCharRef) -> Model -> Model
+updateActiveComponent func ({ activeComponentIndex } as model) =
+    case model.selectedChar of
+        Just selectedChar ->
+            { model
+                | chars =
+                    Dict.update
+                        selectedChar
+                        (Maybe.map
+                            (\myChar ->
+                                case myChar of
+                                    SimpleChar ref ->
+                                        SimpleChar (func ref)
+
+                                    CompoundChar _ _ ->
+                                        (updateMyCharComponents <|
+                                            List.Extra.updateAt
+                                                -- impossible
+                                                (Maybe.withDefault -1 activeComponentIndex)
+                                                func
+                                        )
+                                            myChar
+                            )
+                        )
+                        model.chars
+            }
+
+        Nothing ->
+            model
+
+
+offsetDrag : OffsetType -> Bool -> Vec2 -> Float -> Float -> Float -> Vec2 -> Vec2
+offsetDrag offsetType isAspectRatioLocked dimension factor xDir yDir delta =
+    let
+        deltaX =
+            Vector2.getX delta
+
+        deltaY =
+            Vector2.getY delta
+    in
+    Vector2.scale factor <|
+        if isAspectRatioLocked then
+            let
+                averagedDelta =
+                    (abs deltaX + abs deltaY) / 2
+
+                ratioOfXOverY =
+                    Vector2.getX dimension / Vector2.getY dimension
+
+                averagedDeltaX =
+                    sign deltaX * averagedDelta * ratioOfXOverY
+
+                averagedDeltaY =
+                    sign
+                        (case offsetType of
+                            DimensionOffset ->
+                                deltaX
+
+                            PositionOffset ->
+                                deltaY
+                        )
+                        * averagedDelta
+            in
+            Vector2.vec2 (xDir * averagedDeltaX)
+                ((case offsetType of
+                    DimensionOffset ->
+                        xDir
+
+                    PositionOffset ->
+                        yDir
+                 )
+                    * averagedDeltaY
+                )
+
+        else
+            Vector2.vec2 (xDir * deltaX) (yDir * deltaY)
+
+
+sign : number -> number
+sign n =
+    if n < 0 then
+        -1
+
+    else if n > 0 then
+        1
+
+    else
+        0
+
+
+snapToGrid : Int -> Vec2 -> Vec2
+snapToGrid gridUnits position =
+    let
+        unitPercent =
+            100 / toFloat gridUnits
+
+        roundToGrid pos =
+            if pos < unitPercent then
+                pos
+
+            else
+                (*) unitPercent <| toFloat <| round <| pos / unitPercent
+    in
+    Vector2.vec2
+        (roundToGrid <| Vector2.getX position)
+        (roundToGrid <| Vector2.getY position)
+
+
+addComponentToMyChar : Float -> Dict Grapheme MyChar -> Grapheme -> MyChar -> MyChar
+addComponentToMyChar componentSize chars componentChar myChar =
+    case myChar of
+        -- impossible
+        SimpleChar _ ->
+            myChar
+
+        CompoundChar compoundChar components ->
+            -- Prevent infinite recursive self-reference
+            if componentChar == compoundChar.char then
+                myChar
+
+            else
+                let
+                    dimension =
+                        case Dict.get componentChar chars of
+                            Just component ->
+                                Vector2.scale (componentSize / 100) <| .dimension (calculateMyCharDimension component)
+
+                            -- impossible
+                            Nothing ->
+                                Vector2.vec2 componentSize componentSize
+
+                    position =
+                        calculateCenterPosition dimension
+
+                    newComponent =
+                        { char = componentChar
+                        , dimension = dimension
+                        , position = position
+                        , mirror = emptyMirror
+                        }
+                in
+                CompoundChar
+                    compoundChar
+                    (components ++ [ newComponent ])
+
+
+calculateCenterPosition : Vec2 -> Vec2
+calculateCenterPosition dimension =
+    Vector2.scale 0.5 <|
+        Vector2.sub (Vector2.vec2 100 100) dimension
+
+
+calculateMyCharDimension : MyChar -> { position : Vec2, dimension : Vec2 }
+calculateMyCharDimension myChar =
+    case myChar of
+        SimpleChar { dimension } ->
+            { position = Vector2.vec2 0 0
+            , dimension = dimension
+            }
+
+        CompoundChar _ components ->
+            (\{ minX, minY, maxX, maxY } ->
+                { position =
+                    Vector2.vec2 minX minY
+                , dimension =
+                    Vector2.vec2 (maxX - minX) (maxY - minY)
+                }
+            )
+            <|
+                List.foldl
+                    (\current extreme ->
+                        { minX =
+                            min current.minX extreme.minX
+                        , minY =
+                            min current.minY extreme.minY
+                        , maxX =
+                            max current.maxX extreme.maxX
+                        , maxY =
+                            max current.maxY extreme.maxY
+                        }
+                    )
+                    { minX = 100
+                    , minY = 100
+                    , maxX = 0
+                    , maxY = 0
+                    }
+                <|
+                    List.map
+                        (\{ position, dimension } ->
+                            let
+                                topLeftPoint =
+                                    position
+
+                                bottomRightPoint =
+                                    Vector2.add position dimension
+                            in
+                            { minX = Vector2.getX topLeftPoint
+                            , minY = Vector2.getY topLeftPoint
+                            , maxX = Vector2.getX bottomRightPoint
+                            , maxY = Vector2.getY bottomRightPoint
+                            }
+                        )
+                        components
+
+
+flattenMyChar : Dict Grapheme MyChar -> MyChar -> List Placement
+flattenMyChar chars myChar =
+    flattenMyCharHelper
+        chars
+        []
+        { char = charFromMyChar myChar
+        , x = 0
+        , y = 0
+        , width = 100
+        , height = 100
+        }
+        { position = Vector2.vec2 0 0, dimension = Vector2.vec2 100 100 }
+        emptyMirror
+        0
+        myChar
+
+
+
+-- Resolves the nested components the same way renderCharHelper lays them out, skipping components that contain their ancestors
+
+
+flattenMyCharHelper : Dict Grapheme MyChar -> List Grapheme -> Placement -> { position : Vec2, dimension : Vec2 } -> Mirror -> Int -> MyChar -> List Placement
+flattenMyCharHelper chars ancestors parent tightDimension mirror level myChar =
+    let
+        { position, dimension } =
+            myCharRefFromMyChar myChar
+
+        xFactor =
+            parent.width / Vector2.getX tightDimension.dimension
+
+        yFactor =
+            parent.height / Vector2.getY tightDimension.dimension
+
+        x =
+            parent.x + xFactor * (Vector2.getX position - Vector2.getX tightDimension.position)
+
+        y =
+            parent.y + yFactor * (Vector2.getY position - Vector2.getY tightDimension.position)
+
+        width =
+            xFactor * Vector2.getX dimension
+
+        height =
+            yFactor * Vector2.getY dimension
+
+        box =
+            { char = charFromMyChar myChar
+            , x =
+                if mirror.x then
+                    x + width
+
+                else
+                    x
+            , y =
+                if mirror.y then
+                    y + height
+
+                else
+                    y
+            , width =
+                if mirror.x then
+                    -width
+
+                else
+                    width
+            , height =
+                if mirror.y then
+                    -height
+
+                else
+                    height
+            }
+    in
+    case myChar of
+        SimpleChar _ ->
+            [ box ]
+
+        CompoundChar _ components ->
+            List.concatMap
+                (\componentRef ->
+                    if List.member componentRef.char (box.char :: ancestors) then
+                        []
+
+                    else
+                        flattenMyCharHelper
+                            chars
+                            (box.char :: ancestors)
+                            box
+                            (if level >= 1 then
+                                calculateMyCharDimension myChar
+
+                             else
+                                { position = Vector2.vec2 0 0, dimension = Vector2.vec2 100 100 }
+                            )
+                            componentRef.mirror
+                            (level + 1)
+                            (myCharFromMyCharRef chars componentRef)
+                )
+                components
+
+
+closePopUp : Model -> ( Model, Cmd Msg )
+closePopUp model =
+    ( { model
+        | popUp = NoPopUp
+      }
+    , Cmd.none
+    )
+
+
+hideInputError : Model -> ( Model, Cmd Msg )
+hideInputError model =
+    ( { model
+        | inputError =
+            Nothing
+      }
+    , Cmd.none
+    )
+
+
+showInputError : InputError -> Model -> ( Model, Cmd Msg )
+showInputError error model =
+    ( { model
+        | inputError =
+            Just error
+      }
+    , Cmd.none
+    )
+
+
+addPendingCompoundChar : Model -> ( Model, Cmd Msg )
+addPendingCompoundChar model =
+    let
+        newChar =
+            model.newCompoundChar
+
+        newCompoundChar =
+            CompoundChar
+                { char = newChar
+                , dimension = Vector2.vec2 100 100
+                , position = Vector2.vec2 0 0
+                , mirror = emptyMirror
+                }
+                []
+    in
+    recordHistory (AddCharsCommand [ newChar ])
+        ( { model
+            | chars =
+                Dict.insert newChar newCompoundChar model.chars
+            , charExplainations =
+                Dict.insert newChar emptyExplaination model.charExplainations
+            , selectedChar =
+                Just <| charFromMyChar newCompoundChar
+            , popUp =
+                NoPopUp
+          }
+        , Cmd.none
+        )
+
+
+updatePendingCompoundChar : String -> Model -> ( Model, Cmd Msg )
+updatePendingCompoundChar charInput model =
+    ( { model
+        | newCompoundChar =
+            charInput
+      }
+    , Cmd.none
+    )
+
+
+selectChar : Grapheme -> Model -> ( Model, Cmd Msg )
+selectChar char model =
+    ( { model
+        | selectedChar =
+            Just char
+        , activeComponentIndex =
+            Nothing
+        , onionSkin =
+            Nothing
+      }
+    , Cmd.none
+    )
+
+
+gotSavedSimpleChars : Value -> Model -> ( Model, Cmd Msg )
+gotSavedSimpleChars savedJson model =
+    ( case
+        Decode.decodeValue
+            (Decode.map3 (\svgs svgTexts isReplace -> ( svgs, svgTexts, isReplace ))
+                (Decode.field "simpleCharSvgs" decodeSimpleCharSvgs)
+                (Decode.field "simpleCharSvgs" <| Decode.dict Decode.string)
+                (Decode.field "isReplace" Decode.bool)
+            )
+            savedJson
+      of
+        Ok ( svgs, svgTexts, isReplace ) ->
+            -- a replaced library keeps none of the svgs it had before
+            if isReplace then
+                rebaseHistory
+                    { model
+                        | simpleCharSvgs =
+                            svgs
+                        , simpleCharSvgTexts =
+                            svgTexts
+                    }
+
+            else
+                rebaseHistory
+                    { model
+                        | simpleCharSvgs =
+                            Dict.union svgs model.simpleCharSvgs
+                        , simpleCharSvgTexts =
+                            Dict.union svgTexts model.simpleCharSvgTexts
+                    }
+
+        _ ->
+            model
+    , Cmd.none
+    )
+
+
+gotNewSimpleChars : Value -> Model -> ( Model, Cmd Msg )
+gotNewSimpleChars svgsJson model =
+    case ( Decode.decodeValue decodeSimpleCharSvgs svgsJson, Decode.decodeValue (Decode.dict Decode.string) svgsJson ) of
+        ( Ok svgs, Ok svgTexts ) ->
+            recordHistory (AddCharsCommand <| Dict.keys svgs)
+                ( { model
+                    | chars =
+                        Dict.foldl
+                            (\char ( _, maybeDimension ) ->
+                                let
+                                    fullDimension =
+                                        Vector2.vec2 100 100
+
+                                    dimension =
+                                        case maybeDimension of
+                                            Just d ->
+                                                let
+                                                    width =
+                                                        Vector2.getX d
+
+                                                    height =
+                                                        Vector2.getY d
+
+                                                    f =
+                                                        lerp 0 (max width height) 0 100
+                                                in
+                                                Vector2.vec2 (f width) (f height)
+
+                                            Nothing ->
+                                                fullDimension
+
+                                    position =
+                                        calculateCenterPosition dimension
+                                in
+                                Dict.insert
+                                    char
+                                    (SimpleChar
+                                        { char = char
+                                        , dimension = dimension
+                                        , position = position
+                                        , mirror = emptyMirror
+                                        }
+                                    )
+                            )
+                            model.chars
+                            svgs
+                    , simpleCharSvgs =
+                        Dict.merge
+                            (\key a -> Dict.insert key a)
+                            (\key a _ -> Dict.insert key a)
+                            (\key b -> Dict.insert key b)
+                            svgs
+                            model.simpleCharSvgs
+                            Dict.empty
+                    , simpleCharSvgTexts =
+                        Dict.union svgTexts model.simpleCharSvgTexts
+                  }
+                , Cmd.none
+                )
+
+        _ ->
+            ( model, Cmd.none )
+
+
+updateFontGlyphSelection : String -> Model -> ( Model, Cmd Msg )
+updateFontGlyphSelection selection model =
+    ( { model
+        | fontGlyphSelection =
+            selection
+      }
+    , Cmd.none
+    )
+
+
+gotSimpleCharsToImport : Value -> Model -> ( Model, Cmd Msg )
+gotSimpleCharsToImport importJson model =
+    case Decode.decodeValue decodePendingSimpleChars importJson of
+        Ok pendingSimpleChars ->
+            ( { model
+                | pendingSimpleChars =
+                    Just pendingSimpleChars
+                , popUp =
+                    ImportSimpleCharsPopUp
+              }
+            , Cmd.none
+            )
+
+        Err _ ->
+            ( model, Cmd.none )
+
+
+decodePendingSimpleChars : Decoder PendingSimpleChars
+decodePendingSimpleChars =
+    Decode.map3 PendingSimpleChars
+        (Decode.field "source" Decode.string)
+        (Decode.field "chars" <|
+            Decode.list <|
+                Decode.map4 SimpleCharToImport
+                    (Decode.field "char" Decode.string)
+                    (Decode.field "svg" Decode.string)
+                    (Decode.field "preview" Decode.string)
+                    (Decode.field "warnings" <| Decode.list decodeProblem)
+        )
+        (Decode.field "skipped" <| Decode.list decodeSkippedImport)
+
+
+decodeSkippedImport : Decoder SkippedImport
+decodeSkippedImport =
+    Decode.map2 SkippedImport
+        (Decode.field "name" Decode.string)
+        (Decode.field "reason" decodeProblem)
+
+
+decodeProblem : Decoder Problem
+decodeProblem =
+    Decode.map2 Problem
+        (Decode.field "code" Decode.string)
+        (Decode.field "args" <| Decode.dict Decode.string)
+
+
+unexpectedProblem : String -> Problem
+unexpectedProblem message =
+    { code = "unexpected"
+    , args = Dict.singleton "message" message
+    }
+
+
+toggleIsReplacingSimpleChars : Model -> ( Model, Cmd Msg )
+toggleIsReplacingSimpleChars model =
+    ( { model
+        | isReplacingSimpleChars =
+            not model.isReplacingSimpleChars
+      }
+    , Cmd.none
+    )
+
+
+toggleIsConvertingFillsToStrokes : Model -> ( Model, Cmd Msg )
+toggleIsConvertingFillsToStrokes model =
+    ( { model
+        | isConvertingFillsToStrokes =
+            not model.isConvertingFillsToStrokes
+      }
+    , Cmd.none
+    )
+
+
+requestImportIds : Model -> ( Model, Cmd Msg )
+requestImportIds model =
+    ( { model
+        | popUp =
+            ImportIdsPopUp
+      }
+    , Cmd.none
+    )
+
+
+updateIdsText : String -> Model -> ( Model, Cmd Msg )
+updateIdsText text model =
+    ( { model
+        | idsText =
+            text
+      }
+    , Cmd.none
+    )
+
+
+chooseIdsFile : Model -> ( Model, Cmd Msg )
+chooseIdsFile model =
+    ( model
+    , File.Select.file [ "text/plain", ".txt" ] SelectedIdsFile
+    )
+
+
+selectedIdsFile : File -> Model -> ( Model, Cmd Msg )
+selectedIdsFile file model =
+    ( model
+    , Task.perform LoadedIdsFile (File.toString file)
+    )
+
+
+
+-- The loaded IDS file stays in memory until the page is closed
+
+
+loadedIdsFile : String -> Model -> ( Model, Cmd Msg )
+loadedIdsFile text model =
+    ( { model
+        | idsData =
+            List.foldr
+                (\( char, ids ) data ->
+                    case ids of
+                        Just sequence ->
+                            Dict.insert char sequence data
+
+                        Nothing ->
+                            data
+                )
+                Dict.empty
+                (parseIdsLines text)
+      }
+    , Cmd.none
+    )
+
+
+importIds : Model -> ( Model, Cmd Msg )
+importIds model =
+    let
+        newChars =
+            List.filterMap
+                (\{ char, result } ->
+                    Result.toMaybe <| Result.map (myCharFromPlacements char) result
+                )
+                (idsImports model)
+
+        addedChars =
+            List.map charFromMyChar newChars
+    in
+    recordHistory (AddCharsCommand addedChars)
+        ( { model
+            | chars =
+                List.foldl
+                    (\myChar -> Dict.insert (charFromMyChar myChar) myChar)
+                    model.chars
+                    newChars
+            , charExplainations =
+                List.foldl
+                    (\char -> Dict.insert char emptyExplaination)
+                    model.charExplainations
+                    addedChars
+            , idsText =
+                ""
+            , popUp =
+                NoPopUp
+          }
+        , Cmd.none
+        )
+
+
+
+-- Reads lines like `林 ⿰木木`, and the `U+6797	林	⿰木木[GTV]` lines of the CHISE and cjkvi IDS files,
+-- keeping the first sequence of each line. Characters on a line without a sequence are to be looked up in the IDS file
+
+
+parseIdsLines : String -> List ( Grapheme, Maybe String )
+parseIdsLines text =
+    List.concatMap
+        (\line ->
+            let
+                fields =
+                    List.filter
+                        (\field -> not (String.startsWith "U+" field || String.startsWith "U-" field))
+                        (String.words line)
+            in
+            if String.startsWith "#" (String.trim line) || String.startsWith ";" (String.trim line) then
+                []
+
+            else
+                case fields of
+                    char :: ids :: _ ->
+                        if String.Graphemes.length char == 1 && startsWithIdsOperator ids then
+                            [ ( char, Just <| removeIdsSourceTags ids ) ]
+
+                        else
+                            List.map (\c -> ( c, Nothing )) <| String.Graphemes.toList <| String.concat fields
+
+                    _ ->
+                        List.map (\c -> ( c, Nothing )) <| String.Graphemes.toList <| String.concat fields
+        )
+        (String.lines text)
+
+
+startsWithIdsOperator : String -> Bool
+startsWithIdsOperator ids =
+    case String.Graphemes.uncons (String.replace "^" "" ids) of
+        Just ( first, _ ) ->
+            idsOperatorParts first /= Nothing
+
+        Nothing ->
+            False
+
+
+
+-- Drops the source regions like `[GTJV]` and the `^…$(GT)` markers of cjkvi sequences
+
+
+removeIdsSourceTags : String -> String
+removeIdsSourceTags ids =
+    String.replace "^" "" ids
+        |> String.split "["
+        |> List.head
+        |> Maybe.withDefault ""
+        |> String.split "$"
+        |> List.head
+        |> Maybe.withDefault ""
+
+
+
+-- The parts each layout operator splits its box into, in the 0 to 100 coordinates of the box
+
+
+idsOperatorParts : Grapheme -> Maybe (List { x : Float, y : Float, width : Float, height : Float })
+idsOperatorParts operator =
+    case operator of
+        -- left to right
+        "⿰" ->
+            Just
+                [ { x = 0, y = 0, width = 50, height = 100 }
+                , { x = 50, y = 0, width = 50, height = 100 }
+                ]
+
+        -- above to below
+        "⿱" ->
+            Just
+                [ { x = 0, y = 0, width = 100, height = 50 }
+                , { x = 0, y = 50, width = 100, height = 50 }
+                ]
+
+        -- left to middle and right
+        "⿲" ->
+            Just
+                [ { x = 0, y = 0, width = 100 / 3, height = 100 }
+                , { x = 100 / 3, y = 0, width = 100 / 3, height = 100 }
+                , { x = 200 / 3, y = 0, width = 100 / 3, height = 100 }
+                ]
+
+        -- above to middle and below
+        "⿳" ->
+            Just
+                [ { x = 0, y = 0, width = 100, height = 100 / 3 }
+                , { x = 0, y = 100 / 3, width = 100, height = 100 / 3 }
+                , { x = 0, y = 200 / 3, width = 100, height = 100 / 3 }
+                ]
+
+        -- full surround
+        "⿴" ->
+            Just
+                [ { x = 0, y = 0, width = 100, height = 100 }
+                , { x = 25, y = 25, width = 50, height = 50 }
+                ]
+
+        -- surround from above
+        "⿵" ->
+            Just
+                [ { x = 0, y = 0, width = 100, height = 100 }
+                , { x = 25, y = 30, width = 50, height = 65 }
+                ]
+
+        -- surround from below
+        "⿶" ->
+            Just
+                [ { x = 0, y = 0, width = 100, height = 100 }
+                , { x = 25, y = 5, width = 50, height = 65 }
+                ]
+
+        -- surround from left
+        "⿷" ->
+            Just
+                [ { x = 0, y = 0, width = 100, height = 100 }
+                , { x = 30, y = 25, width = 65, height = 50 }
+                ]
+
+        -- surround from upper left
+        "⿸" ->
+            Just
+                [ { x = 0, y = 0, width = 100, height = 100 }
+                , { x = 30, y = 30, width = 70, height = 70 }
+                ]
+
+        -- surround from upper right
+        "⿹" ->
+            Just
+                [ { x = 0, y = 0, width = 100, height = 100 }
+                , { x = 0, y = 30, width = 70, height = 70 }
+                ]
+
+        -- surround from lower left
+        "⿺" ->
+            Just
+                [ { x = 0, y = 0, width = 100, height = 100 }
+                , { x = 30, y = 0, width = 70, height = 70 }
+                ]
+
+        -- overlaid
+        "⿻" ->
+            Just
+                [ { x = 0, y = 0, width = 100, height = 100 }
+                , { x = 0, y = 0, width = 100, height = 100 }
+                ]
+
+        _ ->
+            Nothing
+
+
+parseIds : String -> Maybe Ids
+parseIds ids =
+    case parseIdsHelper (idsTokens <| String.Graphemes.toList ids) of
+        Just ( parsed, [] ) ->
+            Just parsed
+
+        _ ->
+            Nothing
+
+
+parseIdsHelper : List Grapheme -> Maybe ( Ids, List Grapheme )
+parseIdsHelper tokens =
+    case tokens of
+        token :: rest ->
+            case idsOperatorParts token of
+                Just parts ->
+                    Maybe.map (Tuple.mapFirst (IdsLayout token)) <|
+                        parseIdsOperands (List.length parts) rest []
+
+                Nothing ->
+                    Just ( IdsComponent token, rest )
+
+        [] ->
+            Nothing
+
+
+parseIdsOperands : Int -> List Grapheme -> List Ids -> Maybe ( List Ids, List Grapheme )
+parseIdsOperands count tokens operands =
+    if count == 0 then
+        Just ( List.reverse operands, tokens )
+
+    else
+        parseIdsHelper tokens
+            |> Maybe.andThen
+                (\( operand, rest ) ->
+                    parseIdsOperands (count - 1) rest (operand :: operands)
+                )
+
+
+
+-- Components without a character of their own are written as entities like `&CDP-8BF1;` and kept whole
+
+
+idsTokens : List Grapheme -> List Grapheme
+idsTokens graphemes =
+    case graphemes of
+        "&" :: rest ->
+            case List.Extra.splitWhen ((==) ";") rest of
+                Just ( name, _ :: afterEntity ) ->
+                    ("&" ++ String.concat name ++ ";") :: idsTokens afterEntity
+
+                _ ->
+                    graphemes
+
+        first :: rest ->
+            first :: idsTokens rest
+
+        [] ->
+            []
+
+
+layoutIds : Placement -> Ids -> List Placement
+layoutIds box ids =
+    case ids of
+        IdsComponent char ->
+            [ { box
+                | char =
+                    char
+              }
+            ]
+
+        IdsLayout operator operands ->
+            List.concat <|
+                List.map2
+                    (\part operand ->
+                        layoutIds
+                            { box
+                                | x =
+                                    box.x + box.width * part.x / 100
+                                , y =
+                                    box.y + box.height * part.y / 100
+                                , width =
+                                    box.width * part.width / 100
+                                , height =
+                                    box.height * part.height / 100
+                            }
+                            operand
+                    )
+                    (Maybe.withDefault [] <| idsOperatorParts operator)
+                    operands
+
+
+myCharFromPlacements : Grapheme -> List Placement -> MyChar
+myCharFromPlacements char placements =
+    CompoundChar
+        { char = char
+        , dimension = Vector2.vec2 100 100
+        , position = Vector2.vec2 0 0
+        , mirror = emptyMirror
+        }
+        (List.map
+            (\placement ->
+                { char = placement.char
+                , dimension = Vector2.vec2 placement.width placement.height
+                , position = Vector2.vec2 placement.x placement.y
+                , mirror = emptyMirror
+                }
+            )
+            placements
+        )
+
+
+
+-- The characters to build from the typed sequences and the loaded IDS file. A component
+-- can be a character already in the library or another character built at the same time
+
+
+idsImports : Model -> List IdsImport
+idsImports { idsText, idsData, chars } =
+    let
+        imports =
+            List.map
+                (\( char, typedIds ) ->
+                    let
+                        ids =
+                            case typedIds of
+                                Just _ ->
+                                    typedIds
+
+                                Nothing ->
+                                    Dict.get char idsData
+                    in
+                    { char = char
+                    , ids =
+                        Maybe.withDefault "" ids
+                    , result =
+                        if Dict.member char chars then
+                            Err IdsCharAlreadyExists
+
+                        else
+                            case ids of
+                                Just sequence ->
+                                    case parseIds sequence of
+                                        Just parsed ->
+                                            let
+                                                placements =
+                                                    layoutIds
+                                                        { char = char, x = 0, y = 0, width = 100, height = 100 }
+                                                        parsed
+                                            in
+                                            if List.any (\placement -> placement.char == char) placements then
+                                                Err IdsContainsItself
+
+                                            else
+                                                Ok placements
+
+                                        Nothing ->
+                                            Err InvalidIds
+
+                                Nothing ->
+                                    Err IdsNotFound
+                    }
+                )
+                (List.Extra.uniqueBy Tuple.first <| parseIdsLines idsText)
+
+        checkedImports =
+            checkIdsComponents chars imports
+
+        newChars =
+            Dict.union chars <|
+                Dict.fromList <|
+                    List.filterMap
+                        (\{ char, result } ->
+                            Result.toMaybe <|
+                                Result.map (Tuple.pair char << myCharFromPlacements char) result
+                        )
+                        checkedImports
+    in
+    List.map
+        (\idsImport ->
+            if isCharInCycle newChars idsImport.char then
+                { idsImport
+                    | result =
+                        Err IdsContainsItself
+                }
+
+            else
+                idsImport
+        )
+        checkedImports
+
+
+
+-- Leaves out the characters with components that are neither in the library nor built,
+-- until every character left can be built
+
+
+checkIdsComponents : Dict Grapheme MyChar -> List IdsImport -> List IdsImport
+checkIdsComponents chars imports =
+    let
+        buildableChars =
+            List.filterMap
+                (\{ char, result } ->
+                    case result of
+                        Ok _ ->
+                            Just char
+
+                        Err _ ->
+                            Nothing
+                )
+
+        builtChars =
+            buildableChars imports
+
+        checkedImports =
+            List.map
+                (\idsImport ->
+                    case idsImport.result of
+                        Ok placements ->
+                            case
+                                List.filter
+                                    (\component ->
+                                        not (Dict.member component chars || List.member component builtChars)
+                                    )
+                                    (List.Extra.unique <| List.map .char placements)
+                            of
+                                [] ->
+                                    idsImport
+
+                                missingChars ->
+                                    { idsImport
+                                        | result =
+                                            Err <| MissingComponents missingChars
+                                    }
+
+                        Err _ ->
+                            idsImport
+                )
+                imports
+    in
+    if List.length (buildableChars checkedImports) == List.length builtChars then
+        checkedImports
+
+    else
+        checkIdsComponents chars checkedImports
+
+
+encodeSvgImportOptions : List ( String, Value ) -> Model -> Value
+encodeSvgImportOptions fields model =
+    Encode.object <|
+        ( "convertFillsToStrokes", Encode.bool model.isConvertingFillsToStrokes )
+            :: fields
+
+
+gotSvgWarnings : Value -> Model -> ( Model, Cmd Msg )
+gotSvgWarnings warningsJson model =
+    case Decode.decodeValue (Decode.list decodeSkippedImport) warningsJson of
+        Ok warnings ->
+            ( { model
+                | popUp =
+                    SvgWarningsPopUp warnings
+              }
+            , Cmd.none
+            )
+
+        Err _ ->
+            ( model, Cmd.none )
+
+
+simpleCharsToImport : Model -> List SimpleCharToImport
+simpleCharsToImport { pendingSimpleChars, isReplacingSimpleChars, chars } =
+    case pendingSimpleChars of
+        Just pending ->
+            List.filter
+                (\simpleChar -> isReplacingSimpleChars || not (Dict.member simpleChar.char chars))
+                pending.chars
+
+        Nothing ->
+            []
+
+
+importSimpleChars : Model -> ( Model, Cmd Msg )
+importSimpleChars model =
+    ( { model
+        | pendingSimpleChars =
+            Nothing
+        , popUp =
+            NoPopUp
+      }
+    , importSimpleCharsPort <|
+        Encode.object <|
+            List.map
+                (\simpleChar -> ( simpleChar.char, Encode.string simpleChar.svg ))
+                (simpleCharsToImport model)
+    )
+
+
+lerp : Float -> Float -> Float -> Float -> Float -> Float
+lerp inMin inMax outMin outMax n =
+    (n - inMin) / (inMax - inMin) * (outMax - outMin) + outMin
+
+
+addChar : MyCharType -> Model -> ( Model, Cmd Msg )
+addChar myCharType model =
+    case myCharType of
+        SimpleCharType ->
+            ( { model
+                | popUp =
+                    ImportSimpleCharsPopUp
+                , pendingSimpleChars =
+                    Nothing
+              }
+            , Cmd.none
+            )
+
+        CompoundCharType ->
+            ( { model
+                | popUp =
+                    AddCompoundCharPopUp
+              }
+            , Cmd.none
+            )
+
+
+updateMyCharComponents : (List MyCharRef -> List MyCharRef) -> MyChar -> MyChar
+updateMyCharComponents func myChar =
+    case myChar of
+        SimpleChar _ ->
+            myChar
+
+        CompoundChar c components ->
+            CompoundChar c (func components)
+
+
+updateMyCharRefPosition : (Vec2 -> Vec2) -> MyCharRef -> MyCharRef
+updateMyCharRefPosition func myCharRef =
+    { myCharRef
+        | position =
+            func myCharRef.position
+    }
+
+
+updateMyCharDimension : (Vec2 -> Vec2) -> MyChar -> MyChar
+updateMyCharDimension func myChar =
+    case myChar of
+        SimpleChar c ->
+            SimpleChar
+                { c
+                    | dimension =
+                        func c.dimension
+                }
+
+        CompoundChar c components ->
+            CompoundChar
+                { c
+                    | dimension =
+                        func c.dimension
+                }
+                components
+
+
+updateMyCharRefDimension : (Vec2 -> Vec2) -> MyCharRef -> MyCharRef
+updateMyCharRefDimension func myCharRef =
+    { myCharRef
+        | dimension =
+            func myCharRef.dimension
+    }
+
+
+
+-- Requires: char to be in chars
+
+
+myCharTypeFromChar : Dict Grapheme MyChar -> Grapheme -> MyCharType
+myCharTypeFromChar chars char =
+    case Dict.get char chars of
+        Just myChar ->
+            myCharTypeFromMyChar myChar
+
+        Nothing ->
+            -- impossible
+            SimpleCharType
+
+
+myCharTypeFromMyChar : MyChar -> MyCharType
+myCharTypeFromMyChar myChar =
+    case myChar of
+        SimpleChar _ ->
+            SimpleCharType
+
+        CompoundChar _ _ ->
+            CompoundCharType
+
+
+
+---- VIEW ----
+
+
+view : Model -> Html Msg
+view ({ mode, spacing, fontSize, device } as model) =
+    E.layout
+        [ E.padding spacing.large
+        , E.inFront <| popUp model
+        , E.inFront <| exportProgressBanner model
+        , E.inFront <| updateBanner model
+        , E.width E.fill
+        , E.height E.fill
+        , Font.size fontSize.medium
+        , Font.family [ Font.typeface "Source Han Sans TC", Font.sansSerif ]
+        ]
+    <|
+        case ( model.loadProblem, mode ) of
+            ( Just problem, _ ) ->
+                loadProblemView problem model
+
+            ( Nothing, BrowseMode ) ->
+                E.column
+                    [ E.width E.fill
+                    , E.height E.fill
+                    , E.spacing spacing.medium
+                    ]
+                    [ E.wrappedRow
+                        [ E.width E.fill
+                        , E.spacing spacing.medium
+                        ]
+                        [ charSearchBar model
+                        , appHeader model
+                        ]
+                    , if model.isCharFilterShown then
+                        charFilterPanel model
+
+                      else
+                        E.none
+                    , charPanels model
+                    ]
+
+            ( Nothing, EditMode ) ->
+                E.column
+                    [ E.width E.fill
+                    , E.height E.fill
+                    ]
+                    [ (case device.orientation of
+                        E.Portrait ->
+                            E.column
+
+                        E.Landscape ->
+                            E.row
+                      )
+                        [ E.spacing spacing.large ]
+                        [ editor model
+                        , editorSidePanel model
+                        ]
+                    ]
+
+
+
+-- Shown instead of the library when it could not be loaded, as nothing edited would be saved
+
+
+loadProblemView : Problem -> Model -> E.Element Msg
+loadProblemView problem { trs, palette, spacing, fontSize } =
+    E.column
+        [ E.centerX
+        , E.centerY
+        , E.width <| E.maximum (fontSize.medium * 30) E.fill
+        , E.spacing spacing.medium
+        ]
+        [ E.paragraph
+            [ Font.color palette.danger ]
+            [ E.text <| Translations.libraryNotLoaded trs (problemText trs problem) ]
+        , E.paragraph
+            [ Font.size fontSize.small ]
+            [ E.text <| Translations.libraryNotLoadedNote trs ]
+        ]
+
+
+appHeader : Model -> E.Element Msg
+appHeader { spacing, fontSize } =
+    E.row
+        [ E.alignRight
+        , E.spacing spacing.medium
+        ]
+        [ iconButton
+            { icon =
+                FeatherIcons.eye
+            , size =
+                fontSize.large
+            , onPress =
+                Just <| PreviewInParagraph
+            }
+        , iconButton
+            { icon =
+                FeatherIcons.image
+            , size =
+                fontSize.large
+            , onPress =
+                Just <| DownloadAllChars
+            }
+        , iconButton
+            { icon =
+                FeatherIcons.download
+            , size =
+                fontSize.large
+            , onPress =
+                Just <| RequestExportFont
+            }
+        , iconButton
+            { icon =
+                FeatherIcons.layers
+            , size =
+                fontSize.large
+            , onPress =
+                Just <| ShowDependencies
+            }
+        , iconButton
+            { icon =
+                FeatherIcons.clock
+            , size =
+                fontSize.large
+            , onPress =
+                Just <| ShowHistory
+            }
+        , iconButton
+            { icon =
+                FeatherIcons.folder
+            , size =
+                fontSize.large
+            , onPress =
+                Just <| ShowProjects
+            }
+        , iconButton
+            { icon =
+                FeatherIcons.settings
+            , size =
+                fontSize.large
+            , onPress =
+                Just <| ShowAppPreferences
+            }
+        ]
+
+
+popUp : Model -> E.Element Msg
+popUp model =
+    case model.popUp of
+        AddCompoundCharPopUp ->
+            addCompoundCharPopUp model
+
+        ConfirmDeleteSelectedCharPopUp ->
+            confirmDeleteSelectedCharPopUp model
+
+        RenameSelectedCharPopUp ->
+            renameSelectedCharPopUp model
+
+        ConfirmClearCharsPopUp myCharType ->
+            confirmClearCharsPopUp myCharType model
+
+        PreviewInParagraphPopUp ->
+            previewInParagraphPopUp model
+
+        AppPreferencesPopUp ->
+            appPreferencesPopUp model
+
+        AddComponentToSelectedCharPopUp ->
+            addComponentToSelectedCharPopUp model
+
+        ExportFontPopUp ->
+            exportFontPopUp model
+
+        ExportCharsPopUp chars ->
+            exportCharsPopUp chars model
+
+        ImportBackupPopUp ->
+            importBackupPopUp model
+
+        BackupErrorsPopUp errors ->
+            errorsPopUp (Translations.backupErrors model.trs) (List.map (problemText model.trs) errors) model
+
+        PreferencesErrorsPopUp errors ->
+            errorsPopUp (Translations.preferencesErrors model.trs) (List.map (problemText model.trs) errors) model
+
+        ProjectsPopUp ->
+            projectsPopUp model
+
+        HistoryPopUp ->
+            historyPopUp model
+
+        DependenciesPopUp ->
+            dependenciesPopUp model
+
+        ConfirmDeleteProjectPopUp project ->
+            confirmDeletePopUpTemplate model
+                project.name
+                [ Translations.thisCannotBeUndone model.trs ]
+                (DeleteProject project.id)
+
+        SvgWarningsPopUp warnings ->
+            svgWarningsPopUp warnings model
+
+        SnapshotsPopUp ->
+            snapshotsPopUp model
+
+        ImportSimpleCharsPopUp ->
+            importSimpleCharsPopUp model
+
+        ImportIdsPopUp ->
+            importIdsPopUp model
+
+        CompareReferenceImagesPopUp ->
+            compareReferenceImagesPopUp model
+
+        ExportCatalogPopUp ->
+            exportCatalogPopUp model
+
+        NoPopUp ->
+            E.none
+
+
+exportProgressBanner : Model -> E.Element Msg
+exportProgressBanner { exportProgress, trs, palette, spacing, fontSize } =
+    case exportProgress of
+        Nothing ->
+            E.none
+
+        Just { done, total, failures, isFinished, error } ->
+            E.column
+                [ E.alignBottom
+                , E.alignRight
+                , E.padding spacing.small
+                , E.spacing spacing.tiny
+                , Background.color palette.lightBg
+                , Border.width 3
+                , Border.rounded spacing.small
+                , Border.color <|
+                    if List.isEmpty failures && error == Nothing then
+                        palette.lightFg
+
+                    else
+                        palette.danger
+                , Font.size fontSize.small
+                , E.inFront <|
+                    if isFinished then
+                        E.el
+                            [ E.alignRight
+                            , E.padding spacing.tiny
+                            ]
+                        <|
+                            iconButton
+                                { icon =
+                                    FeatherIcons.x
+                                , size =
+                                    fontSize.medium
+                                , onPress =
+                                    Just CloseExportProgress
+                                }
+
+                    else
+                        E.none
+                ]
+                (E.el
+                    [ E.paddingEach { top = 0, bottom = 0, left = 0, right = fontSize.large } ]
+                    (E.text <|
+                        case ( isFinished, error ) of
+                            ( True, Just reason ) ->
+                                Translations.exportFailed trs (problemText trs reason)
+
+                            ( True, Nothing ) ->
+                                Translations.exportFinished trs
+                                    (String.fromInt <| total - List.length failures)
+                                    (String.fromInt total)
+
+                            ( False, _ ) ->
+                                Translations.exportingChars trs
+                                    (String.fromInt done)
+                                    (String.fromInt total)
+                    )
+                    :: List.map
+                        (\{ char, reason } ->
+                            E.el
+                                [ Font.color palette.danger ]
+                                (E.text <| Translations.exportFailure trs char (problemText trs reason))
+                        )
+                        failures
+                )
+
+
+updateBanner : Model -> E.Element Msg
+updateBanner ({ isUpdateAvailable, trs, palette, spacing, fontSize } as model) =
+    if isUpdateAvailable then
+        E.row
+            [ E.alignTop
+            , E.centerX
+            , E.padding spacing.small
+            , E.spacing spacing.small
+            , Background.color palette.lightBg
+            , Border.width 3
+            , Border.rounded spacing.small
+            , Border.color palette.lightFg
+            , Font.size fontSize.small
+            ]
+            [ E.text <| Translations.updateAvailable trs
+            , textButton model (Translations.reloadToUpdate trs) (Just ReloadToUpdate)
+            ]
+
+    else
+        E.none
+
+
+importBackupPopUp : Model -> E.Element Msg
+importBackupPopUp ({ trs, pendingBackup, palette, spacing, fontSize } as model) =
+    case pendingBackup of
+        Just ({ fileName, savedModel, conflicts } as backup) ->
+            let
+                invalidChars =
+                    invalidRenames backup model
+            in
+            popUpTemplate
+                { borderColor =
+                    palette.lightFg
+                , isCloseButtonShown =
+                    True
+                }
+                model
+                [ E.el
+                    [ E.centerX ]
+                    (E.text <| Translations.importBackup trs)
+                , E.paragraph
+                    [ Font.size fontSize.small
+                    , Font.center
+                    ]
+                    [ E.text <|
+                        Translations.backupSummary trs
+                            fileName
+                            (String.fromInt <| Dict.size savedModel.chars)
+                            (String.fromInt <| Dict.size conflicts)
+                    ]
+                , E.column
+                    [ E.width E.fill
+                    , E.height E.fill
+                    , E.spacing spacing.small
+                    , E.paddingXY spacing.small 0
+                    , E.scrollbarY
+                    , Font.size fontSize.small
+                    ]
+                    (List.map
+                        (\( char, resolution ) ->
+                            E.column
+                                [ E.spacing spacing.tiny ]
+                                [ Input.radioRow
+                                    [ E.spacing spacing.small ]
+                                    { onChange = UpdateConflictResolution char
+                                    , selected = Just resolution
+                                    , label =
+                                        Input.labelLeft
+                                            [ E.centerY
+                                            , E.paddingEach { top = 0, bottom = 0, left = 0, right = spacing.small }
+                                            , Font.size fontSize.medium
+                                            ]
+                                            (E.text char)
+                                    , options =
+                                        [ Input.optionWith KeepMine
+                                            (radioOption palette.darkFg fontSize (E.text <| Translations.keepMine trs))
+                                        , Input.optionWith TakeTheirs
+                                            (radioOption palette.darkFg fontSize (E.text <| Translations.takeTheirs trs))
+                                        , Input.optionWith
+                                            (case resolution of
+                                                RenameTheirs _ ->
+                                                    resolution
+
+                                                _ ->
+                                                    RenameTheirs ""
+                                            )
+                                            (radioOption palette.darkFg fontSize (E.text <| Translations.rename trs))
+                                        ]
+                                    }
+                                , case resolution of
+                                    RenameTheirs newName ->
+                                        Input.text
+                                            [ E.width <| E.px <| fontSize.medium * 4
+                                            , E.padding spacing.tiny
+                                            , Border.color <|
+                                                if List.member char invalidChars then
+                                                    palette.danger
+
+                                                else
+                                                    palette.black
+                                            ]
+                                            { onChange =
+                                                UpdateConflictResolution char << RenameTheirs
+                                            , text =
+                                                newName
+                                            , placeholder =
+                                                Nothing
+                                            , label =
+                                                Input.labelLeft [ E.centerY ]
+                                                    (E.text <| Translations.renameTo trs)
+                                            }
+
+                                    _ ->
+                                        E.none
+                                ]
+                        )
+                        (Dict.toList conflicts)
+                    )
+                , if List.isEmpty invalidChars then
+                    E.none
+
+                  else
+                    E.paragraph
+                        [ Font.size fontSize.small
+                        , Font.color palette.danger
+                        ]
+                        [ E.text <| Translations.invalidRename trs ]
+                , E.row
+                    [ E.centerX
+                    , E.spacing spacing.small
+                    , Font.size fontSize.small
+                    ]
+                    [ textButton model (Translations.replaceLibrary trs) (Just ReplaceWithBackup)
+                    , textButton model
+                        (Translations.mergeIntoLibrary trs)
+                        (if List.isEmpty invalidChars then
+                            Just MergeBackup
+
+                         else
+                            Nothing
+                        )
+                    ]
+                ]
+
+        Nothing ->
+            E.none
+
+
+snapshotsPopUp : Model -> E.Element Msg
+snapshotsPopUp ({ trs, snapshots, selectedSnapshot, pendingBackup, chars, palette, spacing, fontSize } as model) =
+    popUpTemplate
+        { borderColor =
+            palette.lightFg
+        , isCloseButtonShown =
+            True
+        }
+        model
+        [ E.el
+            [ E.centerX ]
+            (E.text <| Translations.snapshots trs)
+        , E.row
+            [ E.width E.fill
+            , E.height E.fill
+            , E.spacing spacing.small
+            , Font.size fontSize.small
+            ]
+            [ E.column
+                [ E.height E.fill
+                , E.spacing spacing.tiny
+                , E.scrollbarY
+                ]
+                (if List.isEmpty snapshots then
+                    [ E.text <| Translations.noSnapshots trs ]
+
+                 else
+                    List.map
+                        (\{ id, label } ->
+                            Input.button
+                                [ Font.color <|
+                                    if selectedSnapshot == Just id then
+                                        palette.darkFg
+
+                                    else
+                                        palette.black
+                                ]
+                                { label =
+                                    E.text label
+                                , onPress =
+                                    Just <| SelectSnapshot id
+                                }
+                        )
+                        snapshots
+                )
+            , case pendingBackup of
+                Just { savedModel, conflicts } ->
+                    let
+                        charsOnlyInSnapshot =
+                            Dict.keys <| Dict.diff savedModel.chars chars
+
+                        charsOnlyInLibrary =
+                            Dict.keys <| Dict.diff chars savedModel.chars
+
+                        changeRow change isRestorable char =
+                            E.row
+                                [ E.spacing spacing.small ]
+                                [ E.el [ Font.size fontSize.medium ] (E.text char)
+                                , E.text change
+                                , if isRestorable then
+                                    iconButton
+                                        { icon =
+                                            FeatherIcons.rotateCcw
+                                        , size =
+                                            fontSize.small
+                                        , onPress =
+                                            Just <| RestoreCharFromBackup char
+                                        }
+
+                                  else
+                                    E.none
+                                ]
+                    in
+                    E.column
+                        [ E.width E.fill
+                        , E.height E.fill
+                        , E.spacing spacing.tiny
+                        ]
+                        [ E.column
+                            [ E.width E.fill
+                            , E.height E.fill
+                            , E.spacing spacing.tiny
+                            , E.scrollbarY
+                            ]
+                            (if Dict.isEmpty conflicts && List.isEmpty charsOnlyInSnapshot && List.isEmpty charsOnlyInLibrary then
+                                [ E.text <| Translations.snapshotIsSameAsLibrary trs ]
+
+                             else
+                                List.map (changeRow (Translations.changedSinceSnapshot trs) True) (Dict.keys conflicts)
+                                    ++ List.map (changeRow (Translations.deletedSinceSnapshot trs) True) charsOnlyInSnapshot
+                                    ++ List.map (changeRow (Translations.addedSinceSnapshot trs) False) charsOnlyInLibrary
+                            )
+                        , E.el [ E.centerX ] <|
+                            textButton model (Translations.restoreLibrary trs) (Just ReplaceWithBackup)
+                        ]
+
+                Nothing ->
+                    E.none
+            ]
+        ]
+
+
+projectsPopUp : Model -> E.Element Msg
+projectsPopUp ({ trs, projects, currentProjectId, newProjectName, renamedProject, charsToCopy, copiedChars, palette, spacing, fontSize } as model) =
+    let
+        canCopy =
+            not <| List.isEmpty <| charsToCopyWithComponents model
+
+        projectRow project =
+            E.row
+                [ E.width E.fill
+                , E.spacing spacing.tiny
+                ]
+                ((case renamedProject of
+                    Just renamed ->
+                        if renamed.id == project.id then
+                            [ Input.text
+                                [ E.width E.fill
+                                , E.padding spacing.tiny
+                                , onEnter <| Just RenameProject
+                                ]
+                                { onChange =
+                                    UpdateRenamedProjectName
+                                , text =
+                                    renamed.name
+                                , placeholder =
+                                    Nothing
+                                , label =
+                                    Input.labelHidden <| Translations.projectName trs
+                                }
+                            , iconButton
+                                { icon =
+                                    FeatherIcons.check
+                                , size =
+                                    fontSize.small
+                                , onPress =
+                                    Just RenameProject
+                                }
+                            ]
+
+                        else
+                            [ E.el [ E.width E.fill ] (E.text project.name) ]
+
+                    Nothing ->
+                        [ E.el [ E.width E.fill ] (E.text project.name)
+                        , iconButton
+                            { icon =
+                                FeatherIcons.edit
+                            , size =
+                                fontSize.small
+                            , onPress =
+                                Just <| StartRenamingProject project
+                            }
+                        ]
+                 )
+                    ++ [ iconButton
+                            { icon =
+                                FeatherIcons.copy
+                            , size =
+                                fontSize.small
+                            , onPress =
+                                Just <| DuplicateProject project
+                            }
+                       ]
+                    ++ (if project.id == currentProjectId then
+                            [ E.el
+                                [ Font.color palette.darkFg ]
+                                (E.text <| Translations.openedProject trs)
+                            ]
+
+                        else
+                            [ textButton model
+                                (Translations.copyCharsHere trs)
+                                (if canCopy then
+                                    Just <| CopyCharsToProject project.id
+
+                                 else
+                                    Nothing
+                                )
+                            , textButton model (Translations.openProject trs) (Just <| OpenProject project.id)
+                            , E.el
+                                [ Font.color palette.danger ]
+                                (iconButton
+                                    { icon =
+                                        FeatherIcons.trash2
+                                    , size =
+                                        fontSize.small
+                                    , onPress =
+                                        Just <| RequestDeleteProject project
+                                    }
+                                )
+                            ]
+                       )
+                )
+    in
+    popUpTemplate
+        { borderColor =
+            palette.lightFg
+        , isCloseButtonShown =
+            True
+        }
+        model
+        [ E.el
+            [ E.centerX ]
+            (E.text <| Translations.projects trs)
+        , E.column
+            [ E.width E.fill
+            , E.height E.fill
+            , E.spacing spacing.small
+            , E.paddingXY spacing.small 0
+            , E.scrollbarY
+            , Font.size fontSize.small
+            ]
+            (List.map projectRow projects)
+        , E.row
+            [ E.width E.fill
+            , E.spacing spacing.tiny
+            , Font.size fontSize.small
+            ]
+            [ Input.text
+                [ E.width E.fill
+                , E.padding spacing.tiny
+                , onEnter <| Just CreateProject
+                ]
+                { onChange =
+                    UpdateNewProjectName
+                , text =
+                    newProjectName
+                , placeholder =
+                    Just <| Input.placeholder [] (E.text <| Translations.projectName trs)
+                , label =
+                    Input.labelHidden <| Translations.projectName trs
+                }
+            , iconButton
+                { icon =
+                    FeatherIcons.plusCircle
+                , size =
+                    fontSize.thumb
+                , onPress =
+                    if String.isEmpty (String.trim newProjectName) then
+                        Nothing
+
+                    else
+                        Just CreateProject
+                }
+            ]
+        , Input.text
+            [ E.width E.fill
+            , E.padding spacing.tiny
+            , Font.size fontSize.small
+            ]
+            { onChange =
+                UpdateCharsToCopy
+            , text =
+                charsToCopy
+            , placeholder =
+                Nothing
+            , label =
+                Input.labelAbove [ E.paddingXY 0 spacing.tiny ]
+                    (E.paragraph [] [ E.text <| Translations.charsToCopy trs ])
+            }
+        , case copiedChars of
+            Just { projectId, copied, skipped } ->
+                E.column
+                    [ E.width E.fill
+                    , E.spacing spacing.tiny
+                    , Font.size fontSize.small
+                    ]
+                    (E.paragraph []
+                        [ E.text <|
+                            Translations.copiedChars trs
+                                (String.fromInt <| List.length copied)
+                                (List.Extra.find (\project -> project.id == projectId) projects
+                                    |> Maybe.map .name
+                                    |> Maybe.withDefault projectId
+                                )
+                        ]
+                        :: List.map
+                            (\{ name, reason } ->
+                                E.paragraph
+                                    [ Font.color palette.danger ]
+                                    [ E.text <| Translations.skippedImport trs name (problemText trs reason) ]
+                            )
+                            skipped
+                    )
+
+            Nothing ->
+                E.none
+        ]
+
+
+historyPopUp : Model -> E.Element Msg
+historyPopUp ({ trs, history, palette, spacing, fontSize } as model) =
+    let
+        current =
+            currentHistoryId history
+
+        entryButton isUndone id label =
+            Input.button
+                [ Font.color <|
+                    if id == current then
+                        palette.darkFg
+
+                    else if isUndone then
+                        palette.disabled
+
+                    else
+                        palette.black
+                ]
+                { label =
+                    E.paragraph [] [ E.text label ]
+                , onPress =
+                    Just <| GoToHistoryEntry id
+                }
+
+        entryRow isUndone entry =
+            entryButton isUndone entry.id (historyCommandLabel trs entry.command)
+    in
+    popUpTemplate
+        { borderColor =
+            palette.lightFg
+        , isCloseButtonShown =
+            True
+        }
+        model
+        [ E.el
+            [ E.centerX ]
+            (E.text <| Translations.history trs)
+        , E.row
+            [ E.spacing spacing.small
+            , Font.size fontSize.small
+            ]
+            [ textButton model
+                (Translations.undo trs)
+                (if List.isEmpty history.done then
+                    Nothing
+
+                 else
+                    Just Undo
+                )
+            , textButton model
+                (Translations.redo trs)
+                (if List.isEmpty history.undone then
+                    Nothing
+
+                 else
+                    Just Redo
+                )
+            , textButton model
+                (Translations.clearHistory trs)
+                (if List.isEmpty history.done && List.isEmpty history.undone then
+                    Nothing
+
+                 else
+                    Just ClearHistory
+                )
+            ]
+        , E.column
+            [ E.width E.fill
+            , E.height E.fill
+            , E.spacing spacing.tiny
+            , E.paddingXY spacing.small 0
+            , E.scrollbarY
+            , Font.size fontSize.small
+            ]
+            (entryButton False 0 (Translations.historyStart trs)
+                :: List.map (entryRow False) (List.reverse history.done)
+                ++ List.map (entryRow True) history.undone
+            )
+        , E.paragraph
+            [ Font.size fontSize.small ]
+            [ E.text <| Translations.historyShortcuts trs ]
+        ]
+
+
+historyCommandLabel : I18Next.Translations -> HistoryCommand -> String
+historyCommandLabel trs command =
+    case command of
+        AddCharsCommand chars ->
+            Translations.historyAddChars trs (historyChars chars)
+
+        DeleteCharsCommand chars ->
+            Translations.historyDeleteChars trs (historyChars chars)
+
+        UploadSvgCommand char ->
+            Translations.historyUploadSvg trs char
+
+        DrawStrokesCommand char ->
+            Translations.historyDrawStrokes trs char
+
+        EditComponentsCommand char ->
+            Translations.historyEditComponents trs char
+
+        EditNoteCommand char ->
+            Translations.historyEditNote trs char
+
+        EditReferenceImageCommand char ->
+            Translations.historyEditReferenceImage trs char
+
+        EditTagsCommand char ->
+            Translations.historyEditTags trs char
+
+        RenameCharCommand oldChar newChar ->
+            Translations.historyRenameChar trs oldChar newChar
+
+        RestoreFromBackupCommand ->
+            Translations.historyRestoreFromBackup trs
+
+
+
+-- Long lists of characters are cut short to fit on one line
+
+
+historyChars : List Grapheme -> String
+historyChars chars =
+    if List.length chars > 10 then
+        String.concat (List.take 10 chars) ++ "…"
+
+    else
+        String.concat chars
+
+
+errorsPopUp : String -> List String -> Model -> E.Element Msg
+errorsPopUp title errors ({ palette, spacing, fontSize } as model) =
+    popUpTemplate
+        { borderColor =
+            palette.danger
+        , isCloseButtonShown =
+            True
+        }
+        model
+        [ E.el
+            [ E.centerX ]
+            (E.text title)
+        , E.column
+            [ E.width E.fill
+            , E.height E.fill
+            , E.spacing spacing.tiny
+            , E.paddingXY spacing.small 0
+            , E.scrollbarY
+            , Font.size fontSize.small
+            , Font.color palette.danger
+            ]
+            (List.map
+                (\error -> E.paragraph [] [ E.text error ])
+                errors
+            )
+        ]
+
+
+svgWarningsPopUp : List SkippedImport -> Model -> E.Element Msg
+svgWarningsPopUp warnings ({ trs, palette, spacing, fontSize } as model) =
+    popUpTemplate
+        { borderColor =
+            palette.danger
+        , isCloseButtonShown =
+            True
+        }
+        model
+        [ E.el
+            [ E.centerX ]
+            (E.text <| Translations.svgWarnings trs)
+        , E.column
+            [ E.width E.fill
+            , E.height E.fill
+            , E.spacing spacing.tiny
+            , E.paddingXY spacing.small 0
+            , E.scrollbarY
+            , Font.size fontSize.small
+            , Font.color palette.danger
+            ]
+            (List.map
+                (\{ name, reason } -> E.paragraph [] [ E.text <| Translations.skippedImport trs name (problemText trs reason) ])
+                warnings
+            )
+        ]
+
+
+exportCatalogPopUp : Model -> E.Element Msg
+exportCatalogPopUp ({ trs, palette, spacing } as model) =
+    popUpTemplate
+        { borderColor =
+            palette.lightFg
+        , isCloseButtonShown =
+            True
+        }
+        model
+        [ E.el
+            [ E.centerX ]
+            (E.text <| Translations.exportCatalog trs)
+        , E.paragraph
+            [ E.width E.fill ]
+            [ E.text <| Translations.exportCatalogDescription trs ]
+        , E.row
+            [ E.centerX
+            , E.spacing spacing.medium
+            ]
+            [ textButton model (Translations.catalogCsv trs) (Just <| ExportCatalog CatalogCsv)
+            , textButton model (Translations.catalogJson trs) (Just <| ExportCatalog CatalogJson)
+            , textButton model (Translations.catalogPrint trs) (Just <| ExportCatalog CatalogPrint)
+            ]
+        ]
+
+
+exportCharsPopUp : List Grapheme -> Model -> E.Element Msg
+exportCharsPopUp chars ({ trs, exportOptions, palette, spacing, fontSize } as model) =
+    let
+        labelAbove =
+            Input.labelAbove [ E.alignLeft, E.paddingEach { top = 0, bottom = spacing.small, left = 0, right = 0 } ]
+    in
+    popUpTemplate
+        { borderColor =
+            palette.lightFg
+        , isCloseButtonShown =
+            True
+        }
+        model
+        [ E.el
+            [ E.centerX ]
+            (E.text <| Translations.exportOptions trs)
+        , E.column
+            [ E.width E.fill
+            , E.height E.fill
+            , E.spacing spacing.medium
+            , E.paddingXY spacing.small 0
+            , E.scrollbarY
+            ]
+            [ E.column
+                [ E.spacing spacing.small ]
+                [ E.text <| Translations.imageSizes trs
+                , E.wrappedRow
+                    [ E.spacing spacing.small ]
+                    (List.map
+                        (\size ->
+                            Input.checkbox
+                                [ E.spacing spacing.tiny ]
+                                { onChange = \_ -> ToggleExportSize size
+                                , icon = checkbox palette fontSize
+                                , checked = List.member size exportOptions.sizes
+                                , label =
+                                    Input.labelRight []
+                                        (E.text <| String.fromInt size)
+                                }
+                        )
+                        exportSizes
+                    )
+                ]
+            , Input.slider
+                [ E.height (E.px fontSize.small)
+                , E.width (E.px <| fontSize.small * 7)
+                , E.behindContent
+                    (E.el
+                        [ E.width E.fill
+                        , E.height (E.px <| fontSize.small // 3)
+                        , E.centerY
+                        , Background.color palette.darkFg
+                        , Border.rounded (fontSize.small // 3)
+                        ]
+                        E.none
+                    )
+                ]
+                { onChange = UpdateExportPadding << round
+                , label =
+                    Input.labelLeft []
+                        (E.row
+                            [ E.spacing spacing.small ]
+                            [ E.text <| Translations.padding trs
+                            , E.text <| String.fromInt exportOptions.padding ++ "%"
+                            ]
+                        )
+                , min = 0
+                , max = toFloat maxExportPadding
+                , step = Just 1
+                , value = toFloat exportOptions.padding
+                , thumb = sliderThumb palette fontSize
+                }
+            , E.row
+                [ E.spacing spacing.medium ]
+                [ E.text <| Translations.background trs
+                , E.html <|
+                    Html.input
+                        [ Html.Attributes.type_ "color"
+                        , Html.Attributes.value exportOptions.backgroundColor
+                        , Html.Events.onInput UpdateExportBackgroundColor
+                        ]
+                        []
+                , Input.checkbox
+                    [ E.spacing spacing.tiny ]
+                    { onChange = \_ -> ToggleIsExportBackgroundTransparent
+                    , icon = checkbox palette fontSize
+                    , checked = exportOptions.isBackgroundTransparent
+                    , label =
+                        Input.labelRight []
+                            (E.text <| Translations.transparent trs)
+                    }
+                ]
+            , Input.radioRow
+                [ E.spacing spacing.small
+                ]
+                { onChange = UpdateExportFormat
+                , selected = Just exportOptions.format
+                , label =
+                    labelAbove (E.text <| Translations.imageFormat trs)
+                , options =
+                    [ Input.optionWith ExportPng
+                        (radioOption palette.darkFg fontSize (E.text "PNG"))
+                    , Input.optionWith ExportWebp
+                        (radioOption palette.darkFg fontSize (E.text "WebP"))
+                    , Input.optionWith ExportJpeg
+                        (radioOption palette.darkFg fontSize (E.text "JPEG"))
+                    , Input.optionWith ExportSvg
+                        (radioOption palette.darkFg fontSize (E.text "SVG"))
+                    ]
+                }
+            ]
+        , E.el
+            [ E.centerX
+            , Font.color <|
+                if List.isEmpty exportOptions.sizes then
+                    palette.disabled
+
+                else
+                    palette.black
+            ]
+          <|
+            iconButton
+                { icon =
+                    FeatherIcons.download
+                , size =
+                    fontSize.title
+                , onPress =
+                    if List.isEmpty exportOptions.sizes then
+                        Nothing
+
+                    else
+                        Just <| DownloadChars chars
+                }
+        ]
+
+
+importSimpleCharsPopUp : Model -> E.Element Msg
+importSimpleCharsPopUp ({ trs, pendingSimpleChars, newSimpleChar, fontGlyphSelection, isReplacingSimpleChars, isConvertingFillsToStrokes, chars, palette, spacing, fontSize, thumbnailUnitSize, boxUnits } as model) =
+    popUpTemplate
+        { borderColor =
+            palette.lightFg
+        , isCloseButtonShown =
+            True
+        }
+        model
+        (E.el
+            [ E.centerX ]
+            (E.text <| Translations.importSimpleChars trs)
+            :: (case pendingSimpleChars of
+                    Nothing ->
+                        [ E.column
+                            [ E.width E.fill
+                            , E.spacing spacing.large
+                            , E.paddingXY spacing.small 0
+                            , Font.size fontSize.small
+                            ]
+                            [ E.column
+                                [ E.width E.fill
+                                , E.spacing spacing.tiny
+                                ]
+                                [ E.row
+                                    [ E.width E.fill
+                                    , E.spacing spacing.small
+                                    ]
+                                    [ Input.text
+                                        [ E.width <| E.px <| fontSize.medium * 3
+                                        , E.padding spacing.tiny
+                                        , onEnter <|
+                                            case newSimpleCharError model of
+                                                Nothing ->
+                                                    Just DrawNewSimpleChar
+
+                                                Just _ ->
+                                                    Nothing
+                                        ]
+                                        { onChange =
+                                            UpdateNewSimpleChar
+                                        , text =
+                                            newSimpleChar
+                                        , placeholder =
+                                            Nothing
+                                        , label =
+                                            Input.labelLeft [ E.width E.fill ]
+                                                (E.paragraph [] [ E.text <| Translations.drawNewSimpleChar trs ])
+                                        }
+                                    , textButton model
+                                        (Translations.draw trs)
+                                        (case newSimpleCharError model of
+                                            Nothing ->
+                                                Just DrawNewSimpleChar
+
+                                            Just _ ->
+                                                Nothing
+                                        )
+                                    ]
+                                , case ( newSimpleChar, newSimpleCharError model ) of
+                                    ( "", _ ) ->
+                                        E.none
+
+                                    ( _, Just CharacterAlreadyExists ) ->
+                                        E.text <| Translations.characterAlreadyExists trs
+
+                                    ( _, Just _ ) ->
+                                        E.text <| Translations.acceptOnlyOneCharacter trs
+
+                                    ( _, Nothing ) ->
+                                        E.none
+                                ]
+                            , E.row
+                                [ E.width E.fill
+                                , E.spacing spacing.small
+                                ]
+                                [ E.paragraph [] [ E.text <| Translations.importSvgFiles trs ]
+                                , textButton model (Translations.chooseFiles trs) (Just ChooseSimpleCharFiles)
+                                ]
+                            , E.row
+                                [ E.width E.fill
+                                , E.spacing spacing.small
+                                ]
+                                [ E.paragraph [] [ E.text <| Translations.importSpriteSheet trs ]
+                                , textButton model (Translations.chooseSpriteSheet trs) (Just ChooseSpriteSheet)
+                                ]
+                            , E.row
+                                [ E.width E.fill
+                                , E.spacing spacing.small
+                                ]
+                                [ Input.multiline
+                                    [ E.width E.fill
+                                    , E.padding spacing.tiny
+                                    ]
+                                    { onChange =
+                                        UpdateFontGlyphSelection
+                                    , text =
+                                        fontGlyphSelection
+                                    , placeholder =
+                                        Just <| Input.placeholder [] (E.text "U+4E00-U+4E8F 木水火")
+                                    , label =
+                                        Input.labelAbove [ E.paddingXY 0 spacing.tiny ]
+                                            (E.paragraph [] [ E.text <| Translations.importFontGlyphs trs ])
+                                    , spellcheck =
+                                        False
+                                    }
+                                , textButton model
+                                    (Translations.chooseFont trs)
+                                    (if String.isEmpty (String.trim fontGlyphSelection) then
+                                        Nothing
+
+                                     else
+                                        Just ChooseFont
+                                    )
+                                ]
+                            , Input.checkbox
+                                [ E.spacing spacing.tiny ]
+                                { onChange = \_ -> ToggleIsConvertingFillsToStrokes
+                                , icon = checkbox palette fontSize
+                                , checked = isConvertingFillsToStrokes
+                                , label =
+                                    Input.labelRight []
+                                        (E.text <| Translations.convertFillsToStrokes trs)
+                                }
+                            ]
+                        ]
+
+                    Just { source, skipped } ->
+                        let
+                            importedChars =
+                                simpleCharsToImport model
+
+                            replacedCount =
+                                List.length <|
+                                    List.filter (\simpleChar -> Dict.member simpleChar.char chars) importedChars
+
+                            previewSize =
+                                round <| toFloat boxUnits * thumbnailUnitSize
+                        in
+                        [ E.paragraph
+                            [ Font.size fontSize.small
+                            , Font.center
+                            ]
+                            [ E.text <|
+                                Translations.simpleCharsToImport trs
+                                    source
+                                    (String.fromInt <| List.length importedChars - replacedCount)
+                                    (String.fromInt replacedCount)
+                                    (String.fromInt <| List.length skipped)
+                            ]
+                        , Input.checkbox
+                            [ E.spacing spacing.tiny
+                            , E.centerX
+                            , Font.size fontSize.small
+                            ]
+                            { onChange = \_ -> ToggleIsReplacingSimpleChars
+                            , icon = checkbox palette fontSize
+                            , checked = isReplacingSimpleChars
+                            , label =
+                                Input.labelRight []
+                                    (E.text <| Translations.replaceExistingChars trs)
+                            }
+                        , E.column
+                            [ E.width E.fill
+                            , E.height E.fill
+                            , E.spacing spacing.small
+                            , E.paddingXY spacing.small 0
+                            , E.scrollbarY
+                            , Font.size fontSize.small
+                            ]
+                            [ E.wrappedRow
+                                [ E.spacing spacing.small ]
+                                (List.map
+                                    (\simpleChar ->
+                                        E.column
+                                            [ E.spacing spacing.tiny
+                                            , E.padding spacing.tiny
+                                            , Border.width 2
+                                            , Border.rounded spacing.tiny
+                                            , Border.color <|
+                                                if Dict.member simpleChar.char chars then
+                                                    palette.danger
+
+                                                else
+                                                    palette.lightFg
+                                            ]
+                                            [ E.image
+                                                [ E.width <| E.px previewSize
+                                                , E.height <| E.px previewSize
+                                                ]
+                                                { src = simpleChar.preview
+                                                , description = simpleChar.char
+                                                }
+                                            , E.el [ E.centerX ] (E.text simpleChar.char)
+                                            ]
+                                    )
+                                    importedChars
+                                )
+                            , E.column
+                                [ E.spacing spacing.tiny ]
+                                (List.map
+                                    (\simpleChar ->
+                                        E.paragraph []
+                                            [ E.text <|
+                                                Translations.skippedImport trs
+                                                    simpleChar.char
+                                                    (String.join "; " <| List.map (problemText trs) simpleChar.warnings)
+                                            ]
+                                    )
+                                    (List.filter (not << List.isEmpty << .warnings) importedChars)
+                                )
+                            , E.column
+                                [ E.spacing spacing.tiny ]
+                                (List.map
+                                    (\{ name, reason } ->
+                                        E.paragraph
+                                            [ Font.color palette.danger ]
+                                            [ E.text <| Translations.skippedImport trs name (problemText trs reason) ]
+                                    )
+                                    skipped
+                                )
+                            ]
+                        , E.el
+                            [ E.centerX
+                            , Font.size fontSize.small
+                            ]
+                          <|
+                            textButton model
+                                (Translations.importChars trs (String.fromInt <| List.length importedChars))
+                                (if List.isEmpty importedChars then
+                                    Nothing
+
+                                 else
+                                    Just ImportSimpleChars
+                                )
+                        ]
+               )
+        )
+
+
+importIdsPopUp : Model -> E.Element Msg
+importIdsPopUp ({ trs, idsText, idsData, palette, spacing, fontSize } as model) =
+    let
+        imports =
+            idsImports model
+
+        builtCount =
+            List.length <|
+                List.filter
+                    (\{ result } ->
+                        case result of
+                            Ok _ ->
+                                True
+
+                            Err _ ->
+                                False
+                    )
+                    imports
+
+        missingChars =
+            List.Extra.unique <|
+                List.concatMap
+                    (\{ result } ->
+                        case result of
+                            Err (MissingComponents components) ->
+                                components
+
+                            _ ->
+                                []
+                    )
+                    imports
+    in
+    popUpTemplate
+        { borderColor =
+            palette.lightFg
+        , isCloseButtonShown =
+            True
+        }
+        model
+        [ E.el
+            [ E.centerX ]
+            (E.text <| Translations.importIds trs)
+        , E.column
+            [ E.width E.fill
+            , E.spacing spacing.medium
+            , E.paddingXY spacing.small 0
+            , Font.size fontSize.small
+            ]
+            [ E.paragraph [] [ E.text <| Translations.idsInstructions trs ]
+            , E.row
+                [ E.width E.fill
+                , E.spacing spacing.small
+                ]
+                [ E.paragraph []
+                    [ E.text <|
+                        if Dict.isEmpty idsData then
+                            Translations.noIdsFile trs
+
+                        else
+                            Translations.idsFileLoaded trs (String.fromInt <| Dict.size idsData)
+                    ]
+                , textButton model (Translations.chooseIdsFile trs) (Just ChooseIdsFile)
+                ]
+            , Input.multiline
+                [ E.width E.fill
+                , E.height <| E.px <| fontSize.medium * 8
+                , E.padding spacing.tiny
+                ]
+                { onChange =
+                    UpdateIdsText
+                , text =
+                    idsText
+                , placeholder =
+                    Just <| Input.placeholder [] (E.text "林 ⿰木木\n森 ⿱木林\n明")
+                , label =
+                    Input.labelHidden (Translations.importIds trs)
+                , spellcheck =
+                    False
+                }
+            ]
+        , E.column
+            [ E.width E.fill
+            , E.height E.fill
+            , E.spacing spacing.tiny
+            , E.paddingXY spacing.small 0
+            , E.scrollbarY
+            , Font.size fontSize.small
+            ]
+            (List.map
+                (\{ char, ids, result } ->
+                    case result of
+                        Ok _ ->
+                            E.paragraph [] [ E.text <| char ++ " " ++ ids ]
+
+                        Err error ->
+                            E.paragraph
+                                [ Font.color palette.danger ]
+                                [ E.text <| Translations.skippedImport trs char (idsErrorLabel trs error) ]
+                )
+                imports
+            )
+        , if List.isEmpty missingChars then
+            E.none
+
+          else
+            E.paragraph
+                [ Font.size fontSize.small ]
+                [ E.text <| Translations.allMissingComponents trs (String.concat missingChars) ]
+        , E.el
+            [ E.centerX
+            , Font.size fontSize.small
+            ]
+          <|
+            textButton model
+                (Translations.buildChars trs (String.fromInt builtCount))
+                (if builtCount == 0 then
+                    Nothing
+
+                 else
+                    Just ImportIds
+                )
+        ]
+
+
+idsErrorLabel : I18Next.Translations -> IdsError -> String
+idsErrorLabel trs error =
+    case error of
+        IdsNotFound ->
+            Translations.idsNotFound trs
+
+        InvalidIds ->
+            Translations.invalidIds trs
+
+        IdsCharAlreadyExists ->
+            Translations.characterAlreadyExists trs
+
+        IdsContainsItself ->
+            Translations.idsContainsItself trs
+
+        MissingComponents components ->
+            Translations.missingComponents trs (String.concat components)
+
+
+exportFontPopUp : Model -> E.Element Msg
+exportFontPopUp ({ trs, fontName, palette, spacing, fontSize } as model) =
+    popUpTemplate
+        { borderColor =
+            palette.lightFg
+        , isCloseButtonShown =
+            True
+        }
+        model
+        [ E.el
+            [ E.centerX ]
+            (E.text <| Translations.exportFont trs)
+        , Input.text
+            [ E.width <| E.px <| fontSize.medium * 8
+            , E.centerX
+            , onEnter <|
+                if String.isEmpty fontName then
+                    Nothing
+
+                else
+                    Just ExportFont
+            ]
+            { onChange =
+                UpdateFontName
+            , text =
+                fontName
+            , placeholder =
+                Nothing
+            , label =
+                Input.labelAbove
+                    [ E.paddingEach { top = spacing.medium, bottom = 0, left = 0, right = 0 } ]
+                    (E.text (Translations.fontName trs))
+            }
+        , E.el
+            [ E.centerX
+            , Font.color <|
+                if String.isEmpty fontName then
+                    palette.disabled
+
+                else
+                    palette.black
+            ]
+          <|
+            iconButton
+                { icon =
+                    FeatherIcons.download
+                , size =
+                    fontSize.title
+                , onPress =
+                    if String.isEmpty fontName then
+                        Nothing
+
+                    else
+                        Just ExportFont
+                }
+        ]
+
+
+addComponentToSelectedCharPopUp : Model -> E.Element Msg
+addComponentToSelectedCharPopUp ({ chars, selectedChar, trs, newComponentChar, inputError, boxUnits, thumbnailUnitSize, palette, spacing, fontSize } as model) =
+    let
+        newInputError =
+            case String.Graphemes.uncons newComponentChar of
+                Just ( char, _ ) ->
+                    let
+                        inputLength =
+                            String.Graphemes.length newComponentChar
+                    in
+                    if inputLength /= 1 then
+                        Just <| InvalidInputLength inputLength
+
+                    else if List.member (unboxChar selectedChar) (nestedComponents chars char) then
+                        Just <| ContainsSelfReference
+
+                    else if not (Dict.member char chars) then
+                        Just <| CharacterNotFound
+
+                    else
+                        Nothing
+
+                Nothing ->
+                    Just <| InvalidInputLength 0
+
+        width =
+            toFloat boxUnits * thumbnailUnitSize * 2.3
+    in
+    popUpTemplate
+        { borderColor =
+            palette.lightFg
+        , isCloseButtonShown =
+            True
+        }
+        model
+        [ Input.text
+            [ E.width <| E.px <| fontSize.medium * 5
+            , E.centerX
+            , onEnter <|
+                case newInputError of
+                    Nothing ->
+                        Just AddPendingComponentChar
+
+                    Just _ ->
+                        Nothing
+            ]
+            { onChange =
+                UpdatePendingComponentChar
+            , text =
+                newComponentChar
+            , placeholder =
+                Nothing
+            , label =
+                Input.labelAbove
+                    [ E.paddingEach { top = spacing.medium, bottom = 0, left = 0, right = 0 } ]
+                    (E.text (Translations.character trs))
+            }
+        , E.el
+            ([ E.centerX
+             , E.below <|
+                case inputError of
+                    Just error ->
+                        E.paragraph
+                            [ E.centerX
+                            , Font.size fontSize.small
+                            , E.width <| E.px <| round width
+                            , E.padding spacing.small
+                            ]
+                            [ E.text <|
+                                case error of
+                                    InvalidInputLength _ ->
+                                        Translations.acceptOnlyOneCharacter trs
+
+                                    ContainsSelfReference ->
+                                        Translations.cannotContainSelfReference trs
+
+                                    CharacterNotFound ->
+                                        Translations.characterNotFound trs newComponentChar
+                                    
+                                    CharacterAlreadyExists ->
+                                        ""
+                            ]
+
+                    Nothing ->
+                        E.none
+             ]
+                ++ (case newInputError of
+                        Nothing ->
+                            []
+
+                        Just error ->
+                            [ Events.onMouseEnter <| ShowInputError error
+                            , Events.onMouseLeave HideInputError
+                            ]
+                   )
+            )
+          <|
+            iconButton
+                { icon =
+                    case newInputError of
+                        Nothing ->
+                            FeatherIcons.checkCircle
+
+                        Just _ ->
+                            FeatherIcons.alertTriangle
+                , size =
+                    fontSize.title
+                , onPress =
+                    case newInputError of
+                        Nothing ->
+                            Just AddPendingComponentChar
+
+                        Just _ ->
+                            Nothing
+                }
+        ]
+
+
+appPreferencesPopUp : Model -> E.Element Msg
+appPreferencesPopUp ({ trs, palette, spacing, fontSize, isBackingUp, backupMode } as model) =
+    popUpTemplate
+        { borderColor =
+            palette.lightFg
+        , isCloseButtonShown =
+            True
+        }
+        model
+        [ Input.radio
+            [ E.spacing spacing.small
+            , E.htmlAttribute <| Html.Attributes.style "align-self" "center"
+            ]
+            { onChange = UpdateLanguage
+            , selected = Just model.language
+            , label =
+                Input.labelAbove [ E.alignTop, E.paddingXY 0 spacing.small ]
+                    (E.text (Translations.language model.trs))
+            , options =
+                List.map
+                    (\{ id, name } ->
+                        Input.optionWith id
+                            (radioOption palette.lightFg fontSize (E.text name))
+                    )
+                    model.languages
+            }
+        , case backupMode of
+            DownloadBackupMode ->
+                E.column
+                    [ E.centerX
+                    , E.spacing spacing.tiny
+                    ]
+                    [ E.row
+                        [ E.spacing spacing.tiny
+                        , E.centerX
+                        ]
+                        [ E.text <| Translations.downloadBackup trs
+                        , iconButton
+                            { icon =
+                                FeatherIcons.download
+                            , size =
+                                fontSize.thumb
+                            , onPress =
+                                Just UpdateBackupLocation
+                            }
+                        ]
+                    , E.paragraph
+                        [ Font.size fontSize.small
+                        , Font.center
+                        ]
+                        [ E.text <| Translations.backupIsDownloaded trs ]
+                    ]
+
+            FileHandleBackupMode ->
+                fileBackupPreference model
+        , E.row
+            [ E.spacing spacing.tiny
+            , E.centerX
+            ]
+            [ E.text <| Translations.uploadBackup trs
+            , iconButton
+                { icon =
+                    FeatherIcons.upload
+                , size =
+                    fontSize.thumb
+                , onPress =
+                    Just UploadBackup
+                }
+            ]
+        , snapshotsPreference model
+        , gridUnitsPreference model
+        , componentSizePreference model
+        , presetsPreference model
+        , case model.storageUsage of
+            Just { usage, quota } ->
+                E.el
+                    [ E.centerX
+                    , Font.size fontSize.small
+                    ]
+                    (E.text <| Translations.storageUsage trs (showBytes usage) (showBytes quota))
+
+            Nothing ->
+                E.none
+        ]
+
+
+showBytes : Float -> String
+showBytes bytes =
+    let
+        ( size, unit ) =
+            if bytes >= 1024 ^ 3 then
+                ( bytes / 1024 ^ 3, "GB" )
+
+            else if bytes >= 1024 ^ 2 then
+                ( bytes / 1024 ^ 2, "MB" )
+
+            else
+                ( bytes / 1024, "KB" )
+    in
+    String.fromFloat (toFloat (round (size * 10)) / 10) ++ " " ++ unit
+
+
+fileBackupPreference : Model -> E.Element Msg
+fileBackupPreference { spacing, fontSize, isBackingUp, trs } =
+    if isBackingUp then
+        E.row
+            [ E.centerX
+            ]
+            [ E.el
+                [ E.paddingXY spacing.tiny 0 ]
+                (E.text <| Translations.backedUp trs)
+            , iconButton
+                { icon =
+                    FeatherIcons.save
+                , size =
+                    fontSize.thumb
+                , onPress =
+                    Just BackupNow
+                }
+            , iconButton
+                { icon =
+                    FeatherIcons.refreshCw
+                , size =
+                    fontSize.thumb
+                , onPress =
+                    Just UpdateBackupLocation
+                }
+            ]
+
+    else
+        E.row
+            [ E.spacing spacing.tiny ]
+            [ E.text <| Translations.createBackup trs
+            , iconButton
+                { icon =
+                    FeatherIcons.plusCircle
+                , size =
+                    fontSize.thumb
+                , onPress =
+                    Just UpdateBackupLocation
+                }
+            ]
+
+
+snapshotsPreference : Model -> E.Element Msg
+snapshotsPreference { trs, palette, spacing, fontSize, snapshotLocation, canChooseSnapshotDirectory, maxSnapshots } =
+    E.column
+        [ E.centerX
+        , E.spacing spacing.small
+        ]
+        [ E.row
+            [ E.spacing spacing.tiny
+            , E.centerX
+            ]
+            [ E.text <|
+                case snapshotLocation of
+                    BrowserStorage ->
+                        Translations.snapshotsInBrowser trs
+
+                    DirectoryStorage name ->
+                        Translations.snapshotsInDirectory trs name
+            , if canChooseSnapshotDirectory then
+                iconButton
+                    { icon =
+                        FeatherIcons.folder
+                    , size =
+                        fontSize.thumb
+                    , onPress =
+                        Just ChooseSnapshotDirectory
+                    }
+
+              else
+                E.none
+            , case snapshotLocation of
+                DirectoryStorage _ ->
+                    iconButton
+                        { icon =
+                            FeatherIcons.database
+                        , size =
+                            fontSize.thumb
+                        , onPress =
+                            Just UseBrowserSnapshots
+                        }
+
+                BrowserStorage ->
+                    E.none
+            , iconButton
+                { icon =
+                    FeatherIcons.clock
+                , size =
+                    fontSize.thumb
+                , onPress =
+                    Just ShowSnapshots
+                }
+            ]
+        , Input.slider
+            [ E.height (E.px fontSize.small)
+            , E.width (E.px <| fontSize.small * 7)
+            , E.centerX
+            , E.behindContent
+                (E.el
+                    [ E.width E.fill
+                    , E.height (E.px <| fontSize.small // 3)
+                    , E.centerY
+                    , Background.color palette.darkFg
+                    , Border.rounded (fontSize.small // 3)
+                    ]
+                    E.none
+                )
+            ]
+            { onChange = UpdateMaxSnapshots << round
+            , label =
+                Input.labelLeft []
+                    (E.text <| Translations.snapshotsKept trs (String.fromInt maxSnapshots))
+            , min = 1
+            , max = toFloat maxMaxSnapshots
+            , step = Just 1
+            , value = toFloat maxSnapshots
+            , thumb = sliderThumb palette fontSize
+            }
+        ]
+
+
+popUpTemplate :
+    { borderColor : E.Color
+    , isCloseButtonShown : Bool
+    }
+    -> Model
+    -> List (E.Element Msg)
+    -> E.Element Msg
+popUpTemplate { borderColor, isCloseButtonShown } { palette, spacing, fontSize, boxUnits, thumbnailUnitSize } =
+    let
+        borderWidth =
+            6
+
+        width =
+            toFloat boxUnits * thumbnailUnitSize * 2.3
+    in
+    E.column
+        ([ E.centerX
+         , E.centerY
+         , Background.color palette.lightBg
+         , E.width <| E.px <| round <| width
+         , E.height <| E.px <| round <| width + toFloat fontSize.title
+         , E.spacing spacing.small
+         , E.paddingXY spacing.small spacing.large
+         , Font.size fontSize.medium
+         , E.inFront <|
+            if isCloseButtonShown then
+                E.el
+                    [ E.padding spacing.tiny ]
+                <|
+                    iconButton
+                        { icon =
+                            FeatherIcons.x
+                        , size =
+                            fontSize.large
+                        , onPress =
+                            Just ClosePopUp
+                        }
+
+            else
+                E.none
+         ]
+            ++ highlightBorder
+                { color = borderColor
+                , width = borderWidth
+                , spacing = spacing
+                , style = Border.dashed
+                , glowWidth = borderWidth
+                }
+        )
+
+
+confirmClearCharsPopUp : MyCharType -> Model -> E.Element Msg
+confirmClearCharsPopUp myCharType ({ trs, chars } as model) =
+    confirmDeletePopUpTemplate
+        model
+        (Translations.allCharsOfAType trs (stringFromMyCharType trs myCharType))
+        (deleteCharsNotes model <|
+            Dict.keys <|
+                Dict.filter (\_ myChar -> isMyCharType myCharType myChar) chars
+        )
+        (ClearChars myCharType)
+
+
+confirmDeletePopUpTemplate : Model -> String -> List String -> Msg -> E.Element Msg
+confirmDeletePopUpTemplate ({ trs, palette, spacing, fontSize } as model) targetName notes onConfirm =
+    popUpTemplate
+        { borderColor =
+            palette.danger
+        , isCloseButtonShown =
+            False
+        }
+        model
+        [ E.el
+            [ E.centerX ]
+            (E.column
+                [ E.spacing spacing.medium ]
+                (E.paragraph []
+                    [ E.text (Translations.doYouWantToDelete trs)
+                    , E.el [ Font.bold ] (E.text targetName)
+                    , E.text (Translations.questionMark trs)
+                    ]
+                    :: List.map
+                        (\note ->
+                            E.paragraph [ Font.size fontSize.small ]
+                                [ E.text note
+                                ]
+                        )
+                        notes
+                )
+            )
+        , E.row
+            [ E.width E.fill
+            ]
+            [ E.el
+                [ E.alignLeft
+                , Font.color palette.lightFg
+                ]
+                (iconButton
+                    { icon =
+                        FeatherIcons.xCircle
+                    , size =
+                        fontSize.large
+                    , onPress =
+                        Just ClosePopUp
+                    }
+                )
+            , E.el
+                [ E.alignRight
+                , Font.color palette.danger
+                ]
+                (iconButton
+                    { icon =
+                        FeatherIcons.trash2
+                    , size =
+                        fontSize.large
+                    , onPress =
+                        Just onConfirm
+                    }
+                )
+            ]
+        ]
+
+
+compareReferenceImagesPopUp : Model -> E.Element Msg
+compareReferenceImagesPopUp ({ palette, spacing, fontSize, selectedChar, chars, charExplainations, unitSize, boxUnits, strokeWidth, trs } as model) =
+    let
+        cellWidth =
+            fontSize.medium * 15
+
+        referenceImages =
+            Maybe.withDefault [] <|
+                Maybe.map .referenceImages <|
+                    Dict.get (unboxChar selectedChar) charExplainations
+    in
+    E.column
+        [ E.centerX
+        , E.centerY
+        , Background.color palette.lightBg
+        , E.width E.fill
+        , E.height E.fill
+        , E.spacing spacing.large
+        , E.padding spacing.large
+        , Font.size fontSize.medium
+        , E.inFront
+            (E.el
+                [ E.padding spacing.medium ]
+             <|
+                iconButton
+                    { icon =
+                        FeatherIcons.x
+                    , size =
+                        fontSize.large
+                    , onPress =
+                        Just ClosePopUp
+                    }
+            )
+        ]
+        [ E.el
+            [ E.centerX ]
+            (titleText fontSize (Translations.compareReferenceImages trs))
+        , E.row
+            [ E.width E.fill
+            , E.height E.fill
+            , E.spacing spacing.large
+            , E.scrollbarX
+            ]
+            (E.el
+                [ E.width <| E.px cellWidth
+                , E.alignTop
+                ]
+                (E.html <|
+                    renderChar
+                        { model
+                            | unitSize = toFloat cellWidth / toFloat boxUnits
+                            , strokeWidth = strokeWidth * toFloat cellWidth / (toFloat boxUnits * unitSize)
+                        }
+                        RenderModeDisplay
+                        (myCharFromChar chars (unboxChar selectedChar))
+                )
+                :: List.map
+                    (\referenceImage ->
+                        E.column
+                            [ E.width <| E.px cellWidth
+                            , E.height E.fill
+                            , E.alignTop
+                            , E.spacing spacing.small
+                            , E.scrollbarY
+                            ]
+                            [ E.image
+                                [ E.width E.fill ]
+                                { src =
+                                    referenceImage.image
+                                , description =
+                                    Translations.referenceImage trs
+                                }
+                            , E.paragraph [ Font.bold ] [ E.text referenceImage.caption ]
+                            , E.paragraph [ Font.size fontSize.small ] [ E.text <| referenceImageDating trs referenceImage ]
+                            , E.paragraph [ Font.size fontSize.small ] [ E.text referenceImage.origin ]
+                            , E.paragraph [ Font.size fontSize.small, Font.italic ] [ E.text referenceImage.citation ]
+                            ]
+                    )
+                    referenceImages
+            )
+        ]
+
+
+previewInParagraphPopUp : Model -> E.Element Msg
+previewInParagraphPopUp ({ palette, spacing, fontSize, previewOrientation, previewFontSize, trs } as model) =
+    let
+        maxParagraphInputWidth =
+            fontSize.medium * 30
+
+        maxControlWidth =
+            maxParagraphInputWidth + 300
+    in
+    E.column
+        [ E.centerX
+        , E.centerY
+        , Background.color palette.lightBg
+        , E.width E.fill
+        , E.height E.fill
+        , E.spacing spacing.medium
+        , E.padding spacing.large
+        , Font.size fontSize.medium
+        , E.inFront
+            (E.el
+                [ E.padding spacing.medium ]
+             <|
+                iconButton
+                    { icon =
+                        FeatherIcons.x
+                    , size =
+                        fontSize.large
+                    , onPress =
+                        Just ClosePopUp
+                    }
+            )
+        ]
+        [ E.el
+            [ E.centerX ]
+            (titleText fontSize (Translations.previewInParagraph model.trs))
+        , E.row
+            [ E.height E.fill
+            , E.width
+                (E.fill
+                    |> E.maximum maxControlWidth
+                )
+            , E.centerX
+            , E.spacing spacing.medium
+            ]
+            [ E.column
+                [ E.width <| E.fillPortion 5
+                , E.height E.fill
+                , E.spacing spacing.medium
+                ]
+                [ E.el
+                    [ E.alignRight
+                    , E.width (E.fill |> E.maximum maxParagraphInputWidth)
+                    , E.height <| E.fillPortion 1
+                    , E.scrollbarY
+                    ]
+                    (Input.multiline
+                        [ E.width <| E.fill
+                        , E.height <| E.fill
+                        ]
+                        { onChange =
+                            UpdatePreviewParagraph
+                        , text =
+                            model.previewParagraph
+                        , placeholder =
+                            Just <| Input.placeholder [ E.alignLeft ] (E.text <| Translations.writeTextHereToPreview model.trs)
+                        , label =
+                            Input.labelHidden <| Translations.writeTextHereToPreview model.trs
+                        , spellcheck =
+                            False
+                        }
+                    )
+                ]
+            , E.column
+                [ E.width <| E.fillPortion 2
+                , E.height E.fill
+                , E.paddingXY 0 spacing.small
+                , E.spacing spacing.small
+                ]
+                [ strokeWidthPreference model
+                , previewFontSizePreference model
+                , previewLineHeightPreference model
+                , previewLetterSpacingPreference model
+                , Input.radio
+                    [ E.spacing spacing.small
+                    ]
+                    { onChange = UpdatePreviewOrientation
+                    , selected = Just previewOrientation
+                    , label =
+                        Input.labelAbove [ E.alignLeft, E.paddingEach { top = 0, bottom = spacing.small, left = 0, right = 0 } ]
+                            (E.text <| Translations.orientation trs)
+                    , options =
+                        [ Input.optionWith Horizontal
+                            (radioOption palette.darkFg fontSize (E.text <| Translations.OrientationType.horizontal trs))
+                        , Input.optionWith Vertical
+                            (radioOption palette.darkFg fontSize (E.text <| Translations.OrientationType.vertical trs))
+                        ]
+                    }
+                , Input.checkbox
+                    [ E.spacing spacing.tiny ]
+                    { onChange = \_ -> ToggleIsPreviewBoxShown
+                    , icon = checkbox palette fontSize
+                    , checked = model.isPreviewBoxShown
+                    , label =
+                        Input.labelRight []
+                            (E.text <| Translations.showCharBoxes trs)
+                    }
+                , Input.checkbox
+                    [ E.spacing spacing.tiny ]
+                    { onChange = \_ -> ToggleIsPreviewFallbackShown
+                    , icon = checkbox palette fontSize
+                    , checked = model.isPreviewFallbackShown
+                    , label =
+                        Input.labelRight []
+                            (E.text <| Translations.useFallbackFont trs)
+                    }
+                , E.paragraph
+                    [ Font.size fontSize.small ]
+                    [ E.text <| Translations.missingCharsAreHighlighted trs ]
+                , E.column
+                    [ E.spacing spacing.small ]
+                    [ E.text <| Translations.exportSpecimen trs
+                    , E.row
+                        [ E.spacing spacing.small ]
+                        [ textButton model "PNG" (Just <| ExportSpecimen SpecimenPng)
+                        , textButton model "SVG" (Just <| ExportSpecimen SpecimenSvg)
+                        , textButton model "PDF" (Just <| ExportSpecimen SpecimenPdf)
+                        ]
+                    ]
+                ]
+            ]
+        , E.el
+            [ E.width E.fill
+            , E.height <| E.fillPortion 3
+            , Font.size <| previewFontSize
+            , E.scrollbarY
+            ]
+            (renderPreviewInParagraph previewFontSize model)
+        ]
+
+
+renderPreviewInParagraph : Int -> Model -> E.Element Msg
+renderPreviewInParagraph displayFontSize ({ previewParagraph, previewOrientation, previewLineHeight, previewLetterSpacing, isPreviewBoxShown, isPreviewFallbackShown, chars, unitSize, boxUnits, strokeWidth, palette, trs } as model) =
+    let
+        lines =
+            String.Graphemes.lines previewParagraph
+
+        halfLineGap =
+            String.fromFloat (toFloat displayFontSize * (previewLineHeight - 1) / 2) ++ "px"
+
+        halfLetterGap =
+            String.fromFloat (toFloat displayFontSize * previewLetterSpacing / 2) ++ "px"
+
+        -- index.js reads the kind and position of every character to export the preview
+        previewCell kind char attributes content =
+            E.el
+                ([ E.htmlAttribute <|
+                    Html.Attributes.style "margin" <|
+                        case previewOrientation of
+                            Horizontal ->
+                                halfLineGap ++ " " ++ halfLetterGap
+
+                            Vertical ->
+                                halfLetterGap ++ " " ++ halfLineGap
+                 , E.htmlAttribute <| Html.Attributes.attribute "data-specimen-char" char
+                 , E.htmlAttribute <| Html.Attributes.attribute "data-specimen-kind" kind
+                 ]
+                    ++ (if isPreviewBoxShown then
+                            [ E.behindContent <|
+                                E.el
+                                    [ E.width E.fill
+                                    , E.height E.fill
+                                    , Border.width 1
+                                    , Border.dashed
+                                    , Border.color palette.lightFg
+                                    ]
+                                    E.none
+                            ]
+
+                        else
+                            []
+                       )
+                    ++ attributes
+                )
+                content
+
+        fallbackKind =
+            if isPreviewFallbackShown then
+                "fallback"
+
+            else
+                "blank"
+
+        -- a hidden fallback still takes up its space
+        fallbackText char =
+            E.el [ E.transparent <| not isPreviewFallbackShown ] (E.text char)
+    in
+    ( case previewOrientation of
+        Horizontal ->
+            E.column
+                [ E.centerX
+                , E.centerY
+                ]
+        
+        Vertical ->
+            E.row
+                [ E.centerX
+                , E.centerY
+                , E.htmlAttribute <| Html.Attributes.style "flex-direction" "row-reverse"
+                , E.height <| E.fill
+                ]
+    )
+    <|
+        List.map
+            (E.wrappedRow
+                ( case previewOrientation of
+                    Horizontal ->
+                        [ E.width E.fill ]
+                    
+                    Vertical ->
+                        [ E.width E.fill
+                        , E.htmlAttribute <| Html.Attributes.style "flex-flow" "column wrap-reverse"
+                        , E.height <| E.fill
+                        ]
+                )
+                << List.map
+                    (\char ->
+                        case Dict.get char chars of
+                            Just myChar ->
+                                previewCell "glyph"
+                                    char
+                                    []
+                                <|
+                                    E.html <|
+                                        renderChar
+                                            { model
+                                                | unitSize = toFloat displayFontSize / toFloat boxUnits
+                                                , strokeWidth = strokeWidth * toFloat displayFontSize / (toFloat boxUnits * unitSize)
+                                            }
+                                            RenderModeDisplay
+                                            myChar
+
+                            Nothing ->
+                                if isHanChar char then
+                                    previewCell fallbackKind
+                                        char
+                                        [ Font.color palette.danger
+                                        , Border.width 1
+                                        , Border.dashed
+                                        , Border.color palette.danger
+                                        , E.pointer
+                                        , Events.onClick <| CreateMissingChar char
+                                        , E.htmlAttribute <| Html.Attributes.title <| Translations.createMissingChar trs char
+                                        ]
+                                        (fallbackText char)
+
+                                else
+                                    previewCell fallbackKind
+                                        char
+                                        [ Font.family [ Font.sansSerif ] ]
+                                        (fallbackText char)
+                    )
+                << (\charsInLine ->
+                        if List.isEmpty charsInLine then
+                            [ " " ]
+
+                        else
+                            charsInLine
+                   )
+                << String.Graphemes.toList
+            )
+            lines
+
+
+
+-- CJK ideographs, radicals and strokes, the characters a library is expected to draw
+
+
+isHanChar : Grapheme -> Bool
+isHanChar char =
+    case String.uncons char of
+        Just ( first, _ ) ->
+            let
+                code =
+                    Char.toCode first
+            in
+            List.any
+                (\( low, high ) -> low <= code && code <= high)
+                [ ( 0x2E80, 0x2FDF )
+                , ( 0x31C0, 0x31EF )
+                , ( 0x3400, 0x4DBF )
+                , ( 0x4E00, 0x9FFF )
+                , ( 0xF900, 0xFAFF )
+                , ( 0x20000, 0x323AF )
+                ]
+
+        Nothing ->
+            False
+
+
+confirmDeleteSelectedCharPopUp : Model -> E.Element Msg
+confirmDeleteSelectedCharPopUp ({ selectedChar } as model) =
+    confirmDeletePopUpTemplate
+        model
+        (unboxChar selectedChar)
+        (deleteCharsNotes model [ unboxChar selectedChar ])
+        DeleteSelectedChar
+
+
+
+-- Warns about the compound characters that would lose a component
+
+
+deleteCharsNotes : Model -> List Grapheme -> List String
+deleteCharsNotes { trs, chars } deletedChars =
+    case affectedCompounds chars deletedChars of
+        [] ->
+            [ Translations.deletionCanBeUndone trs ]
+
+        affectedChars ->
+            [ Translations.deletionBreaksCompounds trs (String.concat affectedChars)
+            , Translations.deletionCanBeUndone trs
+            ]
+
+
+addCompoundCharPopUp : Model -> E.Element Msg
+addCompoundCharPopUp ({ trs, newCompoundChar, inputError, palette, spacing, fontSize, boxUnits, thumbnailUnitSize, chars } as model) =
+    let
+        inputLength =
+            String.Graphemes.length newCompoundChar
+
+        newInputError =
+            if inputLength /= 1 then
+                Just <| InvalidInputLength inputLength
+
+            else if Dict.member newCompoundChar chars then
+                Just <| CharacterAlreadyExists
+            else
+                Nothing
+        width =
+            toFloat boxUnits * thumbnailUnitSize * 2.3
+    in
+    popUpTemplate
+        { borderColor =
             palette.lightFg
         , isCloseButtonShown =
             True
         }
         model
-        [ Input.text
+        [ E.el
+            [ E.centerX
+            , Font.size fontSize.small
+            ]
+          <|
+            textButton model (Translations.importIds trs) (Just RequestImportIds)
+        , Input.text
             [ E.width <| E.px <| fontSize.medium * 5
             , E.centerX
             , onEnter <|
                 case newInputError of
                     Nothing ->
-                        Just AddPendingComponentChar
+                        Just AddPendingCompoundChar
 
                     Just _ ->
                         Nothing
             ]
             { onChange =
-                UpdatePendingComponentChar
+                UpdatePendingCompoundChar
             , text =
-                newComponentChar
+                newCompoundChar
             , placeholder =
                 Nothing
             , label =
@@ -2792,26 +10746,138 @@ addComponentToSelectedCharPopUp ({ chars, selectedChar, trs, newComponentChar, i
             ([ E.centerX
              , E.below <|
                 case inputError of
-                    Just error ->
-                        E.paragraph
+                    Just e ->
+                        E.column
+                        [ E.centerX
+                        , Font.size fontSize.small
+                        , E.width <| E.px <| round width
+                        , E.padding spacing.small
+                        , E.spacing spacing.small
+                        ]
+                        [ E.paragraph
                             [ E.centerX
-                            , Font.size fontSize.small
-                            , E.width <| E.px <| round width
-                            , E.padding spacing.small
                             ]
                             [ E.text <|
-                                case error of
-                                    InvalidInputLength _ ->
+                                case e of
+                                    CharacterAlreadyExists ->
+                                        Translations.characterAlreadyExists trs
+                                    _ ->
                                         Translations.acceptOnlyOneCharacter trs
+                            ]
+                        , case e of
+                            CharacterAlreadyExists ->
+                                E.el [ E.centerX ] <|
+                                    textButton model (Translations.editChar trs newCompoundChar)
+                                        (Just <| EditChar newCompoundChar)
+                            _ ->
+                                E.none
+                        ]
 
-                                    ContainsSelfReference ->
-                                        Translations.cannotContainSelfReference trs
+                    Nothing ->
+                        E.none
+             ]
+                ++ (case newInputError of
+                        Nothing ->
+                            []
 
-                                    CharacterNotFound ->
-                                        Translations.characterNotFound trs newComponentChar
-                                    
+                        Just error ->
+                            [ Events.onMouseEnter <| ShowInputError error
+                            , Events.onMouseLeave HideInputError
+                            ]
+                   )
+            )
+          <|
+            iconButton
+                { icon =
+                    case newInputError of
+                        Nothing ->
+                            FeatherIcons.checkCircle
+
+                        Just _ ->
+                            FeatherIcons.alertTriangle
+                , size =
+                    fontSize.title
+                , onPress =
+                    case newInputError of
+                        Nothing ->
+                            Just AddPendingCompoundChar
+
+                        Just _ ->
+                            Nothing
+                }
+        ]
+
+
+renameSelectedCharPopUp : Model -> E.Element Msg
+renameSelectedCharPopUp ({ trs, selectedChar, newCharName, inputError, palette, spacing, fontSize, chars } as model) =
+    let
+        inputLength =
+            String.Graphemes.length newCharName
+
+        newInputError =
+            if inputLength /= 1 then
+                Just <| InvalidInputLength inputLength
+
+            else if Dict.member newCharName chars then
+                Just <| CharacterAlreadyExists
+
+            else
+                Nothing
+    in
+    popUpTemplate
+        { borderColor =
+            palette.lightFg
+        , isCloseButtonShown =
+            True
+        }
+        model
+        [ Input.text
+            [ E.width <| E.px <| fontSize.medium * 5
+            , E.centerX
+            , onEnter <|
+                case newInputError of
+                    Nothing ->
+                        Just RenameSelectedChar
+
+                    Just _ ->
+                        Nothing
+            ]
+            { onChange =
+                UpdateNewCharName
+            , text =
+                newCharName
+            , placeholder =
+                Nothing
+            , label =
+                Input.labelAbove
+                    [ E.paddingEach { top = spacing.medium, bottom = 0, left = 0, right = 0 } ]
+                    (E.text <| Translations.renameCharTo trs (unboxChar selectedChar))
+            }
+        , case usersOfChar (usedByIndex chars) (unboxChar selectedChar) of
+            [] ->
+                E.none
+
+            users ->
+                E.paragraph
+                    [ Font.size fontSize.small ]
+                    [ E.text <| Translations.renameUpdatesUsers trs (String.concat users) ]
+        , E.el
+            ([ E.centerX
+             , E.below <|
+                case inputError of
+                    Just e ->
+                        E.paragraph
+                            [ E.centerX
+                            , Font.size fontSize.small
+                            , E.padding spacing.small
+                            ]
+                            [ E.text <|
+                                case e of
                                     CharacterAlreadyExists ->
-                                        ""
+                                        Translations.characterAlreadyExists trs
+
+                                    _ ->
+                                        Translations.acceptOnlyOneCharacter trs
                             ]
 
                     Nothing ->
@@ -2841,7 +10907,7 @@ addComponentToSelectedCharPopUp ({ chars, selectedChar, trs, newComponentChar, i
                 , onPress =
                     case newInputError of
                         Nothing ->
-                            Just AddPendingComponentChar
+                            Just RenameSelectedChar
 
                         Just _ ->
                             Nothing
@@ -2849,8 +10915,15 @@ addComponentToSelectedCharPopUp ({ chars, selectedChar, trs, newComponentChar, i
         ]
 
 
-appPreferencesPopUp : Model -> E.Element Msg
-appPreferencesPopUp ({ palette, spacing, fontSize, isBackingUp } as model) =
+dependenciesPopUp : Model -> E.Element Msg
+dependenciesPopUp ({ trs, chars, palette, spacing, fontSize } as model) =
+    let
+        unusedChars =
+            unusedComponents chars
+
+        cyclicChars =
+            charsInCycles chars
+    in
     popUpTemplate
         { borderColor =
             palette.lightFg
@@ -2858,739 +10931,951 @@ appPreferencesPopUp ({ palette, spacing, fontSize, isBackingUp } as model) =
             True
         }
         model
-        [ Input.radio
-            [ E.spacing spacing.small
-            , E.htmlAttribute <| Html.Attributes.style "align-self" "center"
+        [ E.el
+            [ E.centerX ]
+            (E.text <| Translations.dependencies trs)
+        , E.column
+            [ E.width E.fill
+            , E.height E.fill
+            , E.spacing spacing.medium
+            , E.paddingXY spacing.small 0
+            , E.scrollbarY
+            ]
+            [ E.paragraph
+                [ Font.size fontSize.small ]
+                [ E.text <| Translations.unusedComponents trs ]
+            , if List.isEmpty unusedChars then
+                E.paragraph
+                    [ Font.size fontSize.small
+                    , Font.color palette.lightFg
+                    ]
+                    [ E.text <| Translations.noUnusedComponents trs ]
+
+              else
+                charLinks model unusedChars
+            , if List.isEmpty cyclicChars then
+                E.none
+
+              else
+                E.column
+                    [ E.width E.fill
+                    , E.spacing spacing.small
+                    ]
+                    [ E.paragraph
+                        [ Font.size fontSize.small
+                        , Font.color palette.danger
+                        ]
+                        [ E.text <| Translations.charsInCycles trs ]
+                    , charLinks model cyclicChars
+                    ]
+            ]
+        ]
+
+
+
+-- Characters that open in the editor when clicked
+
+
+charLinks : Model -> List Grapheme -> E.Element Msg
+charLinks { spacing, fontSize } chars =
+    E.wrappedRow
+        [ E.width E.fill
+        , E.spacing spacing.small
+        , Font.size fontSize.large
+        ]
+        (List.map
+            (\char ->
+                Input.button []
+                    { label =
+                        E.text char
+                    , onPress =
+                        Just <| EditChar char
+                    }
+            )
+            chars
+        )
+
+
+onEnter : Maybe Msg -> E.Attribute Msg
+onEnter =
+    -- only used a dummy default attribute
+    Maybe.withDefault (E.htmlAttribute (Html.Attributes.selected True))
+        << Maybe.map
+            (\msg ->
+                E.htmlAttribute
+                    (Html.Events.on "keyup"
+                        (Decode.field "key" Decode.string
+                            |> Decode.andThen
+                                (\key ->
+                                    if key == "Enter" then
+                                        Decode.succeed msg
+
+                                    else
+                                        Decode.fail "Not the enter key"
+                                )
+                        )
+                    )
+            )
+
+
+titleText : FontSize -> String -> E.Element Msg
+titleText fontSize text =
+    E.el [ Font.size fontSize.title ] <|
+        E.text text
+
+
+editorSidePanel : Model -> E.Element Msg
+editorSidePanel ({ spacing } as model) =
+    E.column
+        [ E.spacing spacing.medium
+        , E.width E.fill
+        , E.height E.fill
+        , E.htmlAttribute <| Html.Attributes.style "user-select" "none"
+        ]
+        [ strokeWidthPreference model
+        , isSnapToGridPreference model
+        , isReferenceShownPreference model
+        , charUsers model
+        , charExplaination model
+        ]
+
+
+charUsers : Model -> E.Element Msg
+charUsers ({ trs, chars, selectedChar, spacing, fontSize } as model) =
+    E.column
+        [ E.spacing spacing.small
+        , E.width <| E.px <| fontSize.medium * 15
+        ]
+        [ E.text <| Translations.usedBy trs
+        , case usersOfChar (usedByIndex chars) (unboxChar selectedChar) of
+            [] ->
+                E.paragraph
+                    [ Font.size fontSize.small ]
+                    [ E.text <| Translations.notUsedByAnyChar trs ]
+
+            users ->
+                charLinks model users
+        ]
+
+
+charExplaination : Model -> E.Element Msg
+charExplaination ({ palette, fontSize, spacing, selectedChar, charExplainations, newTag, trs } as model) =
+    let
+        explaination =
+            Maybe.withDefault emptyExplaination <|
+                Dict.get (unboxChar selectedChar) charExplainations
+    in
+    E.column
+        [ E.spacing spacing.medium
+        , E.width <| E.px <| fontSize.medium * 15
+        ]
+        [ Input.multiline
+            [ E.width E.fill
+            , Font.alignLeft
             ]
-            { onChange = UpdateLanguage
-            , selected = Just model.language
+            { onChange =
+                UpdateExplainationNote
+            , text =
+                explaination.note
+            , placeholder =
+                Nothing
             , label =
-                Input.labelAbove [ E.alignTop, E.paddingXY 0 spacing.small ]
-                    (E.text (Translations.language model.trs))
-            , options =
-                [ Input.optionWith LanguageEn
-                    (radioOption palette.lightFg fontSize (E.text "English"))
-                , Input.optionWith LanguageZhHans
-                    (radioOption palette.lightFg fontSize (E.text "中文（简体）"))
-                , Input.optionWith LanguageZhHant
-                    (radioOption palette.lightFg fontSize (E.text "中文（繁體）"))
-                ]
+                Input.labelAbove
+                    [ E.alignLeft
+                    , E.paddingEach { top = 0, bottom = spacing.small, left = 0, right = 0 }
+                    ]
+                    (E.text <| Translations.explaination trs)
+            , spellcheck =
+                False
             }
-        , if isBackingUp then
-            E.row
-                [ E.centerX
+        , E.column
+            [ E.spacing spacing.small
+            , E.width E.fill
+            ]
+            [ E.text <| Translations.tags trs
+            , E.wrappedRow
+                [ E.spacing spacing.tiny
+                , E.width E.fill
                 ]
-                [ E.el
-                    [ E.paddingXY spacing.tiny 0 ]
-                    (E.text "Backuped")
-                , iconButton
-                    { icon =
-                        FeatherIcons.refreshCw
-                    , size =
-                        fontSize.thumb
-                    , onPress =
-                        Just UpdateBackupLocation
-                    }
+                (List.map
+                    (\tag ->
+                        E.row
+                            [ E.spacing spacing.tiny
+                            , E.paddingXY spacing.small spacing.tiny
+                            , Background.color palette.lightBg
+                            , Border.rounded spacing.small
+                            , Font.size fontSize.small
+                            ]
+                            [ E.text tag
+                            , iconButton
+                                { icon =
+                                    FeatherIcons.x
+                                , size =
+                                    fontSize.small
+                                , onPress =
+                                    Just <| RemoveTag tag
+                                }
+                            ]
+                    )
+                    explaination.tags
+                )
+            , E.row
+                [ E.spacing spacing.tiny
+                , E.width E.fill
                 ]
-
-          else
-            E.row
-                [ E.spacing spacing.tiny ]
-                [ E.text "Create backup"
+                [ Input.text
+                    [ E.width E.fill
+                    , E.padding spacing.tiny
+                    , Font.alignLeft
+                    , onEnter <| Just AddTag
+                    ]
+                    { onChange =
+                        UpdateNewTag
+                    , text =
+                        newTag
+                    , placeholder =
+                        Just <| Input.placeholder [] (E.text <| Translations.newTag trs)
+                    , label =
+                        Input.labelHidden <| Translations.newTag trs
+                    }
                 , iconButton
                     { icon =
                         FeatherIcons.plusCircle
                     , size =
                         fontSize.thumb
                     , onPress =
-                        Just UpdateBackupLocation
+                        if String.isEmpty (String.trim newTag) then
+                            Nothing
+
+                        else
+                            Just AddTag
                     }
                 ]
+            ]
         , E.row
-            [ E.spacing spacing.tiny
-            , E.centerX
+            [ E.spacing spacing.small
+            , E.width E.fill
             ]
-            [ E.text "Upload backup"
+            [ E.text <| Translations.referenceImages trs
             , iconButton
                 { icon =
                     FeatherIcons.upload
                 , size =
                     fontSize.thumb
                 , onPress =
-                    Just UploadBackup
+                    Just <| UploadReferenceImage Nothing
                 }
+            , if List.isEmpty explaination.referenceImages then
+                E.none
+
+              else
+                iconButton
+                    { icon =
+                        FeatherIcons.columns
+                    , size =
+                        fontSize.thumb
+                    , onPress =
+                        Just CompareReferenceImages
+                    }
             ]
+        , E.column
+            [ E.spacing spacing.large ]
+            (List.indexedMap (referenceImageEditor model) explaination.referenceImages)
         ]
 
 
-popUpTemplate :
-    { borderColor : E.Color
-    , isCloseButtonShown : Bool
-    }
-    -> Model
-    -> List (E.Element Msg)
-    -> E.Element Msg
-popUpTemplate { borderColor, isCloseButtonShown } { palette, spacing, fontSize, boxUnits, thumbnailUnitSize } =
-    let
-        borderWidth =
-            6
-
-        width =
-            toFloat boxUnits * thumbnailUnitSize * 2.3
-    in
+referenceImageEditor : Model -> Int -> ReferenceImage -> E.Element Msg
+referenceImageEditor { palette, fontSize, spacing, onionSkin, trs } index referenceImage =
     E.column
-        ([ E.centerX
-         , E.centerY
-         , Background.color palette.lightBg
-         , E.width <| E.px <| round <| width
-         , E.height <| E.px <| round <| width + toFloat fontSize.title
-         , E.spacing spacing.small
-         , E.paddingXY spacing.small spacing.large
-         , Font.size fontSize.medium
-         , E.inFront <|
-            if isCloseButtonShown then
-                E.el
-                    [ E.padding spacing.tiny ]
-                <|
-                    iconButton
-                        { icon =
-                            FeatherIcons.x
-                        , size =
-                            fontSize.large
-                        , onPress =
-                            Just ClosePopUp
-                        }
-
-            else
-                E.none
-         ]
-            ++ highlightBorder
-                { color = borderColor
-                , width = borderWidth
-                , spacing = spacing
-                , style = Border.dashed
-                , glowWidth = borderWidth
+        [ E.spacing spacing.small ]
+        [ E.row
+            [ E.spacing spacing.small ]
+            [ iconButton
+                { icon =
+                    FeatherIcons.refreshCw
+                , size =
+                    fontSize.thumb
+                , onPress =
+                    Just <| UploadReferenceImage (Just index)
                 }
-        )
-
-
-confirmClearCharsPopUp : MyCharType -> Model -> E.Element Msg
-confirmClearCharsPopUp myCharType ({ trs } as model) =
-    confirmDeletePopUpTemplate
-        model
-        (Translations.allCharsOfAType trs (stringFromMyCharType trs myCharType))
-        (ClearChars myCharType)
-
+            , E.el
+                [ Font.color <|
+                    if onionSkin == Just index then
+                        palette.lightFg
 
-confirmDeletePopUpTemplate : Model -> String -> Msg -> E.Element Msg
-confirmDeletePopUpTemplate ({ trs, palette, spacing, fontSize } as model) targetName onConfirm =
-    popUpTemplate
-        { borderColor =
-            palette.danger
-        , isCloseButtonShown =
-            False
-        }
-        model
-        [ E.el
-            [ E.centerX ]
-            (E.column
-                [ E.spacing spacing.medium ]
-                [ E.paragraph []
-                    [ E.text (Translations.doYouWantToDelete trs)
-                    , E.el [ Font.bold ] (E.text targetName)
-                    , E.text " ?"
-                    ]
-                , E.paragraph [ Font.size fontSize.small ]
-                    [ E.text (Translations.thisCannotBeUndone trs)
-                    ]
-                ]
-            )
-        , E.row
-            [ E.width E.fill
-            ]
-            [ E.el
-                [ E.alignLeft
-                , Font.color palette.lightFg
+                    else
+                        palette.black
                 ]
-                (iconButton
+              <|
+                iconButton
                     { icon =
-                        FeatherIcons.xCircle
+                        FeatherIcons.layers
                     , size =
-                        fontSize.large
+                        fontSize.thumb
                     , onPress =
-                        Just ClosePopUp
+                        Just <|
+                            UpdateOnionSkin <|
+                                if onionSkin == Just index then
+                                    Nothing
+
+                                else
+                                    Just index
                     }
-                )
-            , E.el
-                [ E.alignRight
-                , Font.color palette.danger
-                ]
-                (iconButton
+            , E.el [ Font.color palette.danger ] <|
+                iconButton
                     { icon =
                         FeatherIcons.trash2
                     , size =
-                        fontSize.large
+                        fontSize.thumb
                     , onPress =
-                        Just onConfirm
+                        Just <| DeleteReferenceImage index
                     }
-                )
             ]
-        ]
-
-
-previewInParagraphPopUp : Model -> E.Element Msg
-previewInParagraphPopUp ({ palette, spacing, fontSize, previewOrientation, previewFontSize, trs } as model) =
-    let
-        maxParagraphInputWidth =
-            fontSize.medium * 30
-
-        maxControlWidth =
-            maxParagraphInputWidth + 300
-    in
-    E.column
-        [ E.centerX
-        , E.centerY
-        , Background.color palette.lightBg
-        , E.width E.fill
-        , E.height E.fill
-        , E.spacing spacing.medium
-        , E.padding spacing.large
-        , Font.size fontSize.medium
-        , E.inFront
-            (E.el
-                [ E.padding spacing.medium ]
-             <|
-                iconButton
-                    { icon =
-                        FeatherIcons.x
-                    , size =
-                        fontSize.large
-                    , onPress =
-                        Just ClosePopUp
-                    }
-            )
-        ]
-        [ E.el
-            [ E.centerX ]
-            (titleText fontSize (Translations.previewInParagraph model.trs))
         , E.row
-            [ E.height E.fill
-            , E.width
-                (E.fill
-                    |> E.maximum maxControlWidth
-                )
-            , E.centerX
-            , E.spacing spacing.medium
-            ]
+            [ E.spacing spacing.medium ]
             [ E.column
-                [ E.width <| E.fillPortion 5
-                , E.height E.fill
-                , E.spacing spacing.medium
+                [ E.spacing <| spacing.medium
+                , E.width <| E.px <| fontSize.medium * 15
                 ]
-                [ E.el
-                    [ E.alignRight
-                    , E.width (E.fill |> E.maximum maxParagraphInputWidth)
-                    , E.height <| E.fillPortion 1
-                    , E.scrollbarY
+                [ E.image
+                    [ E.width E.fill ]
+                    { src =
+                        referenceImage.image
+                    , description =
+                        Translations.referenceImage trs
+                    }
+                , Input.text
+                    [ E.width E.fill
+                    , Font.alignLeft
+                    ]
+                    { onChange =
+                        UpdateReferenceImageCaption index
+                    , text =
+                        referenceImage.caption
+                    , placeholder =
+                        Just <| Input.placeholder [] <| E.text <| Translations.caption trs
+                    , label =
+                        Input.labelHidden <| Translations.caption trs
+                    }
+                , Input.multiline
+                    [ E.width E.fill
+                    , Font.alignLeft
+                    ]
+                    { onChange =
+                        UpdateReferenceImageCitation index
+                    , text =
+                        referenceImage.citation
+                    , placeholder =
+                        Just <| Input.placeholder [] <| E.text <| Translations.citation trs
+                    , label =
+                        Input.labelHidden <| Translations.citation trs
+                    , spellcheck =
+                        False
+                    }
+                , Input.text
+                    [ E.width E.fill
+                    , Font.alignLeft
+                    ]
+                    { onChange =
+                        UpdateReferenceImageOrigin index
+                    , text =
+                        referenceImage.origin
+                    , placeholder =
+                        Just <| Input.placeholder [] <| E.text <| Translations.origin trs
+                    , label =
+                        Input.labelHidden <| Translations.origin trs
+                    }
+                , Input.text
+                    [ E.width E.fill
+                    , Font.alignLeft
+                    , E.below <|
+                        if String.isEmpty referenceImage.url then
+                            E.none
+
+                        else
+                            E.newTabLink
+                                [ E.centerY
+                                , E.alignRight
+                                , E.paddingXY 0 spacing.small
+                                ]
+                                { url =
+                                    referenceImage.url
+                                , label =
+                                    iconButton
+                                        { icon =
+                                            FeatherIcons.externalLink
+                                        , size =
+                                            fontSize.thumb
+                                        , onPress =
+                                            Nothing
+                                        }
+                                }
                     ]
-                    (Input.multiline
-                        [ E.width <| E.fill
-                        , E.height <| E.fill
-                        ]
-                        { onChange =
-                            UpdatePreviewParagraph
-                        , text =
-                            model.previewParagraph
-                        , placeholder =
-                            Just <| Input.placeholder [ E.alignLeft ] (E.text <| Translations.writeTextHereToPreview model.trs)
-                        , label =
-                            Input.labelHidden <| Translations.writeTextHereToPreview model.trs
-                        , spellcheck =
-                            False
-                        }
-                    )
+                    { onChange =
+                        UpdateReferenceImageUrl index
+                    , text =
+                        referenceImage.url
+                    , placeholder =
+                        Just <| Input.placeholder [] <| E.text <| Translations.url trs
+                    , label =
+                        Input.labelHidden <| Translations.url trs
+                    }
                 ]
             , E.column
-                [ E.width <| E.fillPortion 2
-                , E.height E.fill
-                , E.paddingXY 0 spacing.small
-                , E.spacing spacing.small
+                [ E.spacing spacing.medium
+                , E.alignTop
                 ]
-                [ strokeWidthPreference model
-                , previewFontSizePreference model
+                [ Input.radio
+                    [ E.spacing spacing.small
+                    ]
+                    { onChange = UpdateReferenceImageScript index
+                    , selected = Just referenceImage.script
+                    , label =
+                        Input.labelAbove [ E.alignLeft, E.paddingEach { top = 0, bottom = spacing.small, left = 0, right = 0 } ]
+                            (E.text <| Translations.script trs)
+                    , options =
+                        [ Input.optionWith Oracle
+                            (radioOption palette.lightFg fontSize (E.text <| Translations.ScriptName.oracle trs))
+                        , Input.optionWith Bronze
+                            (radioOption palette.lightFg fontSize (E.text <| Translations.ScriptName.bronze trs))
+                        , Input.optionWith Seal
+                            (radioOption palette.lightFg fontSize (E.text <| Translations.ScriptName.seal trs))
+                        ]
+                    }
                 , Input.radio
                     [ E.spacing spacing.small
                     ]
-                    { onChange = UpdatePreviewOrientation
-                    , selected = Just previewOrientation
+                    { onChange = UpdateReferenceImagePeriod index
+                    , selected = Maybe.map .period referenceImage.time
                     , label =
                         Input.labelAbove [ E.alignLeft, E.paddingEach { top = 0, bottom = spacing.small, left = 0, right = 0 } ]
-                            (E.text <| Translations.orientation trs)
+                            (E.text <| Translations.period trs)
                     , options =
-                        [ Input.optionWith Horizontal
-                            (radioOption palette.darkFg fontSize (E.text <| Translations.OrientationType.horizontal trs))
-                        , Input.optionWith Vertical
-                            (radioOption palette.darkFg fontSize (E.text <| Translations.OrientationType.vertical trs))
+                        [ Input.optionWith Shang
+                            (radioOption palette.lightFg fontSize (E.text <| Translations.PeriodName.shang trs))
+                        , Input.optionWith WesternZhou
+                            (radioOption palette.lightFg fontSize (E.text <| Translations.PeriodName.westernZhou trs))
+                        , Input.optionWith SpringAndAutumn
+                            (radioOption palette.lightFg fontSize (E.text <| Translations.PeriodName.springAndAutumn trs))
+                        , Input.optionWith WarringStates
+                            (radioOption palette.lightFg fontSize (E.text <| Translations.PeriodName.warringStates trs))
                         ]
                     }
-                , iconButton
-                    { icon =
-                        FeatherIcons.download
-                    , size =
-                        fontSize.large
-                    , onPress =
-                        Just <| DownloadCharsForPreview
+                , Input.radio
+                    [ E.spacing spacing.small
+                    ]
+                    { onChange = UpdateReferenceImageStage index
+                    , selected = Maybe.andThen .stage referenceImage.time
+                    , label =
+                        Input.labelAbove [ E.alignLeft, E.paddingEach { top = 0, bottom = spacing.small, left = 0, right = 0 } ]
+                            (E.text <| Translations.stage trs)
+                    , options =
+                        [ Input.optionWith Early
+                            (radioOption palette.lightFg fontSize (E.text <| Translations.StageName.early trs))
+                        , Input.optionWith Middle
+                            (radioOption palette.lightFg fontSize (E.text <| Translations.StageName.middle trs))
+                        , Input.optionWith Late
+                            (radioOption palette.lightFg fontSize (E.text <| Translations.StageName.late trs))
+                        ]
                     }
                 ]
             ]
-        , E.el
-            [ E.width E.fill
-            , E.height <| E.fillPortion 3
-            , Font.size <| previewFontSize
-            , E.scrollbarY
-            ]
-            (renderPreviewInParagraph previewFontSize model)
         ]
 
 
-renderPreviewInParagraph : Int -> Model -> E.Element Msg
-renderPreviewInParagraph displayFontSize ({ previewParagraph, previewOrientation, chars, unitSize, boxUnits, strokeWidth } as model) =
+
+-- The script, period and stage of a reference image, like "Bronze · Western Zhou · Early"
+
+
+referenceImageDating : I18Next.Translations -> ReferenceImage -> String
+referenceImageDating trs { script, time } =
+    String.join " · " <|
+        scriptName trs script
+            :: (case time of
+                    Just { period, stage } ->
+                        periodName trs period
+                            :: (Maybe.withDefault [] <| Maybe.map (stageName trs >> List.singleton) stage)
+
+                    Nothing ->
+                        []
+               )
+
+
+scriptName : I18Next.Translations -> Script -> String
+scriptName trs script =
+    case script of
+        Oracle ->
+            Translations.ScriptName.oracle trs
+
+        Bronze ->
+            Translations.ScriptName.bronze trs
+
+        Seal ->
+            Translations.ScriptName.seal trs
+
+
+problemText : I18Next.Translations -> Problem -> String
+problemText trs { code, args } =
     let
-        lines =
-            String.Graphemes.lines previewParagraph
+        argument name =
+            Maybe.withDefault "" <| Dict.get name args
     in
-    ( case previewOrientation of
-        Horizontal ->
-            E.column
-                [ E.centerX
-                , E.centerY
-                ]
-        
-        Vertical ->
-            E.row
-                [ E.centerX
-                , E.centerY
-                , E.htmlAttribute <| Html.Attributes.style "flex-direction" "row-reverse"
-                , E.height <| E.fill
-                ]
-    )
-    <|
-        List.map
-            (E.wrappedRow
-                ( case previewOrientation of
-                    Horizontal ->
-                        [ E.width E.fill ]
-                    
-                    Vertical ->
-                        [ E.width E.fill
-                        , E.htmlAttribute <| Html.Attributes.style "flex-flow" "column wrap-reverse"
-                        , E.height <| E.fill
-                        ]
-                )
-                << List.map
-                    (\char ->
-                        case Dict.get char chars of
-                            Just myChar ->
-                                E.el
-                                    [ E.htmlAttribute <|
-                                        Html.Attributes.style "margin" <|
-                                            String.fromInt (displayFontSize // 4)
-                                                ++ "px 0"
-                                    ]
-                                <|
-                                    E.html <|
-                                        renderChar
-                                            { model
-                                                | unitSize = toFloat displayFontSize / toFloat boxUnits
-                                                , strokeWidth = strokeWidth * toFloat displayFontSize / (toFloat boxUnits * unitSize)
-                                            }
-                                            RenderModeDisplay
-                                            myChar
+    case code of
+        "invalidSvg" ->
+            Translations.Problem.invalidSvg trs
 
-                            Nothing ->
-                                E.text <| char
-                    )
-                << (\charsInLine ->
-                        if List.isEmpty charsInLine then
-                            [ " " ]
+        "noShapesAndNoSize" ->
+            Translations.Problem.noShapesAndNoSize trs
 
-                        else
-                            charsInLine
-                   )
-                << String.Graphemes.toList
-            )
-            lines
+        "scriptsRemoved" ->
+            Translations.Problem.scriptsRemoved trs
 
+        "embeddedHtmlRemoved" ->
+            Translations.Problem.embeddedHtmlRemoved trs
 
-confirmDeleteSelectedCharPopUp : Model -> E.Element Msg
-confirmDeleteSelectedCharPopUp ({ selectedChar } as model) =
-    confirmDeletePopUpTemplate
-        model
-        (unboxChar selectedChar)
-        DeleteSelectedChar
+        "embeddedObjectsRemoved" ->
+            Translations.Problem.embeddedObjectsRemoved trs
 
+        "embeddedMediaRemoved" ->
+            Translations.Problem.embeddedMediaRemoved trs
 
-addCompoundCharPopUp : Model -> E.Element Msg
-addCompoundCharPopUp ({ trs, newCompoundChar, inputError, palette, spacing, fontSize, boxUnits, thumbnailUnitSize, chars } as model) =
-    let
-        inputLength =
-            String.Graphemes.length newCompoundChar
+        "rasterImagesRemoved" ->
+            Translations.Problem.rasterImagesRemoved trs
 
-        newInputError =
-            if inputLength /= 1 then
-                Just <| InvalidInputLength inputLength
+        "styleSheetsRemoved" ->
+            Translations.Problem.styleSheetsRemoved trs
 
-            else if Dict.member newCompoundChar chars then
-                Just <| CharacterAlreadyExists
-            else
-                Nothing
-        width =
-            toFloat boxUnits * thumbnailUnitSize * 2.3
-    in
-    popUpTemplate
-        { borderColor =
-            palette.lightFg
-        , isCloseButtonShown =
-            True
-        }
-        model
-        [ Input.text
-            [ E.width <| E.px <| fontSize.medium * 5
-            , E.centerX
-            , onEnter <|
-                case newInputError of
-                    Nothing ->
-                        Just AddPendingCompoundChar
+        "externalResourcesRemoved" ->
+            Translations.Problem.externalResourcesRemoved trs
 
-                    Just _ ->
-                        Nothing
-            ]
-            { onChange =
-                UpdatePendingCompoundChar
-            , text =
-                newCompoundChar
-            , placeholder =
-                Nothing
-            , label =
-                Input.labelAbove
-                    [ E.paddingEach { top = spacing.medium, bottom = 0, left = 0, right = 0 } ]
-                    (E.text (Translations.character trs))
-            }
-        , E.el
-            ([ E.centerX
-             , E.below <|
-                case inputError of
-                    Just e ->
-                        E.column
-                        [ E.centerX
-                        , Font.size fontSize.small
-                        , E.width <| E.px <| round width
-                        , E.padding spacing.small
-                        , E.spacing spacing.small
-                        ]
-                        [ E.paragraph
-                            [ E.centerX
-                            ]
-                            [ E.text <|
-                                case e of
-                                    CharacterAlreadyExists ->
-                                        Translations.characterAlreadyExists trs
-                                    _ ->
-                                        Translations.acceptOnlyOneCharacter trs
-                            ]
-                        , case e of
-                            CharacterAlreadyExists ->
-                                E.el [ E.centerX ] <|
-                                    textButton model (Translations.editChar trs newCompoundChar)
-                                        (Just <| EditChar newCompoundChar)
-                            _ ->
-                                E.none
-                        ]
+        "animationsRemoved" ->
+            Translations.Problem.animationsRemoved trs
+
+        "linksRemoved" ->
+            Translations.Problem.linksRemoved trs
+
+        "filledShapesOutlined" ->
+            Translations.Problem.filledShapesOutlined trs
+
+        "filledShapesTraced" ->
+            Translations.Problem.filledShapesTraced trs
+
+        "viewBoxComputed" ->
+            Translations.Problem.viewBoxComputed trs
+
+        "percentageLengths" ->
+            Translations.Problem.percentageLengths trs
+
+        "rangeBeyondUnicode" ->
+            Translations.Problem.rangeBeyondUnicode trs (argument "range")
+
+        "reversedRange" ->
+            Translations.Problem.reversedRange trs (argument "range")
+
+        "rangeTooLarge" ->
+            Translations.Problem.rangeTooLarge trs (argument "range") (argument "max")
+
+        "codePointBeyondUnicode" ->
+            Translations.Problem.codePointBeyondUnicode trs (argument "codePoint")
+
+        "unreadableCodePoint" ->
+            Translations.Problem.unreadableCodePoint trs (argument "codePoint")
+
+        "unreadableFont" ->
+            Translations.Problem.unreadableFont trs (argument "message")
+
+        "notInFont" ->
+            Translations.Problem.notInFont trs
+
+        "noOutline" ->
+            Translations.Problem.noOutline trs
+
+        "invalidSpriteSheet" ->
+            Translations.Problem.invalidSpriteSheet trs
+
+        "noSymbols" ->
+            Translations.Problem.noSymbols trs
+
+        "noId" ->
+            Translations.Problem.noId trs
+
+        "noViewBox" ->
+            Translations.Problem.noViewBox trs
+
+        "nameBeyondUnicode" ->
+            Translations.Problem.nameBeyondUnicode trs
+
+        "sameCharAsOtherSymbol" ->
+            Translations.Problem.sameCharAsOtherSymbol trs
+
+        "sameCharAsOtherFile" ->
+            Translations.Problem.sameCharAsOtherFile trs
+
+        "alreadyInProject" ->
+            Translations.Problem.alreadyInProject trs
+
+        "notSingleCodePoint" ->
+            Translations.Problem.notSingleCodePoint trs
+
+        "missingSimpleCharSvg" ->
+            Translations.Problem.missingSimpleCharSvg trs (argument "char")
+
+        "invalidJson" ->
+            Translations.Problem.invalidJson trs (argument "message")
+
+        "notABackup" ->
+            Translations.Problem.notABackup trs
+
+        "unknownSchemaVersion" ->
+            Translations.Problem.unknownSchemaVersion trs (argument "version")
+
+        "newerSchemaVersion" ->
+            Translations.Problem.newerSchemaVersion trs (argument "version") (argument "appVersion") (argument "supportedVersion")
+
+        "migrationFailed" ->
+            Translations.Problem.migrationFailed trs (argument "version") (argument "message")
+
+        "noModel" ->
+            Translations.Problem.noModel trs
+
+        "noSimpleCharSvgs" ->
+            Translations.Problem.noSimpleCharSvgs trs
+
+        "noChars" ->
+            Translations.Problem.noChars trs
+
+        "noCharExplanations" ->
+            Translations.Problem.noCharExplanations trs
+
+        "invalidStrokeWidth" ->
+            Translations.Problem.invalidStrokeWidth trs
+
+        "invalidLanguage" ->
+            Translations.Problem.invalidLanguage trs
+
+        "unknownCharType" ->
+            Translations.Problem.unknownCharType trs (argument "char")
+
+        "referenceWithoutChar" ->
+            Translations.Problem.referenceWithoutChar trs (argument "char")
+
+        "invalidReferenceDimension" ->
+            Translations.Problem.invalidReferenceDimension trs (argument "char")
+
+        "invalidReferencePosition" ->
+            Translations.Problem.invalidReferencePosition trs (argument "char")
+
+        "invalidReferenceMirror" ->
+            Translations.Problem.invalidReferenceMirror trs (argument "char")
+
+        "savedUnderOtherChar" ->
+            Translations.Problem.savedUnderOtherChar trs (argument "char") (argument "otherChar")
+
+        "componentsNotList" ->
+            Translations.Problem.componentsNotList trs (argument "char")
+
+        "componentWithoutChar" ->
+            Translations.Problem.componentWithoutChar trs (argument "char") (argument "component")
+
+        "invalidComponentDimension" ->
+            Translations.Problem.invalidComponentDimension trs (argument "char") (argument "component")
+
+        "invalidComponentPosition" ->
+            Translations.Problem.invalidComponentPosition trs (argument "char") (argument "component")
+
+        "invalidComponentMirror" ->
+            Translations.Problem.invalidComponentMirror trs (argument "char") (argument "component")
+
+        "missingComponentChar" ->
+            Translations.Problem.missingComponentChar trs (argument "char") (argument "component") (argument "componentChar")
+
+        "invalidExplanation" ->
+            Translations.Problem.invalidExplanation trs (argument "char")
 
-                    Nothing ->
-                        E.none
-             ]
-                ++ (case newInputError of
-                        Nothing ->
-                            []
+        "invalidReferenceImage" ->
+            Translations.Problem.invalidReferenceImage trs (argument "char")
 
-                        Just error ->
-                            [ Events.onMouseEnter <| ShowInputError error
-                            , Events.onMouseLeave HideInputError
-                            ]
-                   )
-            )
-          <|
-            iconButton
-                { icon =
-                    case newInputError of
-                        Nothing ->
-                            FeatherIcons.checkCircle
+        "invalidReferenceImages" ->
+            Translations.Problem.invalidReferenceImages trs (argument "char")
 
-                        Just _ ->
-                            FeatherIcons.alertTriangle
-                , size =
-                    fontSize.title
-                , onPress =
-                    case newInputError of
-                        Nothing ->
-                            Just AddPendingCompoundChar
+        "invalidTags" ->
+            Translations.Problem.invalidTags trs (argument "char")
 
-                        Just _ ->
-                            Nothing
-                }
-        ]
+        "svgNotText" ->
+            Translations.Problem.svgNotText trs (argument "char")
 
+        "malformedSvg" ->
+            Translations.Problem.malformedSvg trs (argument "char")
 
-onEnter : Maybe Msg -> E.Attribute Msg
-onEnter =
-    -- only used a dummy default attribute
-    Maybe.withDefault (E.htmlAttribute (Html.Attributes.selected True))
-        << Maybe.map
-            (\msg ->
-                E.htmlAttribute
-                    (Html.Events.on "keyup"
-                        (Decode.field "key" Decode.string
-                            |> Decode.andThen
-                                (\key ->
-                                    if key == "Enter" then
-                                        Decode.succeed msg
+        -- "unexpected"
+        _ ->
+            Translations.Problem.unexpected trs (argument "message")
 
-                                    else
-                                        Decode.fail "Not the enter key"
-                                )
-                        )
-                    )
-            )
 
+periodName : I18Next.Translations -> Period -> String
+periodName trs period =
+    case period of
+        Shang ->
+            Translations.PeriodName.shang trs
 
-titleText : FontSize -> String -> E.Element Msg
-titleText fontSize text =
-    E.el [ Font.size fontSize.title ] <|
-        E.text text
+        WesternZhou ->
+            Translations.PeriodName.westernZhou trs
 
+        SpringAndAutumn ->
+            Translations.PeriodName.springAndAutumn trs
 
-editorSidePanel : Model -> E.Element Msg
-editorSidePanel ({ spacing } as model) =
-    E.column
-        [ E.spacing spacing.medium
-        , E.width E.fill
-        , E.height E.fill
-        , E.htmlAttribute <| Html.Attributes.style "user-select" "none"
+        WarringStates ->
+            Translations.PeriodName.warringStates trs
+
+
+stageName : I18Next.Translations -> Stage -> String
+stageName trs stage =
+    case stage of
+        Early ->
+            Translations.StageName.early trs
+
+        Middle ->
+            Translations.StageName.middle trs
+
+        Late ->
+            Translations.StageName.late trs
+
+
+isReferenceShownPreference : Model -> E.Element Msg
+isReferenceShownPreference { palette, spacing, fontSize, isReferenceCharShown, trs } =
+    Input.checkbox
+        [ E.spacing spacing.small ]
+        { onChange = \_ -> ToggleIsReferenceCharShown
+        , icon = checkbox palette fontSize
+        , checked = isReferenceCharShown
+        , label =
+            Input.labelLeft []
+                (E.text (Translations.showReference trs))
+        }
+
+
+isSnapToGridPreference : Model -> E.Element Msg
+isSnapToGridPreference { palette, spacing, fontSize, isSnapToGrid, trs } =
+    Input.checkbox
+        [ E.spacing spacing.small ]
+        { onChange = \_ -> ToggleIsSnapToGrid
+        , icon = checkbox palette fontSize
+        , checked = isSnapToGrid
+        , label =
+            Input.labelLeft []
+                (E.text (Translations.snapToGrid trs))
+        }
+
+
+strokeWidthPreference : Model -> E.Element Msg
+strokeWidthPreference { palette, spacing, fontSize, strokeWidth, trs } =
+    Input.slider
+        [ E.height (E.px fontSize.small)
+        , E.width (E.px <| fontSize.small * 7)
+        , E.behindContent
+            (E.el
+                [ E.width E.fill
+                , E.height (E.px <| fontSize.small // 3)
+                , E.centerY
+                , Background.color palette.darkFg
+                , Border.rounded (fontSize.small // 3)
+                ]
+                E.none
+            )
         ]
-        [ strokeWidthPreference model
-        , isSnapToGridPreference model
-        , isReferenceShownPreference model
-        , charExplaination model
+        { onChange = UpdateStrokeWidth
+        , label =
+            Input.labelLeft []
+                (E.row
+                    [ E.spacing spacing.small ]
+                    [ E.text <| Translations.strokeWidth trs
+                    , E.text <| String.fromInt (round strokeWidth)
+                    ]
+                )
+        , min = minStrokeWidth
+        , max = maxStrokeWidth
+        , step = Just 1
+        , value = strokeWidth
+        , thumb = sliderThumb palette fontSize
+        }
+
+
+gridUnitsPreference : Model -> E.Element Msg
+gridUnitsPreference { palette, spacing, fontSize, gridUnits, trs } =
+    Input.slider
+        [ E.height (E.px fontSize.small)
+        , E.width (E.px <| fontSize.small * 7)
+        , E.centerX
+        , E.behindContent
+            (E.el
+                [ E.width E.fill
+                , E.height (E.px <| fontSize.small // 3)
+                , E.centerY
+                , Background.color palette.darkFg
+                , Border.rounded (fontSize.small // 3)
+                ]
+                E.none
+            )
         ]
+        { onChange = UpdateGridUnits << round
+        , label =
+            Input.labelLeft []
+                (E.row
+                    [ E.spacing spacing.small ]
+                    [ E.text <| Translations.gridSize trs
+                    , E.text <| String.fromInt gridUnits
+                    ]
+                )
+        , min = toFloat minGridUnits
+        , max = toFloat maxGridUnits
+        , step = Just 1
+        , value = toFloat gridUnits
+        , thumb = sliderThumb palette fontSize
+        }
 
 
-charExplaination : Model -> E.Element Msg
-charExplaination { palette, fontSize, spacing, selectedChar, charExplainations, trs } =
-    let
-        explaination =
-            Maybe.withDefault emptyExplaination <|
-                Dict.get (unboxChar selectedChar) charExplainations
-    in
-    E.column
-        [ E.spacing spacing.medium
-        , E.width <| E.px <| fontSize.medium * 15
+componentSizePreference : Model -> E.Element Msg
+componentSizePreference { palette, spacing, fontSize, componentSize, trs } =
+    Input.slider
+        [ E.height (E.px fontSize.small)
+        , E.width (E.px <| fontSize.small * 7)
+        , E.centerX
+        , E.behindContent
+            (E.el
+                [ E.width E.fill
+                , E.height (E.px <| fontSize.small // 3)
+                , E.centerY
+                , Background.color palette.darkFg
+                , Border.rounded (fontSize.small // 3)
+                ]
+                E.none
+            )
         ]
-        [ Input.multiline
-            [ E.width E.fill
-            , Font.alignLeft
-            ]
-            { onChange =
-                UpdateExplainationNote
-            , text =
-                explaination.note
-            , placeholder =
-                Nothing
-            , label =
-                Input.labelAbove
-                    [ E.alignLeft
-                    , E.paddingEach { top = 0, bottom = spacing.small, left = 0, right = 0 }
+        { onChange = UpdateComponentSize
+        , label =
+            Input.labelLeft []
+                (E.row
+                    [ E.spacing spacing.small ]
+                    [ E.text <| Translations.componentSize trs
+                    , E.text <| String.fromInt (round componentSize) ++ "%"
                     ]
-                    (E.text <| Translations.explaination trs)
-            , spellcheck =
-                False
-            }
+                )
+        , min = minComponentSize
+        , max = maxComponentSize
+        , step = Just 5
+        , value = componentSize
+        , thumb = sliderThumb palette fontSize
+        }
+
+
+presetsPreference : Model -> E.Element Msg
+presetsPreference ({ trs, presets, newPresetName, spacing, fontSize } as model) =
+    E.column
+        [ E.centerX
+        , E.spacing spacing.small
+        ]
+        [ E.el [ E.centerX ] (E.text <| Translations.presets trs)
         , E.row
-            [ E.spacing spacing.small
-            , E.width E.fill
-            ]
-            [ E.text <| Translations.referenceImage trs
+            [ E.spacing spacing.tiny ]
+            [ Input.text
+                [ E.width <| E.px <| fontSize.medium * 8
+                , E.padding spacing.tiny
+                , Font.size fontSize.small
+                , onEnter <| Just SavePreset
+                ]
+                { onChange =
+                    UpdateNewPresetName
+                , text =
+                    newPresetName
+                , placeholder =
+                    Just <| Input.placeholder [] (E.text <| Translations.presetName trs)
+                , label =
+                    Input.labelHidden <| Translations.presetName trs
+                }
             , iconButton
                 { icon =
-                    case explaination.referenceImage of
-                        Just _ ->
-                            FeatherIcons.refreshCw
-
-                        Nothing ->
-                            FeatherIcons.upload
+                    FeatherIcons.plusCircle
                 , size =
                     fontSize.thumb
                 , onPress =
-                    Just UploadReferenceImage
+                    if String.isEmpty (String.trim newPresetName) then
+                        Nothing
+
+                    else
+                        Just SavePreset
                 }
             ]
-        , case explaination.referenceImage of
-            Just referenceImage ->
-                E.row
-                    [ E.spacing spacing.medium ]
-                    [ E.column
-                        [ E.spacing <| spacing.medium
-                        , E.width <| E.px <| fontSize.medium * 15
-                        ]
-                        [ E.image
-                            [ E.width E.fill ]
-                            { src =
-                                referenceImage.image
-                            , description =
-                                Translations.referenceImage trs
-                            }
-                        , Input.text
-                            [ E.width E.fill
-                            , Font.alignLeft
-                            ]
-                            { onChange =
-                                UpdateReferenceImageOrigin
-                            , text =
-                                referenceImage.origin
-                            , placeholder =
-                                Just <| Input.placeholder [] <| E.text <| Translations.origin trs
-                            , label =
-                                Input.labelHidden <| Translations.origin trs
-                            }
-                        , Input.text
-                            [ E.width E.fill
-                            , Font.alignLeft
-                            , E.below <|
-                                if String.isEmpty referenceImage.url then
-                                    E.none
-
-                                else
-                                    E.newTabLink
-                                        [ E.centerY
-                                        , E.alignRight
-                                        , E.paddingXY 0 spacing.small
-                                        ]
-                                        { url =
-                                            referenceImage.url
-                                        , label =
-                                            iconButton
-                                                { icon =
-                                                    FeatherIcons.externalLink
-                                                , size =
-                                                    fontSize.thumb
-                                                , onPress =
-                                                    Nothing
-                                                }
-                                        }
-                            ]
-                            { onChange =
-                                UpdateReferenceImageUrl
-                            , text =
-                                referenceImage.url
-                            , placeholder =
-                                Just <| Input.placeholder [] <| E.text <| Translations.url trs
-                            , label =
-                                Input.labelHidden <| Translations.url trs
-                            }
-                        ]
-                    , E.column
-                        [ E.spacing spacing.medium
-                        , E.alignTop
+        , E.column
+            [ E.width E.fill
+            , E.spacing spacing.tiny
+            , Font.size fontSize.small
+            ]
+            (List.map
+                (\name ->
+                    E.row
+                        [ E.width E.fill
+                        , E.spacing spacing.tiny
                         ]
-                        [ Input.radio
-                            [ E.spacing spacing.small
-                            ]
-                            { onChange = UpdateReferenceImageScript
-                            , selected = Just referenceImage.script
-                            , label =
-                                Input.labelAbove [ E.alignLeft, E.paddingEach { top = 0, bottom = spacing.small, left = 0, right = 0 } ]
-                                    (E.text <| Translations.script trs)
-                            , options =
-                                [ Input.optionWith Oracle
-                                    (radioOption palette.lightFg fontSize (E.text <| Translations.ScriptName.oracle trs))
-                                , Input.optionWith Bronze
-                                    (radioOption palette.lightFg fontSize (E.text <| Translations.ScriptName.bronze trs))
-                                , Input.optionWith Seal
-                                    (radioOption palette.lightFg fontSize (E.text <| Translations.ScriptName.seal trs))
-                                ]
-                            }
-                        , Input.radio
-                            [ E.spacing spacing.small
-                            ]
-                            { onChange = UpdateReferenceImagePeriod
-                            , selected = Maybe.map .period referenceImage.time
-                            , label =
-                                Input.labelAbove [ E.alignLeft, E.paddingEach { top = 0, bottom = spacing.small, left = 0, right = 0 } ]
-                                    (E.text <| Translations.period trs)
-                            , options =
-                                [ Input.optionWith Shang
-                                    (radioOption palette.lightFg fontSize (E.text <| Translations.PeriodName.shang trs))
-                                , Input.optionWith WesternZhou
-                                    (radioOption palette.lightFg fontSize (E.text <| Translations.PeriodName.westernZhou trs))
-                                , Input.optionWith SpringAndAutumn
-                                    (radioOption palette.lightFg fontSize (E.text <| Translations.PeriodName.springAndAutumn trs))
-                                , Input.optionWith WarringStates
-                                    (radioOption palette.lightFg fontSize (E.text <| Translations.PeriodName.warringStates trs))
-                                ]
-                            }
-                        , Input.radio
-                            [ E.spacing spacing.small
-                            ]
-                            { onChange = UpdateReferenceImageStage
-                            , selected = Maybe.andThen .stage referenceImage.time
-                            , label =
-                                Input.labelAbove [ E.alignLeft, E.paddingEach { top = 0, bottom = spacing.small, left = 0, right = 0 } ]
-                                    (E.text <| Translations.stage trs)
-                            , options =
-                                [ Input.optionWith Early
-                                    (radioOption palette.lightFg fontSize (E.text <| Translations.StageName.early trs))
-                                , Input.optionWith Middle
-                                    (radioOption palette.lightFg fontSize (E.text <| Translations.StageName.middle trs))
-                                , Input.optionWith Late
-                                    (radioOption palette.lightFg fontSize (E.text <| Translations.StageName.late trs))
-                                ]
+                        [ E.el [ E.width E.fill ] (E.text name)
+                        , textButton model (Translations.applyPreset trs) (Just <| ApplyPreset name)
+                        , iconButton
+                            { icon =
+                                FeatherIcons.x
+                            , size =
+                                fontSize.small
+                            , onPress =
+                                Just <| DeletePreset name
                             }
                         ]
-                    ]
-
-            Nothing ->
-                E.none
+                )
+                (Dict.keys presets)
+            )
+        , E.row
+            [ E.centerX
+            , E.spacing spacing.small
+            , Font.size fontSize.small
+            ]
+            [ textButton model (Translations.exportPreferences trs) (Just ExportPreferences)
+            , textButton model (Translations.importPreferences trs) (Just ImportPreferences)
+            ]
         ]
 
 
-isReferenceShownPreference : Model -> E.Element Msg
-isReferenceShownPreference { palette, spacing, fontSize, isReferenceCharShown, trs } =
-    Input.checkbox
-        [ E.spacing spacing.small ]
-        { onChange = \_ -> ToggleIsReferenceCharShown
-        , icon = checkbox palette fontSize
-        , checked = isReferenceCharShown
-        , label =
-            Input.labelLeft []
-                (E.text (Translations.showReference trs))
-        }
-
-
-isSnapToGridPreference : Model -> E.Element Msg
-isSnapToGridPreference { palette, spacing, fontSize, isSnapToGrid, trs } =
-    Input.checkbox
-        [ E.spacing spacing.small ]
-        { onChange = \_ -> ToggleIsSnapToGrid
-        , icon = checkbox palette fontSize
-        , checked = isSnapToGrid
+previewFontSizePreference : Model -> E.Element Msg
+previewFontSizePreference { palette, spacing, fontSize, previewFontSize, trs } =
+    Input.slider
+        [ E.height (E.px fontSize.small)
+        , E.width (E.px <| fontSize.small * 7)
+        , E.behindContent
+            (E.el
+                [ E.width E.fill
+                , E.height (E.px <| fontSize.small // 3)
+                , E.centerY
+                , Background.color palette.darkFg
+                , Border.rounded (fontSize.small // 3)
+                ]
+                E.none
+            )
+        ]
+        { onChange = UpdatePreviewFontSize << round
         , label =
             Input.labelLeft []
-                (E.text (Translations.snapToGrid trs))
+                (E.row
+                    [ E.spacing spacing.small ]
+                    [ E.text <| Translations.fontSize trs
+                    , E.text <| String.fromInt previewFontSize
+                    ]
+                )
+        , min = minPreviewFontSize
+        , max = maxPreviewFontSize
+        , step = Just 1
+        , value = toFloat previewFontSize
+        , thumb = sliderThumb palette fontSize
         }
 
 
-strokeWidthPreference : Model -> E.Element Msg
-strokeWidthPreference { palette, spacing, fontSize, strokeWidth, trs } =
+previewLineHeightPreference : Model -> E.Element Msg
+previewLineHeightPreference { palette, spacing, fontSize, previewLineHeight, trs } =
     Input.slider
         [ E.height (E.px fontSize.small)
         , E.width (E.px <| fontSize.small * 7)
@@ -3605,25 +11890,25 @@ strokeWidthPreference { palette, spacing, fontSize, strokeWidth, trs } =
                 E.none
             )
         ]
-        { onChange = UpdateStrokeWidth
+        { onChange = UpdatePreviewLineHeight
         , label =
             Input.labelLeft []
                 (E.row
                     [ E.spacing spacing.small ]
-                    [ E.text <| Translations.strokeWidth trs
-                    , E.text <| String.fromInt (round strokeWidth)
+                    [ E.text <| Translations.lineHeight trs
+                    , E.text <| String.fromFloat (toFloat (round (previewLineHeight * 10)) / 10)
                     ]
                 )
-        , min = minStrokeWidth
-        , max = maxStrokeWidth
-        , step = Just 1
-        , value = strokeWidth
+        , min = minPreviewLineHeight
+        , max = maxPreviewLineHeight
+        , step = Just 0.1
+        , value = previewLineHeight
         , thumb = sliderThumb palette fontSize
         }
 
 
-previewFontSizePreference : Model -> E.Element Msg
-previewFontSizePreference { palette, spacing, fontSize, previewFontSize, trs } =
+previewLetterSpacingPreference : Model -> E.Element Msg
+previewLetterSpacingPreference { palette, spacing, fontSize, previewLetterSpacing, trs } =
     Input.slider
         [ E.height (E.px fontSize.small)
         , E.width (E.px <| fontSize.small * 7)
@@ -3638,19 +11923,19 @@ previewFontSizePreference { palette, spacing, fontSize, previewFontSize, trs } =
                 E.none
             )
         ]
-        { onChange = UpdatePreviewFontSize << round
+        { onChange = UpdatePreviewLetterSpacing
         , label =
             Input.labelLeft []
                 (E.row
                     [ E.spacing spacing.small ]
-                    [ E.text <| Translations.fontSize trs
-                    , E.text <| String.fromInt previewFontSize
+                    [ E.text <| Translations.letterSpacing trs
+                    , E.text <| String.fromFloat (toFloat (round (previewLetterSpacing * 100)) / 100)
                     ]
                 )
-        , min = minPreviewFontSize
-        , max = maxPreviewFontSize
-        , step = Just 1
-        , value = toFloat previewFontSize
+        , min = 0
+        , max = maxPreviewLetterSpacing
+        , step = Just 0.05
+        , value = previewLetterSpacing
         , thumb = sliderThumb palette fontSize
         }
 
@@ -3737,102 +12022,445 @@ radioOption borderColor fontSize optionLabel status =
         ]
 
 
-editor : Model -> E.Element Msg
-editor ({ selectedChar, selectedCharHistory, chars, spacing, palette, fontSize } as model) =
+editor : Model -> E.Element Msg
+editor ({ selectedChar, history, chars, spacing, palette, fontSize } as model) =
+    E.column
+        []
+        [ E.row
+            [ E.width E.fill
+            , E.paddingEach { top = 0, bottom = spacing.large, left = 0, right = 0 }
+            ]
+            [ E.el [ E.alignLeft ] <|
+                iconButton
+                    { icon =
+                        FeatherIcons.chevronLeft
+                    , size =
+                        fontSize.title
+                    , onPress =
+                        Just <| UpdateMode BrowseMode
+                    }
+            , E.el [ E.centerX, Font.size fontSize.title, Font.bold ]
+                (E.text <| unboxChar selectedChar)
+            , E.el
+                [ E.alignRight
+                , E.spacing spacing.small
+                , E.onLeft <|
+                    E.row
+                        [ E.spacing spacing.small
+                        , E.paddingXY spacing.small 0
+                        ]
+                        [ E.el
+                            [ Font.color <|
+                                if List.isEmpty history.done then
+                                    palette.disabled
+
+                                else
+                                    palette.black
+                            ]
+                          <|
+                            iconButton
+                                { icon =
+                                    FeatherIcons.cornerUpLeft
+                                , size =
+                                    fontSize.title
+                                , onPress =
+                                    Just <| Undo
+                                }
+                        , E.el
+                            [ Font.color <|
+                                if List.isEmpty history.undone then
+                                    palette.disabled
+
+                                else
+                                    palette.black
+                            ]
+                          <|
+                            iconButton
+                                { icon =
+                                    FeatherIcons.cornerUpRight
+                                , size =
+                                    fontSize.title
+                                , onPress =
+                                    Just <| Redo
+                                }
+                        , iconButton
+                            { icon =
+                                FeatherIcons.clock
+                            , size =
+                                fontSize.title
+                            , onPress =
+                                Just <| ShowHistory
+                            }
+                        ]
+                ] <|
+                if isMyCharType SimpleCharType (myCharFromChar chars (unboxChar selectedChar)) then
+                    E.row
+                        [ E.spacing spacing.small ]
+                        [ iconButton
+                            { icon =
+                                FeatherIcons.penTool
+                            , size =
+                                fontSize.title
+                            , onPress =
+                                Just <| EditStrokes
+                            }
+                        , iconButton
+                            { icon =
+                                FeatherIcons.refreshCw
+                            , size =
+                                fontSize.title
+                            , onPress =
+                                Just <| UploadSimpleChar
+                            }
+                        ]
+
+                else
+                    iconButton
+                        { icon =
+                            FeatherIcons.plus
+                        , size =
+                            fontSize.title
+                        , onPress =
+                            Just <| RequestAddComponentToSelectedChar
+                        }
+            ]
+        , E.el
+            [ E.inFront <|
+                case ( activeStrokeEditor model, selectedChar ) of
+                    ( Just strokeEditor, _ ) ->
+                        strokeEditorCanvas model strokeEditor
+
+                    ( Nothing, Just char ) ->
+                        E.html <|
+                            renderChar
+                                model
+                                RenderModeEditor
+                                (myCharFromChar chars char)
+
+                    ( Nothing, Nothing ) ->
+                        E.none
+            , E.inFront <|
+                Maybe.withDefault E.none <|
+                    Maybe.map (onionSkinOverlay model) (onionSkinImage model)
+            ]
+            (E.html <| gridBackground model)
+        , Maybe.withDefault E.none <|
+            Maybe.map (strokeEditorToolbar model) (activeStrokeEditor model)
+        , case onionSkinImage model of
+            Just _ ->
+                onionSkinOpacityPreference model
+
+            Nothing ->
+                E.none
+        ]
+
+
+
+-- The reference image of the selected character shown under the onion skin, if any
+
+
+onionSkinImage : Model -> Maybe ReferenceImage
+onionSkinImage { selectedChar, charExplainations, onionSkin } =
+    Maybe.andThen
+        (\index ->
+            Maybe.andThen
+                (\char ->
+                    Maybe.andThen
+                        (.referenceImages >> List.Extra.getAt index)
+                        (Dict.get char charExplainations)
+                )
+                selectedChar
+        )
+        onionSkin
+
+
+
+-- Laid over the em box of the editor. It lets every click through to the character and the grid below
+
+
+onionSkinOverlay : Model -> ReferenceImage -> E.Element Msg
+onionSkinOverlay { boxUnits, borderUnits, unitSize, onionSkinOpacity, trs } referenceImage =
+    let
+        scaledBoxSize =
+            (toFloat boxUnits + 2 * minBorderUnits - 2 * borderUnits) * unitSize
+    in
+    E.el
+        [ E.moveRight <| borderUnits * unitSize
+        , E.moveDown <| borderUnits * unitSize
+        ]
+    <|
+        E.html <|
+            Html.img
+                [ Html.Attributes.src referenceImage.image
+                , Html.Attributes.alt <| Translations.referenceImage trs
+                , Html.Attributes.style "width" (String.fromFloat scaledBoxSize ++ "px")
+                , Html.Attributes.style "height" (String.fromFloat scaledBoxSize ++ "px")
+                , Html.Attributes.style "object-fit" "contain"
+                , Html.Attributes.style "opacity" (String.fromFloat onionSkinOpacity)
+                , Html.Attributes.style "pointer-events" "none"
+                , Html.Attributes.style "display" "block"
+                ]
+                []
+
+
+onionSkinOpacityPreference : Model -> E.Element Msg
+onionSkinOpacityPreference { palette, spacing, fontSize, onionSkinOpacity, trs } =
+    E.row
+        [ E.spacing spacing.medium
+        , E.paddingXY 0 spacing.medium
+        , Font.size fontSize.small
+        ]
+        [ Input.slider
+            [ E.height (E.px fontSize.small)
+            , E.width (E.px <| fontSize.small * 7)
+            , E.behindContent
+                (E.el
+                    [ E.width E.fill
+                    , E.height (E.px <| fontSize.small // 3)
+                    , E.centerY
+                    , Background.color palette.darkFg
+                    , Border.rounded (fontSize.small // 3)
+                    ]
+                    E.none
+                )
+            ]
+            { onChange = UpdateOnionSkinOpacity
+            , label =
+                Input.labelLeft []
+                    (E.row
+                        [ E.spacing spacing.small ]
+                        [ E.text <| Translations.onionSkinOpacity trs
+                        , E.text <| String.fromInt (round (onionSkinOpacity * 100)) ++ "%"
+                        ]
+                    )
+            , min = 0.1
+            , max = 1
+            , step = Just 0.05
+            , value = onionSkinOpacity
+            , thumb = sliderThumb palette fontSize
+            }
+        , iconButton
+            { icon =
+                FeatherIcons.x
+            , size =
+                fontSize.medium
+            , onPress =
+                Just <| UpdateOnionSkin Nothing
+            }
+        ]
+
+
+-- The stroke editor of the selected character, if it is open
+
+
+activeStrokeEditor : Model -> Maybe StrokeEditor
+activeStrokeEditor { strokeEditor, selectedChar } =
+    Maybe.andThen
+        (\openStrokeEditor ->
+            if selectedChar == Just openStrokeEditor.char then
+                Just openStrokeEditor
+
+            else
+                Nothing
+        )
+        strokeEditor
+
+
+strokeCanvasId : String
+strokeCanvasId =
+    "stroke-canvas"
+
+
+
+-- Laid over the grid of the editor. Clicks that land on the canvas itself rather than on a point add an anchor
+
+
+strokeEditorCanvas : Model -> StrokeEditor -> E.Element Msg
+strokeEditorCanvas ({ boxUnits, borderUnits, unitSize, strokeWidth, palette, fontSize } as model) { strokes, selection } =
+    let
+        scaledBoxSize =
+            (toFloat boxUnits + 2 * minBorderUnits - 2 * borderUnits) * unitSize
+
+        unitsPerPixel =
+            editorUnitsPerPixel model
+
+        pointRadius =
+            toFloat fontSize.thumb / 3 * unitsPerPixel
+
+        outlineAttributes color =
+            [ SvgAttributes.stroke <| SvgTypes.Paint <| toColor color
+            , SvgAttributes.strokeWidth <| SvgTypes.px 2
+            , Html.Attributes.style "vector-effect" "non-scaling-stroke"
+            ]
+
+        strokePoint part position fillColor =
+            Svg.circle
+                ([ SvgAttributes.cx <| SvgTypes.px <| Vector2.getX position
+                 , SvgAttributes.cy <| SvgTypes.px <| Vector2.getY position
+                 , SvgAttributes.r <| SvgTypes.px pointRadius
+                 , SvgAttributes.fill <| SvgTypes.Paint <| toColor fillColor
+                 , Html.Attributes.style "pointer-events" "auto"
+                 , Html.Attributes.style "cursor" "move"
+                 ]
+                    ++ outlineAttributes palette.darkFg
+                    ++ (Draggable.mouseTrigger part StrokeDragMsg
+                            :: Draggable.touchTriggers part StrokeDragMsg
+                       )
+                )
+                []
+
+        handleLine from to =
+            Svg.line
+                ([ SvgAttributes.x1 <| SvgTypes.px <| Vector2.getX from
+                 , SvgAttributes.y1 <| SvgTypes.px <| Vector2.getY from
+                 , SvgAttributes.x2 <| SvgTypes.px <| Vector2.getX to
+                 , SvgAttributes.y2 <| SvgTypes.px <| Vector2.getY to
+                 ]
+                    ++ outlineAttributes palette.lightFg
+                )
+                []
+
+        handles strokeIndex anchorIndex strokeAnchor =
+            List.concatMap
+                (\( partType, handle ) ->
+                    if Vector2.distance handle strokeAnchor.point > 0 then
+                        [ handleLine strokeAnchor.point handle
+                        , strokePoint { stroke = strokeIndex, anchor = anchorIndex, partType = partType } handle palette.lightFg
+                        ]
+
+                    else
+                        []
+                )
+                [ ( HandleIn, strokeAnchor.handleIn ), ( HandleOut, strokeAnchor.handleOut ) ]
+    in
+    E.el
+        [ E.moveRight <| borderUnits * unitSize
+        , E.moveDown <| borderUnits * unitSize
+        ]
+    <|
+        E.html <|
+            Html.div
+                [ Html.Attributes.id strokeCanvasId
+                , Html.Attributes.style "width" (String.fromFloat scaledBoxSize ++ "px")
+                , Html.Attributes.style "height" (String.fromFloat scaledBoxSize ++ "px")
+                , Html.Attributes.style "cursor" "crosshair"
+                , Html.Events.on "click" <|
+                    Decode.andThen
+                        (\targetId ->
+                            if targetId == strokeCanvasId then
+                                Decode.map2
+                                    (\x y -> AddStrokeAnchor <| Vector2.scale unitsPerPixel <| Vector2.vec2 x y)
+                                    (Decode.field "offsetX" Decode.float)
+                                    (Decode.field "offsetY" Decode.float)
+
+                            else
+                                Decode.fail "The click is on a point, not on the canvas"
+                        )
+                        (Decode.at [ "target", "id" ] Decode.string)
+                ]
+                [ Svg.svg
+                    [ SvgAttributes.width <| SvgTypes.px scaledBoxSize
+                    , SvgAttributes.height <| SvgTypes.px scaledBoxSize
+                    , SvgAttributes.viewBox 0 0 100 100
+                    , Html.Attributes.style "display" "block"
+                    , Html.Attributes.style "overflow" "visible"
+                    , Html.Attributes.style "pointer-events" "none"
+                    ]
+                    (List.indexedMap
+                        (\strokeIndex stroke ->
+                            Svg.path
+                                [ SvgAttributes.d <| strokePathData stroke
+                                , SvgAttributes.fill SvgTypes.PaintNone
+                                , SvgAttributes.stroke <|
+                                    SvgTypes.Paint <|
+                                        toColor <|
+                                            if Maybe.map .stroke selection == Just strokeIndex then
+                                                palette.darkFg
+
+                                            else
+                                                palette.black
+                                , SvgAttributes.strokeWidth <| SvgTypes.px strokeWidth
+                                , SvgAttributes.strokeLinecap SvgTypes.StrokeLinecapRound
+                                , SvgAttributes.strokeLinejoin SvgTypes.StrokeLinejoinRound
+                                , Html.Attributes.style "vector-effect" "non-scaling-stroke"
+                                ]
+                                []
+                        )
+                        strokes
+                        ++ List.concat
+                            (List.indexedMap
+                                (\strokeIndex stroke ->
+                                    List.concat <|
+                                        List.indexedMap
+                                            (\anchorIndex strokeAnchor ->
+                                                if selection == Just { stroke = strokeIndex, anchor = anchorIndex } then
+                                                    handles strokeIndex anchorIndex strokeAnchor
+                                                        ++ [ strokePoint
+                                                                { stroke = strokeIndex, anchor = anchorIndex, partType = AnchorPoint }
+                                                                strokeAnchor.point
+                                                                palette.darkFg
+                                                           ]
+
+                                                else
+                                                    [ strokePoint
+                                                        { stroke = strokeIndex, anchor = anchorIndex, partType = AnchorPoint }
+                                                        strokeAnchor.point
+                                                        palette.white
+                                                    ]
+                                            )
+                                            stroke.anchors
+                                )
+                                strokes
+                            )
+                    )
+                ]
+
+
+strokeEditorToolbar : Model -> StrokeEditor -> E.Element Msg
+strokeEditorToolbar ({ spacing, fontSize, trs } as model) strokeEditor =
+    let
+        selectedStroke =
+            Maybe.andThen (\{ stroke } -> List.Extra.getAt stroke strokeEditor.strokes) strokeEditor.selection
+
+        onSelection msg =
+            Maybe.map (\_ -> msg) strokeEditor.selection
+    in
     E.column
-        []
-        [ E.row
-            [ E.width E.fill
-            , E.paddingEach { top = 0, bottom = spacing.large, left = 0, right = 0 }
-            ]
-            [ E.el [ E.alignLeft ] <|
-                iconButton
-                    { icon =
-                        FeatherIcons.chevronLeft
-                    , size =
-                        fontSize.title
-                    , onPress =
-                        Just <| UpdateMode BrowseMode
-                    }
-            , E.el [ E.centerX, Font.size fontSize.title, Font.bold ]
-                (E.text <| unboxChar selectedChar)
-            , E.el
-                [ E.alignRight
-                , E.spacing spacing.small
-                , E.onLeft <|
-                    if Array.isEmpty selectedCharHistory.snapshots then
-                        E.none
-                    else
-                        E.row
-                        [ E.spacing spacing.small
-                        , E.paddingXY spacing.small 0
-                        ]
-                        [ E.el
-                            [ Font.color <|
-                                if selectedCharHistory.currentIndex == 0 then
-                                    palette.disabled
-                                else
-                                    palette.black
-                            ] <|
-                            iconButton
-                            { icon =
-                                FeatherIcons.cornerUpLeft
-                            , size =
-                                fontSize.title
-                            , onPress =
-                                Just <| UndoSelectedCharHistory
-                            }
-                        , E.el
-                            [ Font.color <|
-                                if selectedCharHistory.currentIndex == Array.length selectedCharHistory.snapshots - 1 then
-                                    palette.disabled
-                                else
-                                    palette.black
-                            ] <|
-                            iconButton
-                            { icon =
-                                FeatherIcons.cornerUpRight
-                            , size =
-                                fontSize.title
-                            , onPress =
-                                Just <| RedoSelectedCharHistory
-                            }
-                        ]
-                ] <|
-                if isMyCharType SimpleCharType (myCharFromChar chars (unboxChar selectedChar)) then
-                    iconButton
-                        { icon =
-                            FeatherIcons.refreshCw
-                        , size =
-                            fontSize.title
-                        , onPress =
-                            Just <| UploadSimpleChar
-                        }
+        [ E.width E.fill
+        , E.spacing spacing.small
+        , E.paddingXY 0 spacing.medium
+        , Font.size fontSize.small
+        ]
+        [ E.paragraph [] [ E.text <| Translations.strokeEditorInstructions trs ]
+        , E.wrappedRow
+            [ E.spacing spacing.small ]
+            [ textButton model (Translations.finishStroke trs) (onSelection FinishStroke)
+            , textButton model
+                (if Maybe.withDefault False (Maybe.map .isClosed selectedStroke) then
+                    Translations.openStroke trs
+
+                 else
+                    Translations.closeStroke trs
+                )
+                (onSelection ToggleIsStrokeClosed)
+            , textButton model
+                (if Maybe.withDefault False (Maybe.map hasHandles (selectedStrokeAnchor strokeEditor)) then
+                    Translations.makeCorner trs
 
-                else
-                    iconButton
-                        { icon =
-                            FeatherIcons.plus
-                        , size =
-                            fontSize.title
-                        , onPress =
-                            Just <| RequestAddComponentToSelectedChar
-                        }
+                 else
+                    Translations.makeCurve trs
+                )
+                (onSelection ToggleStrokeAnchorCurve)
+            , textButton model (Translations.deletePoint trs) (onSelection DeleteStrokeAnchor)
+            , textButton model (Translations.deleteStroke trs) (onSelection DeleteStroke)
             ]
-        , E.el
-            [ E.inFront <|
-                case selectedChar of
-                    Just char ->
-                        E.html <|
-                            renderChar
-                                model
-                                RenderModeEditor
-                                (myCharFromChar chars char)
-
-                    Nothing ->
-                        E.none
+        , E.row
+            [ E.spacing spacing.small
+            , E.alignRight
+            ]
+            [ textButton model (Translations.cancel trs) (Just CancelStrokes)
+            , textButton model (Translations.saveStrokes trs) (Just SaveStrokes)
             ]
-            (E.html <| gridBackground model)
         ]
 
 
@@ -3846,23 +12474,118 @@ unboxMyChar =
     Maybe.withDefault emptyMyChar
 
 
-isCharPartOfMyChar : Dict Grapheme MyChar -> Grapheme -> MyChar -> Bool
-isCharPartOfMyChar chars char myChar =
-    case myChar of
-        SimpleChar ref ->
-            ref.char == char
 
-        CompoundChar ref components ->
-            (ref.char == char)
-                || List.any
-                    (\component ->
-                        isCharPartOfMyChar chars char (myCharFromMyCharRef chars component)
-                    )
-                    components
+-- The characters a compound character is directly made of
+
+
+componentsOfChar : Dict Grapheme MyChar -> Grapheme -> List Grapheme
+componentsOfChar chars char =
+    case Dict.get char chars of
+        Just (CompoundChar _ components) ->
+            List.Extra.unique <| List.map .char components
+
+        _ ->
+            []
+
+
+
+-- The compound characters that directly use each character, in order
+
+
+usedByIndex : Dict Grapheme MyChar -> Dict Grapheme (List Grapheme)
+usedByIndex chars =
+    Dict.foldr
+        (\user _ index ->
+            List.foldl
+                (\component ->
+                    Dict.update component (Just << (::) user << Maybe.withDefault [])
+                )
+                index
+                (componentsOfChar chars user)
+        )
+        Dict.empty
+        chars
+
+
+usersOfChar : Dict Grapheme (List Grapheme) -> Grapheme -> List Grapheme
+usersOfChar index char =
+    Maybe.withDefault [] <| Dict.get char index
+
+
+
+-- Every character reachable from the starting characters, including themselves. Each character is visited once so cycles end
+
+
+reachableChars : (Grapheme -> List Grapheme) -> List Grapheme -> List Grapheme -> List Grapheme
+reachableChars next toVisit visited =
+    case toVisit of
+        char :: rest ->
+            if List.member char visited then
+                reachableChars next rest visited
+
+            else
+                reachableChars next (next char ++ rest) (char :: visited)
+
+        [] ->
+            visited
+
+
+
+-- The character and every component inside it at any depth
+
+
+nestedComponents : Dict Grapheme MyChar -> Grapheme -> List Grapheme
+nestedComponents chars char =
+    reachableChars (componentsOfChar chars) [ char ] []
+
+
+
+-- The compound characters that lose a component at some depth when the given characters are deleted
+
+
+affectedCompounds : Dict Grapheme MyChar -> List Grapheme -> List Grapheme
+affectedCompounds chars deletedChars =
+    List.sort <|
+        List.filter (\char -> not <| List.member char deletedChars) <|
+            reachableChars (usersOfChar <| usedByIndex chars) deletedChars []
+
+
+
+-- Characters that contain themselves through their components. The editor never creates them, but merged backups can
+
+
+charsInCycles : Dict Grapheme MyChar -> List Grapheme
+charsInCycles chars =
+    List.filter (isCharInCycle chars) (Dict.keys chars)
+
+
+isCharInCycle : Dict Grapheme MyChar -> Grapheme -> Bool
+isCharInCycle chars char =
+    List.any
+        (\component -> List.member char (nestedComponents chars component))
+        (componentsOfChar chars char)
+
+
+
+-- Simple characters that no compound character uses
+
+
+unusedComponents : Dict Grapheme MyChar -> List Grapheme
+unusedComponents chars =
+    let
+        index =
+            usedByIndex chars
+    in
+    Dict.keys <|
+        Dict.filter
+            (\char myChar ->
+                isMyCharType SimpleCharType myChar && not (Dict.member char index)
+            )
+            chars
 
 
 gridBackground : Model -> Svg Msg
-gridBackground { boxUnits, borderUnits, unitSize, palette, selectedChar, isReferenceCharShown } =
+gridBackground { boxUnits, borderUnits, gridUnits, unitSize, palette, selectedChar, isReferenceCharShown } =
     let
         boxSize =
             toFloat boxUnits * unitSize
@@ -3879,8 +12602,8 @@ gridBackground { boxUnits, borderUnits, unitSize, palette, selectedChar, isRefer
         scaledBoxSize =
             outerBoxSize - 2 * borderSize
 
-        scaledUnitSize =
-            scaledBoxSize / boxSize * unitSize
+        gridCellSize =
+            scaledBoxSize / toFloat gridUnits
 
         strokeWidth =
             { normal =
@@ -3946,29 +12669,29 @@ gridBackground { boxUnits, borderUnits, unitSize, palette, selectedChar, isRefer
             List.map
                 (\units ->
                     Svg.g
-                        (if units == (round <| toFloat boxUnits / 2) then
+                        (if units == (round <| toFloat gridUnits / 2) then
                             [ SvgAttributes.strokeWidth <| SvgTypes.px strokeWidth.thick ]
 
                          else
                             []
                         )
                         [ Svg.line
-                            [ SvgAttributes.x1 <| SvgTypes.px <| toFloat units * scaledUnitSize
+                            [ SvgAttributes.x1 <| SvgTypes.px <| toFloat units * gridCellSize
                             , SvgAttributes.y1 <| SvgTypes.px <| 0
-                            , SvgAttributes.x2 <| SvgTypes.px <| toFloat units * scaledUnitSize
-                            , SvgAttributes.y2 <| SvgTypes.px <| toFloat boxUnits * scaledUnitSize
+                            , SvgAttributes.x2 <| SvgTypes.px <| toFloat units * gridCellSize
+                            , SvgAttributes.y2 <| SvgTypes.px <| scaledBoxSize
                             ]
                             []
                         , Svg.line
                             [ SvgAttributes.x1 <| SvgTypes.px <| 0
-                            , SvgAttributes.y1 <| SvgTypes.px <| toFloat units * scaledUnitSize
-                            , SvgAttributes.x2 <| SvgTypes.px <| toFloat boxUnits * scaledUnitSize
-                            , SvgAttributes.y2 <| SvgTypes.px <| toFloat units * scaledUnitSize
+                            , SvgAttributes.y1 <| SvgTypes.px <| toFloat units * gridCellSize
+                            , SvgAttributes.x2 <| SvgTypes.px <| scaledBoxSize
+                            , SvgAttributes.y2 <| SvgTypes.px <| toFloat units * gridCellSize
                             ]
                             []
                         ]
                 )
-                (List.range 0 boxUnits)
+                (List.range 0 gridUnits)
         ]
 
 
@@ -3985,8 +12708,261 @@ gridOutline { x, y, strokeWidth, size } =
         []
 
 
+charSearchBar : Model -> E.Element Msg
+charSearchBar ({ trs, palette, spacing, fontSize, charFilter, isCharFilterShown } as model) =
+    let
+        shownCount =
+            List.length <| filterChars charFilter model
+
+        isFiltered =
+            { charFilter
+                | query =
+                    ""
+                , sortOrder =
+                    emptyCharFilter.sortOrder
+            }
+                /= emptyCharFilter
+    in
+    E.row
+        [ E.spacing spacing.small
+        , E.width E.fill
+        ]
+        [ Input.text
+            [ E.width <| E.maximum (fontSize.medium * 20) E.fill
+            , E.padding spacing.small
+            , Font.alignLeft
+            ]
+            { onChange =
+                UpdateCharQuery
+            , text =
+                charFilter.query
+            , placeholder =
+                Just <| Input.placeholder [] (E.text <| Translations.searchChars trs)
+            , label =
+                Input.labelHidden <| Translations.searchChars trs
+            }
+        , E.el
+            [ Font.color <|
+                if isFiltered || isCharFilterShown then
+                    palette.lightFg
+
+                else
+                    palette.black
+            ]
+            (iconButton
+                { icon =
+                    FeatherIcons.filter
+                , size =
+                    fontSize.large
+                , onPress =
+                    Just ToggleIsCharFilterShown
+                }
+            )
+        , E.el [ Font.size fontSize.small ] <|
+            E.text <|
+                Translations.shownChars trs (String.fromInt shownCount) (String.fromInt <| Dict.size model.chars)
+        , E.el [ Font.size fontSize.small ] <|
+            textButton model
+                (Translations.exportShownChars trs)
+                (if shownCount == 0 then
+                    Nothing
+
+                 else
+                    Just ExportShownChars
+                )
+        , E.el [ Font.size fontSize.small ] <|
+            textButton model
+                (Translations.exportCatalog trs)
+                (if shownCount == 0 then
+                    Nothing
+
+                 else
+                    Just RequestExportCatalog
+                )
+        ]
+
+
+charFilterPanel : Model -> E.Element Msg
+charFilterPanel ({ trs, palette, spacing, fontSize, charFilter, charViews, newCharViewName, charExplainations } as model) =
+    let
+        tags =
+            List.sort <| List.Extra.unique <| List.concatMap .tags <| Dict.values charExplainations
+    in
+    E.wrappedRow
+        [ E.width E.fill
+        , E.spacing spacing.large
+        , E.padding spacing.medium
+        , Background.color palette.lightBg
+        , Border.rounded spacing.medium
+        , Font.size fontSize.small
+        ]
+        [ E.column
+            [ E.spacing spacing.small
+            , E.alignTop
+            ]
+            [ filterRadioRow model
+                UpdateCharTypeFilter
+                charFilter.charType
+                (Translations.charTypeFilter trs)
+                [ ( SimpleCharType, stringFromMyCharType trs SimpleCharType )
+                , ( CompoundCharType, stringFromMyCharType trs CompoundCharType )
+                ]
+            , filterRadioRow model
+                UpdateReferenceImageFilter
+                charFilter.hasReferenceImage
+                (Translations.referenceImage trs)
+                [ ( True, Translations.withReferenceImage trs )
+                , ( False, Translations.withoutReferenceImage trs )
+                ]
+            , filterRadioRow model
+                UpdateScriptFilter
+                charFilter.script
+                (Translations.script trs)
+                [ ( Oracle, Translations.ScriptName.oracle trs )
+                , ( Bronze, Translations.ScriptName.bronze trs )
+                , ( Seal, Translations.ScriptName.seal trs )
+                ]
+            , filterRadioRow model
+                UpdatePeriodFilter
+                charFilter.period
+                (Translations.period trs)
+                [ ( Shang, Translations.PeriodName.shang trs )
+                , ( WesternZhou, Translations.PeriodName.westernZhou trs )
+                , ( SpringAndAutumn, Translations.PeriodName.springAndAutumn trs )
+                , ( WarringStates, Translations.PeriodName.warringStates trs )
+                ]
+            , filterRadioRow model
+                UpdateStageFilter
+                charFilter.stage
+                (Translations.stage trs)
+                [ ( Early, Translations.StageName.early trs )
+                , ( Middle, Translations.StageName.middle trs )
+                , ( Late, Translations.StageName.late trs )
+                ]
+            , filterRadioRow model
+                UpdateTagFilter
+                charFilter.tag
+                (Translations.tags trs)
+                (List.map (\tag -> ( tag, tag )) tags)
+            , Input.radioRow
+                [ E.spacing spacing.medium ]
+                { onChange = UpdateCharSortOrder
+                , selected = Just charFilter.sortOrder
+                , label =
+                    Input.labelLeft [ E.width <| E.px <| fontSize.small * 8 ]
+                        (E.text <| Translations.sortBy trs)
+                , options =
+                    [ Input.optionWith SortByCodePoint
+                        (radioOption palette.lightFg fontSize (E.text <| Translations.sortByCodePoint trs))
+                    , Input.optionWith SortByRadical
+                        (radioOption palette.lightFg fontSize (E.text <| Translations.sortByRadical trs))
+                    , Input.optionWith SortByModified
+                        (radioOption palette.lightFg fontSize (E.text <| Translations.sortByModified trs))
+                    ]
+                }
+            , textButton model (Translations.clearFilter trs) (Just ClearCharFilter)
+            ]
+        , E.column
+            [ E.spacing spacing.small
+            , E.alignTop
+            ]
+            [ E.text <| Translations.charViews trs
+            , E.row
+                [ E.spacing spacing.tiny ]
+                [ Input.text
+                    [ E.width <| E.px <| fontSize.medium * 8
+                    , E.padding spacing.tiny
+                    , onEnter <| Just SaveCharView
+                    ]
+                    { onChange =
+                        UpdateNewCharViewName
+                    , text =
+                        newCharViewName
+                    , placeholder =
+                        Just <| Input.placeholder [] (E.text <| Translations.charViewName trs)
+                    , label =
+                        Input.labelHidden <| Translations.charViewName trs
+                    }
+                , iconButton
+                    { icon =
+                        FeatherIcons.plusCircle
+                    , size =
+                        fontSize.thumb
+                    , onPress =
+                        if String.isEmpty (String.trim newCharViewName) then
+                            Nothing
+
+                        else
+                            Just SaveCharView
+                    }
+                ]
+            , E.column
+                [ E.width E.fill
+                , E.spacing spacing.tiny
+                ]
+                (List.map
+                    (\name ->
+                        E.row
+                            [ E.width E.fill
+                            , E.spacing spacing.tiny
+                            ]
+                            [ E.el [ E.width E.fill ] (E.text name)
+                            , textButton model (Translations.applyCharView trs) (Just <| ApplyCharView name)
+                            , iconButton
+                                { icon =
+                                    FeatherIcons.image
+                                , size =
+                                    fontSize.small
+                                , onPress =
+                                    Just <| ExportCharView name
+                                }
+                            , iconButton
+                                { icon =
+                                    FeatherIcons.x
+                                , size =
+                                    fontSize.small
+                                , onPress =
+                                    Just <| DeleteCharView name
+                                }
+                            ]
+                    )
+                    (Dict.keys charViews)
+                )
+            ]
+        ]
+
+
+
+-- Filters on one value, with a first option that lets every value through
+
+
+filterRadioRow : Model -> (Maybe a -> Msg) -> Maybe a -> String -> List ( a, String ) -> E.Element Msg
+filterRadioRow { trs, palette, spacing, fontSize } onChange selected label options =
+    Input.radioRow
+        [ E.spacing spacing.medium ]
+        { onChange = onChange
+        , selected = Just selected
+        , label =
+            Input.labelLeft [ E.width <| E.px <| fontSize.small * 8 ]
+                (E.text label)
+        , options =
+            Input.optionWith Nothing
+                (radioOption palette.lightFg fontSize (E.text <| Translations.allValues trs))
+                :: List.map
+                    (\( value, name ) ->
+                        Input.optionWith (Just value)
+                            (radioOption palette.lightFg fontSize (E.text name))
+                    )
+                    options
+        }
+
+
 charPanels : Model -> E.Element Msg
-charPanels ({ spacing, device } as model) =
+charPanels ({ spacing, device, charFilter } as model) =
+    let
+        shownChars =
+            filterChars charFilter model
+    in
     (case device.orientation of
         E.Portrait ->
             E.column
@@ -3998,13 +12974,20 @@ charPanels ({ spacing, device } as model) =
         , E.height E.fill
         , E.spacing spacing.large
         ]
-        [ charPanel SimpleCharType model
-        , charPanel CompoundCharType model
-        ]
+    <|
+        List.filterMap
+            (\myCharType ->
+                if matchesFilter charFilter.charType (Just myCharType) then
+                    Just <| charPanel myCharType shownChars model
+
+                else
+                    Nothing
+            )
+            [ SimpleCharType, CompoundCharType ]
 
 
-charPanel : MyCharType -> Model -> E.Element Msg
-charPanel myCharType ({ trs, palette, spacing, fontSize } as model) =
+charPanel : MyCharType -> List MyChar -> Model -> E.Element Msg
+charPanel myCharType shownChars ({ trs, palette, spacing, fontSize } as model) =
     let
         cards =
             List.filterMap
@@ -4015,7 +12998,7 @@ charPanel myCharType ({ trs, palette, spacing, fontSize } as model) =
                     else
                         Nothing
                 )
-                (Dict.values model.chars)
+                shownChars
     in
     E.column
         [ E.spacing spacing.medium
@@ -4134,6 +13117,18 @@ charCard ({ activeComponentIndex, unitSize, thumbnailUnitSize, boxUnits, strokeW
                                 Just <| UpdateMode EditMode
                             }
                         )
+                    , E.el
+                        [ Font.color palette.lightFg
+                        ]
+                        (iconButton
+                            { icon =
+                                FeatherIcons.edit3
+                            , size =
+                                fontSize.large
+                            , onPress =
+                                Just RequestRenameSelectedChar
+                            }
+                        )
                     , E.el
                         [ Font.color palette.danger
                         ]
@@ -4309,6 +13304,7 @@ renderChar ({ unitSize, boxUnits, borderUnits, strokeWidth } as model) renderMod
                 , mirror = emptyMirror
                 , parentMyCharType =
                     myCharTypeFromMyChar myChar
+                , ancestors = []
                 }
                 0
                 myChar
@@ -4335,11 +13331,12 @@ renderCharHelper :
         , tightDimension : { position : Vec2, dimension : Vec2 }
         , mirror : Mirror
         , parentMyCharType : MyCharType
+        , ancestors : List Grapheme
         }
     -> Int
     -> MyChar
     -> Svg Msg
-renderCharHelper ({ boxUnits, chars, simpleCharSvgs, activeComponentIndex, palette, fontSize } as model) { charClassName, index, isStatic, tightDimension, parentMyCharType, mirror } level myChar =
+renderCharHelper ({ boxUnits, chars, simpleCharSvgs, activeComponentIndex, palette, fontSize } as model) { charClassName, index, isStatic, tightDimension, parentMyCharType, mirror, ancestors } level myChar =
     let
         char =
             charFromMyChar myChar
@@ -4541,26 +13538,32 @@ renderCharHelper ({ boxUnits, chars, simpleCharSvgs, activeComponentIndex, palet
             constraint CompoundCharType dimension position <|
                 List.indexedMap
                     (\componentIndex componentRef ->
-                        (\component ->
-                            renderCharHelper
-                                model
-                                { charClassName = charClassName
-                                , index = componentIndex
-                                , isStatic = isStatic
-                                , tightDimension =
-                                    if level >= 1 then
-                                        calculateMyCharDimension myChar
+                        -- a character that contains itself would never finish rendering
+                        if List.member componentRef.char (char :: ancestors) then
+                            Svg.g [] []
 
-                                    else
-                                        { position = Vector2.vec2 0 0, dimension = Vector2.vec2 100 100 }
-                                , mirror = componentRef.mirror
-                                , parentMyCharType = parentMyCharType
-                                }
-                                (level + 1)
-                                component
-                        )
-                        <|
-                            myCharFromMyCharRef chars componentRef
+                        else
+                            (\component ->
+                                renderCharHelper
+                                    model
+                                    { charClassName = charClassName
+                                    , index = componentIndex
+                                    , isStatic = isStatic
+                                    , tightDimension =
+                                        if level >= 1 then
+                                            calculateMyCharDimension myChar
+
+                                        else
+                                            { position = Vector2.vec2 0 0, dimension = Vector2.vec2 100 100 }
+                                    , mirror = componentRef.mirror
+                                    , parentMyCharType = parentMyCharType
+                                    , ancestors = char :: ancestors
+                                    }
+                                    (level + 1)
+                                    component
+                            )
+                            <|
+                                myCharFromMyCharRef chars componentRef
                     )
                     components
 
@@ -4815,16 +13818,36 @@ highlightBorder { color, width, spacing, glowWidth, style } =
 
 
 subscriptions : Model -> Sub Msg
-subscriptions { drag } =
+subscriptions { drag, strokeEditor } =
     Sub.batch
         [ Draggable.subscriptions DragMsg drag
+        , Maybe.withDefault Sub.none <|
+            Maybe.map (Draggable.subscriptions StrokeDragMsg << .drag) strokeEditor
+        , gotStrokesPort GotStrokes
         , getModelPort GotModel
+        , gotLoadProblemPort GotLoadProblem
         , gotSavedSimpleCharsPort GotSavedSimpleChars
         , gotNewSimpleCharsPort GotNewSimpleChars
         , loadedSimpleCharPort LoadedSimpleChar
         , Time.every 1000 (\_ -> SaveModel ())
         , Browser.Events.onResize UpdateDevice
         , succeededInBackupPort (\_ -> SucceededInBackup)
+        , gotExportProgressPort GotExportProgress
+        , gotBackupPort GotBackup
+        , gotBackupErrorsPort GotBackupErrors
+        , gotSvgWarningsPort GotSvgWarnings
+        , gotPreferencesFilePort GotPreferencesFile
+        , gotProjectsPort GotProjects
+        , gotCopiedCharsPort GotCopiedChars
+        , gotHistoryPort GotHistory
+        , Browser.Events.onKeyDown decodeHistoryShortcut
+        , gotSnapshotsPort GotSnapshots
+        , gotSnapshotPort GotSnapshot
+        , Time.every snapshotInterval (\_ -> TakeSnapshot)
+        , gotStorageUsagePort GotStorageUsage
+        , gotUpdateAvailablePort (\_ -> GotUpdateAvailable)
+        , gotTranslationsPort GotTranslations
+        , gotSimpleCharsToImportPort GotSimpleCharsToImport
         ]
 
 
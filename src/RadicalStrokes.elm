@@ -0,0 +1,334 @@
+-- Do not manually edit this file, it was generated by scripts/generateRadicalStrokes.js
+-- from the kRSUnicode field of the Unihan database
+
+
+module RadicalStrokes exposing (radicalStrokeOrder)
+
+
+
+-- The position of a code point in the radical and stroke order, or Nothing when it has none
+
+
+radicalStrokeOrder : Int -> Maybe Int
+radicalStrokeOrder codePoint =
+    case List.filter (\( first, last, _ ) -> first <= codePoint && codePoint <= last) ranges of
+        ( first, _, start ) :: _ ->
+            String.slice (start + codePoint - first) (start + codePoint - first + 1) orders
+                |> String.toList
+                |> List.head
+                |> Maybe.map (\order -> Char.toCode order - orderOffset)
+                |> Maybe.andThen
+                    (\order ->
+                        if order == 0 then
+                            Nothing
+
+                        else
+                            Just order
+                    )
+
+        [] ->
+            Nothing
+
+
+orderOffset : Int
+orderOffset =
+    0x4E00
+
+
+
+-- The first and last code point of each range and where its orders start
+
+
+ranges : List ( Int, Int, Int )
+ranges =
+    [ ( 0x4E00, 0x9FFF, 0 )
+    , ( 0x3400, 0x4DBF, 20992 )
+    , ( 0xF900, 0xFAFF, 27584 )
+    ]
+
+
+orders : String
+orders =
+    String.concat
+        [ "乢乣乣乣乣乣乣乤乤乤乤乤乤乥乥乥乥乥乥乥书书书乥书书书书书书乧乧乧乧乧乨乨乨乩乩仂仃仄仄濂仅仅仅仅仆仈仉今介伢伣伤伥伥伦伦乨伪侂侂侂侃侃侃侄侄侄侄伤侄侅侅來來來來侇侇侇侇侈侉侊例俢俢俢俣俣俤俤俤憂彃俥"
+        , "俥俥俥俦俧俧俧俧俧俧俧俧俧俨俨俩俩俩俩俩俩俪俪俪俪俫俬俬俬俭修修修偂偃偄偅假偈偉傢傣傣傣乤傤傤傤傤傤傤傥傦傦傦傧傧储储储儂儃億億儆儆儆儆儇儇儇儈儈儉儉儉儉儉儉儊儌儌儍儍儐儕兢兢兣兣兣兣兤兤兤兤兤兤兤兤"
+        , "兤兤兤兤兤兤兤兤兤兤兤兤入入入入入入入入入入入入入入入入入入入入入入入入入入兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦兦"
+        , "兦內內內內內內內內內內內內內內內內內內內內內內內內內內內內內內內內內內內內內內內內內內內內內內內內內內內內內內內內內內內內全全全全全全全全全全全全全全全全全全全全全全全全全全全全全全全全全全全全全全全"
+        , "全全全全全全全全全全全全全全全全全全全全全全全全全全全全全全兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兩兪兪兪兪兪兪"
+        , "兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪兪八兪兪兪兪八八八八八八八八八八八八八八八八八八八八八八八八"
+        , "八八八八八八八八八八八八八八八八八八八八八八八八八八八八八八八八八八八八八八八八公公公公公公公公公公公公公公公公公公公公公公公公公公公公公公公公公公公公公公公公公公六六六六六六六六六六六六六六六六六六"
+        , "六六六六六六六六六六六六六六六六六六兮兮兮兮兮兮兮兮兮兮兮兮兮兮兮兮兮兮兮兮兮兮兮兮兮兮兮兮兮兮兮兮兮兮兮兮兯兮兮兯兯兯兯兯兯兯兯兯兯兯兯兯兯兯兯兯兯兯兯兯兯兯兯兯兯兯兰兰兰兰兰兰兰兰兰兰兰兰兰兰兰共"
+        , "共共共共共共共共共共共兰共兲兲兲兲兲兲关关关兴兵兵兵兵其其具典凂凃凄凄凄凅准准准准准准凇凇凇凇凇凇凇凈凈凈凈凈凉凉凉凊凊凋凋凋凌凌凍凎凐凕刢刣判刦刨利劂劄劄劄劄劅劆劆劆劆劇劈劈劈劉劊劉劊劋劍劍劐劒勢勤"
+        , "勤勤勤勤勤勥勥勥勥勦勦勧勨勩勩勪勪勫卂卄卄卅卅卆卆升午卉卉半半半半半半半卋华卐厢厥厥厥厥厦厦厦厦厦厧厧厧厧厧厧厧厨厨厨厨厨厩厩厩厪厪厪厪厪厪厪厪厪厪厪厫厫厫厬厬厬厬厬厭厮厯厯厯厯厰厰厱吂吃吃吃各吅吅吅"
+        , "吆吆吆吆吇合合合吋同同后后呢呤呥呥呥呥呥呦周呩呬哂哂哂哃哃哄哄哄哄哅哅哅哅哅哆哆哆哆哆哆哆哆哆哆哆哆哆哆哇哇哇哇哇哇哇哇哇哇哇哇哇哇哇哇哇哇哈哈哈哈哈哈哈哈哈哈哈哈哈哈哈哈哈哈哈哈哈哉哉哉哉哉哉哉哉哉"
+        , "哉哉哉哉哉哉哊哊哊哊哊哊哊哊哊哊哊哊哊哊哊哊哊哊哊哊哊哊哋哌哋哋哋哋哋哋哋哋哌哌哌哌哋响响响响响响响响响哎哎哎哎哎哏哏哏哏哏哏哏哏哏哏哏哐哐哐哐哐哑哓哕哕哗哗唢唣唤唤唥唥唥唥唦唦唦唦唦唦唧唧唧唧唧唧唧"
+        , "唧唧唧唧唧唨唨唨唨唨唨唨唨唨唨唨唩唩唩唩唩唩唩唩唩唩唩唩唪唪唪唪唪唪唫唫唫唫唫椉唫唫唫唬唬唬唬唭唭唭唭唭唭唭唭唭售售售售售售唯唯唯唯唯唰唱唱唱唳唴喂喃善善善善善善善善喅喅喅喅喅喆喇喈喈喈喉喊喋喋喌喌喍"
+        , "喏嗢嗤嗥嗫嗫噂噅噅噅噅噆噆噆噆噇噇噇噈噉噉噉噊噊噋噋噋噍噎噎噎噏噐噑噓噔嚢嚤嚤嚧嚨嚩嚫嚫嚫圂圃圃乤圄圄圄圄圅圅圆圅圆圆圆圆圈圈圈圈圈圈圉圉國圌圕坢坤坤坥坥坥坥坧坧坨坨坨坫埂埃埃埄埅埅埅埆埆埇埇埇埇埈埈"
+        , "埈埈埈埉埉埉埋埊埍埍堢堤堤堤堤堥堥堥堦堦堦堦堧堧堧堧堨堨堨堨堩堩堩堩堩堩堪堪堪堪堫堫堫堫堬堬堬堬堬堫堭堭堮堮堮堭堮堯堯報堳堾墂墄墄墄墅墅墅墆墆墇墈墈墈墋墋墌墎墏壢壣壤壤壤壤壤壥壥壥壦壧壨壨壨壨壨壩壩壩"
+        , "壩壩壪壪壭声売奂奄奄奄奄奄奄奄奄奄奄奄奄奄奄奄奄奄奄奄奄奄奄奄奄奄奄奄奅奅奅奅奅奅奅奅奅奅奅奅奅奅奅奅奅奅奅奅奅奅奅奅奅奆奆奆奆奆奆奆奆奆奆奆奆奆奆奆奆奆奆奆奆奆奆奆奆奆奆奆奆奆奆奆奆奆奆奆奆奆奆奆奆"
+        , "奆奆奆奆奆奆奆奆奆奆奆奆奆奆奆奆奆奆奆奆奆奆奆奆奆奆奆奆奆奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奇奈奈奈奈奈奈"
+        , "奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奉奉奉奉奉奉奉奉奉奉奉奉奉奉奉奉奉奉奉奉奉奉奉奉奉奉奉奉奉奉奉奉奉奉奉奉奉奉奉奉"
+        , "奉奉奉奉奉奉奉奉奉奉奉奉奉奉奉奉奉奉奉奉奉奉奉奉奉奉奉奉奉奉奉奉奊奊奊奊奊奊奊奊奊奊奊奊奊奊奊奊奊奊奊奊奊奊奊奊奊奊奊奊奊奊奊奊奊奊奊奊奊奊奊奊奊奊奊奊奊奊奊奊奊奋奊奊奊奊奊曉奊奊奊奊奊奊奊奊奊奊奊奋"
+        , "奊奊奊奊奊奊奊奊奊奊奊奊奊奊奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奌奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奌奌奌奌奌奌奌奌奌奌奌奌奌奌奌奌奌"
+        , "奌奌奌奌奌奌奌奌奌奌奌奌奌奌奌奌奌奌奌奌奌奌奌奌奌奌奌奌奌奌奌奌奌奌奌奌奌奌奍奍奍奍奍奍奍奍奍奍奍奍奍奍奍奍奍奍奍奍奍奍奍奍奍奍奍奍奍奍奍奍奍奍奍奍奍奍奍奍奍奎奎奍奍奍奍奍奍奍奎奎奎奎奎奎奎奎奎奎奎奎"
+        , "奎奎奎奎奎奎奎奎奎奎奎奎奎奎奎奎奎奎奎奎奎奎奎奎奎奎奎奎奎奍奎奍奎溭奎奎奎奎奎奎奎奎奏奏奏奏奏奏奏奏奏奏奏奏奏奏奏奏奏奏奏奏奏奏奎奏奏奏奏奏奏奏奏奐奐奐奐奐奐奐奐奐奐奐奐奐奐奐奐奐奐奐奐奐奐奐契契契契"
+        , "契契契契契契契契契契契契契奒奒奒奒奒奒奒奒奒奒奒奒奓奓奓奓奓奓奓奓奓奐奔奔奔奔奔奔奔奔奔奔奕奕奕奕奕奕奕奖奔奕奖奖套套套奘奘奛妢勥妤妤妤妤妥妥妥妥妥妥妥妦妦妦妦妦妦妦妦妦妦妦妦妦妦妦妦妦妦妧妧妧妧妧妧"
+        , "妧妧妧妨妨妩妩妩妩妩妩妪妪妪妪妪妫妫妫妪妫妬妬妬妬妬妭妭妭妭妮妯妯妵妹娂娃娃娄娄娄娄娄娄娅娅娅娅娅娅娅娅娅娅娅娅娅娅娅娅娅娅娅娆娆娆娆娆娆娆娆娆娆娆娆娆娆娆娆娆娆娆娆娆娆娆娆娆娆娆娆娆娆娆娆娆娆娆娆娆"
+        , "娆娇娇娇娇娇娇娇娇娇娇娇娇娇娇娇娇娇娇娇娇娇娇娇娇娇娇娇娇娇娇娇娇娇娇娇娇娇娇娇娇娇娇娈娈娈娈娈娈娈娈娈娈娈娈娈娈娈娈娈娈娈娈娈娈娈娈娈娈娈娈娈娈娈娈娈娈娈娈娈娈娈娈娈娈娈娉娉娉娉娉娉娉娉娉娉娉娉娉娉"
+        , "娉娉娉娉娉娉娉娉娉娉娈娉娉娉娉娉娉娉娉娉娉娉娉娉娊娊娊娊娊娊娊娊娊娊娊娊娊娊娋娊娊娊娊娊娊娊娊娊娊娊娊娊娊娊娊娊娊娊娊娊娊娊娊娊娊娊娊娊娊娊娊娊娊娊娊娊娊娊娊娊娊娋娋娋娋娋娋娋娋娋娋娋娋娋娋娋娋娋娋娋"
+        , "娋娋娋娋娋娋娋娋娋娋娋娋娋娋娋娋娋娋娋娋娋娌娋娋娋娋娋娌娋娋娋娋娋娌娌娌娌娌娌娌娌娌娌娌娌娌娌娌娌娌娌娌娌娌娌娌娌娌娌娌娌娌娌娌娌娌娌娌娌娌娌娌娌娌娍娍娍娍娍娍娍娍娍娍娍娍娍娍娍娍娍娍娍娍娍娍娍娍娍娍"
+        , "娍娍娍娍娍娍娍娍娍娍娍娍娍娍娍娍娎娎娎娎娎娎娎娎娎娎娎娎騥娎娎娎娎娎娎娎娎娎娎娎娎娎娎娎娎娎娏娏娏娏娏娏娏娏娏娏娏娏娏娏娏娏娏娏娏娐娐娐娐娐娐娐娐娐娐娐娑娑娒娒娒娒娒娒娒壳娒娓娓娓娔娖娖娗娘婢婣婤婥婦"
+        , "婦婦婦婦婨婨婩婪婪婫婫婫婬婭婭婮婮婯嫂嫃嫄嫅嫆嫇嫈嬨嬢嬦嬧嬨嬩嬩嬭嬱嬲嬱嬵宂宄宄宄宅宅宅宇宇安宊宊宋宍宍宍宍宎寢寢寣寣寣寣寣寤寤寤寤寤寤寤寥寥寥寥寥寥寥寥實實實實實實寧寧寧寧寧寧寧審寧寧寧寨寨寨寨寨寨"
+        , "寧寨寨審審審審寪寪寪寪寪寫寫寫寫寫寫寬寬寬寭寭寭寭寮寯寯寱寵寷层屄屄屄居居居居居居居居居居居居居居居居居居屆屆屆屆屈屆屆屆屆屆屆屆屆屆屆屆屆屆屆屆屆屆屆屆屆屆屆屆屆屆屆屆屆屆屆屇屇屇屇屇屇屇屇屇屇屇屇"
+        , "屇屇屇屇屇屇屇屇屇屇屇屇屇屇屇屇屇屇屇屇屇屇屇屇屇屇屇屇屇屇屇屇屈屈屈屈屈屈屈屈屈屈屈屈屈屈屈屈屈屈屈屈屉屈屈屈屈屈屈屈屈屈屈屈屈屈屈屈屈屈屈屈屈屈屈屈窥屈屈屈屈屉屉屉屉屉屉屉屉屉屉屉屉屉屉屉屉屉屉屉"
+        , "屉屉屉屉屉屉屉屉屉屉屉屉屉屉屉屉届屉屉屉屉屉屉屉屉届届届届届届届届屉届届届届届届届届届届届届届届届届届届届届届届届届届届届届届届届届届届届届届届届届届届届届届届届届届届届届届届届届届屋屋屋屋屋屋屋屋屋"
+        , "屋屋屋屋屋屋屋屋屋屋屋屋屋屋屋屋屌屋屋屋屋屋屋屋屋屋屋屋屋屋屋屋屋屋屋屋屋屋屋屋屋屋屋屋屋屋屋屋屌屌屌屌屌屌屌屌屌屌屌屌屌屌屌屌屌屌屌屌屌屌屌屌屌屌屌屌屌屌屌屋屌屌屌屌屌屍屍屍屍屍屍屍屍屍屍屍屍屍屍屍"
+        , "屍屍屍屍屍屍屍屍屍屍屍屍屍屍屍屎屎屎屎屎屎屎屎屎屎屎屎屎屎屎屎屎屎屎屎屎屎屎屎屎屎屎屎屎屏屏屏屏屏屏屏屏屏屏屏屏屏屏屏屏屏屏屏屐屐屐屐屐屐屐屐屐屐屐屐屐屐屐屐屐屏屐屐屐屑屒屑屑屑屑屒屒屓屓屓屓屓屓屓屔"
+        , "屔屔展展展屖屗屗岢岢岢岢岣岤岥岥岥岥岦岦岦岦岦岧岧岧岧岧岧岧岧岧岨岨岨岩岩岩岪岪岪岫岪岬岬岭岭岭岯岯岰岰岲岳岳岵崂崄崄崄崄崅崅崅崅崅崆崆崆崆崆崆崆崆崆崇崇崇崇崇崇崇崇崇崇崇崇崇崇崇崈崈崈崈崈崉崈崈崈崈"
+        , "崉崉崉崉崉崉崉崉崉崉崉崉崉崉崉崉崉崉崉崊崊崊崊崊崊崊崊崊崊崊崋崋崋崋崋崋崋崋崋崋崋崋崌崌崌崌崌崌崌崌崍崍崍崍崍崍崍崍崍崍崍崎崋崎崎崎崎崏崏崐崐崒崒崒崓崔嵢嵤嵥嵥嵥嵦嵦嵦嵧嵨嵨嵩嵩嵩嵨嵪嵪嵪嵫嵫嵫嵭嵮巂"
+        , "巃巃巄巄巄巄巅巅巅巇巇巈巈巈巋巌巌巍帢帢帣帥帥帥带带带带带帧帨帨師師帬帬帬帮帰帰庂侅広庄庄庅庆庆庆庆庆庆庇庇庇庇庇庇庇庈庈庈庈庈庉庉庉庉庉庉庉庉庉床床床床床庋庋庋庋庍庍庎庎庎庎庐庑庑庒应店廢廣廥彂彃彄"
+        , "彄彄彄彄彅彅彅彅彅彅彅彅彅彅彅彅彆彆彆彆彆彆彆彆彆彈彆彆彆彆彆彆彆彆彆彆彆彆彆彆彆彇彇彇彇彇彇彇彇彇彇彇彇彇彇彇彇彇彇彇彇彇彇彇彇彇彇彇彇彇彇彇彇彇彇彇彇彇彇彇彇彇彈彈彈彈彈彈彈彈彈彈彈彈彈彈彈彈彈彈"
+        , "彈彈彈彈彈彈彈彈彈彈彈彈彈彈彈彈彉彉彉彉彉彉彉彉彉彉彉彉彉彉彉彉彉彉彉彉彉彉彉彉彉彉彉彉彉彉彊彊彊彊彊彊彊彊彊彊彊彊彊彊彊彊彊彊彊彊彊彊彊彊彊彊彊彊彊彊彊彊彊彊彊彊彊彊彊彊彊彊彊彋彋彋彋彋彋彋彋彋彋彋"
+        , "彋彋彋彋彋彋彋彋彋彋彋彋彋彋彌彋彋彋彋彋彋彋彋彋彋彋彋彋彋彋彋彋彋彋彌彌彌彌彌彌彌彌彌彌彌彌彌彌彌彌彌彌彌彌彌彌彌彌彌彍彍彍彍彍彍彍彍彍彍彍彍彍彍彍彍彍彍彍彍彍彍彍彍彎彎彎彎彎彎彎彎彎彎彎彎彎彎彎彎彎"
+        , "彎彎彎彎彎彎彏彏彏彏彏彏彏彏彏彏彏彏彏彏彏彏彏彐彐彐彐归彐彐彐彐彑彑彑归归归当当当当当当当彔录彔彔录录录录录彖录彖彖彖徢御徢徥徥徦諅循循微怂怄怄怄怅怅怆怈怈怉怋怌恢恢恢恣恦恧恨恨恨恨恨恩恫惂惃惃惃惄惄"
+        , "惄惄情情情惆惆惆惆惆惆惆惆惇惇惇惇惇惇惇惇惇惇惇惇惈惈惈惈惈惈惈惈惈惈惈惉惉惉惉惉惉惉惉惉惉惊惊惊惊惊惊惊惊惊惊惊惋惋惋惋惋惋惋惋惋惋惋惍惋惌惌惌惌惌惌绋惍惍惍惍惍惍惍惍惍惎惍惎惎惎惎惎惎惎惎惎惎惏惏"
+        , "惏惏惐惐惐惑惑惑惒惓愢愤愥愥愧愧愧愬憂憃憄憈憋懢懤懤懤懤懥懥懥懦懦懦懦懦懦懦懦懦懦懦懦懦懦懧懧懧懦懧懧懧懧懧懧懧懨懨懨懨懨懨懨懩懩懩懩懩懩懩懩懩懪懪懪懪懪懪懪懪懪懪懪懪懪懫懫懫懫懫懫懫懭懬懬懬懬懬懫懬"
+        , "懬懭懭懭懭懭懭懭懭懭懭懭懭懮懮懮懮懮懮懮懮懮懮懮懮懯懯懯懯懯懯懱懲懲懳懳懳懴懵懸扂扅扆扆扇扇扈扈扈扉抢抣抣护报抦抦抦抧抨抨抩抮挂挃挄挅挅挅挋挌换捣捣捣捤捤捥捥捥捥捦捦捦捦捧捧捧捧捧捧捧捧捧捧捨捨捨捨捨"
+        , "捩捩捩捩捪捪捪捪捪捪捫捫捫捫捫捬捬捬捬捭捭捭据据据据捯捯捰捱捵捶揂揂揄揅揇揇揈揊揋揌揌描描揑揑插揙搢搦搦搦搨搨搩搩搪苧搪搪搫搬搭搭搮搵撂撅撅撆撆撆撆撆撆撇撇撇撇撇撇撇撇撇撈撈撈撈撈撈撈撈撈撉撉撉撉撉撉"
+        , "撈撉撊撊撊撊撋撊撊撊撊撊撊撊撊撊撋撋撋撋撋撋撋撋撌撌撌撌撌撍撎撍撍撎撎撎撎撎撎撏撏撐撐撒撓撓撔擢擢擣擣擤擤擤擤擥擥擥擥擥擥擥擥擥擥擥擥擥擥擥擥擥擥擦擦擦擦擦擦擦擦擦擦擦擦擦擦擦擦擦擦擦擦擦擦擦擦擦擦擦"
+        , "擦擦擦擦擦擦擦擦擦擦擦擦擦擦擦擧擧擧擧擧擧擧擧擧擧擧擧擧擧擧擧擧擧擧擧擧擧擧擧擧擧擧擧擧擧擧擧擧擧擧擧擧擧擧擧擧擧擧擧擧擧擧擧擧擧擧擧擧擧擧擧擧擨擨擨擨擨擨擨擨擨擨擨擨擨擨擨擨擨擨擨擨擨擨擨擨擨擨擨擨"
+        , "擨擨擨擨擨擨擨擨擨擨擨擨擨擨擨擨擨擨擨擨擨擨擨擨擨擨擨擨擨擨擨擨擨擨擩擩擩擩擩擩擩擩擩擩擩擩擩擩擩擩擩擩擩擩擩擩擩擩擩擩擩擩擩擩擩擩擩擩擩擩擩擩擩擩擩擩擩擩擩擩擩擩擩擩擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪"
+        , "擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擫擫擫擫擫擫擫擫擫擫擫擫擫擫擫擫擫擫擫擫擫擫擫擫擫擫擫擫擫擫擫擫擫擫擫擫擫擫擫擫擫擫擫擫擫擫擫擫擫擫擫擫"
+        , "擫擫擫擬擬擬擬擬擬擬擬擬擬擬擬擬擬擬擬擬擬擬擬擬擬擬擬擬擬擬擬擬擬擬擬擬擬擬擬擬擬擬擬擬擬擬擭擭擭擭擭擭擭擭擭擭擭擭擭擭擭擭擭擭擭擭擭擭擫擭擭擭擭擭擭擭擭擭擭擭擭擭擭擭擭擭擭擭擭擭擭擭擭擭擭擭擭擭擭擭"
+        , "擭擮擮擮擮擮擮擮擮擮擮擮擮擮擮擮擮擮擮擮擮擮擮擮擮擮擮擮擮擮擮擮擮擮擮擮擮擮擮擮擮擮擮擮擯擯擯擯擯擯擯擰擯擯擯擯擯擯擯擯擯擯擯擯擯擯擯擯擯擯擯擯擯擯擯擯擯擰擰擰擰擰擰擰擰擰擰擰擰擰擰擰擰擰擰擰擰擱擱擱"
+        , "擱擱擱擱擱擱擱擱擱擲擲擲擲擳擳擳擴擴擴擴擵擵擵擶擶擷擷擺敂敃敃敃敄敄敄敄敄故故故敆敆敆敆敇效敉敉敉敉敊敊敋敋敋敋敋敋敊敌敌敌敌敌敌敍敍敍敎敍敏敐敏敔斢斢斢斣斥斥斥斦斦斦斦斧斧斧斨斨斨斨斩斪斪昂昂昂昃昅"
+        , "昄昄昄昄昄昄昄昅昅昅昅昅昅昅昅昆昅昅昅昅昅昅昅昅昅昅昅昅昅昆昆昆昆昆昆昆昆昆昆昆昇昆昆昆昆昆昆昆昆昆昆昆昆昆昆昆昆昆昆昆昆昆昆昆昆昆昆昆昆昆昆昆昆昆昆昆昆昆昆昆昆昆昆昆昆昆昇昇昇昇昇昇昇昇昇昇昇昇昇昇"
+        , "昇昇昇昇昇昇昇昇昇昇昇昇昇昇昇昇昇昇昇昇昇昇昇昇昇昇昇昇昇昇昇昇昇昇昇昇昇昇昇昇昇昇昇昇昇昇昇昇昇昇昇昇昇昇昈昈昈昈昈昈昈昈昈昈昈昈昈昈昈昈昈昈昈昈昈昈昈昈昈昈昈昈昈昈昈昈昈昈昈昈昈昈昈昈昈昈昈昈昈昈"
+        , "昈昈昈昈昈昈昈昈昈昈昈昈昈昈昈昈昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昉昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊"
+        , "昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昋昊昊昊昊昊昊昊昊昊昊昊昋昋昋昋昋昋昋昍昋昋昋昋昋昋昋昋昋昋昋昋昋昋昋昋昋昋昋昋昋昋昋昋昋昋"
+        , "昋昋昋昋昋昋昋昋昋昋昋昋昋昋昋昋昋昋昋昋昋昋昋昋昋昋昋昋昋昋昋昋昋昋昋昋昋昋昌昌昌昌昌昌昌昌昌昌昌昌昌昌昌昌昌昌昌昌昌昌昋昌昌昌昌昌昌昌昌昌昌昌昌昌昌昌昌昌昌昌昌明昌昌昌昌昌昌昌昌昌昌昌昌昌昌昌昌昌昌"
+        , "昌昌昌昌昌昌昌昍昍昍昍昍昍昍昍昍昍昍明昍昍昍昍昍昍昍昍昍昍昍昍昍昍昍昍昍昍昍昍昍昍昍昍昍昍昍昍昍昍昍昍昍昍昍昍昍昍昍昍昍昍昍昍昍昍明明昍明明明明明明明明明明明明明明明明明明明明明明明明明明明明明明明明"
+        , "明明明明明明明明明明明明明明明明明明明昏昏昏昏昏昏昏昏昏昏昏明昏昏昏昏昏昏昏昏昏昏昏昏昏昏昏昏昏昏昏昏昏昏昏昏昐昐昐昐昐昐昑昐昐昐昐昐昐昐昐昐昐昐昐昑昑昑昑昑昑昑昑昑昑昑昑昑昑昑昑昑昑昑昑昑昒昒昒昒昒"
+        , "昒昒昒昒昒易昒易易易易易易易易昔昔昔昕昕昕昕昕昕昕昖昕昕昖昖昖昖昗昗昘晢晤晧晪普曂曂曄曄曅曅曅曅曅曆曆曆曇曇曇曇曇曇曈曈曈曈曈曈曈曉曉曉曉曉曉曉曉曉曉曉曉曉曉曉曊曊曊曊曊曊曊曊曊曊曊曊曊曊曊曋曋曊曋曋"
+        , "曋曌曌曌曍曍曍曍曍曍曍曍曎曎曎曎曏曏曏曐曑曒曒朢朥朦木木朩朩朩朩未未末朮朱朳朵枂枅枈枈枉枉枊枋枋枌枌枎枏柢柣柦柦柦柦柧柧柩柩柪柪柫柫柬柭柮柯柯柰柷桂框框框桇桇桇桇案案案案案案桉桉桉案桉桉桉桉桉桊桊桋桋"
+        , "桋桋桌桌桎桎桏桐桑桑桑桒梢梣梧梩梫椂椃椃椄椄椄椄椄椄椄椄椅椅椅椅椅椅椅椅椅椆椆椆椆椆椆椆椆椆椆椆椆椆椆椆椆椆椆椆椆椆椆椆椆椆椆椆椆椆椆椆椆椆椇椇椇椇椇椇椇椇椇椇椇椇椇椇椇椇椇椇椇椇椇椇椇椇椇椇椇椇椇椇"
+        , "椇椇椇椇椇椇椇椇椈椈椈椈椈椈椈椈椈椈椈椈椈椈椈椈椈椈椈椈椈椈椈椉椉椉椉椉椉椉椉椉椉椉椉椉椉椉椉椉椉椉椊椊椊椊椊椊椊椊椊椊椊椊椊椊椊椊椊椊椊椊椊椊椊椊椊椊椋椋椋椋椋椋椋椋椋椋椋椋椋椊椋椋椋椋椋椋椋椋椌椌"
+        , "椌椌椌椌椌椌椌椌椌椌椌椌椌植植植植植植植植植植植植植植植椎椎椎椎椎椎椎椎椎椎椎椎椎椎椎椎椎椎椎椎椎椎椏椏椏椏椏椏椏椏椏椏椐椐椏椐椐椑椑椑椑椑椑椒椒椒椒椒椒椓椕椕椕椖椖椗楢楣楤楤楥楥楦楧楨楩楨楩楩椉楪楪"
+        , "勬楪楪楫楬楬楮楳槂槄槆槆槆槆槇槇槇织槈槈槈槈槉槉槉槉槉槉槊槊槊槊構绋槌槎槎绎槐槒樢樢樣樣樣樣樣樣樣樤樤樤樤樤樤樤樤樤樤樤樤樤樤樤樤樤樤樤樥樥樥樥樥樥樥樥樥樥樥樥樥樥樥樥樥樥樥樥樥樥樥樥樥樥樥樥樥樥樥樥"
+        , "樥樥樥樥樥樥樦樦樦樦樦樦樦樦樦樦樦樦樦樦樦樦樦樦樦樦樦樦樦樥樦樦樦樦樦樦樦樦樦樦樦樦樦樦樦樦樦樦樦樦樦樦樦樦樦樦樦樦樦樦樦樦樦樦樦樦樦樦樦樦樦樦樦樦樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧"
+        , "樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樧樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨"
+        , "樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨権権権権権権権権権権権権権権権権権権権権権権権権権権権権権権権権権権権権権"
+        , "権権権権権権権権権権権権権権権権権権権権権権権権権権権権権権権権権権権権権権権権権権権権権権権権権権権横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横"
+        , "横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横横樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫"
+        , "樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樬樫樫樬樬樬樬樬樬樬樫樬樬樬樫樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬"
+        , "樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樭樭樭樭樭樭樭樬樭樭樭樭樭樭樭樭樭樭樭樭樭樭樭樭樭樭樭樭樭樭樭樭樭樭樭樭樭樭樭樭樭樭樭樭樭樭樭樭樭樭樭樭樭樭樭樭樭樭樭樭樭樭"
+        , "樭樭樭樭樭樭樭樭樭樭樭樭樭樭樬樭樭樭樮樮樮樮樮樮樮樮樮樮樮樮樮樮樮樮樮樮樮樮樮樮樮樮樮樮樮樮樮樮樮樮樮樮樮樮樮樮樮樮樮樮樮樮樮樮樮樮樮樮樮樭樮樮樮樮樮樮樮樮樮樮樮樮樮樮樭樮樮樮樮樮樮樮樮樯樯樯樯樯樯樯"
+        , "樯樯樯樯樯樯樯樯樯樯樯樯樯樯樯樯樯樯樯樯樯樯樯樯樯樯樯樯樯樯樯樯樯樯樯樯樯樯樯樰樰樰樰樰樰樰樰樰樰樰樰樰樰樰樰樰樰樰樰樰樰樰樰樰樰樰樰樰樰樰樰樱樱樱樱樱樱樱樱樱樱樱樱樱樱樱樱樱樱樱樱樱樱樱樱樱樱樱樱樲"
+        , "樲樲樲樱樲樱樲樲樲樲樲樲樲樲樲樴樳樳樳樳樳樳樳樳樳樳樳樳樳樳樴樴樴樴樴樴樳樴樴樵樵樵樵樶樶樶樷樷樷樷樷樷樸樸樺樺檂檄檄檆檅檆檆檆檇檇檇檈檈檈檈檈檈檈檉檉檉檉檉檉檉檊檊檊檊檊檊檊檋檋檋檋檋檋檋檋檋檌檌檌"
+        , "檌檌檍檍檍檍檍檍檎檎檎檎檎檎檎檏檏檏檐檐檑檔櫢櫣櫤櫥櫦櫦櫦櫦櫧櫧櫨櫨櫪櫪櫫櫫櫫櫫櫬櫭櫭櫮櫰歂歃歄歅歆歆歆歆歆歇歇歇歇歇歇歈歈歈歈歉歉歉歉歉歉歉歉歊歊歊歊歊歊歊歋歋歌歌歌歌歌歍歍歍歍歍歎歎歎歎歎歏歏歏歐"
+        , "歑歑歓殢殦殧殧殨殩殩殩殩殪殪殫殫殫殫殫殬殬殭殭殮殮殱段氂氂氃氄氅氅氆氆氋汢汤汧汧汧汨汯泂泅泅泆泆泇泇泈泈泈泈泈泈泈泈泈泉泉泉泉泊泊泊泊泊泊泊泊泋泋泋泋泋泋泋泌泍泍泍泍泎泎泎泎泎泏泏泏泐泑泔泘洢洣洣洤洦"
+        , "涂涃涄涄涄涅涅涆涆涆涇涇涇涇涇消消消消消消消涉涉涊涊涊涊涊涋涌涌淢淢淣淣淣淣淢淤淤刦淤淤淤淤淤淤淤淤淤淤淤淤淥淥淥淥淥淥淥淥淥淥淥淥淥淥淥淥淥淥淥淥淥淥淥淥淥淥淥淦淦淦淦淦淦淦淦淦淦淦淦淦淦淦淦淦淦淥"
+        , "淦淦淦淦淦淦淦淦淦淦淦淦淦淦淦淦淦淦淦淦淦淦淦淦淦淦淦淦淦淦淦淦淦淦淦淦淦淦淦淦淦淦淦淦淦淦淦淦淦淦淦淧淧淧淧淧淧淧淧淧淧淧淧淧淧淧淧淧淧淧淧淧淧淧淧淧淧淧淧淧淧淧淧淧淧淧淧淧淧淧淧淧淧淧淧淧淧淧淨淧"
+        , "淧淧淧淧淧淧淧淧淧淧淧淧淧淧淧淧淧淧淧淧淧淧淧淧淧砆淧淧淧淧淧淧淧淧淧淨淨淨淨淨淨淨淨淨淨淨淨淨淨淩淨淨淨淨淨淨淨淨淩淨淨淨淨淨淨淨淨淨淨淨淨淨淨淨淨淨淨淨淨淨淨淨淨淨淨淨淨淨淨淨淨淨淨淨淨淨淨淨淨淨"
+        , "淨淨淨淨淨淨淨淨淨淨淨淨淨淨淨淨淨淨淨淨淨淨淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淪淩淩淩淩淩淩淩淩淩淩"
+        , "淩淩淩淩淩淩淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淫淪淪淪淪"
+        , "淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淫淫淪淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫"
+        , "淫淫淫淫淫淫淫淫淪淫淫淫淫淫淫淫淫淫淫淫淫淬淫淫淫淫淫淫淫淫淫淫淫淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淫淭淬淬淬"
+        , "淬淬淬淬淬淬淬淬淬淬淭淬淬淬淫淬淬淬淬淬淬淬淬淬淬淬淬淭淭淭淭淭淭淭淭淭淭淭淭淭淭淭淭淭淭淭淭淭淭淭淭淭淭淭淭淭淭淭淭淮淭淭淭淭淭淭淭淬淭淭淭淭淭淭淭淭淭淭淭淭淭淭淭淭淭淭淭淭淭淭淭淭淭淭淭淭淭淭淭淭"
+        , "淭淭淭淭淭淭淭淭淭淮淭淭淭淭淭淭淭淭淭淭淭淭淭淭淭淭淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淰淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮"
+        , "淮淯淮淮淮淮淯淯淯淯淯淯淯淯淯淯淯淯淯淯淯淯淯淯淯淯淯淯淯淯淯淯淯淯淯淯淯淯淯淯淯淯淯淯淯淯淯淯淯淯淯淯淯淯淯淯淮淯淯淯淰淰淯淰淰淰淰淰淰淰淰淰淰淰淰淰淰淰淰淰淰淰淰淰淰淰淰淰淰淰淰淲淰淰淰淰淰深深深"
+        , "深深深深深深深深深深深深深深深深深深深深深深深深深淲淲淲淲淲淲淲淲淲淲淲淲淲淲淲淲淲淲淲淲淲淲淲淲淲淲淳淳淳淳淳淳淳淳淳淳淳淳淳淳淳淳淳淳淳淴淴淴淴淴淴淴淴淴淴淴淴淹淴淴淵淵淵淵淵淵淵淵淶淶淶淶混混混"
+        , "混混淸淸淹淹淹淺淺淾淿湂湂湃湄湄湄湄湄湄湅湅湅湅湅湅湅湅湅湅湅湅湅湆湆湆湆湆湆湄湆湆湆湆湆湆湆湆湆湆湆湆湆湆湆湆湆湆湆湆湆湆湆湇湇湇湇湇湇湇湇湇湇湇湇湇湇湇湇湇湇湇湇湇湇湇湇湇湇湇湇湇湇湇湇湇湇湇湇湇"
+        , "湈湈湈湈湈湈湈湈湈湈湈湈湈湈湈湈湈湈湈湈湈湈湈湈湈湈湈湈湈湈湈湈湈湈湈湈湈湈湈湈湈湈湈湉湉湉湉湉湉湉湉湉湉湉湉湉湉湉湉湉湉湉湉湉湉湉湉湉湉湉湉湉湉湉湉湉湉湉湉湉湊湉湉湉湉湊湊湊湊湊湊湊湊湊湊湊湊湊湊湊"
+        , "湊湊湊湊湊湊湊湊湊湊湊湊湊湊湊湊湊湊湊湊湊湊湊湊湊湋湋湋湋湋湋湋湋湋湋湋湋湋湋湋湋湋湋湋湋湋湋湋湋湋湋湌湋湋湋湋湋湋湋湋湋湋湋湋湋湋湋湋湋湋湊湋湋湋湋湋湋湋湋湋湋湌湋湌湌湌湌湌湌湌湌湌湌湌湌湌湌湌湌湌"
+        , "湌湌湌湌湌湌湌湌湌湌湌湌湌湌湍湍湍湍湍湍湍湍湍湍湍湍湌湍湍湍湍湍湍湍湍湍湍湍湍湍湍湍湎湎湎湎湎湎湎湎湎湎湎湎湎湎湎湎湎湎湎湎湎湎湎湎湎湎湎湎湎湎湎湎湎湎湎湎湎湎湎湎湎湏湏湏湏湏湏湏湏湏湏湏湏湏湏湏湏湏"
+        , "湏湏湏湏湏湏湏湏湐湐湐湐湐湐湐湐湐湐湐湐湑湑湑湑湑湑湑湒湑湑湑湒湒湒湒湒湒湑湒湒湒湓湓湓湔湔湔湔湔湕湕湖湗湗湗湚湛湟溢溢溦溦溧溧溧溨溪溬溭溰漂漄漆漈漋潢潧潩潬濂濆濇濈濋濌濍濏瀢瀦瀧瀧瀪瀪瀪瀫瀫瀫瀫瀫瀬"
+        , "瀬瀭瀭瀭瀱炂炊烢烢烤烤烤烥烥烥烥烥烦烦烦烦烦烦烦烦烧烧烧烧烧烧烧烧烧烨烨烨烨烨烩烩烩烩烩烪烩烪烪烪烪烪烪烪烪烪烪烫烫烫烫烫烫烬烬烬烬烬烬热热热热烮烮烮烮烯烱烱烱烱烱烱烲烲烴烶烹煂煂煃煄煄煅煅煅煅煅煅煅"
+        , "煅煆煆煆煆煆煆煆煆煆煆煆煆煆煆煆煆煇煇煇煇煇煇煇煇煇煇煇煇煇煇煇煇煇煇煇煇煇煇煈煈煈煈煈煈煈煈煈煈煈煈煈煈煈煈煈煈煈煈煉煉煉煉煉煉煉煉煉煉煉煉煉煉煉煉煉煊煊煊煊煊煊煊煊煊煊煊煊煊煊煊煊煊煊煊煊煊煊煊煊"
+        , "煊煊煊煊煊煊煋煋煋煋煋煋煋煋煊煋煋煋煋煋煋煋煋煋煋煋煋煋煋煋煌煌煌煌煌煌煌煋煌煌煍煌煌煌煌煌煌煎煍煍煍煍煍煍煍煍煍煍煎煎煎煎煎煎煎煎煎煎煎煎煎煎煎煏煏煏煏煏煏煏煏煏煐煐煐煐煐煐煐煑煑煑煑煒煒煒煓煓煔煔"
+        , "煕煖煖煖熢熦熧熨熨爂爃爁爃爃爄爄爄爄爅爅爅爅爅爅爅爅爅爅爆爆爆爆爆爆爆爆爆爆爆爆爆爆爆爆爆爆爆爆爆爆爇爇爇爇爇爇爇爇爇爇爇爇爇爇爇爇爇爇爇爇爇爇爇爇爇爇爇爇爇爇爇爇爈爈爈爈爈爈爈爈爈爈爈爈爈爈爈爈爈爈"
+        , "爈爈爈爈爈爈爈爈爈爈爈爈爈爈爈爉爉爉爉爊爉爉爉爉爉爉爉爉爉爉爉爉爉爉爉爉爉爈爉爉爉爉爉爉爉爉爉爉爊爊爊爊爊爊爊爊爊爊爋爊爊爊爊爊爊爊爊爊爊爊爊爊爊爊爊爊爊爊爊爊爊爊爊爊爊爊爊爊爊爋爋爋爋爋爋爋爋爋爋爋"
+        , "爋爋爋爋爋爋爋爋爋爋爋爋爋爋爋爋爋爋爋爋爋爋爋爋爌爌爌爌爌爌爌爌爌爌爌爌爌爌爌爌爌爌爌爌爌爌爌爌爌爍爍爍爍爍爍爍爍爍爍爍爍爍爍爍爍爍爍爍爍爎爍爎爎爎爎爍爎爎爎爎爎爎爎爎爎爎爎爎爎爎爏爎爎爏爏爏爏爏爏爏"
+        , "爏爏爏爏爏爏爏爏爏爐爐爐爐爐爐爐爐爐爐爐爐爐爐爑爑爑爑爑爑爑爑爑爒爒爒爒爒爒爒爓爓爓爓爔爔爔爕爖牢牥牧牧牨牪牭牰牳牵狂狄狅狅狆狆狆狆狆狆狆狆狆狇狇狇狈狈狈狉狉狉狉狊狊狊狊狊狋狋狋狋狋狌狌狌狍狍狍狍狍狎"
+        , "狎狎狎狏狏狏狐狒猢猥猦猨猨猪猪玂玆率玈玈玉玉玉王珢珢珣珤珤珦珦珩瑂瑂瑂瑂瑂瑂瑃瑄瑄瑄瑄瑅瑄瑅瑅瑅瑅瑅瑅瑅瑅瑅瑆瑆瑆瑆瑆瑆瑆瑆瑆瑆瑆瑆瑆瑆瑇瑇瑇瑇瑇瑇瑇瑇瑇瑇瑇瑇症瑈瑈瑈瑈瑈瑈瑈窧瑈瑉瑉瑉瑉瑉瑉瑈瑋瑉瑉"
+        , "瑉瑊瑊瑊瑊瑊瑊瑋瑋瑋瑌瑌瑍瑍瑍瑎瑎瑏瑐瑐瑑瑓瑓璢璥璧璩璩璫璫甂甄甄甄甄甄甅甅甅甅甅甅甅甅甅甆甆甆甆甆甆甆甆甆甆甆甆甆甆甆甇甇甇甇甇甇甇甇甇甇甆甇甇甇甇甇甇甇甇甇甇甇甇甇甇甇甈甈甈甈甈甈甈甈甈甈甈甈甈甉"
+        , "甉甉甉甉甉甉甉甉甉甉甉甉甉甉甉甉甉甉甉甉甊甊甊甊甊甊甊甊甊甊甊甊甊甊甊甊甊甊甊甊甊甊甊甊甊甊甊甋甋甋甋甋甋甋甋甋甋甋甋甋甋甋甋甋甋甌甌甌甌甌甌甋甌甌甌甌甌甌甌甋甌甌甌甌甍甍甍甍甍甍甍甍甍甍甍甍甍甍甍甍"
+        , "甍甍甍甍甎甎甎甎甎甎甎甎甎甎甍甎甎甎甎甏甏甏甏甏甏甏甏甏甏甏甏甏甏甏甏甐甐甐甑甐甑甑甑甒甒甒甒甒甓甓甓甔甔甕甕甗甙甛畢略畦畦畦畩畩痂痃痃痄痄痄痄病痆痆痆痆症症症症症痈痈痈痈痉痉痉痉痉痊痊痊痌痌痌痌痌痍"
+        , "痍痍痎痎痎痎痏痏痏痐痑痑痒痔瘢瘥瘧瘧瘨瘩瘩瘪瘫瘫瘫瘫瘬瘭瘮瘯瘱皂的的皅皆皆皆皆皆皆皇皇皇皇皇皇皇皇皇皈皈皈皈皈皈皈皉皉皈皉皊皊皊皋皋皋皋皌皍皍皍皎皎皎皏皏皑盢盤盥盥盥盥盥盥盦盦盦盦盦盦盦盦盦盦盦盦盦盦"
+        , "盦盦盦盦盦盦盦盦盦盦盧盧盧盧盧盧盧盧盧盧盧盧盧盧盧盧盧盧盧盧盧盧盧盧盧盧盧盧盧盧盧盨盨盨盨盨盨盨盨盨盨盨盨盨盨盨盨盨盨盧盩盨盩盩盩盩盩盩盩盩盩盩盩盩盩盩盩盩盪盪盪盪盪盪盪盪盪盪盪盪盪盪盪盫盪盪盪盪盪盪"
+        , "盪盪盪盪盪盪盫盫盫盫盫盫盫盫盫盫盫盫盫盫盫盫盫盫盫盫盫盫盫盫盫盬盬盬盬盬盬盬盬盬盬盬盬盬盭盭盭盭盭盭盭盭盭盭盭盭盭盭盭盭目目目目目目目目目目目目目目目目目目目目盯盯盯盯盯盯盯盯盯盯盯盰盰盰盰盰盰盰盰盱"
+        , "盱盱盱盱盲盲盲盲直盵盷盵盶盶盷睂睆睇睉睉睊睖瞢瞤瞥瞥瞦瞦瞦瞧瞨瞨瞩瞩瞪瞮瞮瞰瞱砂砄砄砄砅砅砅砅砅砅砅砅砅砅砅砆砆砆砆砆砆砆砆砆砆砆砆砆砆砆砆砆砆砆砆砆砆砆砆砆砆砆砇砇砇砇砇砇砇砇砇砇砇砇砇砇砇砇砇砇砇"
+        , "砇砇砇砇砇砇砇砇砇砇砇砇砇砇砇砇砇砇砈砈砈砈砈砈砈砈砈砈砈砈砈砈砈砈砈砈砈砈砈砈砈砈砈砈砉砉砉砉砉砉砉砉砉砉砉砉砉砉砉砉砉砉砉砉砉砉砉砉砉砉砉砉砊砊砊砊砊砊砋砊砊砊砊砊砊砊砊砊砊砊砊砊砊砊砊砊砊砊砊砊"
+        , "砊砊砊砊砊砊砊砊砊砋砋砋砋砋砋砋砋砋砋砋砋砋砋砋砋砋砋砋砊砋砋砋砋砋砋砋砋砋砌砌砌砌砌砌砌砋砌砌砌砌砌砌砌砌砌砌砌砌砌砌砌砌砌砌砌砌砌砌砌砌砍砍砌砍砍砍砍砍砍砍砌砍砍砍砍砍砍砍砍砍砍砎砎砎砎砎砎砎砎砎"
+        , "砎砎砎砎砎砎砎砎砎砎砎砎砎砎砏砏砏砏砏砏砏砏砏砏砏砏砏砏砏砏砏砐砐砐砐砐砐砐砐砐砐砐砑砑砑砑砑砑砑砑砑砑砑砒砒砒砒砒砒砒砒砓研研砕砖硢硢硣硤硥硥硥硥硥硥硦硦硦硦硦硦硦硦硦硦硦硧硧硧硧硧硧硧硧硧硧硧硧硧"
+        , "硧硧硧硧硧硧硧硨硨硨硩硨硨硨硨硨硨硨硨硨硩硩硩硩硩硩硩硩硩硪硪硪硪硪硪硪硪硪硪硪硩硪硪硫硫硫硫硫硫硫硫硫硫硫硫硫硫硫硫硫硫硫硬硬硬硬硬硬硬硬硬硬硭硭硭确确确确确硯硯硯硯硰硰硱硳硳硴硵硵磂磆磆磈磉磊礢礤"
+        , "礤礤礤礤礥礥礥礥礥礥礥礦礦礦礦礦礦礦礦礦礦礦礦礦礧礧礧礧礧礧礧礧礧礧礧礧礧礧礧礧礧礧礧礧礧礧礧礧礧礨礨礨礨礨礨礨礨礨礨礨礨礨礨礩礩礩礩礩礩礩礨礩礩礩礩礩礩礩礩礪礪礪礪礪礪礪礪礪礪礪礪礪礪礪礪礪礪礪礪礪"
+        , "礪礪礫礫礫礫礫礫礫礫礫礫礫礫礫礫礬礬礬礬礬礬礬礬礬礬礬礬礬礬礬礬礭礭礭礭礭礮礫礭礭礭礭礭礭礭礭礮礮礮礮礮礮礮礮礮礮礮礮礯礯礯礯礯礰礰礰礰礰礰礰礰礱礱礱礱礳礴礵礳禂禃禄禄禅禅禅禅禆禆禆禆禆禆禆禆禇禇禇禇"
+        , "禇禇禇禇禇禇禇禈禈禈禈禈禈禈禉禉禉禉禉禉禉禉禊禊禊禊禊禊禊禊禊禊禋禋禋禋禋禋禌禌禌禌禌禌禌禍禍禍禍禍禍禍禍禍禎禎禎禎禎禎福福禐禑禒禒禓秢秤秤秥秥秦秦秦秦秦秦秦秦秧秧秧秧秧秧秧醄醄秨秩秩秩秩秩秩秪秪秪秪"
+        , "秫秫秭秫秫秭秮秮秮积秱秱秳穂穄穄穅穅穅穅穅穅穅穅穈穆穆穆穆穆穆穆穆穆穆穆穆穆穆穆穆穆穇穇穇穇穇穇穇穇穇穇穇穇穇穇穇穇穇穇穇穇穇穇穇穇穇穇穇穇穇穇穇穇穇穇穇穇穇穇穇穇穇穈穈穈穈穈穈穈穈穈穈穈穈穈穈穈穈穈"
+        , "穈穈穈穈穈穈穈穈穈穈穈穈穈穈穉穉穉穉穉穉穉穉穉穉穉穉穉穉穉穉穉穉穉穉穉穉穉穉穉穉穉穉穉穉穉穉穉穉穉穊穊穊穊穊穊穊穊穊穊穊穊穊穊穊穊穊穊穊穊穊穊穊穊穊穊穊穊穊穊穊穊穊穊穊穊穊穊穊穊穊穊穊穋穋穋穋穋穋穋穋"
+        , "穋穋穋穋穋穋穋穋穋穋穋穋穉穋穋穋穋穋穋穋穋穌穋穋穋穋穋穋穋穋穋穋穌穌穌穌穌穌穌穌穌穌穌穌穌穌穌穌穌穌穌穌穌穌穌穌穌穌穌穌積積積積積積積積積積積積積積積積積積積積積積積積積積積積積積積積積穌積積積穌積積"
+        , "穎穎穎穎穎穎穎穎穎穎穎穎穎穎穎穎穎穎穎穎穎穎穎穎穎穎穎穏穏穏穏穏穏穏穏穏穏穏穏穏穏穏穏穐穐穐穐穐穐穐穐穐穐穐穐穐穑穑穑穑穑穐穐穒穒穒穒穒穒穒穒穒穒穒穓穓穓穓穓穓穓穕穔穕穕穕穕穖穖穚穜窢窤窤窤窥窥窥窥窥"
+        , "窥窥窥窥窥窥窥窦窦窦窦窦窦窦窦窦窦窦窦窦窦窦窧窧窧窧窧窧窧窧窧窧窧窧窨窨窨窨窨窧窨窨窨窨窨窨窨窨窨窨窩窩窩窩窩窩窩窩窪窪窪窪窪窪窪窪窪窪窩窪窫窫窫窫窫窫窫窫窫窫窫窫窫窬窬窬窬窬窬窬窬窬窬窭窭窭窭窭窭窭"
+        , "窭窭窭窮窮窮窮窮窭窯窯窯窯窯窰窰窰窲窱窲窲窳窵窷笂笂笃笃笄笄笄笄笅笅笅笅笅笅笅笅笅笅笆笆笆笆笆笆笆笆笆笆笆笆笆笆笆笆笆笆笆笆笆笆笆笆笆笆笆笆笆笆笇笇笇笇笇笇笇笇笇笇笇笇笇笇笇笇笇笇笇笇笇笇笇笇笇笇笇笇"
+        , "笇笇笇笇笇笇笇笇笇笈笈笈笈笈笈笈笈笈笈笈笈笈笈笉笈笈笈笈笈笈笈笈笈笈笈笈笈笈笈笈笈笈笈笈笈笈笈笈笈笈笈笈笉笉笉笉笉笉笉笉笉笉笉笉笉笉笉笉笉笉笉笉笉笉笉笉笉笉笉笉笉笉笉笉笉笉笉笉笊笊笊笊笊笊笊笊笊笊笊笊"
+        , "笊笊笊笊笊笊笊笊笊笊笊笊笊笊笊笊笊笊笊笊笊笊笊笊笊笊笊笊笊笊笊笊笊笊笊笊笊笊笊笊笊笊笊笋笊笊笋笋笋笋笋笋笋笋笋笋笋笋笋笋笋笋笋笋笋笋笋笋笋笋笋笋笋笋笋笋笋笋笋笋笋笋笋笋笋笋笋笋笋笋笋笋笋笋笋笋笌笌笌笌"
+        , "笌笌笌笌笌笌笌笌笌笌笌笌笌笌笌笌笌笌笌笌笌笌笌笌笌笌笌笌笌笍笍笍笍笍笍笍笍笍笍笍笍笍笍笍笍笍笍笍笍笍笍笍笍笍笍笍笍笍笍笍笎笍笍笏笍笍笎笎笎笎笎笎笎笎笎笎笎笎笎笎笎笎笎笎笎笎笎笎笎笎笏笎笏笏笏笏笏笏笏笏"
+        , "笏笎笏笏笏笏笏笏笏笏笏笐笐笐笐笐笐笐笐笐笑笑笑笑笑笑笑笑笑笑笑笑笑笒笒笓笓笓笓笔笕笕笕笕笗笗笙笲笴笵笵笵笵笵笵笵笵笵笵笵笶笶笶笶笶笶笶笶笶笶笵笶笶笶笶笶笶笶笶笷笷笷笷笷笷笷笷笷笷笷笷笷笷笷笷笷笷笸笸笸"
+        , "笸笸笸笸笸笸笸笸笸笸笸笸笹笹笹笹笹笹笹笹笹笺笺笺笺笺笺笺笺笺笺笺笺笺笺笺笺笺笺笺笺笺笺笺笺笺笻笻笻笻笻笻笻笻笻笻笻笻笻笻笻笻笻笻笻笻笻笻笻笼笼笼笼笼笼笼笼笼笼笼笼笽笽笽笽笽笽笽笾笾笾笾笿笿笿笿笿筂筢筤"
+        , "筥筦筦筧筦筧筨筨筨筪筪筬筭筭筭筮筮筮筯筯筰筱筲筲筴篂篂篂篅篅篅篅篆篆篆篇篇篇篇篇篇篇篇篈築築築篊篊篊篊篊篊篊篊篋篋篋篊篋篋篌篌篌篌篍篍篍篍篎篎篎篎篎篏篐篐篐篐篓篕篕簢簣簤簥簥簥簥簥簦簦簦簧簦簦簦簦簧簧"
+        , "簧簧簧簧簨簨簨簩簩簩簩簩簩簩簩簪簫簫簫簫簫簬簬簮簮簮簯簯簯簯簰簱簱粂粅粅粆粆粆粆粆粆粆粇粇粇粇粇粇粇粇粇粇粇粇粈粈粈粈粈粈粈粈粉粉粉粊粊粊粊粊粊粊粋粋粋粋粋粋粋粋粋粌粌粌粌粍粍粍粍粍粎粎粎粎粎粍粏粏粐"
+        , "粐糢糠糢糦糦糦糧糧糧糨糨終絅絅絅絅絅綢綤綥綦綦綦綦綦綧綧綧綧綧綧綨綩綩綪綪綪綫綫綬綬綬維維綮綮綰綱網網縂縃縄縅縅縆縆縆縆縆縆縆縆縆縆縆縇縇縇縇縇縇縇縇縇縇縇縈縈縈縈縈縈縈縉縉縉縉縊縊縊縊縊縊縊縈縊縊縊"
+        , "縋縋縋縋縋縋縋縋縌縌縎縍縍縍縍縍縎縎縎縎縏縐縐縐縐縒縒繢繠繦繦繦繩繩繩繪繪绂练组组组组组绅绅绅绅绅绅绅绅绅绅绅绅绅绅绅绅绅细细细细细细细细细细细细细细细细细细细细细细细细细细细细细细细细细织织织织织织"
+        , "织织织织织织织织织织织织织织织织织织织织织织织织织织织织织织织织织织织织织终终终终终终终终终终终终终终终终终终终终终终终终终终终终织终终终终终终终终终终终绉绉绉绉绉绉绉绉绉绉绉绉绉绉绉绉绉绉绉绉绉绉绉"
+        , "绉绉绉绉绉绉绉绉绉绉绉绉绉绊绊绊绊绊绊绊绊绊绊绊绊绊绊绊绊绊绊绊绊绊绊绊绊绊绊绊绊绊绊绊绊绊绊绋绋绋绋绋绋绋绋绋绋绋绋绋绋绋绋绋绋绋绋绋绋绋绋绋绋绋绋绋绋绋绋绋绋绋绋绌绌绌绌绌绌绌绌绌绌绌绌绌绌绌绌绌"
+        , "绌绌绍绍绍绍绍绍绍绍绍绍绍绍绍绍绍绍绍绍槍绎绎绎绎绎绎绎绎绎绎绎绎绎绎绎绎绎绎经经经经经经经经经经经经经经经经经经经经经经绐绐绐绐绐绐绐绑绑绒绑绑绒绒绒绒结绔绔绕绕绕缢缤缤缨缪缭缭羂羃羆羆羈羈羈羋羌翢"
+        , "翥翨翨翨翨翩翪翬聂聄聄聅聆聆聇聈聈聉职聊聋职聎聏肢肤肤肤肦肧肨肪肪肪肫肫肬肮肯脂脈脉脊腢腤腥腥腥腥腦腦腦腦腦腦腦腦腦腦腦腦腦腧腧腧腧腧腧腧腧腧腧腨腨腨腨腩腩腩腩腩腩腩腩腩腩腪腪腪腪腫腫腫腫腫腫腫腬腬腬"
+        , "腬腬腭腭腭腭腮腮腮腯腯腯腯腯腰腰腰腰腱腲腳腴臂臃臄臍舢舦舧航舯舴节节芃芄芄芄芄芄芄芄芄芅芅芅芅芅芅芅芅芅芅芅芅芅芅芅芅芅芅芅芅芅芆芆芆芆芆芆芆芆芆芆芆芆芆芆芆芆芆芆芆芆芆芆芆芆芆芆芆芆芆芆芆芆芆芆芆芆"
+        , "芆芆芆芇芆芆芆芆芆芆芆芆芆芆芆芆芆芆芆芆芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芇芈芇芇芇芈芈芈芈芈芈芈芉芈芈"
+        , "芈芈芈芉芈芈芈芈芈芈芈芈芈芈芈芈芈芈芈芈芈芈芈芈芈芈芈芈芈芈芆芈芈芈芈芈芈芈芈芈芈芈芈芈芈芈芈芈芈芈芈芊芈芈芈芈芈芈芈芈芈芈芈芈芈芈芈芈芈芈芈芈芈芈芈芉芈芈芈芈芉芉芉芉芉芉芉芉芉芉芉芉芉芉芉芉芉芉芉芉"
+        , "芉芉芉芉芉芉芉芉芉芉芉芉芉芉芉芉芉芉芉芉芉芉芉芉芉芉芉芉芉芉芉芉芉芉芉芉芉芉芉芉芉芋芉芉芉芉芉芉芉芉芉芉芉芉芉芉芉芉芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊"
+        , "芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芋芋芋磊芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋"
+        , "芋芋芋芋芋芋芋芋芋芋芋芊芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芋芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌"
+        , "芌芌芌芌芌芌芌芌湌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍"
+        , "芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芎芎芎芎芎芎芎芎芎芎芎芎芎芎芎芎芎芎芎芎芎芎芎芎芎芎芎芎芎芎芎芎芎芎芎芎芎芎芎芎芎芎芎芎芎芎芎芎芎芎芎芎芎芎芎芎芎芏芏"
+        , "芏芏芏芏芏芏芏芏芏芏芏芏芏芏芏芏芏芏芏芏芏芏芏芏芏芏芏芏芏芏芏芏芏芏芏芏芏芏芏芏芏芏芏芏芏芏芏芏芏芐芏芏芏芐芏芐芐芐芐芐芐芐芐芐芐芐芐芐芐芐芐芐芐芐芐芐芐芐芐芐芐芐芐芐芐芐芐芐芐芐芐芐芑芑芑芑芑芑芑芑"
+        , "芑芑芑芑芑芑芑芑芑芑芑芑芑芑芑芑芑芑芒芑芑芑芑芑芑芑芒芒芒芒芒芒芒芒芒芒芒芒芒芒芒芒芒芒芒芒芒芒芒芒芒芒芒芒芓芒芒芓芓芓芓芓芓芓芓芓芓芓芓芓芒芓芐芓芓芓芓芓芓芓芓芓芓芓芓芕芔芔芔芔芔芔芕芕芕芕芕芕芕芕"
+        , "芕芕芖芖芖芖芗芗芗芗芙芛芛苢苤苤若苦堪苦苦苧苧苧苧苧苧苨苨苨苩苩苪苪苫苫苬苬苬苭苭苮苶荂荃荄荄荄荄荄荄荅荅荅荅荅荅荅荅荅荅荅荅荅荅荅荅荅荆荆荆荆荈荆荆荆荆荆荆荆荆荆荆荆荆荆荆荆荆荆荆荆荆荆荆荆荆荆荆荆"
+        , "荆荆荆荆荆荆荆荇荆荇荇荇荇荇荇荇荇荇荇荇荇荇荇荇荇荇荇荇荇荇荇荇荇荇荇荇荇荇荇荇荇荇荇荇荈荈荈荈荈荈草荈荈荈荈荈荈荈荈荈荈荈荈荈荈荈荈荈荈荈荈荈荈荈荈荈荈荈荈荈荈草草草草草草草草草草草草草草草草草草草"
+        , "草草草草草草草草草草草草草草草草荊荊荊荊荊荊荊荊荊荊荊荊荊荊荊荊荊荊荊草荊荊荊荊荊荊荊荊荊荊荊荊荊荊荊荊荊荊荊荊荊荊荊荊荊荊草荊荊荊荊荊荋荋荋荋荋荋荋荋荋荋荋荋荋荋荋荋荋荋荋荋荋荋荋荋荋荋荋荋荋荋荋荋"
+        , "荋荋荋荋荋荋荋荋荋荋荋荋荋荌荋荋荋荋荋荋荋荌荌荌荌荌荌荌荌荌荌荌荌荌荌荌荌荌荌荌荌荌荌荌荌荌荌荌荌荌荌荌荌荌荌荌荌荌荌荌荌荌荍荍荍荍荍荍荍荍荍荍荍荍荍荍荍荍荍荍荍荍荍荍荍荍荍荍荍荍荍荍荍荍荍荍荍荍荍荍"
+        , "荍荍荍荎荎荎荎荎荎荎荎荎荎荎荎荎荎荋荎荎荎荎荎荎荎荎荎荎荎荎荎荎荎荎荎荎荎荎荏荏荏荏荏荏荏荏荏荏荏荎荏荏荏荏荏荏荏荏荏荏荏荏荎荏荐荐荐荐荐荐荐荐荐荐荑荑荑荑荑荑荑荑荑荑荑荒荒荒荒荒荒荒荒荓荓荓荓荓荓荓"
+        , "荑荔荔荔荔荔荔荕荖荗荗荘莢莥莥莦莦莧莨莨莨莨莱莴萂萅萅萆萇萇萇萇萇萈萈萈萈萉萋萋萋萋萌萌萌萌萔葢葢葤葥葥葥葥葥葥葥葦葦葦葦葦葦葦葦葦葦葦葦葦葦葦葦葦葦葦葦葦葦葦葦葦葦葦葧葧葧葧葧葧葧葧葧葧葧葧葧葧葧葧"
+        , "葧葧葧葧葧葧葧葧葧葧葧葧葧葧葧葧葧葧葧葧葧葧葧葨葧葨葨葨葨葨葨葨葨葨葨葨葨葨葨葨葨葨葨葨葨葨葨葨葨葨葩葩葩葩葩葩葩葩葩葩葩葩葩葩葩葩葩葩葩葩葩葩葩葩葩葩葩葩葫葪葪葪葪葪葪葪葪葪葪葪葪葪葪葪葪葪葪葪葪葪"
+        , "葪葪葪葪葪葪葪葪葪葫葫葫葫葫葫葫葫葫葫葫葫葫葫葫葫葫葫葫葫葫葫葫葫葫葬葬葬葬葬葬葬葬葬葬葬葬葬葬葬葬葬葬葬葬葬葭葬葭葭葭葭葭葭葭葭葭葭葭葭葭葭葭葭葭葮葮葮葮葮葮葮葮葮葮葮葮葮葮葭葮葯葯葯葯葯葯葯葯葯葯"
+        , "葯葯葯葰葰葰葰葰葰葱葱葱葱葱葱葲葲葲葲葳葳葴葴葴葵葵葵葵葵葳蓂蓂蓂蓅蓇蓈蓈蓉蓎蓏蓏蓓蓕蔢蔤蔥蔥蔦蔦蔦蔦蔦蔦蔧硩蔧蔧蔤蔧蔨蔨蔩蔩蔩蔩蔩蔪蔪蔪蔪蔫蔫蔫蔫蔫蔬蔬蔬蔬蔬蔭蔭蔭蔭蔮蔮蔮蔮蔮蔯蔯蔯蔰蔰蔱蔱蔴蕒蕔蕕"
+        , "蕖蕖硦蕗蕗蕗蕘蕙蕚蕚蕛蕜蕝蕝薂薄薄薆薆薆薆薆薇薇薈薇薇薈薈薈薈薈薈薈薈薈薉薉薉薉薊薊薊薊薋薋薌薌薍薎薎薏薏薏薐薑薑薒薒薔藢藢藤藤藤藤藤藤藤藥藥藥藥藥藥藥藥藥藥藥藥藥藥藥藥藥藥藦藦藦藦藦藦藦藦藦藦藦藦藦"
+        , "藦藦藦藦藦藦藦藦藦藦藦藦藧藧藧藧藧藧藧藧藧藧藧藧藧藧藧藧藧藧藧藧藧藧藧藧藧藧藧藧藧藧藧藧藧藧藧藧藧藧藧藧藧藧藧藧藧藨藨藨藨藨藨藨藨藨藨藨藨藨藨藨藨藨藨藨藨藨藨藨藨藨藨藨藨藨藨藨藨藨藨藨藨藨藨藨藨藨藨藩"
+        , "藩藩藩藩藩藩藩藩藩藩藩藩藩藩藩藩藩藩藩藩藨藩藩藩藩藩藩藩藩藩藩藩藩藩藩藪藪藪藪藪藪藪藪藪藪藪藪藪藪藪藪藪藪藪藪藪藪藪藪藪藪藪藪藪藪藪藪藪藪藪藪藪藪藪藪藪藪藪藪藫藫藫藫藫藫藫藫藫藫藫藫藫藫藪藫藫藫藫藫藫"
+        , "藫藫藫藫藫藫藫藫藫藫藫藫藫藫藫藫藫藫藫藫藬藬藬藬藬藬藬藬藬藬藬藬藬藬藬藬藬藬藬藬藬藬藬藬藬藬藬藬藬藬藬藭藭藭藭藭藭藭藭藭藭藭藭藭藭藭藭藭藭藭藭藭藭藭藭藭藭藭藭藮藮藮藮藮藮藮藮藮藮藮藮藮藮藯藮藮藮藮藮藮"
+        , "藮藮藮藮藮藮藮藮藮藯藯藯藯藯藯藯藯藯藯藯藯藯藯藯藯藯藯藯藯藯藯藰藰藰藰藰藰藰藰藰藰藰藱藱藱藱藱藱藱藱藲藲藲藲藲藲藲藲藲藲藲藳藳藳藳藳藳藴藴藴藵藵藶藶藶藸蘒蘔蘔蘔蘔蘔蘕蘕蘕蘕蘕蘕蘕蘕蘕蘕蘕蘕蘖蘖蘖蘖蘖蘖"
+        , "蘖蘖蘖蘖蘖蘖蘖蘖蘖蘗蘗蘗蘗蘗蘗蘗蘗蘗蘗蘗蘗蘗蘗蘗蘗蘗蘗蘘蘘蘘蘘蘘蘘蘘蘘蘘蘘蘘蘘蘘蘘蘘蘘蘘蘘蘘蘘蘘蘘蘘蘙蘙蘙蘙蘙蘙蘙蘙蘙蘙蘙蘙蘙蘚蘚蘚蘚蘚蘚蘚蘚蘚蘚蘚蘚蘚蘚蘚蘚蘚蘚蘚蘚蘛蘛蘛蘛蘛蘛蘛蘛蘛蘛蘛蘛蘛蘛蘛蘛蘛"
+        , "蘛蘛蘛蘜蘜蘜蘜蘜蘜蘜蘜蘜蘝蘝蘝蘝蘝蘞蘞蘞蘞蘞蘞蘟蘟蘟蘣虂虅虆虆虆虈虉虊虌虌虌虍虎虑虒蚢蚥蚥蚦蚨蚨蚪蚪蚪蚬蚭蚯蚴蚶蚷蜂蜃蜅蜆蜆蜆蜆蜆蜆蜇蜇蜇蜇蜈蜈蜈蜈蜈蜉蜉蜉蜉蜋蜋蜋蜋蜌蜌蜌蜌蜌蜍蜍蜏蜎蝢蝥蝥蝥蝦蝦蝧蝧"
+        , "蝧蝧蝧蝧蝨蝨蝨蝨蝨蝨蝨蝩蝩蝩蝪蝪蝫蝫蝫蝫蝬蝬蝬蝭蝭蝭蝮蝴蝶蟂蟄蟄蟄蟅蟅蟅蟅蟆蟆蟆蟆蟆蟆蟆蟆蟆蟆蟇蟇蟇蟇蟇蟇蟇蟇蟇蟇蟇蟇蟇蟇蟇蟇蟇蟇蟇蟈蟈蟈蟈蟈蟈蟈蟈蟈蟈蟈蟈蟈蟉蟉蟉蟉蟉蟉蟉蟉蟉蟉蟊蟊蟊蟊蟊蟊蟊蟊蟊蟊蟊"
+        , "蟊蟊蟊蟊蟊蟊蟊蟊蟊蟋蟋蟋蟋蟋蟋蟋蟋蟋蟌蟌蟌蟌蟌蟌蟌蟌蟍蟍蟍曐蟍蟍蟍蟍蟎蟎蟎蟎蟎蟎蟎蟏蟏蟏蟐蟐蟐蟐蟐蟑蟑蟑蟑蟒蟒蟓蟔蟲蟴蟴蟴蟵蟵蟶蟶蟶蟶蟶蟶蟶蟶蟶蟶蟶蟶蟶蟷蟷蟷蟷蟷蟷蟷蟷蟷蟷蟷蟷蟸蟸蟸蟸蟸蟸蟸蟸蟸蟸蟸蟹"
+        , "蟹蟹蟹蟺蟺蟺蟺蟺蟺蟺蟺蟺蟺蟺蟻蟻蟼蟼蟼蟼蟽蟾蟾蟾蟾蟿蟿蠃蠢蠦蠦蠧蠨蠨蠨蠩蠫蠫蠫蠬袂袂袄袄袄袄袅袅袅袆袆袆袆袆袆袆袇袇袇袇袇袇袇袇袇袇袇袇袈袈袈袈袈袈袈袈袈袉袉袉袉袉袉袊袊袊袊袊袊袊袊袊袊袋袋袋袌袎袎袎"
+        , "袎袎袏袐袐袒袕裢裤裥裥裥裥裦裦裦裨裦裦裦裦裦裦裦裦裧裧裧裧裧裧裧裧裧裧裧裧裧裧裧裧裧裧裧裧裧裧裧裧裧裧裨裨裨裨裨裨裨裨裨裨裨裨裨裨裨裨裨裨裨裨裨裨裧裨裨裨裨裨裨裩裩裩裩裩裩裩裩裩裩裩裩裩裩裩裩裩裩裩裪"
+        , "裪裪裪裪裪裪裪裪裪裪裪裪裪裪裪裪裪裪裪裪裪裪裪裪裪裪裪裫裪裪裪裪裫裫裫裫裫裫裫裫裫裫裪裫裫裫裫裫裫裫裫裫裫裫裬裬裬裬裬裬裬裬裬裬裬裬裬裬裭裭裭裭裭裭裭裭裭裭裭裭裭裭裭裭裭裭裭裭裮裮裮裮裮裮裭裮裮裮裮裮"
+        , "裮裮裮裮裮裮裮裮裮裮裮裮裭裯裯裯裯裯裯裯裯裯裰裰裰裰裰裰裱裱裱裱裱裱裱裲裲裲裲裲裲裳裳裳裳裴裴裴裴裴裵裵裷裶裶襂襅襆襆襆襇襈襈襉襉襉襊襊襊襊襊襊襊襋襋襌襍襍襎襎襎襎襏襐襓襖覢覣覤覤覥覥覥覥覥覥覥覥覦覦"
+        , "覦覦覦覦覦覦覦覦覦覦覦覦覧覧覧覧覧覧覧覧覧覨覧覧覧覧覧覧覧覧覧覧覧覧覧覧覧覧覨覨覨覨覨覨覨覨覨覨覨覨覨覨覨覩覩覩覩覩覩覩覩覩親親親親親親親親親親親親親親親親親親親親親親親覫覫覫覫覫覫覫覫覫覫覫覫覫覫覫"
+        , "覫覬覬覬覬覬覬覬覬覬覭覭覭覭覭覭覭覮覮覮覮覮覮覮覮覯覯覯覯覯覯覰覰覰覰覰覱覱覱覲覲覶角觓觔觕觕觕觖觖觖觖觖觗觗觗觗觗觗觗觗觗觗觗觘觘觘觘觘觘觘觘觙觙觙觚觚觚觚觚觚觚觚觛觛觛觛觛觛觜觜觜觝觞觞訂訇訇計計"
+        , "計訉訉訉訊訋訋訋訋訋訋訌訍討訏訐詢詥詨詪詮諂諂諃諄諄諄諄諄諄諅諅諅諅諅諅諅諅諅諅諅諅諆諆諆諆諆諆諆諆諆諆諆諆諆諆諆諆諆諆諆諆諆諆談談談談談談談談談談談談諆談談談談談談談諈諈諈諈諈諈諈諈諈諈諈諈諈諈諈諈"
+        , "諈諈諈諈諈諈諈諉諉諉諉諉諉諉諉諉諉諉諉諉諉諉諉諉諉諉諉諉諉諉諉諉諉諉諉諉諊諊諊諊諊諊諊諊諊諊諊諊諊諊諊諊諊諊諊諊請請請請請請請請請請請請請請請請請請請請請請請請請請請請諌諌諌諌諌諌諌諌諌諌諌諌諌諌諍諍"
+        , "諍諍諍諍諍諍諍諍諍諍諎諍諎諎諎諎諎諎諎諎諎諏諏諏諏諏諏諏諏諏諎諐諐諏諑諑諑諒諓諕諕謢謤謤謥謥謥謥謥謥謥謥謥謥謦謦謦謦謦謦謦謦謦謦謦謦謦謦謦謧謧謧謧謧謧謧謧謧謧謧謧謧謧謧謨謨謨謨謨謨謨謨謨謨謨謨謨謨謨謨"
+        , "謨謨謨謨謨謨謩謨謩謩謩謩謩謩謩謩謩謩謩謩謩謩謩謩謩謩謩謩謪謪謪謪謪謪謪謪謪謪謪謪謪謪謪謪謪謫謫謫謫謫謫謫謫謫謫謫謫謫謫謫謫謫謫謬謬謬謬謬謬謬謬謬謬謬謬謬謭謭謭謭謭謭謭謭謭謭謭謭謭謭謮謮謮謮謮謮謮謮謮謮"
+        , "謮謮謮謯謯謯謯謯謰謰謱謱謱謱謱謲謲謳謲謳謴謴謴謵謵讂讄讄讅讅讅讅讅讅讅讆讆讆讆讆讆讆讆讆讆讆讆讇讇讇讇讇讇讇讈讈讈讈讈讈讈讈讈讈讈讈讉讉讉讉讉讉讉讉讉讉讉讉讉讉變變變變變變變變變變變變變讋讋讋讋讋讋讋"
+        , "讋讋讋讋讌讌讌讌讌讌讌讌讌讌讌讌讌讍讍讍讍讍讍讍讍讎讎讎讎讎讏讏讏讏讏讏讏讐讐讐讒讓讓讓讓讔讔讕讕讖询诣详诧诧误豂豄豆豇豍貢貢貣貣貤貤貤貤貤貤貤貤貤貤貤貤貤貤貥貥貥貥貥貥貥貥貥貥貥貥貥貥貥貥貥貥貥貥貥"
+        , "貥貥貥貥貥貦貦貦貦貦貦貦貦貦貦貦貦貦貦貦貦貦貦貦貦貦貦貦貦貦貦貦貦貦貦貦貦貦貦貦貦貦貦貦貦貦貦貦貦貦貦貦貦貧貧貧貧貧貧貧貧貧貧貧貧貧貧貧貧貧貧貧貧貧貧貧貧貧貧貧貧貧貧貧貧貧貧貧貧貧貧貧貧貧貧貧貧貧貧貧"
+        , "貧貧貧貧貧貧貧貧貧貧貧貧貧貧貧貧貧貧貧貧貧貧貧貧貧貨貨貨貨貨貨貨貪貨貨貨貨貨貨貨貨貨貨貨貨貨貨貨貨貨貨貧貨貨貨貨貨貨貨貨貨貨貨貨貨貨貨貨貨貨貨貨貨貨貨貨貨貨貨貨貨貨貨貨貨貨販販販販販販販販販販販販販販"
+        , "販販販販販販販販販販販販販販販販販販販販販販販販販販販販販販販販販販販販販販販販販販販販販販販販販販販販販販販貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪"
+        , "貪貪貪貪貫貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貪貫貪貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫貫"
+        , "責責責責責責責責責責責責責責責責責責責責責責責責責責責責責責責責責貭責責責責責責責責責責責責責責責責責責責責責責貭貭貭貭貭貭貭貭貭貭貭貭貭貭貭貭貭貭貭貭貭貭貭貭貭貭貭貭貭貭貭貭貭貭貭貭貭貭貭貭貭貭貭貭"
+        , "貭貭貭貭貭貭貭貮貯貮貮貮貮貭貮貮貮貮貮貮貮貮貮貮貮貮貮貮貮貮貮貮貮貮貮貮貮貮貮貮貮貮貮貮貮貮貮貮貮貮貮貮貮貮貮貮貮貮貮貮貮貯貯貯貯貯貯貯貯貯貯貯貯貯貯貯貯貯貯貯貯貯貯貯貯貯貰貰貰貰貰貰貰貰貰貰貰貰貰貰"
+        , "貰貰貰貰貰貱貱貱貱貱貱貱貱貱貱貱貱貱貱貱貱貱貱貰貲貲貲貲貲貳貳貳貳貳貳貳貴貴貴貴貴貴貴貵貵貵貵貵貶貶貶買買賒賓賓賔賔賔賔賔賕賕賕賕賕賕賕賕賕賕賕賖賖賖賖賖賖賖賖賖賖賖賖賖賖賖賖賖賖賖賖賖賖賖賖賗賗賗賗"
+        , "賗賗賗賗賗賗賗賗賗賗賗賗賗賗賗賗賗賗賗賗賗賗賗賗賗賗賗賘賘賘賘賘賘賘賘賘賘賘賘賘賘賘賘賘賘賘賘賘賘賘賘賘賘賘賘賘賘賘賘賘賘賘賘賘賘賘賘賘賙賙賙賙賙賙賙賙賙賙賙賙賙賙賙賙賙賙賙賙賙賙賙賙賙賙賙賙賙賙賚賚"
+        , "賚賚賚賚賚賚賚賚賚賚賚賚賚賚賚賚賚賚賚賚賚賚賚賚賚賚賛賛賛賛賛賛賛賛賛賛賛賛賛賛賛賛賛賛賛賛賜賜賜賜賜賜賜賜賜賜賜賜賜賜賜賜賝賝賝賝賝賝賝賝賝賝賝賞賞賞賞賞賞賞賞賞賞賞賟賟賟賟賟賟賠賡賡賣賣贂贂贅贆贇"
+        , "贊贎贐贲赢赣赣赤赤赤赥赥赥赥赥赦赦赦赦赦赦赦赦赦赦赦赦赦赧赧赧赧赧赧赧赧赧赨赨赨赨赨赨赨赨赨赨赩赩赩赩赩赩赩赩赩赩赪赪赫赪赪赪赪赪赪赪赪赪赪赪赫赫赫赫赫赫赫赫赫赫赫赫赫赬赬赬赬赬赬赬赬赬赭赭赭赭赭赮赮"
+        , "赮赮赯赯赯赯赯走趒趓趔趕趕趕趕趕趖趖趖趖趖趖趖趖趗趗趘趘趘趘趘趘趘趘趘趙趙趙趙趚趚趚趚趚趚趚趚趚趚趛趛趛趛趛趜趜趜趜趝趟跂跂跄跄跅跅跅跅跅跆跆跆跆跆跆跆跆跆跆跆跆跆跆跆跆跆跆跇跇跇跇跇跇跇跇跇跇跇跇跇"
+        , "跇跇跇跇跇跇跈跈跈跈跈跈跈跈跈跈跈跈跉跉跉跉跊跉跉跉跉跉跉跉跉跉跉跉跉跉跉跉跊跊跊跊跊跊跊跊跊跊跊跊跊跊跊跊跊跋跋跋跋跋跋跋跋跋跋跋跋跋跋跋跋跋跋跋跋跌跋跌跌跌跌跌跌跌跌跌跍跍跍跍跍跍跍跍跎跎跎跎跏跏"
+        , "跏跏跏跏跐跐跐跐跐跐跐跑跒跓踢踪踫躂躄躄躄躄躄躅躅躆躆躆躆躆躆躆躆躇躇躇躇躇躇躇躈躈躈躉躊躊躋躌躌躌躌躌躌躌躌躌躌躍躍躍躏躒躒躖転軥軥軥軦軦軦軦軦軦軦軦軧軧軧軧軧軧軧軧軧軧軧軨軨軨軩軩軩軩軩軩軩軩軩軪"
+        , "軪軪軪軪軪軪軪軪軪軪軪軪軫軫軫軫軫軫軫軫軫軬軬軬軬軬軭軭軭軭軭軭軭軭軮軮軮軮軮軮軮軯軯軯軯軯軯軯軰軰軰軰軰軱軲軲軲軲軲軲軲軳軴軵軵軵軵軷輁轂轂轆轆轇轇轈轈轈轉轊轊轌辢辦辩辭适适逇逈选逎逐遢遤遥遥遥遥遥"
+        , "遥遥遦遦遦遦遦遦遦遦遧遧遧遧遧遧遧遧遧遧遧遧遧遨遨遨遨遨遨遨遨遨遨遨遨適適適適適適適遪遪遪遪遪遪遪遪遫遫遫遫遫遫遫遫遫遫遫遫遫遫遫遬遬遬遬遬遬遬遭遭遭遭遮遮遮遮遯遯遯遯遰遰遱遱遱遳遷郂郅郇郇郈郈郈郉郊"
+        , "郊郊郋郋郋郋郋郍郌郌郌郌郍郎郎郏郑郑郲郵郷郺郻郻郼鄢鄦鄨鄩鄪鄬醂醆醆醇醇醉醋醋醌醌醍醍醍醐釢釤釤釤釥釥釥釥釥釦釦釦釦釦釦釦釦釦釦釧釧釧釧釧釧釧釨釨釨釨釨釨釨釨釨釩釩釨釨釨釨釨釨釨釩釩釩釩釩釩釩釩釩釩釩"
+        , "釩釩釩釩釩釩釫釪釪釪釪釪釪釪釪釪釪釪釪釫釫釫釫釫釫釫釫釫釫釫釬釬釬釬釬釬釬釬釬釭釭釭釭釭釮釮釮釮釮釯釯釯釰釰釰釰釱釲釲釴釴鈒鈔鈔鈕鈕鈕鈕鈖鈖鈖鈖鈖鈖鈖鈖鈖鈗鈗鈗鈗鈘鈘鈘鈘鈘鈘鈘鈙鈙鈙鈙鈙鈙鈙鈚鈛鈛鈛鈛"
+        , "鈛鈛鈜鈜鈜鈜鈞鈞鈟鈠鈡鈣鉂鉅鉅鉆鉆鉇鉇鉇鉇鉇鉈鉈鉉鉉鉊鉊鉋鉋鉋鉌鉌鉌鉌鉌鉌鉍鉍鉍鉍鉎鉎鉎鉎鉎鉎鉏鉔鉔鉲鉵鉷鉷鉷鉺鉻鉼鉻鉼鉽鉾鉾銢銮銴鋒錂錂錄錄錄錄錅錅錅錅錆錆錆錆錆錆錆錆錆錆錇錇錇錇錇錇錇錈錇錇錇錇錇"
+        , "錈錈錈錈錈錈錈錈錈錈錈錈錈錈錈錈錉錉錉錉錉錉錉錉錉錉錊錊錊錉錊錊錊錊錊錊錊錊錊錊錊錊錋錋錋錋錋錋錋錋錋錋錋錋錌錋錌錌錌錌錌錌錌錌錌錌錌錍錍錍錍錍錍錍錎錎錎錎錎錎錎錎錎錎錏錏錏錏錏錏錐錐錐錒錓錓錕錕錘録"
+        , "錴錴錵錵錶錶錶錶錶錶錶錷錷錷錷錷錷錸錸錸錸錸錸錸錸錹錹錹錹錹錹錺錺錺錺錻錻錼錻錻錼錼錼錼錼錽錽錾錾鍈鍢鍤鍪鏂鏆鏇鏇鏇鏉鏉鏉鏊鏊鏊鏋鏋鏌鏌鏍鏎鏐鏔鐢鐤鐤鐥鐥鐥鐥鐥鐥鐥鐦鐦鐦鐦鐦鐦鐦鐦鐦鐦鐦鐦鐦鐦鐦鐦鐦鐦"
+        , "鐧鐧鐧鐧鐧鐧鐧鐧鐧鐧鐧鐧鐧鐧鐧鐧鐧鐧鐧鐧鐧鐧鐧鐧鐧鐨鐨鐨鐨鐨鐨鐨鐨鐨鐨鐨鐨鐨鐨鐨鐨鐨鐨鐪鐩鐩鐩鐩鐩鐩鐩鐩鐩鐩鐩鐩鐩鐩鐩鐩鐪鐪鐪鐪鐪鐪鐪鐪鐪鐪鐪鐪鐪鐪鐪鐪鐫鐫鐫鐫鐫鐫鐫鐫鐫鐫鐫鐫鐫鐫鐫鐫鐫鐫鐫鐫鐫鐬鐬鐬"
+        , "鐬鐬鐬鐬鐬鐬鐬鐬鐬鐬鐬鐬鐬鐭鐭鐭鐭鐭鐭鐭鐭鐭鐭鐭鐭鐭鐭鐭鐮鐮鐮鐮鐮鐮鐮鐮鐮鐮鐮鐮鐮鐮鐯鐯鐯鐯鐯鐯鐯鐰鐰鐰鐲鐲鐲鐲鐳鐳鐳鐳鐴鐴鐵鐶鑒鑔鑕鑕鑕鑖鑖鑖鑖鑗鑗鑗鑗鑗鑗鑗鑗鑗鑗鑗鑗鑘鑘鑘鑘鑘鑘鑘鑘鑘鑙鑙鑙鑙鑙鑙"
+        , "鑚鑚鑚鑚鑚鑚鑚鑛鑛鑛鑛鑛鑜鑜鑜鑜鑝鑝鑝鑞鑠鑢鑣鑣钂钄钅钅钅钅钅钆钆钆钇钇钇钇钇钇针针针针针钉钉钊钊钊钋钋钋钋钌钌钌钌钌钌钌钍钍钍钎钏钏钏钏钐钑钒铢铢铦铧铪铮铯镂镄镅镅镆镆镆镆镆镆镆镆镇镇镇镇镇镇镇镇镇"
+        , "镇镈镈镈镈镈镈镈镉镉镉镉镉镉镉镊镊镊镊镈镊镋镋镋镋镋镋镋镌镌镌镌镍镍镍镍镍镎镎镎镎镍镏镏镏镐镐镑镓関閦閧閨閪閬閮閰閰閳阂阓阕院陨险陪陪陫陬陭陭陮雂雅集集集集集雇雇雇雇雈雉雉雊雊雊雊雊雊雌雍雍雍雍雎雎雐"
+        , "雐雐霢霤霤霤霤霥霥霥霥霦霦霦霦霦霦霦霦霦霦霦霦霦霦霦霦霦霦霦霦霦霦霦霧霧霧霧霧霧霧霧霧霧霧霧霧霧霧霧霧霧霧霧霧霧霧霧霧霧霧霧霧霧霧霨霨霨霨霨霨霨霨霨霨霧霨霨霨霨霨霨霨霨霨霨霨霨霨霨霨霨霨霩霩霩霩霩霨霩"
+        , "霩霩霩霩霩霩霩霩霩霩霩霩霩霩霩霩霩霩霩霩霩霩霩霩霪霪霪霪霪霪霪霪霪霪霪霪霪霪霪霪霪霪霪霪霪霪霪霪霪霪霪霪霪霪霪霪霪霪霫霫霫霫霫霪霫霩霫霫霫霫霫霫霫霫霫霫霫霫霫霫霫霫霫霫霫霫霫霫霫霫霫霫霫霫霫霫霬霬霬霬"
+        , "霫霬霬霬霬霬霬霬霬霬霬霬霬霬霬霬霬霭霭霭霭霭霭霭霭霭霭霭霭霭霭霭霭霭霭霭霭霭霭霭霭霮霮霮霮霮霮霮霮霮霮霮霮霮霮霮霮霮霮霮霯霯霯霯霯霯霯霯霯霯霯霯霰霯霯霯霰霰霰霰霰霱霱霱霱霱霱露露霴霵霸青靔靕靖靖靖靖靖"
+        , "靗靗靗靗靗靗靗靗靗靗靗靗靗靘靘靘靘靘靘靘靘靘靘靘靘靘靘靘静静静静静静静静静静静静静靚靚靚靚靚靚靚靚靚靚靚靚靚靚靚靛靛靜靛靛靛靛靛靛靛靛靛靛靛靛靛靜靜靜靜靜靜靜靝靝靝靝靝靝靝靝靝非非非非靟靟靟靟靠鞂鞃鞄"
+        , "鞄鞄鞄鞄鞄鞄鞄鞄鞄鞅鞅鞅鞅鞅鞅鞆鞆鞆鞆鞆鞆鞆鞆鞆鞆鞆鞆鞆鞆鞆鞆鞆鞆鞆鞇鞆鞆鞆鞆鞇鞇鞇鞇鞇鞇鞇鞇鞇鞇鞇鞇鞇鞇鞇鞇鞇鞇鞇鞇鞇鞇鞇鞇鞇鞇鞇鞇鞇鞇鞈鞈鞈鞈鞈鞈鞈鞈鞈鞈鞈鞈鞈鞈鞈鞈鞈鞈鞈鞈鞈鞈鞈鞈鞈鞈鞈鞈鞈鞉鞉"
+        , "鞉鞉鞉鞉鞉鞉鞉鞉鞉鞉鞉鞉鞉鞉鞉鞉鞉鞉鞉鞉鞉鞉鞉鞉薍鞉鞊鞊鞊鞊鞊鞊鞊鞊鞊鞊鞊鞊鞊鞊鞊鞊鞊鞊鞊鞊鞊鞊鞊鞊鞊鞊鞊鞊鞊鞊鞊鞊鞊鞊鞊鞊鞊鞊鞊鞊鞊鞊鞋鞊鞋鞋鞋鞋鞋鞋鞋鞋鞋鞋鞋鞋鞋鞋鞋鞋鞋鞋鞋鞋鞋鞋鞋鞋鞋鞋鞌鞌鞌鞌"
+        , "鞌鞌鞌鞌鞌鞌鞌鞌鞌鞌鞌鞌鞌鞌鞌鞌鞌鞌鞌鞌鞌鞌鞌鞌鞌鞌鞌鞍鞌鞌鞌鞌鞍鞍鞍鞍鞍鞍鞍鞍鞍鞍鞍鞍鞍鞍鞍鞍霭鞎鞎鞎鞎鞎鞎鞎鞎鞎鞎鞎鞎鞎鞎鞎鞎鞎鞎鞎鞎鞎鞎鞎鞎鞏鞎鞎鞎鞏鞏鞏鞏鞏鞏鞏鞏鞏鞏鞏鞏鞏鞏鞐鞐鞐鞐鞐鞐鞐鞐鞑"
+        , "鞑鞒鞒鞒鞓鞓鞓鞔鞔鞕鞕鞲鞴鞴鞵鞵鞵鞶鞶鞶鞶鞶鞷鞷鞷鞷鞷鞷鞷鞷鞷鞷鞷鞷鞷鞸鞸鞸鞸鞸鞸鞸鞸鞸鞹鞹鞹鞹鞹鞹鞹鞹鞹鞺鞺鞺鞺鞺鞺鞺鞺鞺鞺鞺鞺鞻鞻鞻鞼鞻鞻鞻鞻鞼鞼鞼鞼鞼鞼鞼鞼鞽鞽鞽鞽鞾鞾鞾鞾鞿鞿鞿鞿韀韀韃韃韢韦韧"
+        , "韪韫韬韬韯韯頛顂顄顄顄顆顆顇顇顇顇顈顈顈顉顉顉顉顉顊顊顊顊顊顊顊顋顋顋顋題題額顎顏顐顓顖願颢飒颥颦颦颦颦颧颧颧風風颩颩颪颪颫颭颴飖飚飛餂餅餅餆餉養餋餏饢饢饦饦饧饧饧饨饨饯駂駅駇駌騢騢騥騦騦騦騦騦湍騧騧"
+        , "騧騧騧騨騨騨騩騩騪騪騪騪騪騪騪騫騫騫騫騫騬騬騭騭騭騯騰騱騲骂骆骇骉髢鬒髦髧髧髧髨髨髪髬髬髮髮髯鬖鬗鬞魂魄魄魄魅鮢鮢鮧鮧鮨鮪鮪鮪鮪鮬鮭鮭鮮鰂鰲鰆鰆鰆鰇鰇鰇鰇鰇鰇鰇鰇鰈鰉鰉鰉鰊鰋鰋鰋鰋鰌鰌鰌鰌鰑鱢鱤鱤鱥鱥"
+        , "鱧鱧鱪鱫鱫鱬鱬鱭鱯鱸鳂鳅鳆鳇鳉鳋鳲鳻鴢鴣鴤鴥鴦鴦鴦鴧鴧鴧鴧鴧鴧鴧鴧鴧鵗鴧鴨鴨鴨鴨鴨鴨鴩鴩鴩鴪鴪鴪鴪鴪鴫鴫鴫鴫鴫鴫鴬鴬鴬鴬鴯鴯鴶鵒鵔鵕鵖鵗鵗鵗鵗鵘鵘鵙鵙鵛鵛鶂鶄鶅懲鶆鶇鶈鶈鶈鶒鶓鶢鶲鶸鶸鷢鷧鷮鸒鹂鹆鹇鹊"
+        , "鹋鹋湍椎噊芏袄覧貪鐭鐳貧櫢妤責娏俣昂娃芃巄劆圈藮娐湍瘪芊芔藨覭盩樨硯硦全撆撆芉葮淫娈砈賙霬厧芈芋賜靖乨乪公六兰厸昕樹歒礩礲篞縊縋縎臓芔跙軵霴湏涏砇賗懬窬淮爆蚩霭靗静静靛靝靝鞹鰇鰇奌娋淫书乧乧仄仄侃侇俤"
+        , "俤俤俥俥俦俦俦俦俧俧俧俧俧俧俨俨俨俩俩俩俪俪俪俪俪俬俬俬俭俱俴偅偉储儆儆儇儈儍儑入入入入入入入入兦兦兦兦兦兦兦兦兦內內內內內內內內全全全全全全全全全全全全全全兩兩兩兩兩兩兩兩兩兩兩兩兪八兪兪兪兪兪兪兪"
+        , "兪兪八八八八八公公公公公公公公六六六六六六六兮兮兮兮兮兮兮兮兮兮兮兮兮兮兮兯兯兯兯兯兯兯兯兰兰兰兰共共兲兲关关关兴兴兴兵兵具兺准凈凊凋凒別別刦刧刧劇劇劇劉劔勨勫勫勬勭勶卄卄卉卌协厤厦厦厧厨厨厨厨厨厩厩"
+        , "厪厪厪厫厬厬厭厮吋呦哅哅哅哆哆哇哇哈哈哈哈哈哈哉哉哉哉哉哊哊哊哊哊哋哋哋哋哋哋哌哌哌哌哌响响哎哎哎哎哎哎哎哎哎哎哎哎哏哐哐哐哑哑哒哓哔唥唦唦唦唧唧唨唨唨唩唪唪唪唫唬售唱唱唱唱唲喋喌喍嗤嗨嗫结噇噇噋噍噍"
+        , "噍噎噚嚧嚬圄圆圆圍坨埃埃埇埈堦堦堦堧堧堧堨堨堩堪堪堪堬堭堮堮堯報堸墄墊墋墋墏壤壤壦壧壨壩壬壮蟉奄奄奄奅奅奅奆奆奆奆奆奆奆奆奆奆奆奆奆奆奇奇奇奇奇奇奇奇奇奈奈奈奈奈奈奈奈奈奈奈奈奈奈奈奉奉奉奉奉奉奉奉奉"
+        , "奉奉奉奉奉奉奉奊奊奊奊奊奊奊奊奊奊奊奊奊奊奊奊奊奊奊奊奊奊奊奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奋奌奌奌奌奌奌奌奌奌奌奌奌奌奌奌奌奍奍奍奍奍奍奍奍奍奍奍奍奍奍奍奎奎奎奎奎奎奎奎奎奎奏"
+        , "奏奏奏奏奏奏奏奏奏奐奐奐奐契契契契契契契奒奒奒奓奓奔奔奔奕奖奖奘奙妤唥妥妧妧妨妩妭妳娄娆娆娆娆娆娆娆娆娆娆娇娇娇娇娇娈娈娈娈娈娈娈娈娈娉娉娉娉娉娉娉娉娊娊娊娊娊娊娊娋娋娋娋娋娋娋娋娋娋娋娌娌娌娌娌娌娌"
+        , "娍娍娍娍娍娍娍娎娎娎娎娎娎娎娎娎娏娏娏娏娏娏娏娐娐娐娐娑娑娑娒娒娓娗娘婫婮嫈嬨嬨宄宇宋宍宍宑寤寥寥寥實實寧寧寧寧寧寧寨寨寪寪寪寫寬寯屄居居居居居居屆屆屆屆屆屆屆屇屇屇屇屇屇屇屇屇屇屇屇屇屇屇屇屇屇屈屈"
+        , "屈屈屈屈屈屈屈屈屈屉屉屉屉屉屉屉屉屉屉屉屉屉屉屉屉屉屉屉屆屉屉屉屉届届届届届届届届届屋屋屋屋屋屋屋屋屋屋屋屋屋屋屋屋屋屋屋屋屋屋屋屌屌屌屌屌屌屌屌屌屌屌屌屌屌屌屌屍屍屍屍屍屍屍屍屍屍屍屍屍屍屎屎屎屎屎"
+        , "屎屏屏屏屏屏屐屐屑屑屒屒屒屒屓屓屓屔展屙屙岥岦岦岧岨岩岩岫岬岮岯岸崃崄崄崅崅崆崆崆崆崇崈崈崈崈崉崉崉崉崊崊崊崊崊崊崊崋崋崌崌崌崌崌崍崍崍崍崎崎崎崑崔崙嵤嵦嵧嵩嵫巉巋巍巎帥带帧帧帨帨帩帪帪帪帪師師帬帬庄"
+        , "庅庅庆庇庇庇庈庈庈庈庈庉床床庋庋庍庍庍庎庎庒廣廦彄彄彄彄彅彅彅彅彅彅彅彅彆彆彆彆彆彆彆廦彆彇彇彇彇彇彇彇彇彇彇彇彈彈彈彉彉彉彉彉彉彉彉彉彉彉彉彉彉彉彉彊彊彊彊彊彊彊彊彊彊彊彊彊彊彊彋彋彋彋彋彋彋彋彋彋"
+        , "彌彌彌彌彌彌彌彌彌彍彍彍彍彍彍彍彍彍彍彍彍彎彎彎彎彎彎彎彎彎彎彎彎彏彏彏彏彏彏彏彐彐彐彐彐彑彑彑归归归归当彔彔录彛徥怃怉怉怋怎恤恧恪惄惄情情情惆惆惆惆惆惆惇惇惇惇惈惈惈惈惈惈惉惉惊惊惊惊惊惊惋惋惋惋惋"
+        , "惋惋惋惌惌惌惌惌惍惍惍惍惎惎惏惏惏惐惐惓惓惕惕憋憋憍憏懥懥懥懦懦懧懧懧懧懧懧懧懧懨懨懨懨懨懨懨懩懩懩懩懩懪懪懪懪懪懫懫懫懫懬懭懭懭懭懮懮懮懯懯懯懯懲懳扅扇抭抮抯挆挈挌捣捥捥捥捥捦捦捧捧捧捧捨捨捨捨捨捨"
+        , "捩捩捪捪捪捫捫捫捬捬捬捭据据捴揇描搥搦搧搧搧搪搫搫搭搮搯撄撅撆撆撇撇撈撈撈撈撈撈撈撈撉撉撊撊撊撊撊撊撋撋撋撋撋撌撍撍撍撎撎撏撏撐撒撓擣擤擥擥擥擥擥擦擦擦擦擦擦擦擦擦擦擦擧擧擧擧擧擧擧擧擧擧擧擧擧擧擨擨"
+        , "擨擨擨擨擨擨擨擨擨擨擨擨擨擨擨擨擨擨擩擩擩擩擩擩擩擩擩擩擩擩擨擩擩擩擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擪擫擫擫擫擫擫擫擫擫擫擫擫擫擫擫擫擫擫擬擬擬擬擬擬擬擬擬擬擬擬擬擬擬擬擭擭擭擭"
+        , "擭擭擭擭擭擭擭擭擭擮擮擮擮擮擮擮擮擮擮擮擮擮擮擯擯擯擰擰擰擰擰擰擰擱擱擲擲擲擲擲擳擳擳擵擵擺故故敆敆敆敇效效效敉敊敋敌敍敍敏斥斦斦斧斧昄昄昄昅昅昅昆昆昆昆昆昆昆昆昆昇昇昇昇昇昇昇昇昇昇昇昇昇昇昇昈昈昈"
+        , "昈昈昈昈昈昈昈昈昈昈昈昈昈昈昉昉昉昉昉昉昉昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昊昋昋昋昋昋昋昋昋昋昋昋昋昋昌昋昋昌昌昌昌昌昌昌昌昌昌昌昌昌昌昌昌昌昌昌昌昍昍昍昍昍昍昍昍昍昍昍昍昍昍昍昍昍昍昍昍昍昍明明明明明"
+        , "明明明明明明明明明明昏昏昏昏昏昏昏昏昐昐昐昐昐昐昑昑昑昑昑昑昑昑昑昑昑昑昒昒易易易昔昔昔昔昖昖昖昘昘晦晨晨晩晪曅曅曆曆曇曇曇曇曈曈曈曉曉曉曉曉曊曊曊曊曊曊曊曊曊曊曊曊曋曋曋曋曋曌曌曌曌曍曍曍曎曎曎曎曐"
+        , "曐曒曓朥木末构枃枆枇枈枉枊枍枏枕柧柧柨柨柪柬柭桄框案桇案桇案桉桉桉桊桍桍椄椄椅椅椅椅椅椅椆椆椆椇椇椇椇椇椇椇椇椇椇椈椈椈椈椈椈椈椈椈椈椉椉椉椉椉椉椊椊椊椊椊椊椊椊椊椊椊椊椋椋椋椋椋椋椋椋椋椋椋椋椌椌椌"
+        , "椌植植植植植植椎椎椎椎椎椎椎椎椎椏椏椏椐椐椐椐椐椐椑椑椒椔椔椕椗楤楮楯槆槈槈槉槉槊绊構槌槍槍槍槎槏樤樥樥樥樥樥樦樦樦樦樦樦樦樦樦樦樧樧樧樧樧樧樧樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨樨権権権権権権権権権権権権"
+        , "権権横権横横横横横横横横横横横横横横横横横横横樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫樫湋樫樫樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樬樭樭樭樭樭樭樭樭樭樭樭樭樭樭樭樭樭樭樮樭樭樮樮樮樮樮"
+        , "樮樮樮樮樮樮樮樮樭樮樮樮樮樮樮樮樮樮樯樯樯樯樯樯樯樯樯樯樯樯樯樰樰樰樰樰樰樰樱樱樱樱樱樱樱樱樱樱樱樲樲樲樲樲樲樲樲樲樲樲樳樳樲樴樴樵樵樵樵檅檅檆檆檆檆檇檇檇檇檇檇檈檈檈檈檈檉檉檉檉檊檊檊檊檊歈檊檋檋檋"
+        , "檋檋檋檌檌檌檍檍檎檎檏檏檏檏檑檒檔檕檗櫤櫥櫥櫧櫧櫧櫪櫪櫬櫰歄歆歆歆歆歇歇歇歈歉歉歊歊歊歊歊歊歋歋歋歋歋歌歌歌歌歍歍歎歎歎歏歒歒歕殥殦殨殨殩殪殪殪殫殬殮殮殮殯殰汧泄泆泆泆泆泆泇泈泉泉泉泉泉泉泉泊泊泊泊泋"
+        , "泋泋泋泋泌泌泌泌泌泌泎泎泎泎泎泐泐泑泘洨涆涉涍涎淣淤淤淤淤淥淥淥淦淦淦淦淦淦淦淦淦淦淦淧淧淧淧淧淧淧淧淧淧淧淨淨淨淨淨淨淨淨淨淨淨淨淨淨淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淩淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪淪"
+        , "淪淪淪淪淪淪淪淪淪淪淪淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淫淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淬淭淭淭淭淭淭淭淭淭淭淭淭淭淭淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淮淯淯淯淯淯淯淯淯淯淯淯"
+        , "淯淯淯淯淯淯淯淰淰淰淰淰淰淰淰淰淰淰淰淰淰深深深深深深深淲淲淲淲淲淲淲淲淳淳淳淳淳淳淴淴淴淴淴淴淴淵淵淶淶淶混混淹湄湄湅湅湅湆湆湆湆湆湇湇湇湇湇湇湇湇湈湈湈湈湈湈湉湉湉湉湉湉湉湉湉湊湊湊湊湊湊湊湊湊湊"
+        , "湊湊湋湋湋湋湋湋湋湋湋湋湋湋湋湋湋湋湋湌湌湌湌湌湌湌湌湌湌湌湌湍湍湍湍湍湍湍湍湎湎湎湎湎湎湎湎湎湎湎湏湏湏湏湏湏湐湐湑湑湒湑湒湒湒湓湔湕湕湘溦溦溩溬漇漈漉漋潦濇濊瀦瀦瀨瀨瀨瀬瀯瀰瀳炂炈烤烥烥烦烦烦烦烦"
+        , "烧烧烧烧烧烨烨烨烨烩烩烩烩烩烩烩烩烪烪烪烬烫烫烫烫烬烬烬热热热热热烮烮烮烯烯烯烰烰烱烳烴煆煆煆煆煆煇煇煇煇煇煇煇煇煇煇煈煈煈煈煈煈煉煉煉煉煉煉煉煉煊煊煊煊煊煊煊煊煋煋煋煋煋煋煌煌煌煌煌煌煌煍煍煍煍煍煍"
+        , "煎煎煎煎煎煎煏煏煏煐煐煐煑煒煒煓煓煓煓煗爄爄爄爄爅爅爅爅爆爆爆爆爆爆爆爇爇爇爇爇爇爇爇爈爈爈爈爈爈爈爈爈爈爉爉爉爉爉爉爉爉爊爊爊爊爊爊爊爊爊爊爊爊爋爋爋爋爋爋爋爋爋爋爌爌爌爌爍爍爍爍爍爍爍爍爍爍爎爎爎"
+        , "爎爎爎爎爎爏爏爏爏爏爏爑爑爑爑爒爕牦牦牧牧牨牨物牫牫牫牬牬牯牷狄狅狅狆狆狇狇狇狇狇狈狈狈狈狈狈狉狉狉狉狊狊狊狊狊狊狊狋狋狋狋狋狋狌狌狌狍狍狍狍狎狎狎狎狎狎狎狏狏狐狐狓狕狖猧猪猫猬献玉玌玍瑄瑄瑄瑆瑆瑆瑇"
+        , "瑇瑈瑈瑉瑉瑊瑊瑊瑊瑋瑌瑌瑌瑍瑎瑏瑏瑐瑑瑔璪甄甄甅甅甅甅甆甆甆甆甆甆甇甇甇甇甇甇甇甇甇甇甇甇甇甈甈甈甈甈甈甈甈甈甉甉甉甉甉甉甉甉甉甉甉甉甉甉甉甊甊甊甊甊甊甊甊甋甋甋甋甋甋甋甋甋甋甋甋甌甌甌甌甌甌甌甌甌甌"
+        , "甌甌甍甍甍甍甍甍甍甎甎甏甏甏甏甏甏甐甐甐甑甒甒甒甓甔甕甕甙痄痆症痈痈痊痋痋痌痍痐痒痖瘥瘦瘦瘧瘧瘨瘨瘩瘪瘪瘫瘫瘬瘬瘭瘯瘱皅皆皆皇皇皇皈皈皉皊皊皋皍皍皎皐皒皓皚盤盤盥盥盥盥盥盦盦盦盦盦盦盦盦盦盦盧盧盧盧盧"
+        , "盧盧盧盨盨盨盨盨盨盨盨盩盩盩盩盩盩盩盩盩盩盩盩盩盩盩盩盩盩盪盪盪盪盪盪盪盪盪盫盫盫盫盫盫盫盫盫盫盫盫盫盬盬盬盬盬盬盬盬盬盬盬盭盭盭盭盭盭盭盭盭目目目目目目目目目盯盯盯盯盯盯盯盱盱盱盱盲盲盳直直盶盻睅睆"
+        , "睈睋睎睎睎睑睕瞧瞧瞨瞨瞩瞪瞫砃砄砅砅砆砆砆砆砆砇砇砇砇砇砇砇砇砇砇砈砈砈砈砈砈砈砉砉砉砉砉砉砉砊砊砊砊砊砊砊砊砊砊砊砊砊砊砊砊砊砋砋砋砋砋砋砋砋砋砌砌砌砌砌砌砌砍砍砍砍砍砍砍砎砍砎砎砎砎砎砎砎砎砏砏砏"
+        , "砏砏砏砏砐砑砑砑砒砒砒砒砓砓砕砗硤硦硦硦硦硧硧硧硨硨硨硩硩硩硩硪硪硪硪硪硪硪硪硫硫硫硫硫硬硬硭硭硭硭硭确硯硯硰硱硲硺礤礤礥礥礥礥礥礥礦礦礦礦礦礦礦礦礧礧礧礧礨礨礨礨礨礨礨礨礨礨礨礨礨礨礨礨礨礩礩礩礩礩"
+        , "礩礩礩礩礪礪礪礪礪礪礪礪礪礪礪礪礫礫礫礫礫礫礫礫礫礫礫礫礬礬礬礬礬礬礬礬礬礬礬礭礭礭礭礭礭礭礮礮礮礯礯礯礯礯礯礯礱礱礲礲礲礲礳礳礻禄禅禆禆禆禆禇禇禇禈禈禈禈禈禈禈禉禉禉禉禉禊禊禊禊禋禋禌禌禌禍禍禍禍禍"
+        , "禍禎禎禎禎禎禎禎福福禐禐禑禓秣秥秥秦秦秧秧秧秧秨秩秩秪秪秪秪秭秮积称穅穆穆穆穆穆穆穆穇穇穇穇穇穇穇穇穇穈穈穈穈穈穈穈穈穈穈穈穈穈穈穉穉穉穉穉穉穉穉穉穉穉穉穊穊穊穊穊穊穊穊穊穊穊穊穊穋穋穋穋穋穋穋穋穋穋"
+        , "穋穋穋穋穋穋穋穋穋穋穋穋穋穋穋穋穋穋穌穌穌穌穌穌穌穌穌穌穌穌穌穌積積積積積積積積積積積積積積積積穎穎穎穎穎穎穎穏穎穎穎穎穎穎穎穎穎穎穎穏穏穏穏穏穏穏穏穎穏穐穑穑穑穑穑穑穑穑穒穒穒穒穓穓穓錐穔穖穗穚窥窦"
+        , "窦窧窧窧窧窨窨窨窨窨窨窩窩窩窩窩窩窪窪窪窪窪窪窫窫窫窫窫窫窫窬窬窭窭窭窭窭窭窭窮窮窮窮窮窮窮窯窯窯窰窰窱窲窳窳窵窵笄笅笅笅笅笆笆笆笆笆笆笆笆笆笆笆笆笆笆笇笇笇笇笇笇笇笇笇笇笇笇笇笈笈笈笈笈笈笈笈笈笈笉"
+        , "笉笉笉笉笉笉笉笊笊笊笊笊笊笊笊笊笊笊笊笋笋笋笋笋笋笋笋笋笋笋笋笋笋笋笋笋笋笌笌笌笌笌笌笌笍笍笍笍笍笍笍笍笍笍笎笎笎笎笎笎笏笏笏笏笏笏笏笐笐笐笐笐笑笑笒笒笒笒笓笔笔笔笔笕笕笗笵笷笶笷笸笸笹笺笻笻笼笿筥筦"
+        , "筧筧筧筧筧筧筨筪筪筬筳篂篅篅篆篆篆篇篇篇篈築築篊篊篊篊篋篍篍篎篏篐篒篕簦簦簦簧簧簧簧簨簨簨簩簪簪簪簪簪簫簬簬簭簮簮簲粆粆粇粇粇粇粇粇粇粈粈粈粈粉粉粉粉粊粊粊粊粊粌粌粎粎粎粐粑糥糨糨糨絅絅絆綥綧綩綩綪綪"
+        , "綪綪綪綫綫維維維綮綱縃縆縆縇縇縈縉縉縊縊縊縊縊縋縋縌縌縌縍縍縍縍縎縐縒繩组组绅绅细细细细细细细细细细细细细细织织织织织织织织终终终终终终终终终绉绉绉绉绉绉绉绉绉绉绉绉绉绊绊绊绊绊绊绊绊绊绊绊绊绊绊绊绊"
+        , "绊绋绋绋绋绋绋绋绋绋绋绋绋绋绋绋绌绌绌绌绌绌绌绌绌绌绌绌绌绌绌绍绍绍绍绍绍绍绍绍绍绎绎绎绎绎绎绎绎绎经经经经绐绐绐绐绑绑绑绒绒结结结结绔缧缮翥翩聆聇聊聋职肦肦肧肫脊脌脑腤腥腥腥腦腦腧腧腧腧腨腨腨腨腨腩"
+        , "腩腪腪腪腪腪腪腪腪腫腫腫腬腬腬腭腭腭腭腭腭腭腮腮腮腰舥舧般般舮舮舲节芄芄芄芅芅芅芅芅芆芆芆芆芆芆芆芆芆芆芆芆芇芇芇芇芇芇芇芇芇芇芈芈芈芈芈芈芈芈芈芈芈芈芈芈芈芈芈芈芉芉芉芉芉芉芉芉芉芉芉芉芉芉芉芉芉芉"
+        , "芉芊芉芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芊芋芋芋芌芋芋芋芋芋芋芋芋芋芋芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芌芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芎芍芍芍芍芍芍芍芍芍芍芍芍芍芍芍芎芎芎芎芎芎芎芎芎芎芎"
+        , "芎芎芎芎芐芎芎芎芎芎芏芎芍芎芏芏芏芏芏芏芏芏芏芏芏芏芐芐芐芐芐芐芐芐芐芐芐芐芑芑芒芑芑芑芑芑芒芒芒芒芒芒芒芒芒芒芒芒芒芓芓芓芓芓芔芔芔芕芕芖芖芘芗芘芙芙芙芚芚芟苤若苦苦苦苦苧苧苨苨苩苩苩苩苩苫苬苭苮苮"
+        , "苯荃荅荅荅荆荆荆荇荇荇荇荇荇荇荇荇荈荈荈荈荈荈荈荈荈草草草草草草草草草荊荊荊荊荊荊荊荊荊荊荊荊荋荋荋荋荋荋荋荋荋荋荊荋荌荌荌荌荌荌荌荌荍荍荍荍荍荍荍荍荍荍荍荍荍荍荍荍荎荎荎荎荎荏荏荏荏荏荏荏荏荐荐荐荐"
+        , "荐荐荑荑荑荒荒荒荒荒荓荓荓荕荘莥莦莧莩莪莫萆萈萌萌萐葤葤葥葥葥葦葦葦葧葧葧葧葧葧葨葨葨葨葨葨葨葩葩葩葩葪葪葪葪葪葪葪葪葪葪葪葪葪葪葪葪葫葫葫葫葫葫葫葫葫葫葫葬葬葬葬葬葬葭葭葭葭葭葭葭葭葭葭葮葮葮葮葮葮"
+        , "葯葯葰葰葰葰葱葲葳葳葴葴葵葷蓅蓆蓇蓈蓈蔥蔥蔦蔦蔦蔧蔧蔧蔧蔨蔨蔩蔩蔪蔪蔫蔫蔫蔫蔬蔬蔬蔭蔭蔮蔮蔮蔮蔮蔰蔵蔺薆薈薈薈薉薊薊薊薊薊薋薋薋薋薌薌薍薎薎薏薏薎薔藤藤藤藥藥藦藦藦藦藦藦藦藦藦藦藦藦藦藦藦藦藦藧藧藧藧"
+        , "藧藧藧藧藧藧藧藧藧藧藧藧藨藨藨藨藨藨藨藨藨藩藩藩藩藩藩藩藩藩藩藩藩藪藪藪藪藪藪藪藪藪藪藪藪藪藪藪藪藫藫藫藫藫藬藬藬藬藬藭藭藭藭藭藭藭藭藮藮藮藮藮藮藮藯藯藯藯藯藯藯藰藰藰藰藰藰藱藱藱藲蘖蘘蘚蘜蘜蘝蘢虄虅"
+        , "虇虇虉虊虌虍虑蚣蚦蚧蚨蚩蚩蚩蚪蚫蚫蚫蚫蚫蚬蚬蚬蚰蚴蜅蜆蜆蜇蜈蜊蜊蜊蜋蜋蜍蜎蜎蜐蜑蜔蜔蝦蝦蝦蝦蝧蝧蝩蝪蝪蝫蝬蝭蝭蝮蝮蝮蝮蟆蟆蟇蟇蟇蟇蟇蟇蟇蟈蟈蟈蟉蟉蟉蟊蟊蟊蟊蟊蟊蟊蟊蟊蟊蟋蟋蟋蟋蟋蟌蟌蟍蟎蟏蟑蟒蟸蟺蟺蟻"
+        , "蟻蠥蠨蠩蠩蠰袅袅袅袆袆袆袆袇袇袇袇袇袇袇袇袈袈袈袈袈袈袉袉袉袉袉袉袉袉袊袊袊袊袊袊袋袋袋袋袌袌袌袌袍袍袍袍袍袍袎袏袏袏袏袐袑袑袑袒袓袔裤裤裥裥裦裦裦裦裦裦裦裦裧裧裧裧裧裧裧裧裧裧裧裧裧裧裧裨裨裨裨裨裨"
+        , "裩裩裩裩裩裩裩裩裪裩裪裪裪裪裪裪裪裪裪裪裪裪裪裪裪裫裫裫裫裫裫裫裫裫裫裬裬裬裬裬裬裬裭裭裭裭裭裮裮裮裮裮裯裯裰裰裱裲裲裳裴裷襇襇襇襇襇襈襈襈襈襊襋襌襌襎襏襒覤覤覤覥覦覦覦覦覦覦覦覦覦覧覧覧覧覨覨覨覨覨"
+        , "覩覩覩覩親親親親覫覫覫覫覫覬覬覬覬覬覬覭覭覭覭覭覭覭覮覮覮覮覯覰覰覰覱覱観覵覶覺觕觖觗訊訏詨詩詪詯詯諅諅諆諆諆諆談談諈諈諈諈諈諈諈諉諉諉諊諊諊諊諊請諌諌諌諌諍諍諍諍諎諎諎諎諏諐諐諑論謤謥謦謦謦謧謧謧謨"
+        , "謨謨謨謨謨謨謨謩謩謩謩謩謩謩謪謪謪謪謪謪謫謫謫謬謬謬謬謬謭謭謭謭謭謮謮謮謮謯謰謶謶讄讄讅讅讆讆讆讆讆讇讇讇讇讇讇讈讈讈讈讈讈讉讉變變變變讋讋讋讋讋讋讋讋讋讌讌讌讌讍讎讎讎讎讎讐讐讑讑讓讓讗豆貤貥貦貦貦"
+        , "貦貧貧貧貨貨貨貨貨貨貨販販販販販販販販貪貪貪貪貫貫貫貫貫貫責責責責責責責責責責責貭貭貭貭貭貭貭貭貭貭貭貭貮貮貮貮貮貮貮貮貮貯貯貯貯貯貯貯貯貯貯貰貰貰貰貰貰貰貰貱貱貱貱貱貱貲貲貲貳買賖賖賖賗賗賗賘賙賜賞"
+        , "賞賞賦贅贇贇贈贍赥赥赦赦赦赦赧赧赧赨赨赨赨赨赨赨赩赩赩赩赪赪赪赪赪赪赪赪赪赫赫赫赫赫赫赫赭赮赯赯赯走趘趙趛跄跄跅跆跆跆跆跆跇跇跇跈跈跈跈跈跉跉跉跉跉跉跉跊跊跊跊跊跊跊跋跋跋跌跌跌跌跌跌跍跍跍跍跎跎跎跏"
+        , "跏跎跏跐跐跐跒跓跔躄躅躅躆躆躆躇躇躇躇躈躉躉躊躊窬躋躋躌躍躎躎躎躐躓躚軥軦軦軧軨軨軨軨軨軨軨軨軩軩軩軪軪軪軪軫軫軫軫軫軫軫軬軬軬軬軬軬軭軭軭軭軭軮軮軰軰軰軱軱軲軳軵軾輎轐辥辥辦辩辮逆逆逆逇逇逇选选逊逍"
+        , "逎逎透逑遥遥遥遦遦遦遦遦遦遧遧遧遧遧遧遨適適適適適適適適遪遪遪遪遪遪遪遫遫遫遫遫遫遫遬遬遬遬遬遬遭遭遭遮遮遮遮遮遮遯遯遰遰遱遲遲遳遳遴郆郇郇郇郇郉郊郋郋郋郌郌郎郏郐鄦鄨鄪鄬鄬鄭鄮鄰醅醅醅醆醇醉醉醋醌醌"
+        , "醏釥釥釦釦釦釧釧釧釧釧釧釧釧釧釨釨釨釨釩釩釩釩釩釩釩釩釪釪釪釪釪釪釪釪釪釫釫釫釫釫釫釫釫釫釫釬釬釬釬釬釬釬釬釬釬釭釭釭釭釮釮釮釮釮釮釯釯釯釱釱釲鉄鉅鉆鉆鉆鉆鉇鉇鉇鉇鉇鉇鉈鉈鉉鉉鉉鉉鉉鉊鉊鉊鉊鉊鉊鉋鉋鉋"
+        , "鉋鉋鉋鉋鉌鉌鉌鉍鉍鉎鉐鉑銪銫錄錅錅錅錆錆錆錆錆錇錇錇錇錇錇錇錇錇錇錈錈錈錈錈錈錈錉錉錉錉錉錉錉錊錊錊錊錊錋錋錋錋錋錋錋錋錌錌錌錌錌錍錍錍錎錎錎錎錎錏錏錏錏錐錐錐錐錑錓錓錔錕錾鍨鍨鍫鍬鏇鏊鏊鏊鏔鐤鐥鐥鐦"
+        , "鐦鐦鐦鐦鐦鐦鐦鐧鐧鐧鐧鐧鐧鐧鐨鐨鐨鐨鐨鐨鐨鐨鐩鐩鐩鐩鐩鐪鐪鐪鐪鐪鐪鐪鐪鐪鐫鐫鐫鐫鐫鐫鐫鐬鐬鐬鐬鐬鐬鐬鐭鐭鐭鐭鐭鐭鐭鐭鐮鐮鐮鐮鐮鐯鐯鐯鐰鐰鐰鐱鐲鐳鐴鐵鐺鑘鑙鑜钃钄钆钆钇钇钇钇钇针针针针针针钉钉钉钉钉钉钊"
+        , "钊钋钋钋钋钌钍钎钏钐钑铤铥铦铫铮铱镄镄镆镆镆镆镆镆镇镇镈镈镉镉镉镉镊镊镊镊镊镊镊镋镋镋镋镌镌镌镌镍镍镎镐镐镐镐镑镑镒镕閬閭陦陦陧陨陮陱集雇雇雈雈雊雊雊雊雋雋雌雎雎雎雏雐雐雚霣霤霥霥霥霦霦霦霦霦霦霦霦霧"
+        , "霧霧霧霧霧霧霧霧霧霧霨霨霨霨霨霩霩霩霩霩霩霩霩霩霩霪霪霪霪霪霪霪霪霪霪霪霪霪霪霪霪霪霪霫霫霫霫霫霫霫霫霫霫霬霬霬霬霬霬霬霬霬霭霭霭霭霭霭霭霭霭霭霭霮霮霮霮霮霮霮霯霯霯霯霯霯霰霰霰霱露露靃靖靗靗靛靛靜靜"
+        , "靜鞄鞅鞅鞅鞅鞅鞅鞆鞆鞆鞆鞆鞆鞆鞆鞆鞆鞆鞆鞆鞇鞇鞇鞇鞇鞇鞇鞇鞇鞇鞇鞇鞇鞇鞇鞇鞇鞇鞈鞈鞈鞈鞈鞈鞈鞈鞈鞈鞉鞉鞉鞉鞉鞉鞉鞉鞊鞊鞊鞊鞊鞊鞊鞊鞊鞋鞋鞋鞋鞋鞋鞋鞋鞋鞋鞋鞌鞌鞌鞌鞌鞌鞍鞍鞍鞍鞍鞍鞍鞎鞎鞎鞎鞎鞎鞎鞎鞎鞏"
+        , "鞏鞏鞏鞏鞐鞐鞑鞒鞖鞙鞚鞶鞸鞸鞺鞻鞼鞿韦韩韬韮韰顅顆顆顆顇顇顇顉顊題額顏顏颥颥颥颦颦颧颧颧颧風颩颩颩颪颪颪颪颪颬颬颬颭颭颮颯颭颰餆餋餋饦饨饩饪饫饭饮駅駆駆駊駊駊駋駋駋駌駍駏騣騤騥騥騦騧騧騨騨騨騨騩騩騪騪"
+        , "騪騫騫騫騭騮騯騯騯騰髧髨髫髭魅魍魍鮧鮧鮧鮨鮪鰅鰆鰇鰈鰊鰋鰌鰌鱦鱦鱧鱨鱨鱩鱯鱲鳅鳅鴥鴦鴦鴧鴧鴧鴨鴨鴩鴩鴪鴪鴫鴫鴫鴬鴬鴭鴭鴮鴯鴰鴰鴶鶈鶶鶶鷥鷦鷧鷧鹆鹊鹌买奄奅廢槆槆槊構檈錄蚥楥覢蟈淬仈奄鷢鷢寨貢奋寧擲甒篐"
+        , "芕荍葪諕樭淨湈爈芋讈鐨修埇樳湓芓鞕彋淰芐葰昇绑荑懫槉淩煉謨全厧唬昏樱湒皍糢芒苨裨軮霦鞎砊硪笊芊貪顂藪娒抦穒縒烥砌蟈軧娑庍樭淪淭笇笍跈唫组厯厪礪笊芊跊藱昇樭藫伥崍擧熨瑉嗥砎兩撋乥淧曍笆墋娌盦芋藩殩詢淦昈"
+        , "芇昊瑈儉刨厪権窮臃藪豇唱奆层懲案深砑赩鐵顊駅唢椎櫮覱愥擮擵明淭湋爍礥笋縍親芍諉貫哆唦奈湈葨藩懬擦昊歏穏煑入妧崍彐擧爇爌簧縇貧軧軲釧全硯讏踫擪偃兮崎庆枈樭湎甎芍諎鶂椋跆哏樦樧淨淬爈瑇砉笆釬劄敍跊兪彊淪親"
+        , "撈擬樨熨跋哇奅庎椆樥権淧爉甉篍葩葩豂躍嚫淬奆湎爎芒跎霮顎樦淪缭秢穇窧煆湆藮兤芈哈哄懨昇窬崅淨植覫萂跈蔢懭凃奌壭娉娌彋椊樫樬厰煊皇硣硧硨硫轇窪粂芏芓荇藫袆諆諊謫販貪跌錆錇錊鞌謩踪兩兮凈唩唭圈奋奍奏娋娎庎"
+        , "廢擩擫擮擱曉梧椊権淩淪淭湊溢爊砊硥硦硦硧硧硧硫硫礬禆穉笋笌笍篊糦羆节节芊葫蔦藫藭蟉蟎諂諊躍醍釩擩湌奏一一乩厧刦全准劐唩喃奋奊奋奌娌娎寧寨届屐懭懮搪撌擪擬擫擮擭擱敏昋昌昋曉椊槉槉樥歂殩淨淬淫淭淲湊目溰煄"
+        , "煊爌狋瑅甌甋皇皈盥盩盩砌禌穉窥笉笋筨糦芈芊荌葭蓎硩藪藫藪藫藫藫藭藲蟎覫諎讌貨跋躍轇郍醍釦釩镌鷢擮擮樦樫盦盩盬穎袈鱫鶄一一一一一一一一一一一一一一一一一一一一一一一一一一一一一一一一一一一一一一"
+        ]
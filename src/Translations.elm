@@ -7,11 +7,6 @@ module Translations exposing (..)
 import I18Next exposing (Delims(..), Translations, t, tr)
 
 
-preferences : Translations -> String
-preferences translations =
-    t translations "preferences"
-
-
 strokeWidth : Translations -> String
 strokeWidth translations =
     t translations "strokeWidth"
@@ -130,3 +125,778 @@ origin translations =
 url : Translations -> String
 url translations =
     t translations "url"
+
+
+exportFont : Translations -> String
+exportFont translations =
+    t translations "exportFont"
+
+
+fontName : Translations -> String
+fontName translations =
+    t translations "fontName"
+
+
+exportingChars : Translations -> String -> String -> String
+exportingChars translations done total =
+    tr translations Curly "exportingChars" [ ( "done", done ), ( "total", total ) ]
+
+
+exportFinished : Translations -> String -> String -> String
+exportFinished translations succeeded total =
+    tr translations Curly "exportFinished" [ ( "succeeded", succeeded ), ( "total", total ) ]
+
+
+exportFailure : Translations -> String -> String -> String
+exportFailure translations char reason =
+    tr translations Curly "exportFailure" [ ( "char", char ), ( "reason", reason ) ]
+
+
+exportFailed : Translations -> String -> String
+exportFailed translations reason =
+    tr translations Curly "exportFailed" [ ( "reason", reason ) ]
+
+
+exportOptions : Translations -> String
+exportOptions translations =
+    t translations "exportOptions"
+
+
+imageSizes : Translations -> String
+imageSizes translations =
+    t translations "imageSizes"
+
+
+padding : Translations -> String
+padding translations =
+    t translations "padding"
+
+
+background : Translations -> String
+background translations =
+    t translations "background"
+
+
+transparent : Translations -> String
+transparent translations =
+    t translations "transparent"
+
+
+imageFormat : Translations -> String
+imageFormat translations =
+    t translations "imageFormat"
+
+
+importBackup : Translations -> String
+importBackup translations =
+    t translations "importBackup"
+
+
+backupSummary : Translations -> String -> String -> String -> String
+backupSummary translations fileName count conflicts =
+    tr translations Curly "backupSummary" [ ( "fileName", fileName ), ( "count", count ), ( "conflicts", conflicts ) ]
+
+
+keepMine : Translations -> String
+keepMine translations =
+    t translations "keepMine"
+
+
+takeTheirs : Translations -> String
+takeTheirs translations =
+    t translations "takeTheirs"
+
+
+rename : Translations -> String
+rename translations =
+    t translations "rename"
+
+
+renameTo : Translations -> String
+renameTo translations =
+    t translations "renameTo"
+
+
+invalidRename : Translations -> String
+invalidRename translations =
+    t translations "invalidRename"
+
+
+replaceLibrary : Translations -> String
+replaceLibrary translations =
+    t translations "replaceLibrary"
+
+
+mergeIntoLibrary : Translations -> String
+mergeIntoLibrary translations =
+    t translations "mergeIntoLibrary"
+
+
+backupErrors : Translations -> String
+backupErrors translations =
+    t translations "backupErrors"
+
+
+snapshots : Translations -> String
+snapshots translations =
+    t translations "snapshots"
+
+
+snapshotsInBrowser : Translations -> String
+snapshotsInBrowser translations =
+    t translations "snapshotsInBrowser"
+
+
+snapshotsInDirectory : Translations -> String -> String
+snapshotsInDirectory translations name =
+    tr translations Curly "snapshotsInDirectory" [ ( "name", name ) ]
+
+
+snapshotsKept : Translations -> String -> String
+snapshotsKept translations count =
+    tr translations Curly "snapshotsKept" [ ( "count", count ) ]
+
+
+noSnapshots : Translations -> String
+noSnapshots translations =
+    t translations "noSnapshots"
+
+
+snapshotIsSameAsLibrary : Translations -> String
+snapshotIsSameAsLibrary translations =
+    t translations "snapshotIsSameAsLibrary"
+
+
+changedSinceSnapshot : Translations -> String
+changedSinceSnapshot translations =
+    t translations "changedSinceSnapshot"
+
+
+deletedSinceSnapshot : Translations -> String
+deletedSinceSnapshot translations =
+    t translations "deletedSinceSnapshot"
+
+
+addedSinceSnapshot : Translations -> String
+addedSinceSnapshot translations =
+    t translations "addedSinceSnapshot"
+
+
+restoreLibrary : Translations -> String
+restoreLibrary translations =
+    t translations "restoreLibrary"
+
+
+downloadBackup : Translations -> String
+downloadBackup translations =
+    t translations "downloadBackup"
+
+
+backupIsDownloaded : Translations -> String
+backupIsDownloaded translations =
+    t translations "backupIsDownloaded"
+
+
+storageUsage : Translations -> String -> String -> String
+storageUsage translations usage quota =
+    tr translations Curly "storageUsage" [ ( "usage", usage ), ( "quota", quota ) ]
+
+
+gridSize : Translations -> String
+gridSize translations =
+    t translations "gridSize"
+
+
+componentSize : Translations -> String
+componentSize translations =
+    t translations "componentSize"
+
+
+presets : Translations -> String
+presets translations =
+    t translations "presets"
+
+
+presetName : Translations -> String
+presetName translations =
+    t translations "presetName"
+
+
+applyPreset : Translations -> String
+applyPreset translations =
+    t translations "applyPreset"
+
+
+exportPreferences : Translations -> String
+exportPreferences translations =
+    t translations "exportPreferences"
+
+
+importPreferences : Translations -> String
+importPreferences translations =
+    t translations "importPreferences"
+
+
+preferencesErrors : Translations -> String
+preferencesErrors translations =
+    t translations "preferencesErrors"
+
+
+projects : Translations -> String
+projects translations =
+    t translations "projects"
+
+
+projectName : Translations -> String
+projectName translations =
+    t translations "projectName"
+
+
+openProject : Translations -> String
+openProject translations =
+    t translations "openProject"
+
+
+openedProject : Translations -> String
+openedProject translations =
+    t translations "openedProject"
+
+
+copyOfProject : Translations -> String -> String
+copyOfProject translations name =
+    tr translations Curly "copyOfProject" [ ( "name", name ) ]
+
+
+charsToCopy : Translations -> String
+charsToCopy translations =
+    t translations "charsToCopy"
+
+
+copyCharsHere : Translations -> String
+copyCharsHere translations =
+    t translations "copyCharsHere"
+
+
+copiedChars : Translations -> String -> String -> String
+copiedChars translations count project =
+    tr translations Curly "copiedChars" [ ( "count", count ), ( "project", project ) ]
+
+
+history : Translations -> String
+history translations =
+    t translations "history"
+
+
+undo : Translations -> String
+undo translations =
+    t translations "undo"
+
+
+redo : Translations -> String
+redo translations =
+    t translations "redo"
+
+
+clearHistory : Translations -> String
+clearHistory translations =
+    t translations "clearHistory"
+
+
+historyStart : Translations -> String
+historyStart translations =
+    t translations "historyStart"
+
+
+historyShortcuts : Translations -> String
+historyShortcuts translations =
+    t translations "historyShortcuts"
+
+
+historyAddChars : Translations -> String -> String
+historyAddChars translations chars =
+    tr translations Curly "historyAddChars" [ ( "chars", chars ) ]
+
+
+historyDeleteChars : Translations -> String -> String
+historyDeleteChars translations chars =
+    tr translations Curly "historyDeleteChars" [ ( "chars", chars ) ]
+
+
+historyUploadSvg : Translations -> String -> String
+historyUploadSvg translations char =
+    tr translations Curly "historyUploadSvg" [ ( "char", char ) ]
+
+
+historyEditComponents : Translations -> String -> String
+historyEditComponents translations char =
+    tr translations Curly "historyEditComponents" [ ( "char", char ) ]
+
+
+historyEditNote : Translations -> String -> String
+historyEditNote translations char =
+    tr translations Curly "historyEditNote" [ ( "char", char ) ]
+
+
+historyEditReferenceImage : Translations -> String -> String
+historyEditReferenceImage translations char =
+    tr translations Curly "historyEditReferenceImage" [ ( "char", char ) ]
+
+
+historyRestoreFromBackup : Translations -> String
+historyRestoreFromBackup translations =
+    t translations "historyRestoreFromBackup"
+
+
+historyRenameChar : Translations -> String -> String -> String
+historyRenameChar translations oldChar newChar =
+    tr translations Curly "historyRenameChar" [ ( "oldChar", oldChar ), ( "newChar", newChar ) ]
+
+
+renameCharTo : Translations -> String -> String
+renameCharTo translations char =
+    tr translations Curly "renameCharTo" [ ( "char", char ) ]
+
+
+renameUpdatesUsers : Translations -> String -> String
+renameUpdatesUsers translations chars =
+    tr translations Curly "renameUpdatesUsers" [ ( "chars", chars ) ]
+
+
+usedBy : Translations -> String
+usedBy translations =
+    t translations "usedBy"
+
+
+notUsedByAnyChar : Translations -> String
+notUsedByAnyChar translations =
+    t translations "notUsedByAnyChar"
+
+
+deletionBreaksCompounds : Translations -> String -> String
+deletionBreaksCompounds translations chars =
+    tr translations Curly "deletionBreaksCompounds" [ ( "chars", chars ) ]
+
+
+deletionCanBeUndone : Translations -> String
+deletionCanBeUndone translations =
+    t translations "deletionCanBeUndone"
+
+
+dependencies : Translations -> String
+dependencies translations =
+    t translations "dependencies"
+
+
+unusedComponents : Translations -> String
+unusedComponents translations =
+    t translations "unusedComponents"
+
+
+noUnusedComponents : Translations -> String
+noUnusedComponents translations =
+    t translations "noUnusedComponents"
+
+
+charsInCycles : Translations -> String
+charsInCycles translations =
+    t translations "charsInCycles"
+
+
+importIds : Translations -> String
+importIds translations =
+    t translations "importIds"
+
+
+idsInstructions : Translations -> String
+idsInstructions translations =
+    t translations "idsInstructions"
+
+
+noIdsFile : Translations -> String
+noIdsFile translations =
+    t translations "noIdsFile"
+
+
+idsFileLoaded : Translations -> String -> String
+idsFileLoaded translations count =
+    tr translations Curly "idsFileLoaded" [ ( "count", count ) ]
+
+
+chooseIdsFile : Translations -> String
+chooseIdsFile translations =
+    t translations "chooseIdsFile"
+
+
+idsNotFound : Translations -> String
+idsNotFound translations =
+    t translations "idsNotFound"
+
+
+invalidIds : Translations -> String
+invalidIds translations =
+    t translations "invalidIds"
+
+
+idsContainsItself : Translations -> String
+idsContainsItself translations =
+    t translations "idsContainsItself"
+
+
+missingComponents : Translations -> String -> String
+missingComponents translations chars =
+    tr translations Curly "missingComponents" [ ( "chars", chars ) ]
+
+
+allMissingComponents : Translations -> String -> String
+allMissingComponents translations chars =
+    tr translations Curly "allMissingComponents" [ ( "chars", chars ) ]
+
+
+buildChars : Translations -> String -> String
+buildChars translations count =
+    tr translations Curly "buildChars" [ ( "count", count ) ]
+
+
+lineHeight : Translations -> String
+lineHeight translations =
+    t translations "lineHeight"
+
+
+letterSpacing : Translations -> String
+letterSpacing translations =
+    t translations "letterSpacing"
+
+
+showCharBoxes : Translations -> String
+showCharBoxes translations =
+    t translations "showCharBoxes"
+
+
+useFallbackFont : Translations -> String
+useFallbackFont translations =
+    t translations "useFallbackFont"
+
+
+missingCharsAreHighlighted : Translations -> String
+missingCharsAreHighlighted translations =
+    t translations "missingCharsAreHighlighted"
+
+
+createMissingChar : Translations -> String -> String
+createMissingChar translations char =
+    tr translations Curly "createMissingChar" [ ( "char", char ) ]
+
+
+exportSpecimen : Translations -> String
+exportSpecimen translations =
+    t translations "exportSpecimen"
+
+
+historyDrawStrokes : Translations -> String -> String
+historyDrawStrokes translations char =
+    tr translations Curly "historyDrawStrokes" [ ( "char", char ) ]
+
+
+drawNewSimpleChar : Translations -> String
+drawNewSimpleChar translations =
+    t translations "drawNewSimpleChar"
+
+
+draw : Translations -> String
+draw translations =
+    t translations "draw"
+
+
+strokeEditorInstructions : Translations -> String
+strokeEditorInstructions translations =
+    t translations "strokeEditorInstructions"
+
+
+finishStroke : Translations -> String
+finishStroke translations =
+    t translations "finishStroke"
+
+
+closeStroke : Translations -> String
+closeStroke translations =
+    t translations "closeStroke"
+
+
+openStroke : Translations -> String
+openStroke translations =
+    t translations "openStroke"
+
+
+makeCurve : Translations -> String
+makeCurve translations =
+    t translations "makeCurve"
+
+
+makeCorner : Translations -> String
+makeCorner translations =
+    t translations "makeCorner"
+
+
+deletePoint : Translations -> String
+deletePoint translations =
+    t translations "deletePoint"
+
+
+deleteStroke : Translations -> String
+deleteStroke translations =
+    t translations "deleteStroke"
+
+
+cancel : Translations -> String
+cancel translations =
+    t translations "cancel"
+
+
+saveStrokes : Translations -> String
+saveStrokes translations =
+    t translations "saveStrokes"
+
+
+historyEditTags : Translations -> String -> String
+historyEditTags translations char =
+    tr translations Curly "historyEditTags" [ ( "char", char ) ]
+
+
+tags : Translations -> String
+tags translations =
+    t translations "tags"
+
+
+newTag : Translations -> String
+newTag translations =
+    t translations "newTag"
+
+
+searchChars : Translations -> String
+searchChars translations =
+    t translations "searchChars"
+
+
+shownChars : Translations -> String -> String -> String
+shownChars translations shown total =
+    tr translations Curly "shownChars" [ ( "shown", shown ), ( "total", total ) ]
+
+
+exportShownChars : Translations -> String
+exportShownChars translations =
+    t translations "exportShownChars"
+
+
+charTypeFilter : Translations -> String
+charTypeFilter translations =
+    t translations "charTypeFilter"
+
+
+allValues : Translations -> String
+allValues translations =
+    t translations "allValues"
+
+
+withReferenceImage : Translations -> String
+withReferenceImage translations =
+    t translations "withReferenceImage"
+
+
+withoutReferenceImage : Translations -> String
+withoutReferenceImage translations =
+    t translations "withoutReferenceImage"
+
+
+sortBy : Translations -> String
+sortBy translations =
+    t translations "sortBy"
+
+
+sortByCodePoint : Translations -> String
+sortByCodePoint translations =
+    t translations "sortByCodePoint"
+
+
+sortByRadical : Translations -> String
+sortByRadical translations =
+    t translations "sortByRadical"
+
+
+sortByModified : Translations -> String
+sortByModified translations =
+    t translations "sortByModified"
+
+
+clearFilter : Translations -> String
+clearFilter translations =
+    t translations "clearFilter"
+
+
+charViews : Translations -> String
+charViews translations =
+    t translations "charViews"
+
+
+charViewName : Translations -> String
+charViewName translations =
+    t translations "charViewName"
+
+
+applyCharView : Translations -> String
+applyCharView translations =
+    t translations "applyCharView"
+
+
+referenceImages : Translations -> String
+referenceImages translations =
+    t translations "referenceImages"
+
+
+caption : Translations -> String
+caption translations =
+    t translations "caption"
+
+
+citation : Translations -> String
+citation translations =
+    t translations "citation"
+
+
+compareReferenceImages : Translations -> String
+compareReferenceImages translations =
+    t translations "compareReferenceImages"
+
+
+onionSkinOpacity : Translations -> String
+onionSkinOpacity translations =
+    t translations "onionSkinOpacity"
+
+
+exportCatalog : Translations -> String
+exportCatalog translations =
+    t translations "exportCatalog"
+
+
+exportCatalogDescription : Translations -> String
+exportCatalogDescription translations =
+    t translations "exportCatalogDescription"
+
+
+catalogCsv : Translations -> String
+catalogCsv translations =
+    t translations "catalogCsv"
+
+
+catalogJson : Translations -> String
+catalogJson translations =
+    t translations "catalogJson"
+
+
+catalogPrint : Translations -> String
+catalogPrint translations =
+    t translations "catalogPrint"
+
+
+uploadBackup : Translations -> String
+uploadBackup translations =
+    t translations "uploadBackup"
+
+
+createBackup : Translations -> String
+createBackup translations =
+    t translations "createBackup"
+
+
+backedUp : Translations -> String
+backedUp translations =
+    t translations "backedUp"
+
+
+questionMark : Translations -> String
+questionMark translations =
+    t translations "questionMark"
+
+
+updateAvailable : Translations -> String
+updateAvailable translations =
+    t translations "updateAvailable"
+
+
+reloadToUpdate : Translations -> String
+reloadToUpdate translations =
+    t translations "reloadToUpdate"
+
+
+libraryNotLoaded : Translations -> String -> String
+libraryNotLoaded translations reason =
+    tr translations Curly "libraryNotLoaded" [ ( "reason", reason ) ]
+
+
+libraryNotLoadedNote : Translations -> String
+libraryNotLoadedNote translations =
+    t translations "libraryNotLoadedNote"
+
+
+importSimpleChars : Translations -> String
+importSimpleChars translations =
+    t translations "importSimpleChars"
+
+
+importSvgFiles : Translations -> String
+importSvgFiles translations =
+    t translations "importSvgFiles"
+
+
+chooseFiles : Translations -> String
+chooseFiles translations =
+    t translations "chooseFiles"
+
+
+importSpriteSheet : Translations -> String
+importSpriteSheet translations =
+    t translations "importSpriteSheet"
+
+
+chooseSpriteSheet : Translations -> String
+chooseSpriteSheet translations =
+    t translations "chooseSpriteSheet"
+
+
+importFontGlyphs : Translations -> String
+importFontGlyphs translations =
+    t translations "importFontGlyphs"
+
+
+chooseFont : Translations -> String
+chooseFont translations =
+    t translations "chooseFont"
+
+
+simpleCharsToImport : Translations -> String -> String -> String -> String -> String
+simpleCharsToImport translations source new replaced skipped =
+    tr translations Curly "simpleCharsToImport" [ ( "source", source ), ( "new", new ), ( "replaced", replaced ), ( "skipped", skipped ) ]
+
+
+replaceExistingChars : Translations -> String
+replaceExistingChars translations =
+    t translations "replaceExistingChars"
+
+
+convertFillsToStrokes : Translations -> String
+convertFillsToStrokes translations =
+    t translations "convertFillsToStrokes"
+
+
+svgWarnings : Translations -> String
+svgWarnings translations =
+    t translations "svgWarnings"
+
+
+skippedImport : Translations -> String -> String -> String
+skippedImport translations name reason =
+    tr translations Curly "skippedImport" [ ( "name", name ), ( "reason", reason ) ]
+
+
+importChars : Translations -> String -> String
+importChars translations count =
+    tr translations Curly "importChars" [ ( "count", count ) ]
@@ -0,0 +1,322 @@
+-- Do not manually edit this file, it was auto-generated by yonigibbs/elm-i18next-gen
+-- https://github.com/yonigibbs/elm-i18next-gen
+
+
+module Translations.Problem exposing (..)
+
+import I18Next exposing (Delims(..), Translations, t, tr)
+
+
+unexpected : Translations -> String -> String
+unexpected translations message =
+    tr translations Curly "problem.unexpected" [ ( "message", message ) ]
+
+
+invalidSvg : Translations -> String
+invalidSvg translations =
+    t translations "problem.invalidSvg"
+
+
+noShapesAndNoSize : Translations -> String
+noShapesAndNoSize translations =
+    t translations "problem.noShapesAndNoSize"
+
+
+scriptsRemoved : Translations -> String
+scriptsRemoved translations =
+    t translations "problem.scriptsRemoved"
+
+
+embeddedHtmlRemoved : Translations -> String
+embeddedHtmlRemoved translations =
+    t translations "problem.embeddedHtmlRemoved"
+
+
+embeddedObjectsRemoved : Translations -> String
+embeddedObjectsRemoved translations =
+    t translations "problem.embeddedObjectsRemoved"
+
+
+embeddedMediaRemoved : Translations -> String
+embeddedMediaRemoved translations =
+    t translations "problem.embeddedMediaRemoved"
+
+
+rasterImagesRemoved : Translations -> String
+rasterImagesRemoved translations =
+    t translations "problem.rasterImagesRemoved"
+
+
+styleSheetsRemoved : Translations -> String
+styleSheetsRemoved translations =
+    t translations "problem.styleSheetsRemoved"
+
+
+externalResourcesRemoved : Translations -> String
+externalResourcesRemoved translations =
+    t translations "problem.externalResourcesRemoved"
+
+
+animationsRemoved : Translations -> String
+animationsRemoved translations =
+    t translations "problem.animationsRemoved"
+
+
+linksRemoved : Translations -> String
+linksRemoved translations =
+    t translations "problem.linksRemoved"
+
+
+filledShapesOutlined : Translations -> String
+filledShapesOutlined translations =
+    t translations "problem.filledShapesOutlined"
+
+
+filledShapesTraced : Translations -> String
+filledShapesTraced translations =
+    t translations "problem.filledShapesTraced"
+
+
+viewBoxComputed : Translations -> String
+viewBoxComputed translations =
+    t translations "problem.viewBoxComputed"
+
+
+percentageLengths : Translations -> String
+percentageLengths translations =
+    t translations "problem.percentageLengths"
+
+
+rangeBeyondUnicode : Translations -> String -> String
+rangeBeyondUnicode translations range =
+    tr translations Curly "problem.rangeBeyondUnicode" [ ( "range", range ) ]
+
+
+reversedRange : Translations -> String -> String
+reversedRange translations range =
+    tr translations Curly "problem.reversedRange" [ ( "range", range ) ]
+
+
+rangeTooLarge : Translations -> String -> String -> String
+rangeTooLarge translations range max =
+    tr translations Curly "problem.rangeTooLarge" [ ( "range", range ), ( "max", max ) ]
+
+
+codePointBeyondUnicode : Translations -> String -> String
+codePointBeyondUnicode translations codePoint =
+    tr translations Curly "problem.codePointBeyondUnicode" [ ( "codePoint", codePoint ) ]
+
+
+unreadableCodePoint : Translations -> String -> String
+unreadableCodePoint translations codePoint =
+    tr translations Curly "problem.unreadableCodePoint" [ ( "codePoint", codePoint ) ]
+
+
+unreadableFont : Translations -> String -> String
+unreadableFont translations message =
+    tr translations Curly "problem.unreadableFont" [ ( "message", message ) ]
+
+
+notInFont : Translations -> String
+notInFont translations =
+    t translations "problem.notInFont"
+
+
+noOutline : Translations -> String
+noOutline translations =
+    t translations "problem.noOutline"
+
+
+invalidSpriteSheet : Translations -> String
+invalidSpriteSheet translations =
+    t translations "problem.invalidSpriteSheet"
+
+
+noSymbols : Translations -> String
+noSymbols translations =
+    t translations "problem.noSymbols"
+
+
+noId : Translations -> String
+noId translations =
+    t translations "problem.noId"
+
+
+noViewBox : Translations -> String
+noViewBox translations =
+    t translations "problem.noViewBox"
+
+
+nameBeyondUnicode : Translations -> String
+nameBeyondUnicode translations =
+    t translations "problem.nameBeyondUnicode"
+
+
+sameCharAsOtherSymbol : Translations -> String
+sameCharAsOtherSymbol translations =
+    t translations "problem.sameCharAsOtherSymbol"
+
+
+sameCharAsOtherFile : Translations -> String
+sameCharAsOtherFile translations =
+    t translations "problem.sameCharAsOtherFile"
+
+
+alreadyInProject : Translations -> String
+alreadyInProject translations =
+    t translations "problem.alreadyInProject"
+
+
+notSingleCodePoint : Translations -> String
+notSingleCodePoint translations =
+    t translations "problem.notSingleCodePoint"
+
+
+missingSimpleCharSvg : Translations -> String -> String
+missingSimpleCharSvg translations char =
+    tr translations Curly "problem.missingSimpleCharSvg" [ ( "char", char ) ]
+
+
+invalidJson : Translations -> String -> String
+invalidJson translations message =
+    tr translations Curly "problem.invalidJson" [ ( "message", message ) ]
+
+
+notABackup : Translations -> String
+notABackup translations =
+    t translations "problem.notABackup"
+
+
+unknownSchemaVersion : Translations -> String -> String
+unknownSchemaVersion translations version =
+    tr translations Curly "problem.unknownSchemaVersion" [ ( "version", version ) ]
+
+
+newerSchemaVersion : Translations -> String -> String -> String -> String
+newerSchemaVersion translations version appVersion supportedVersion =
+    tr translations Curly "problem.newerSchemaVersion" [ ( "version", version ), ( "appVersion", appVersion ), ( "supportedVersion", supportedVersion ) ]
+
+
+migrationFailed : Translations -> String -> String -> String
+migrationFailed translations version message =
+    tr translations Curly "problem.migrationFailed" [ ( "version", version ), ( "message", message ) ]
+
+
+noModel : Translations -> String
+noModel translations =
+    t translations "problem.noModel"
+
+
+noSimpleCharSvgs : Translations -> String
+noSimpleCharSvgs translations =
+    t translations "problem.noSimpleCharSvgs"
+
+
+noChars : Translations -> String
+noChars translations =
+    t translations "problem.noChars"
+
+
+noCharExplanations : Translations -> String
+noCharExplanations translations =
+    t translations "problem.noCharExplanations"
+
+
+invalidStrokeWidth : Translations -> String
+invalidStrokeWidth translations =
+    t translations "problem.invalidStrokeWidth"
+
+
+invalidLanguage : Translations -> String
+invalidLanguage translations =
+    t translations "problem.invalidLanguage"
+
+
+unknownCharType : Translations -> String -> String
+unknownCharType translations char =
+    tr translations Curly "problem.unknownCharType" [ ( "char", char ) ]
+
+
+referenceWithoutChar : Translations -> String -> String
+referenceWithoutChar translations char =
+    tr translations Curly "problem.referenceWithoutChar" [ ( "char", char ) ]
+
+
+invalidReferenceDimension : Translations -> String -> String
+invalidReferenceDimension translations char =
+    tr translations Curly "problem.invalidReferenceDimension" [ ( "char", char ) ]
+
+
+invalidReferencePosition : Translations -> String -> String
+invalidReferencePosition translations char =
+    tr translations Curly "problem.invalidReferencePosition" [ ( "char", char ) ]
+
+
+invalidReferenceMirror : Translations -> String -> String
+invalidReferenceMirror translations char =
+    tr translations Curly "problem.invalidReferenceMirror" [ ( "char", char ) ]
+
+
+savedUnderOtherChar : Translations -> String -> String -> String
+savedUnderOtherChar translations char otherChar =
+    tr translations Curly "problem.savedUnderOtherChar" [ ( "char", char ), ( "otherChar", otherChar ) ]
+
+
+componentsNotList : Translations -> String -> String
+componentsNotList translations char =
+    tr translations Curly "problem.componentsNotList" [ ( "char", char ) ]
+
+
+componentWithoutChar : Translations -> String -> String -> String
+componentWithoutChar translations char component =
+    tr translations Curly "problem.componentWithoutChar" [ ( "char", char ), ( "component", component ) ]
+
+
+invalidComponentDimension : Translations -> String -> String -> String
+invalidComponentDimension translations char component =
+    tr translations Curly "problem.invalidComponentDimension" [ ( "char", char ), ( "component", component ) ]
+
+
+invalidComponentPosition : Translations -> String -> String -> String
+invalidComponentPosition translations char component =
+    tr translations Curly "problem.invalidComponentPosition" [ ( "char", char ), ( "component", component ) ]
+
+
+invalidComponentMirror : Translations -> String -> String -> String
+invalidComponentMirror translations char component =
+    tr translations Curly "problem.invalidComponentMirror" [ ( "char", char ), ( "component", component ) ]
+
+
+missingComponentChar : Translations -> String -> String -> String -> String
+missingComponentChar translations char component componentChar =
+    tr translations Curly "problem.missingComponentChar" [ ( "char", char ), ( "component", component ), ( "componentChar", componentChar ) ]
+
+
+invalidExplanation : Translations -> String -> String
+invalidExplanation translations char =
+    tr translations Curly "problem.invalidExplanation" [ ( "char", char ) ]
+
+
+invalidReferenceImage : Translations -> String -> String
+invalidReferenceImage translations char =
+    tr translations Curly "problem.invalidReferenceImage" [ ( "char", char ) ]
+
+
+invalidReferenceImages : Translations -> String -> String
+invalidReferenceImages translations char =
+    tr translations Curly "problem.invalidReferenceImages" [ ( "char", char ) ]
+
+
+invalidTags : Translations -> String -> String
+invalidTags translations char =
+    tr translations Curly "problem.invalidTags" [ ( "char", char ) ]
+
+
+svgNotText : Translations -> String -> String
+svgNotText translations char =
+    tr translations Curly "problem.svgNotText" [ ( "char", char ) ]
+
+
+malformedSvg : Translations -> String -> String
+malformedSvg translations char =
+    tr translations Curly "problem.malformedSvg" [ ( "char", char ) ]
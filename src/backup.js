@@ -0,0 +1,235 @@
+/**
+ * The backup file format.
+ *
+ * Version 1 files were written before the format was versioned and only
+ * contain `{ model, simpleCharSvgs }`. Every later version also records the
+ * schema version, the version of the app that wrote it and when it was
+ * written. Older files are migrated one version at a time until they reach
+ * `backupSchemaVersion`, then validated before anything is stored.
+ */
+import { version as appVersion } from '../package.json';
+import { problem } from './problems';
+
+var backupSchemaVersion = 2;
+
+var myCharTypes = ["SimpleChar", "CompoundChar"];
+
+// The problems of the reference of a character and of its components,
+// for a missing character or an invalid field
+var referenceProblems = {
+  char: "referenceWithoutChar",
+  dimension: "invalidReferenceDimension",
+  position: "invalidReferencePosition",
+  mirror: "invalidReferenceMirror",
+};
+var componentProblems = {
+  char: "componentWithoutChar",
+  dimension: "invalidComponentDimension",
+  position: "invalidComponentPosition",
+  mirror: "invalidComponentMirror",
+};
+
+// migrations[n] turns a version n backup into a version n + 1 backup
+var migrations = {
+  1: function (backup) {
+    var chars = (backup.model && backup.model.chars) || {};
+    Object.keys(chars).forEach(function (char) {
+      var myChar = chars[char];
+      // mirrors were added after the first release
+      [myChar.reference].concat(myChar.components || []).forEach(function (ref) {
+        if (isObject(ref) && ref.mirror === undefined) {
+          ref.mirror = { x: false, y: false };
+        }
+      });
+    });
+    return {
+      schemaVersion: 2,
+      appVersion: "unknown",
+      createdAt: null,
+      model: backup.model,
+      simpleCharSvgs: backup.simpleCharSvgs,
+    };
+  },
+};
+
+/**
+ * Wraps the library in the current backup format
+ * @param {object} model the saved model sent by Elm
+ * @param {object} simpleCharSvgs the svg text of every simple character
+ * @return {object} the backup
+ */
+function createBackup(model, simpleCharSvgs) {
+  return {
+    schemaVersion: backupSchemaVersion,
+    appVersion: appVersion,
+    createdAt: new Date().toISOString(),
+    model: model,
+    simpleCharSvgs: simpleCharSvgs,
+  };
+}
+
+/**
+ * Parses, migrates and validates the text of a backup file
+ * @param {string} text the content of the backup file
+ * @return {{ backup: ?object, errors: Array }} the backup in the current format, or null when there are errors,
+ *   and the problem of every error
+ */
+function readBackup(text) {
+  var backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (error) {
+    return { backup: null, errors: [problem("invalidJson", { message: error.message })] };
+  }
+  if (!isObject(backup)) {
+    return { backup: null, errors: [problem("notABackup")] };
+  }
+  var version = backup.schemaVersion === undefined ? 1 : backup.schemaVersion;
+  if (!Number.isInteger(version) || version < 1) {
+    return { backup: null, errors: [problem("unknownSchemaVersion", { version: JSON.stringify(version) })] };
+  }
+  if (version > backupSchemaVersion) {
+    return {
+      backup: null,
+      errors: [problem("newerSchemaVersion", {
+        version: version,
+        appVersion: backup.appVersion,
+        supportedVersion: backupSchemaVersion,
+      })],
+    };
+  }
+  try {
+    for (; version < backupSchemaVersion; version++) {
+      backup = migrations[version](backup);
+    }
+  } catch (error) {
+    return { backup: null, errors: [problem("migrationFailed", { version: version, message: error.message })] };
+  }
+  var errors = validateBackup(backup);
+  return {
+    backup: errors.length === 0 ? backup : null,
+    errors: errors,
+  };
+}
+
+/**
+ * Checks a backup in the current format
+ * @param {object} backup the backup
+ * @return {Array} every problem found
+ */
+function validateBackup(backup) {
+  var errors = [];
+  var model = backup.model;
+  var simpleCharSvgs = backup.simpleCharSvgs;
+  if (!isObject(model)) {
+    return [problem("noModel")];
+  }
+  if (!isObject(simpleCharSvgs)) {
+    return [problem("noSimpleCharSvgs")];
+  }
+  if (!isObject(model.chars)) {
+    return [problem("noChars")];
+  }
+  if (!isObject(model.charExplainations)) {
+    errors.push(problem("noCharExplanations"));
+  }
+  if (typeof model.strokeWidth !== "number" || !isFinite(model.strokeWidth)) {
+    errors.push(problem("invalidStrokeWidth"));
+  }
+  if (typeof model.language !== "string") {
+    errors.push(problem("invalidLanguage"));
+  }
+
+  Object.keys(model.chars).forEach(function (char) {
+    var myChar = model.chars[char];
+    if (!isObject(myChar) || myCharTypes.indexOf(myChar.type) === -1) {
+      errors.push(problem("unknownCharType", { char: char }));
+      return;
+    }
+    validateRef(myChar.reference, referenceProblems, { char: char }, errors);
+    if (isObject(myChar.reference) && myChar.reference.char !== char) {
+      errors.push(problem("savedUnderOtherChar", { char: char, otherChar: JSON.stringify(myChar.reference.char) }));
+    }
+    if (myChar.type === "SimpleChar") {
+      if (typeof simpleCharSvgs[char] !== "string") {
+        errors.push(problem("missingSimpleCharSvg", { char: char }));
+      }
+    } else if (!Array.isArray(myChar.components)) {
+      errors.push(problem("componentsNotList", { char: char }));
+    } else {
+      myChar.components.forEach(function (component, index) {
+        var args = { char: char, component: index + 1 };
+        if (validateRef(component, componentProblems, args, errors) && !(component.char in model.chars)) {
+          errors.push(problem("missingComponentChar", Object.assign({ componentChar: component.char }, args)));
+        }
+      });
+    }
+  });
+
+  if (isObject(model.charExplainations)) {
+    Object.keys(model.charExplainations).forEach(function (char) {
+      var explaination = model.charExplainations[char];
+      if (!isObject(explaination) || typeof explaination.note !== "string") {
+        errors.push(problem("invalidExplanation", { char: char }));
+      } else if (explaination.referenceImage !== undefined && !isReferenceImage(explaination.referenceImage)) {
+        errors.push(problem("invalidReferenceImage", { char: char }));
+      } else if (explaination.referenceImages !== undefined
+        && !(Array.isArray(explaination.referenceImages) && explaination.referenceImages.every(isReferenceImage))) {
+        errors.push(problem("invalidReferenceImages", { char: char }));
+      } else if (explaination.tags !== undefined
+        && !(Array.isArray(explaination.tags) && explaination.tags.every(function (tag) { return typeof tag === "string"; }))) {
+        errors.push(problem("invalidTags", { char: char }));
+      }
+    });
+  }
+
+  Object.keys(simpleCharSvgs).forEach(function (char) {
+    var svg = simpleCharSvgs[char];
+    if (typeof svg !== "string") {
+      errors.push(problem("svgNotText", { char: char }));
+      return;
+    }
+    var svgDocument = new DOMParser().parseFromString(svg, "image/svg+xml");
+    if (svgDocument.documentElement.localName !== "svg"
+      || svgDocument.getElementsByTagName("parsererror").length > 0) {
+      errors.push(problem("malformedSvg", { char: char }));
+    }
+  });
+  return errors;
+}
+
+function validateRef(ref, codes, args, errors) {
+  if (!isObject(ref) || typeof ref.char !== "string") {
+    errors.push(problem(codes.char, args));
+    return false;
+  }
+  var isValid = true;
+  ["dimension", "position"].forEach(function (field) {
+    if (!isVec2(ref[field])) {
+      errors.push(problem(codes[field], args));
+      isValid = false;
+    }
+  });
+  if (ref.mirror !== undefined
+    && !(isObject(ref.mirror) && typeof ref.mirror.x === "boolean" && typeof ref.mirror.y === "boolean")) {
+    errors.push(problem(codes.mirror, args));
+    isValid = false;
+  }
+  return isValid;
+}
+
+function isReferenceImage(value) {
+  return isObject(value) && typeof value.image === "string";
+}
+
+function isVec2(value) {
+  return isObject(value)
+    && typeof value.x === "number" && isFinite(value.x)
+    && typeof value.y === "number" && isFinite(value.y);
+}
+
+function isObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+export { createBackup, readBackup, validateBackup };
@@ -0,0 +1,166 @@
+/**
+ * The catalogue of the explanations and reference images of characters.
+ *
+ * Every entry sent by Elm has the `char`, its `codePoint`, `type`, `note`,
+ * `tags` and `referenceImages`, each with its `image` data URL, `caption`,
+ * `citation`, `origin`, `url`, `script`, `period`, `stage` and `dating` in the
+ * language of the app. The CSV and JSON files are for other tools and leave
+ * the image data out, the printable document shows everything.
+ */
+
+var csvColumns = [
+  "grapheme",
+  "codePoint",
+  "type",
+  "note",
+  "tags",
+  "caption",
+  "citation",
+  "origin",
+  "url",
+  "script",
+  "period",
+  "stage",
+];
+
+/**
+ * Lays out the catalogue as CSV, one row per reference image and one row for
+ * every character without any
+ * @param {Array} entries the characters
+ * @return {string} the CSV text
+ */
+function buildCatalogCsv(entries) {
+  var rows = [csvColumns];
+  entries.forEach(function (entry) {
+    var charFields = [
+      entry.char,
+      entry.codePoint,
+      entry.type === "SimpleChar" ? "simple" : "compound",
+      entry.note,
+      entry.tags.join("; "),
+    ];
+    if (entry.referenceImages.length === 0) {
+      rows.push(charFields.concat(["", "", "", "", "", "", ""]));
+    }
+    entry.referenceImages.forEach(function (referenceImage) {
+      rows.push(charFields.concat([
+        referenceImage.caption,
+        referenceImage.citation,
+        referenceImage.origin,
+        referenceImage.url,
+        referenceImage.script,
+        referenceImage.period || "",
+        referenceImage.stage || "",
+      ]));
+    });
+  });
+  // spreadsheets only read the file as UTF-8 with a byte order mark
+  return "\uFEFF" + rows.map(function (row) {
+    return row.map(escapeCsvField).join(",");
+  }).join("\r\n") + "\r\n";
+}
+
+/**
+ * @param {Array} entries the characters
+ * @return {string} the catalogue as JSON, without the image data
+ */
+function buildCatalogJson(entries) {
+  return JSON.stringify({
+    characters: entries.map(function (entry) {
+      return {
+        grapheme: entry.char,
+        codePoint: entry.codePoint,
+        type: entry.type === "SimpleChar" ? "simple" : "compound",
+        note: entry.note,
+        tags: entry.tags,
+        referenceImages: entry.referenceImages.map(function (referenceImage) {
+          return {
+            caption: referenceImage.caption,
+            citation: referenceImage.citation,
+            origin: referenceImage.origin,
+            url: referenceImage.url,
+            script: referenceImage.script,
+            period: referenceImage.period,
+            stage: referenceImage.stage,
+          };
+        }),
+      };
+    }),
+  }, null, 2);
+}
+
+/**
+ * Lays out the catalogue as an HTML document for printing, a character with
+ * its glyph, explanation and reference images on every page
+ * @param {Array} entries the characters, each with the `svg` of its glyph
+ * @param {object} labels the headings in the language of the app
+ * @return {string} the HTML document
+ */
+function buildCatalogHtml(entries, labels) {
+  var sections = entries.map(function (entry) {
+    var images = entry.referenceImages.map(function (referenceImage) {
+      return '<figure>'
+        + '<img src="' + escapeHtml(referenceImage.image) + '" alt="' + escapeHtml(referenceImage.caption) + '">'
+        + '<figcaption>'
+        + paragraph("caption", referenceImage.caption)
+        + paragraph("dating", referenceImage.dating)
+        + paragraph("origin", referenceImage.origin && labels.origin + ": " + referenceImage.origin)
+        + paragraph("citation", referenceImage.citation)
+        + paragraph("url", referenceImage.url && labels.url + ": " + referenceImage.url)
+        + '</figcaption>'
+        + '</figure>';
+    }).join("");
+    return '<section>'
+      + '<header>'
+      + '<div class="glyph">' + entry.svg + '</div>'
+      + '<div><h2>' + escapeHtml(entry.char) + '</h2><p class="code-point">' + escapeHtml(entry.codePoint) + '</p></div>'
+      + '</header>'
+      + (entry.note === "" ? "" : '<h3>' + escapeHtml(labels.explaination) + '</h3>' + paragraph("note", entry.note))
+      + (entry.tags.length === 0 ? "" : paragraph("tags", labels.tags + ": " + entry.tags.join(", ")))
+      + (images === "" ? "" : '<h3>' + escapeHtml(labels.referenceImages) + '</h3><div class="images">' + images + '</div>')
+      + '</section>';
+  }).join("");
+  return '<!DOCTYPE html>'
+    + '<html><head><meta charset="utf-8">'
+    + '<title>' + escapeHtml(labels.title) + '</title>'
+    + '<style>'
+    + '@page { size: A4; margin: 15mm; }'
+    + 'body { font-family: serif; margin: 0; }'
+    + 'section { break-after: page; }'
+    + 'header { display: flex; align-items: center; gap: 8mm; }'
+    + '.glyph svg { width: 40mm; height: 40mm; border: 1px solid #ccc; }'
+    + 'h2 { font-size: 28pt; margin: 0; }'
+    + '.code-point { color: #666; margin: 0; }'
+    + '.note { white-space: pre-wrap; }'
+    + '.images { display: flex; flex-wrap: wrap; gap: 6mm; }'
+    + 'figure { width: 55mm; margin: 0; break-inside: avoid; }'
+    + 'figure img { width: 100%; }'
+    + 'figcaption p { font-size: 9pt; margin: 1mm 0; }'
+    + '.caption { font-weight: bold; }'
+    + '.citation { font-style: italic; }'
+    + '.url { word-break: break-all; }'
+    + '</style>'
+    + '</head><body>'
+    + (labels.title === "" ? "" : '<h1>' + escapeHtml(labels.title) + '</h1>')
+    + sections
+    + '</body></html>';
+}
+
+function paragraph(className, text) {
+  return text ? '<p class="' + className + '">' + escapeHtml(text) + '</p>' : "";
+}
+
+function escapeCsvField(value) {
+  var text = String(value);
+  return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+export { buildCatalogCsv, buildCatalogJson, buildCatalogHtml };
@@ -0,0 +1,297 @@
+/**
+ * Traces filled shapes into the centre lines that the editor strokes.
+ *
+ * The shapes are rasterized onto a grid, thinned to one pixel wide
+ * skeletons (Zhang–Suen), and the skeletons are followed into polylines.
+ * The average width of the shapes is estimated from their area divided by
+ * the length of their skeletons, which gives both the stroke width and the
+ * length below which a side branch is treated as noise and pruned.
+ */
+import { flattenSubpath, simplifyPolyline } from './svgOutline';
+
+// Pixels along the longer side of the shapes
+var gridSize = 256;
+
+// Empty pixels around the shapes so thinning never touches the grid border
+var gridMargin = 2;
+
+/**
+ * Traces the centre lines of filled subpaths
+ * @param {Array} subpaths the filled subpaths, filled under the nonzero winding rule
+ * @return {?{ subpaths: Array, strokeWidth: number }} the centre lines and the average width of the shapes, or null if nothing is filled
+ */
+function traceCenterlines(subpaths) {
+  // a Bézier curve never leaves the hull of its control points
+  var box = boundingBox(subpaths.map(function (subpath) {
+    return [].concat.apply([subpath.start], subpath.segments);
+  }));
+  if (box === null) {
+    return null;
+  }
+  var cell = Math.max(box.width, box.height) / (gridSize - 2 * gridMargin);
+  var polygons = subpaths.map(function (subpath) {
+    return flattenSubpath(subpath, cell / 2).points;
+  });
+  var grid = {
+    cols: Math.ceil(box.width / cell) + 2 * gridMargin,
+    rows: Math.ceil(box.height / cell) + 2 * gridMargin,
+    x: box.x - gridMargin * cell,
+    y: box.y - gridMargin * cell,
+    cell: cell,
+  };
+  grid.pixels = new Uint8Array(grid.cols * grid.rows);
+  fillPolygons(grid, polygons);
+  var area = countPixels(grid);
+  if (area === 0) {
+    return null;
+  }
+  thin(grid);
+  var branches = traceSkeleton(grid);
+  var skeletonLength = countPixels(grid);
+  var width = area / skeletonLength;
+  branches = pruneSpurs(branches, width);
+  return {
+    subpaths: branches.map(function (branch) {
+      var points = simplifyPolyline(branch.pixels.map(function (index) {
+        return pixelCenter(grid, index);
+      }), cell);
+      return {
+        start: points[0],
+        segments: points.length === 1
+          ? [[points[0]]]
+          : points.slice(1).map(function (point) {
+            return [point];
+          }),
+        closed: branch.closed,
+      };
+    }),
+    strokeWidth: width * cell,
+  };
+}
+
+function boundingBox(polygons) {
+  var points = [].concat.apply([], polygons);
+  if (points.length === 0) {
+    return null;
+  }
+  var xs = points.map(function (point) { return point[0]; });
+  var ys = points.map(function (point) { return point[1]; });
+  var x = Math.min.apply(null, xs);
+  var y = Math.min.apply(null, ys);
+  var width = Math.max.apply(null, xs) - x;
+  var height = Math.max.apply(null, ys) - y;
+  if (width === 0 && height === 0) {
+    return null;
+  }
+  return { x: x, y: y, width: width, height: height };
+}
+
+// Scanline fill at the centre of each pixel under the nonzero winding rule
+function fillPolygons(grid, polygons) {
+  for (var row = 0; row < grid.rows; row++) {
+    var y = grid.y + (row + 0.5) * grid.cell;
+    var crossings = [];
+    polygons.forEach(function (points) {
+      points.forEach(function (start, index) {
+        var end = points[(index + 1) % points.length];
+        if ((start[1] <= y) !== (end[1] <= y)) {
+          crossings.push({
+            x: start[0] + (y - start[1]) * (end[0] - start[0]) / (end[1] - start[1]),
+            direction: end[1] > start[1] ? 1 : -1,
+          });
+        }
+      });
+    });
+    crossings.sort(function (a, b) {
+      return a.x - b.x;
+    });
+    var winding = 0;
+    for (var i = 0; i < crossings.length - 1; i++) {
+      winding += crossings[i].direction;
+      if (winding === 0) {
+        continue;
+      }
+      var firstCol = Math.max(0, Math.ceil((crossings[i].x - grid.x) / grid.cell - 0.5));
+      var lastCol = Math.min(grid.cols - 1, Math.floor((crossings[i + 1].x - grid.x) / grid.cell - 0.5));
+      for (var col = firstCol; col <= lastCol; col++) {
+        grid.pixels[row * grid.cols + col] = 1;
+      }
+    }
+  }
+}
+
+function countPixels(grid) {
+  return grid.pixels.reduce(function (count, pixel) {
+    return count + pixel;
+  }, 0);
+}
+
+function thin(grid) {
+  var pixels = grid.pixels;
+  var cols = grid.cols;
+  var isChanged = true;
+  while (isChanged) {
+    isChanged = false;
+    [0, 1].forEach(function (step) {
+      var removed = [];
+      for (var row = 1; row < grid.rows - 1; row++) {
+        for (var col = 1; col < cols - 1; col++) {
+          var i = row * cols + col;
+          if (!pixels[i]) {
+            continue;
+          }
+          // the neighbours clockwise from the top
+          var p = [
+            pixels[i - cols], pixels[i - cols + 1], pixels[i + 1], pixels[i + cols + 1],
+            pixels[i + cols], pixels[i + cols - 1], pixels[i - 1], pixels[i - cols - 1],
+          ];
+          var neighbourCount = p.reduce(function (sum, pixel) { return sum + pixel; }, 0);
+          if (neighbourCount < 2 || neighbourCount > 6) {
+            continue;
+          }
+          var transitions = 0;
+          for (var k = 0; k < 8; k++) {
+            if (!p[k] && p[(k + 1) % 8]) {
+              transitions++;
+            }
+          }
+          if (transitions !== 1) {
+            continue;
+          }
+          var isRemovable = step === 0
+            ? !(p[0] && p[2] && p[4]) && !(p[2] && p[4] && p[6])
+            : !(p[0] && p[2] && p[6]) && !(p[0] && p[4] && p[6]);
+          if (isRemovable) {
+            removed.push(i);
+          }
+        }
+      }
+      removed.forEach(function (i) {
+        pixels[i] = 0;
+      });
+      isChanged = isChanged || removed.length > 0;
+    });
+  }
+}
+
+// A diagonal neighbour only counts when no straight neighbour already connects the two
+// pixels, so staircases in the skeleton are not mistaken for junctions
+function neighboursOf(grid, index) {
+  var col = index % grid.cols;
+  var row = Math.floor(index / grid.cols);
+  var isSet = function (c, r) {
+    return c >= 0 && r >= 0 && c < grid.cols && r < grid.rows && grid.pixels[r * grid.cols + c] === 1;
+  };
+  var neighbours = [];
+  [[1, 0], [-1, 0], [0, 1], [0, -1]].forEach(function (offset) {
+    if (isSet(col + offset[0], row + offset[1])) {
+      neighbours.push((row + offset[1]) * grid.cols + col + offset[0]);
+    }
+  });
+  [[1, 1], [1, -1], [-1, 1], [-1, -1]].forEach(function (offset) {
+    if (isSet(col + offset[0], row + offset[1])
+      && !isSet(col + offset[0], row)
+      && !isSet(col, row + offset[1])) {
+      neighbours.push((row + offset[1]) * grid.cols + col + offset[0]);
+    }
+  });
+  return neighbours;
+}
+
+// Splits the skeleton into branches between end points and junctions, plus closed loops
+function traceSkeleton(grid) {
+  var visitedEdges = {};
+  var visitedPixels = {};
+  var branches = [];
+  var edgeKey = function (a, b) {
+    return Math.min(a, b) + "," + Math.max(a, b);
+  };
+  var degree = function (index) {
+    return neighboursOf(grid, index).length;
+  };
+
+  function follow(start, next) {
+    var pixels = [start, next];
+    visitedEdges[edgeKey(start, next)] = true;
+    var previous = start;
+    var current = next;
+    while (degree(current) === 2 && current !== start) {
+      var following = neighboursOf(grid, current).filter(function (neighbour) {
+        return neighbour !== previous;
+      })[0];
+      if (visitedEdges[edgeKey(current, following)]) {
+        break;
+      }
+      visitedEdges[edgeKey(current, following)] = true;
+      pixels.push(following);
+      previous = current;
+      current = following;
+    }
+    pixels.forEach(function (pixel) {
+      visitedPixels[pixel] = true;
+    });
+    var isClosed = current === start && pixels.length > 2;
+    return {
+      pixels: isClosed ? pixels.slice(0, -1) : pixels,
+      closed: isClosed,
+      ends: isClosed ? [] : [start, current],
+    };
+  }
+
+  var skeleton = [];
+  grid.pixels.forEach(function (pixel, index) {
+    if (pixel) {
+      skeleton.push(index);
+    }
+  });
+  skeleton.forEach(function (index) {
+    var neighbours = neighboursOf(grid, index);
+    if (neighbours.length === 0) {
+      // a dot
+      branches.push({ pixels: [index], closed: false, ends: [index, index] });
+      visitedPixels[index] = true;
+    } else if (neighbours.length !== 2) {
+      neighbours.forEach(function (neighbour) {
+        if (!visitedEdges[edgeKey(index, neighbour)]) {
+          branches.push(follow(index, neighbour));
+        }
+      });
+    }
+  });
+  skeleton.forEach(function (index) {
+    if (!visitedPixels[index]) {
+      branches.push(follow(index, neighboursOf(grid, index)[0]));
+    }
+  });
+  branches.forEach(function (branch) {
+    branch.ends = branch.ends.map(function (end) {
+      return { pixel: end, degree: degree(end) };
+    });
+  });
+  return branches;
+}
+
+// Removes short branches that run from a junction to a loose end
+function pruneSpurs(branches, width) {
+  if (branches.length <= 1) {
+    return branches;
+  }
+  return branches.filter(function (branch) {
+    var degrees = branch.ends.map(function (end) {
+      return end.degree;
+    });
+    var isSpur = degrees.length === 2
+      && Math.min.apply(null, degrees) === 1
+      && Math.max.apply(null, degrees) >= 3;
+    return !(isSpur && branch.pixels.length < width);
+  });
+}
+
+function pixelCenter(grid, index) {
+  return [
+    grid.x + (index % grid.cols + 0.5) * grid.cell,
+    grid.y + (Math.floor(index / grid.cols) + 0.5) * grid.cell,
+  ];
+}
+
+export { traceCenterlines };
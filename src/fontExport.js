@@ -0,0 +1,124 @@
+import { Font, Glyph, Path } from 'opentype.js';
+import {
+  readSvgOutline,
+  placementMatrix,
+  transformSubpath,
+  flattenSubpath,
+  simplifyPolyline,
+  expandStroke,
+} from './svgOutline';
+import { problem, problemError, problemOf } from './problems';
+
+// Tolerances in em percent (the editor's 0 to 100 coordinate system)
+var flattenTolerance = 1;
+var simplifyTolerance = 0.1;
+
+// Height of the ideographic em box above the baseline, as used by most CJK fonts
+var ascenderRatio = 0.88;
+
+/**
+ * Flattens every character into glyph outlines and generates an OpenType font
+ * @param {object} options the font description sent by `exportFontPort`
+ * @param {string} options.fontName the family name of the font
+ * @param {number} options.boxUnits the number of grid units along one side of the em box
+ * @param {number} options.strokeWidth the stroke width in em percent
+ * @param {Array} options.glyphs the characters, each with the placements of its simple components
+ * @param {object} simpleCharSvgs the svg text of every simple character
+ * @return {{ font: ArrayBuffer, failures: Array }} the font file and the characters left out
+ */
+function buildFont(options, simpleCharSvgs) {
+  var unitsPerEm = options.boxUnits * Math.ceil(1000 / options.boxUnits);
+  var ascender = Math.round(unitsPerEm * ascenderRatio);
+  var descender = ascender - unitsPerEm;
+  var outlines = {};
+  var failures = [];
+
+  function readOutline(char) {
+    if (!(char in outlines)) {
+      if (!(char in simpleCharSvgs)) {
+        throw problemError("missingSimpleCharSvg", { char: char });
+      }
+      outlines[char] = readSvgOutline(simpleCharSvgs[char]);
+    }
+    return outlines[char];
+  }
+
+  function toFontPoint(point) {
+    return [
+      Math.round(point[0] / 100 * unitsPerEm),
+      Math.round(ascender - point[1] / 100 * unitsPerEm),
+    ];
+  }
+
+  var glyphs = [
+    new Glyph({
+      name: ".notdef",
+      unicode: 0,
+      advanceWidth: unitsPerEm,
+      path: new Path(),
+    }),
+  ];
+  options.glyphs.forEach(function (glyph) {
+    var codePoints = Array.from(glyph.char);
+    if (codePoints.length !== 1) {
+      failures.push({ char: glyph.char, reason: problem("notSingleCodePoint") });
+      return;
+    }
+    var codePoint = codePoints[0].codePointAt(0);
+    var path = new Path();
+    try {
+      glyph.placements.forEach(function (placement) {
+        var outline = readOutline(placement.char);
+        var matrix = placementMatrix(outline.viewBox, placement);
+        outline.subpaths.forEach(function (subpath) {
+          var polyline = flattenSubpath(transformSubpath(subpath, matrix), flattenTolerance);
+          polyline.points = simplifyPolyline(polyline.points, simplifyTolerance);
+          expandStroke(polyline, options.strokeWidth).forEach(function (contour) {
+            var start = toFontPoint(contour.start);
+            path.moveTo(start[0], start[1]);
+            contour.segments.forEach(function (segment) {
+              var points = segment.map(toFontPoint);
+              if (points.length === 1) {
+                path.lineTo(points[0][0], points[0][1]);
+              } else {
+                path.curveTo(points[0][0], points[0][1], points[1][0], points[1][1], points[2][0], points[2][1]);
+              }
+            });
+            path.close();
+          });
+        });
+      });
+    } catch (error) {
+      failures.push({ char: glyph.char, reason: problemOf(error) });
+      return;
+    }
+    glyphs.push(new Glyph({
+      name: glyphName(codePoint),
+      unicode: codePoint,
+      advanceWidth: unitsPerEm,
+      path: path,
+    }));
+  });
+
+  var font = new Font({
+    familyName: options.fontName,
+    styleName: "Regular",
+    unitsPerEm: unitsPerEm,
+    ascender: ascender,
+    descender: descender,
+    glyphs: glyphs,
+  });
+  return {
+    font: font.toArrayBuffer(),
+    failures: failures,
+  };
+}
+
+function glyphName(codePoint) {
+  var hex = codePoint.toString(16).toUpperCase();
+  return codePoint <= 0xFFFF
+    ? "uni" + hex.padStart(4, "0")
+    : "u" + hex;
+}
+
+export { buildFont };
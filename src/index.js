@@ -6,36 +6,92 @@ import "regenerator-runtime/runtime.js";
 // The imported methods will use the File System
 // Access API or a fallback implementation.
 import { fileOpen, fileSave } from 'browser-nativefs';
-import { svgToPng } from './svgToPng';
+import JSZip from 'jszip';
+import { svgToImage } from './svgToImage';
+import { pathDataReader, buildCharSvg, buildSpriteSheet, buildSpecimenSvg } from './svgExport';
+import { buildImagePdf } from './pdfExport';
+import { buildFont } from './fontExport';
+import { buildCatalogCsv, buildCatalogJson, buildCatalogHtml } from './catalogExport';
+import { createBackup, readBackup } from './backup';
+import {
+  browserSnapshots,
+  directorySnapshots,
+  listSnapshots,
+  takeSnapshot,
+  readSnapshot,
+} from './snapshots';
+import { createStorage, estimateStorage, persistStorage } from './storage';
+import {
+  firstProjectId,
+  loadProjects,
+  projectStorageName,
+  projectKey,
+  createProject,
+  renameProject,
+  duplicateProject,
+  deleteProject,
+  setCurrentProject,
+} from './projects';
+import { charFromName, parseCharSelection, readFontGlyphs, readSpriteSheet } from './simpleCharImport';
+import { sanitizeSvg } from './svgSanitize';
+import { loadLanguages, negotiateLanguage, findLanguage, loadTranslations } from './localization';
+import { readStrokes } from './strokes';
+import { problem, problemOf } from './problems';
 
-var baseStorageKey = 'buyan-studio-';
-var modelStorageKey = baseStorageKey + 'model';
-var simpleCharSvgsStorageKey = baseStorageKey + 'simpleCharSvgs'
-var backupFileHandleStorageKey = baseStorageKey + 'backupFileHandle';
+// every project has its own library, backup file and snapshot directory
+var projects = null;
+var currentProjectId = firstProjectId;
+var storage;
+var backupFileHandleStorageKey;
+var snapshotDirectoryHandleStorageKey;
 var backupFileHandle;
+// Firefox and Safari have no File System Access API, so backups are downloaded and uploaded instead
+var supportsFileSystemAccess = "showOpenFilePicker" in window && "showSaveFilePicker" in window;
+var snapshotDirectoryHandle = null;
+// the service worker of a new version of the app, waiting for the user to reload
+var waitingServiceWorker = null;
+var sendUpdateAvailable = function () { };
 
-var browserLanguage = "LanguageEn";
-var tag = navigator.language;
-if (tag === "zh-CN") {
-  browserLanguage = "LanguageZhHans"
-} else if (tag.startsWith("zh")) {
-  browserLanguage = "LanguageZhHant"
-}
+// the manifest of the languages the app is translated into
+var languages = null;
+
+// why the library could not be loaded
+var loadProblem = null;
 
 
-localforage.getItem(modelStorageKey, function (error, savedModelJson) {
-  if (error !== null) {
-    console.error("Error getting saved model: ", error);
+// opens the project used last, or the first project when the list of projects cannot be read
+async function openCurrentProject() {
+  try {
+    projects = await loadProjects("Buyan Studio");
+    currentProjectId = projects.currentId;
+  } catch (error) {
+    console.error("Error loading projects: ", error);
   }
+  storage = createStorage(projectStorageName(currentProjectId));
+  backupFileHandleStorageKey = projectKey(currentProjectId, 'backupFileHandle');
+  snapshotDirectoryHandleStorageKey = projectKey(currentProjectId, 'snapshotDirectoryHandle');
+  try {
+    return await storage.load();
+  } catch (error) {
+    console.error("Error loading the library: ", error);
+    loadProblem = problemOf(error);
+    return null;
+  }
+}
 
-  var preferredLanguage = savedModelJson === null ? browserLanguage : savedModelJson.language;
+openCurrentProject().then(function (library) {
+  var savedModelJson = library === null ? null : library.model;
+  var preferredLanguage;
   // console.log("Getting saved model: ", savedModelJson);
-  fetch(`translations/${preferredLanguage}.json`)
-    .then(function (response) {
-      return response.json();
-    })
-    .catch(function () {
-      console.log("Error getting translations");
+  loadLanguages()
+    .then(function (manifest) {
+      languages = manifest;
+      // the saved language may have been removed from the manifest since
+      preferredLanguage = savedModelJson !== null && findLanguage(languages, savedModelJson.language) !== null
+        ? savedModelJson.language
+        : negotiateLanguage(languages, navigator.languages || [navigator.language]);
+      setDocumentLanguage(preferredLanguage);
+      return loadTranslations(languages, preferredLanguage);
     })
     .then(function (translations) {
       var app = Elm.Main.init({
@@ -43,15 +99,145 @@ localforage.getItem(modelStorageKey, function (error, savedModelJson) {
         flags: {
           language: preferredLanguage,
           translations: translations,
+          languages: languages.languages.map(function (language) {
+            return { id: language.id, name: language.name };
+          }),
           windowWidth: window.innerWidth,
           windowHeight: window.innerHeight,
+          supportsFileSystemAccess: supportsFileSystemAccess,
         },
       });
 
-      if (savedModelJson !== null) {
+      // nothing is saved until the library is loaded, so a failed load never overwrites it
+      if (library !== null) {
         app.ports.getModelPort.send(savedModelJson);
+        app.ports.gotSavedSimpleCharsPort.send({
+          simpleCharSvgs: library.simpleCharSvgs,
+          isReplace: true,
+        });
+        app.ports.gotHistoryPort.send(library.history);
+        sendStorageUsage();
+        persistStorage().catch(function (error) {
+          console.error("Error making storage persistent: ", error);
+        });
+      } else {
+        app.ports.gotLoadProblemPort.send(loadProblem);
+      }
+
+      if (projects !== null) {
+        app.ports.gotProjectsPort.send(projects);
+      }
+
+      sendUpdateAvailable = function () {
+        app.ports.gotUpdateAvailablePort.send(null);
+      };
+      if (waitingServiceWorker !== null) {
+        sendUpdateAvailable();
       }
 
+      app.ports.reloadToUpdatePort.subscribe(function () {
+        // finish saving the library before the page reloads
+        storage.flush().then(function () {
+          navigator.serviceWorker.addEventListener('controllerchange', function () {
+            window.location.reload();
+          });
+          waitingServiceWorker.postMessage({ type: 'SKIP_WAITING' });
+        });
+      });
+
+      function sendProjects(registry) {
+        projects = registry;
+        app.ports.gotProjectsPort.send(registry);
+      }
+
+      app.ports.createProjectPort.subscribe(function (name) {
+        createProject(name).then(sendProjects).catch(function (error) {
+          console.error("Error creating project: ", error);
+        });
+      });
+
+      app.ports.renameProjectPort.subscribe(function ({ id, name }) {
+        renameProject(id, name).then(sendProjects).catch(function (error) {
+          console.error("Error renaming project: ", error);
+        });
+      });
+
+      app.ports.duplicateProjectPort.subscribe(function ({ id, name }) {
+        // the open project may still be saving
+        storage.flush()
+          .then(function () {
+            return duplicateProject(id, name);
+          })
+          .then(sendProjects)
+          .catch(function (error) {
+            console.error("Error duplicating project: ", error);
+          });
+      });
+
+      app.ports.deleteProjectPort.subscribe(function (id) {
+        deleteProject(id).then(sendProjects).catch(function (error) {
+          console.error("Error deleting project: ", error);
+        });
+      });
+
+      // every project opens in a fresh page, so nothing of the previous project stays in memory
+      app.ports.openProjectPort.subscribe(function (id) {
+        storage.flush()
+          .then(function () {
+            return setCurrentProject(id);
+          })
+          .then(function () {
+            window.location.reload();
+          })
+          .catch(function (error) {
+            console.error("Error opening project: ", error);
+          });
+      });
+
+      app.ports.copyCharsToProjectPort.subscribe(async function ({ projectId, chars, charExplainations }) {
+        try {
+          var target = createStorage(projectStorageName(projectId));
+          var existingChars = await target.getCharNames();
+          var simpleCharSvgs = await storage.getSimpleCharSvgs();
+          var copiedChars = {};
+          var copiedExplainations = {};
+          var copiedSvgs = {};
+          var skipped = [];
+          Object.keys(chars).forEach(function (char) {
+            if (existingChars.indexOf(char) !== -1) {
+              skipped.push({ name: char, reason: problem("alreadyInProject") });
+              return;
+            }
+            copiedChars[char] = chars[char];
+            if (char in charExplainations) {
+              copiedExplainations[char] = charExplainations[char];
+            }
+            if (char in simpleCharSvgs) {
+              copiedSvgs[char] = simpleCharSvgs[char];
+            }
+          });
+          await target.saveChanges({
+            chars: { upserts: copiedChars, removals: [] },
+            charExplainations: { upserts: copiedExplainations, removals: [] },
+          });
+          await target.setSimpleCharSvgs(copiedSvgs);
+          app.ports.gotCopiedCharsPort.send({
+            projectId: projectId,
+            copied: Object.keys(copiedChars),
+            skipped: skipped,
+          });
+        } catch (error) {
+          console.error("Error copying characters: ", error);
+          app.ports.gotCopiedCharsPort.send({
+            projectId: projectId,
+            copied: [],
+            skipped: Object.keys(chars).map(function (char) {
+              return { name: char, reason: problemOf(error) };
+            }),
+          });
+        }
+      });
+
       localforage.getItem(backupFileHandleStorageKey, async function (error, handle) {
         if (error !== null) {
           console.error("Error getting backupFileHandle: ", error);
@@ -68,6 +254,10 @@ localforage.getItem(modelStorageKey, function (error, savedModelJson) {
         const options = {
           mode: 'readwrite'
         };
+        // Handles from the fallback implementation need no permission
+        if (typeof fileHandle.queryPermission !== "function") {
+          return true;
+        }
         // Check if permission was already granted. If so, return true.
         if ((await fileHandle.queryPermission(options)) === 'granted') {
           return true;
@@ -80,7 +270,7 @@ localforage.getItem(modelStorageKey, function (error, savedModelJson) {
         return false;
       }
 
-      app.ports.addSimpleCharsPort.subscribe(function () {
+      app.ports.addSimpleCharsPort.subscribe(function (importOptions) {
         var options = {
           // List of allowed MIME types, defaults to `*/*`.
           mimeTypes: ['image/svg+xml'],
@@ -92,40 +282,114 @@ localforage.getItem(modelStorageKey, function (error, savedModelJson) {
           description: 'Simple Character SVGs',
         };
         fileOpen(options)
-          .then(function (files) {
+          .then(async function (files) {
             // console.log(files);
-            localforage.getItem(simpleCharSvgsStorageKey, function (error, simpleCharSvgs) {
-              if (error !== null) {
-                console.error("Error getting saved simpleCharSvgs: ", error);
+            var svgs = {};
+            var skipped = [];
+            var texts = await Promise.all(Array.from(files).map(function (file) {
+              return file.text();
+            }));
+            Array.from(files).forEach(function (file, index) {
+              // files are named after their character, like 木.svg or U+6728.svg
+              var char = charFromName(file.name.slice(0, -(".svg".length)));
+              if (char === null) {
+                skipped.push({ name: file.name, reason: problem("nameBeyondUnicode") });
+                return;
               }
-              if (simpleCharSvgs === null) {
-                simpleCharSvgs = {};
+              if (char in svgs) {
+                skipped.push({ name: file.name, reason: problem("sameCharAsOtherFile") });
+                return;
               }
-              var newSimpleCharSvgs = {};
-              var numberOfNewCharsAdded = 0;
-              Array.from(files).forEach(function (file) {
-                var reader = new FileReader();
-                reader.addEventListener('load', function (event) {
-                  var char = file.name.slice(0, -(".svg".length));
-                  newSimpleCharSvgs[char] = event.target.result;
-                  numberOfNewCharsAdded += 1;
-                  if (numberOfNewCharsAdded === files.length) {
-                    app.ports.gotNewSimpleCharsPort.send(newSimpleCharSvgs);
-                    localforage.setItem(simpleCharSvgsStorageKey
-                      , Object.assign(simpleCharSvgs, newSimpleCharSvgs), function (error) {
-                        if (error !== null) {
-                          console.error("Error saving simpleCharSvgs: ", error);
-                        }
-                      });
-                  }
-                });
-                reader.readAsText(file);
-              });
+              svgs[char] = texts[index];
             });
-          });
+            sendSimpleCharsToImport(files.length === 1 ? files[0].name : files.length + " SVG files", svgs, skipped, importOptions);
+          })
+          .catch(reportFileError(options.description));
+      });
+
+      app.ports.importSpriteSheetPort.subscribe(function (importOptions) {
+        fileOpen({
+          mimeTypes: ['image/svg+xml'],
+          extensions: ['.svg'],
+          description: 'SVG Sprite Sheet',
+        })
+          .then(async function (file) {
+            try {
+              var result = readSpriteSheet(await file.text());
+              sendSimpleCharsToImport(file.name, result.svgs, result.skipped, importOptions);
+            } catch (error) {
+              sendSimpleCharsToImport(file.name, {}, [{ name: file.name, reason: problemOf(error) }], importOptions);
+            }
+          })
+          .catch(reportFileError("SVG Sprite Sheet"));
+      });
+
+      app.ports.importFontGlyphsPort.subscribe(function (importOptions) {
+        var selection = importOptions.selection;
+        var chars;
+        try {
+          chars = parseCharSelection(selection);
+        } catch (error) {
+          sendSimpleCharsToImport(selection, {}, [{ name: selection, reason: problemOf(error) }], importOptions);
+          return;
+        }
+        fileOpen({
+          extensions: ['.otf', '.ttf', '.woff'],
+          description: 'OpenType, TrueType or WOFF Font',
+        })
+          .then(async function (file) {
+            try {
+              var result = readFontGlyphs(await file.arrayBuffer(), chars);
+              sendSimpleCharsToImport(file.name, result.svgs, result.skipped, importOptions);
+            } catch (error) {
+              sendSimpleCharsToImport(file.name, {}, [{ name: file.name, reason: problemOf(error) }], importOptions);
+            }
+          })
+          .catch(reportFileError(selection));
+      });
+
+      // Closing the file dialog rejects with an AbortError, which is not a problem
+      function reportFileError(name) {
+        return function (error) {
+          if (error instanceof Error && error.name === "AbortError") {
+            return;
+          }
+          console.error("Error importing simple characters: ", error);
+          app.ports.gotSvgWarningsPort.send([{ name: name, reason: problemOf(error) }]);
+        };
+      }
+
+      // nothing is stored until the user confirms the preview
+      function sendSimpleCharsToImport(source, svgs, skipped, importOptions) {
+        var chars = [];
+        var sanitizingErrors = [];
+        Object.keys(svgs).forEach(function (char) {
+          try {
+            var result = sanitizeSvg(svgs[char], importOptions);
+            chars.push({
+              char: char,
+              svg: result.svg,
+              preview: "data:image/svg+xml;base64," + encodeBase64(result.svg),
+              warnings: result.warnings,
+            });
+          } catch (error) {
+            sanitizingErrors.push({ name: char, reason: problemOf(error) });
+          }
+        });
+        app.ports.gotSimpleCharsToImportPort.send({
+          source: source,
+          chars: chars,
+          skipped: skipped.concat(sanitizingErrors),
+        });
+      }
+
+      app.ports.importSimpleCharsPort.subscribe(function (svgs) {
+        app.ports.gotNewSimpleCharsPort.send(svgs);
+        saveSimpleCharSvgs(storage.setSimpleCharSvgs(svgs));
       });
 
-      app.ports.uploadSimpleCharPort.subscribe(function (char) {
+      app.ports.uploadSimpleCharPort.subscribe(function (importOptions) {
+        var char = importOptions.char;
         var options = {
           // List of allowed MIME types, defaults to `*/*`.
           mimeTypes: ['image/svg+xml'],
@@ -139,114 +403,300 @@ localforage.getItem(modelStorageKey, function (error, savedModelJson) {
         fileOpen(options)
           .then(function (file) {
             // console.log(files);
-            localforage.getItem(simpleCharSvgsStorageKey, function (error, simpleCharSvgs) {
-              if (error !== null) {
-                console.error("Error getting saved simpleCharSvgs: ", error);
+            var reader = new FileReader();
+            reader.addEventListener('load', function (event) {
+              var result;
+              try {
+                result = sanitizeSvg(event.target.result, importOptions);
+              } catch (error) {
+                app.ports.gotSvgWarningsPort.send([{ name: file.name, reason: problemOf(error) }]);
+                return;
               }
-              if (simpleCharSvgs === null) {
-                simpleCharSvgs = {};
+              if (result.warnings.length > 0) {
+                app.ports.gotSvgWarningsPort.send(result.warnings.map(function (warning) {
+                  return { name: file.name, reason: warning };
+                }));
               }
-              var reader = new FileReader();
-              reader.addEventListener('load', function (event) {
-                var svg = event.target.result;
-                simpleCharSvgs[char] = svg;
-                app.ports.loadedSimpleCharPort.send(svg);
-                localforage.setItem(simpleCharSvgsStorageKey
-                  , simpleCharSvgs, function (error) {
-                    if (error !== null) {
-                      console.error("Error saving simpleCharSvgs: ", error);
-                    }
-                  });
-              });
-              reader.readAsText(file);
+              app.ports.loadedSimpleCharPort.send(result.svg);
+              saveSimpleCharSvgs(storage.setSimpleCharSvgs({ [char]: result.svg }));
             });
-          });
+            reader.readAsText(file);
+          })
+          .catch(reportFileError(char));
       });
 
       app.ports.deleteSimpleCharPort.subscribe(function (char) {
-        localforage.getItem(simpleCharSvgsStorageKey, function (error, simpleCharSvgs) {
-          if (error !== null) {
-            console.error("Error getting saved simpleCharSvgs: ", error);
-          }
-          delete simpleCharSvgs[char];
-          localforage.setItem(simpleCharSvgsStorageKey, simpleCharSvgs, function (error) {
-            if (error !== null) {
-              console.error("Error saving simpleCharSvgs: ", error);
-            }
-          });
-        });
+        saveSimpleCharSvgs(storage.removeSimpleCharSvg(char));
       });
 
       app.ports.clearSimpleCharsPort.subscribe(function () {
-        localforage.getItem(simpleCharSvgsStorageKey, function (error, simpleCharSvgs) {
-          if (error !== null) {
-            console.error("Error getting saved simpleCharSvgs: ", error);
-          }
-          localforage.setItem(simpleCharSvgsStorageKey, {}, function (error) {
-            if (error !== null) {
-              console.error("Error saving simpleCharSvgs: ", error);
-            }
+        saveSimpleCharSvgs(storage.replaceSimpleCharSvgs({}));
+      });
+
+      app.ports.readStrokesPort.subscribe(function (options) {
+        var strokes;
+        try {
+          strokes = readStrokes(options.svg, options.box);
+        } catch (error) {
+          app.ports.gotSvgWarningsPort.send([{ name: options.char, reason: problemOf(error) }]);
+          return;
+        }
+        app.ports.gotStrokesPort.send({ char: options.char, strokes: strokes });
+      });
+
+      // undoing and redoing brings back the svgs that were replaced or removed
+      app.ports.saveSimpleCharSvgsPort.subscribe(function (changes) {
+        saveSimpleCharSvgs(storage.saveSimpleCharSvgChanges(changes));
+      });
+
+      app.ports.saveHistoryPort.subscribe(function (changes) {
+        storage.saveHistoryChanges(changes)
+          .then(sendStorageUsage)
+          .catch(function (error) {
+            console.error("Error saving history: ", error);
           });
+      });
+
+      function saveSimpleCharSvgs(saving) {
+        saving
+          .then(sendStorageUsage)
+          .catch(function (error) {
+            console.error("Error saving simpleCharSvgs: ", error);
+          });
+      }
+
+      async function sendStorageUsage() {
+        try {
+          var estimate = await estimateStorage();
+          if (estimate !== null) {
+            app.ports.gotStorageUsagePort.send(estimate);
+          }
+        } catch (error) {
+          console.error("Error estimating storage usage: ", error);
+        }
+      }
+
+      // The error is the problem that stopped the whole export
+      function sendExportProgress(done, total, failures, isFinished, error) {
+        app.ports.gotExportProgressPort.send({
+          done: done,
+          total: total,
+          failures: failures.slice(),
+          isFinished: isFinished,
+          error: error === undefined ? null : error,
         });
+      }
+
+      app.ports.downloadCharsPort.subscribe(async function ({ chars, options }) {
+        var zip = new JSZip();
+        var manifest = [];
+        var failures = [];
+        var isSvg = options.format === "svg";
+        // vector images look the same at every size
+        var sizes = isSvg ? [Math.max.apply(null, options.sizes)] : options.sizes;
+        var isSingleFile = chars.length === 1 && sizes.length === 1;
+        var extension = options.format === "jpeg" ? ".jpg" : "." + options.format;
+        var symbols = [];
+        // every image is drawn from the saved svgs, so characters that are not on screen are exported too
+        var readPathData;
+        try {
+          readPathData = pathDataReader(await storage.getSimpleCharSvgs());
+        } catch (error) {
+          console.error("Error getting saved simpleCharSvgs: ", error);
+          sendExportProgress(0, chars.length, failures, true, problemOf(error));
+          return;
+        }
+        sendExportProgress(0, chars.length, failures, false);
+        for (var i = 0; i < chars.length; i++) {
+          var char = chars[i].char;
+          try {
+            var pathData = readPathData(chars[i]);
+            if (isSvg) {
+              symbols.push({ char: char, pathData: pathData });
+            }
+            for (var j = 0; j < sizes.length; j++) {
+              var imageOptions = Object.assign({}, options, {
+                size: sizes[j],
+                padding: Math.round(sizes[j] * options.padding / 100),
+              });
+              var fileName =
+                charFileName(char) + (sizes.length > 1 ? "-" + sizes[j] : "") + extension;
+              var svg = buildCharSvg(pathData, imageOptions);
+              // the svg is already padded to the size of the image
+              var imageData = isSvg
+                ? "data:image/svg+xml;base64," + encodeBase64(svg)
+                : await svgToImage(svg, Object.assign({}, imageOptions, { padding: 0 }));
+              if (isSingleFile) {
+                downloadFile(imageData, fileName);
+              } else {
+                zip.file(fileName, imageData.slice(imageData.indexOf(",") + 1), { base64: true });
+                manifest.push({
+                  grapheme: char,
+                  codePoint: codePointsOf(char),
+                  type: chars[i].type === "SimpleChar" ? "simple" : "compound",
+                  fileName: fileName,
+                  size: sizes[j],
+                });
+              }
+            }
+          } catch (error) {
+            failures.push({ char: char, reason: problemOf(error) });
+          }
+          sendExportProgress(i + 1, chars.length, failures, false);
+        }
+        if (manifest.length > 0) {
+          try {
+            if (isSvg) {
+              zip.file("sprite.svg", buildSpriteSheet(symbols, options.strokeWidth));
+            }
+            zip.file("manifest.json", JSON.stringify({ characters: manifest }, null, 2));
+            var url = URL.createObjectURL(await zip.generateAsync({ type: "blob" }));
+            downloadFile(url, "characters.zip");
+            setTimeout(function () {
+              URL.revokeObjectURL(url);
+            }, 1000);
+          } catch (error) {
+            console.error("Error creating characters.zip: ", error);
+            sendExportProgress(chars.length, chars.length, failures, true, problemOf(error));
+            return;
+          }
+        }
+        sendExportProgress(chars.length, chars.length, failures, true);
       });
 
-      app.ports.downloadCharsPort.subscribe(function (chars) {
-        chars.forEach(function(char) {
-          var svgElement = document.getElementById("char-" + char);
-          if (svgElement === null) {
+      app.ports.exportSpecimenPort.subscribe(async function (options) {
+        try {
+          var readPathData = pathDataReader(await storage.getSimpleCharSvgs());
+          var specimen = measureSpecimen(options.fontSize / 2);
+          specimen.cells.forEach(function (cell) {
+            if (cell.kind === "glyph") {
+              cell.pathData = readPathData({ placements: options.glyphs[cell.char] });
+            }
+          });
+          var svg = buildSpecimenSvg(specimen, options);
+          if (options.format === "svg") {
+            downloadFile("data:image/svg+xml;base64," + encodeBase64(svg), "specimen.svg");
             return;
           }
-          var svgData = new XMLSerializer().serializeToString(svgElement);
-          svgToPng(svgData)
-            .then(function(pngData) {
-              console.log(pngData);
-              var downloadLink = document.createElement("a");
-              downloadLink.href = pngData;
-              downloadLink.download = char + ".png";
-              document.body.appendChild(downloadLink);
-              downloadLink.click();
-              document.body.removeChild(downloadLink);
-            })
-            .catch(function(err) {
-              console.log("Error converting svg to png");
-              console.log(err);
-            });
+          var imageOptions = {
+            width: Math.ceil(specimen.width * specimenResolution),
+            height: Math.ceil(specimen.height * specimenResolution),
+            padding: 0,
+            background: options.background,
+            // PDF documents can hold JPEG files as they are
+            format: options.format === "pdf" ? "jpeg" : "png",
+          };
+          var imageData = await svgToImage(svg, imageOptions);
+          if (options.format === "pdf") {
+            var pdf = buildImagePdf(
+              bytesFromDataUrl(imageData),
+              imageOptions.width,
+              imageOptions.height,
+              specimen.width * pointsPerPixel,
+              specimen.height * pointsPerPixel
+            );
+            var url = URL.createObjectURL(pdf);
+            downloadFile(url, "specimen.pdf");
+            setTimeout(function () {
+              URL.revokeObjectURL(url);
+            }, 1000);
+          } else {
+            downloadFile(imageData, "specimen.png");
+          }
+        } catch (error) {
+          // a specimen is one file, so there are no characters to count
+          sendExportProgress(0, 0, [], true, problemOf(error));
+        }
+      });
+
+      app.ports.exportFontPort.subscribe(async function (options) {
+        var total = options.glyphs.length;
+        try {
+          var result = buildFont(options, await storage.getSimpleCharSvgs());
+          var url = URL.createObjectURL(new Blob([result.font], { type: "font/otf" }));
+          downloadFile(url, options.fontName + ".otf");
+          setTimeout(function () {
+            URL.revokeObjectURL(url);
+          }, 1000);
+          sendExportProgress(total, total, result.failures, true);
+        } catch (error) {
+          console.error("Error exporting font: ", error);
+          sendExportProgress(total, total, [], true, problemOf(error));
+        }
+      });
+
+      app.ports.loadTranslationsPort.subscribe(function (language) {
+        setDocumentLanguage(language);
+        loadTranslations(languages, language).then(function (translations) {
+          app.ports.gotTranslationsPort.send({
+            language: language,
+            translations: translations,
+          });
         });
       });
 
-      app.ports.saveModelPort.subscribe(function (model) {
-        // console.log("Saving model: ", model);
-        localforage.setItem(modelStorageKey, model, function (error) {
-          if (error !== null) {
-            console.error("error saving model: ", error);
+      app.ports.exportCatalogPort.subscribe(async function ({ format, entries, strokeWidth, labels }) {
+        try {
+          var readPathData = pathDataReader(await storage.getSimpleCharSvgs());
+          entries.forEach(function (entry) {
+            entry.codePoint = codePointsOf(entry.char);
+            entry.svg = buildCharSvg(readPathData(entry), {
+              size: catalogGlyphSize,
+              padding: 0,
+              background: null,
+              strokeWidth: strokeWidth,
+            });
+          });
+          if (format === "print") {
+            var html = buildCatalogHtml(entries, labels);
+            var printWindow = window.open("", "_blank");
+            // pop-up blockers leave nothing to print in, so the document is saved instead
+            if (printWindow === null) {
+              downloadTextFile(html, "text/html", "catalogue.html");
+              return;
+            }
+            printWindow.document.write(html);
+            printWindow.document.close();
+            printWindow.addEventListener("load", function () {
+              printWindow.print();
+            });
+          } else if (format === "csv") {
+            downloadTextFile(buildCatalogCsv(entries), "text/csv", "catalogue.csv");
           } else {
-            // console.log("Successfully saved model!");
+            downloadTextFile(buildCatalogJson(entries), "application/json", "catalogue.json");
           }
-        });
+        } catch (error) {
+          console.error("Error exporting catalogue: ", error);
+        }
+      });
+
+      app.ports.saveChangesPort.subscribe(function (changes) {
+        storage.saveChanges(changes)
+          .then(sendStorageUsage)
+          .catch(function (error) {
+            console.error("Error saving changes: ", error);
+          });
       });
 
       app.ports.backupAsLocalFilePort.subscribe(backupAsLocalFile, function () { });
 
-      function backupAsLocalFile(model, callback) {
-        localforage.getItem(simpleCharSvgsStorageKey, async function (error, simpleCharSvgs) {
-          if (error !== null) {
-            console.error("Error getting saved simpleCharSvgs: ", error);
-            return;
-          }
-          if (simpleCharSvgs === null) {
-            return;
-          }
-          console.log("Backing up as local file...");
-          var json =
-          {
-            model: model
-            , simpleCharSvgs: simpleCharSvgs
-          };
+      function createBackupBlob(model, callback) {
+        storage.getSimpleCharSvgs().then(function (simpleCharSvgs) {
+          // not validated, so a damaged library is still backed up and its problems show on import
+          var json = createBackup(model, simpleCharSvgs);
           var jsonString = JSON.stringify(json, null, 2);
-          var blob = new Blob(
+          callback(new Blob(
             [jsonString]
             , { type: 'application/json' }
-          );
+          ));
+        }, function (error) {
+          console.error("Error getting saved simpleCharSvgs: ", error);
+        });
+      }
+
+      function backupAsLocalFile(model, callback) {
+        createBackupBlob(model, async function (blob) {
+          console.log("Backing up as local file...");
           if (!(await verifyPermission(backupFileHandle))) {
             return;
           }
@@ -256,6 +706,16 @@ localforage.getItem(modelStorageKey, function (error, savedModelJson) {
       }
 
       app.ports.updateBackupLocationPort.subscribe(function (model) {
+        if (!supportsFileSystemAccess) {
+          createBackupBlob(model, function (blob) {
+            fileSave(blob, {
+              fileName: "buyan-studio-backup-" + new Date().toISOString().slice(0, 10) + ".json",
+              extensions: [".json"],
+            })
+              .catch(reportBackupError);
+          });
+          return;
+        }
         getBackupFileHandle(
           FilePickerType.Save,
           function() {
@@ -303,41 +763,328 @@ localforage.getItem(modelStorageKey, function (error, savedModelJson) {
       }
 
       app.ports.uploadBackupPort.subscribe(function () {
+        if (!supportsFileSystemAccess) {
+          fileOpen({
+            mimeTypes: ['application/json'],
+            extensions: ['.json'],
+            description: "Buyan Studio Backup File",
+          })
+            .then(function (file) {
+              return readBackupFile(file, false);
+            })
+            .catch(reportBackupError);
+          return;
+        }
         getBackupFileHandle(
           FilePickerType.Open,
           async function() {
             if (!(await verifyPermission(backupFileHandle))) {
               return;
             }
-            var file = await backupFileHandle.getFile();
-            var backupJson = JSON.parse(await file.text());
-            app.ports.succeededInBackupPort.send(null);
-            if (backupJson !== null && backupJson.model !== null && backupJson.simpleCharSvgs !== null) {
-              localforage.setItem(simpleCharSvgsStorageKey, backupJson.simpleCharSvgs, function (error) {
-                if (error !== null) {
-                  console.error("Error saving simpleCharSvgs: ", error);
-                }
-                app.ports.gotNewSimpleCharsPort.send(backupJson.simpleCharSvgs);
-                app.ports.getModelPort.send(backupJson.model);
-              });
-            }
+            readBackupFile(await backupFileHandle.getFile(), true);
           }
         )
       });
 
-      localforage.getItem(simpleCharSvgsStorageKey, function (error, savedSimpleCharSvgs) {
+      app.ports.exportPreferencesPort.subscribe(function (preferences) {
+        var blob = new Blob([JSON.stringify(preferences, null, 2)], { type: "application/json" });
+        fileSave(blob, {
+          fileName: "buyan-studio-preferences.json",
+          extensions: [".json"],
+        }).catch(function (error) {
+          console.error("Error exporting preferences: ", error);
+        });
+      });
+
+      app.ports.importPreferencesPort.subscribe(function () {
+        fileOpen({
+          mimeTypes: ['application/json'],
+          extensions: ['.json'],
+          description: "Buyan Studio Preferences File",
+        })
+          .then(async function (file) {
+            // Elm reads the JSON, so a broken file is reported like any other problem
+            app.ports.gotPreferencesFilePort.send(await file.text());
+          })
+          .catch(function (error) {
+            // Closing the file dialog rejects with an AbortError, which is not a problem
+            if (error instanceof Error && error.name === "AbortError") {
+              return;
+            }
+            console.error("Error importing preferences: ", error);
+            app.ports.gotPreferencesFilePort.send(problemOf(error));
+          });
+      });
+
+      // Closing the file dialog rejects with an AbortError, which is not a problem
+      function reportBackupError(error) {
+        if (error instanceof Error && error.name === "AbortError") {
+          return;
+        }
+        console.error("Error reading or saving backup: ", error);
+        app.ports.gotBackupErrorsPort.send([problemOf(error)]);
+      }
+
+      // the backup file becomes the backup location when it was opened through a file handle
+      async function readBackupFile(file, isBackupLocation) {
+        var result = readBackup(await file.text());
+        if (result.errors.length > 0) {
+          app.ports.gotBackupErrorsPort.send(result.errors);
+          return;
+        }
+        if (isBackupLocation) {
+          app.ports.succeededInBackupPort.send(null);
+        }
+        sendBackup(app.ports.gotBackupPort, file.name, result.backup);
+      }
+
+      function sendBackup(port, name, backup) {
+        storage.getSimpleCharSvgs().then(function (simpleCharSvgs) {
+          port.send({
+            fileName: name,
+            backup: backup,
+            // the characters whose svg differs from the one in the current library
+            changedSvgs: Object.keys(backup.simpleCharSvgs).filter(function (char) {
+              return char in simpleCharSvgs && simpleCharSvgs[char] !== backup.simpleCharSvgs[char];
+            }),
+          });
+        }, function (error) {
+          console.error("Error getting saved simpleCharSvgs: ", error);
+        });
+      }
+
+      app.ports.applyBackupPort.subscribe(function ({ simpleCharSvgs, isReplace }) {
+        (isReplace
+          ? storage.replaceSimpleCharSvgs(simpleCharSvgs)
+          : storage.setSimpleCharSvgs(simpleCharSvgs)
+        )
+          .then(function () {
+            app.ports.gotSavedSimpleCharsPort.send({
+              simpleCharSvgs: simpleCharSvgs,
+              isReplace: isReplace,
+            });
+            sendStorageUsage();
+          })
+          .catch(function (error) {
+            console.error("Error saving simpleCharSvgs: ", error);
+          });
+      });
+
+      localforage.getItem(snapshotDirectoryHandleStorageKey, function (error, handle) {
         if (error !== null) {
+          console.error("Error getting snapshotDirectoryHandle: ", error);
+        }
+        snapshotDirectoryHandle = handle || null;
+        sendSnapshots();
+      });
+
+      // falls back to IndexedDB until access to the directory is granted again
+      async function getSnapshotStore() {
+        if (snapshotDirectoryHandle !== null
+          && (await snapshotDirectoryHandle.queryPermission({ mode: 'readwrite' })) === 'granted') {
+          return directorySnapshots(snapshotDirectoryHandle);
+        }
+        return browserSnapshots(projectStorageName(currentProjectId));
+      }
+
+      async function sendSnapshots() {
+        try {
+          var store = await getSnapshotStore();
+          var ids = await listSnapshots(store);
+          app.ports.gotSnapshotsPort.send({
+            location: store.location,
+            canChooseDirectory: "showDirectoryPicker" in window,
+            snapshots: ids.map(function (id) {
+              return { id: id, label: new Date(id).toLocaleString() };
+            }),
+          });
+        } catch (error) {
+          console.error("Error listing snapshots: ", error);
+        }
+      }
+
+      app.ports.takeSnapshotPort.subscribe(function ({ model, maxSnapshots }) {
+        storage.getSimpleCharSvgs().then(async function (simpleCharSvgs) {
+          try {
+            await takeSnapshot(await getSnapshotStore(), model, simpleCharSvgs, maxSnapshots);
+            sendSnapshots();
+          } catch (error) {
+            console.error("Error taking snapshot: ", error);
+          }
+        }, function (error) {
           console.error("Error getting saved simpleCharSvgs: ", error);
+        });
+      });
+
+      app.ports.listSnapshotsPort.subscribe(function () {
+        sendSnapshots();
+      });
+
+      app.ports.chooseSnapshotDirectoryPort.subscribe(async function () {
+        try {
+          var handle = await window.showDirectoryPicker();
+          if (!(await verifyPermission(handle))) {
+            return;
+          }
+          snapshotDirectoryHandle = handle;
+          localforage.setItem(snapshotDirectoryHandleStorageKey, handle, function (error) {
+            if (error !== null) {
+              console.error("Error saving snapshotDirectoryHandle: ", error);
+            }
+          });
+          sendSnapshots();
+        } catch (error) {
+          console.error("Error choosing snapshot directory: ", error);
         }
-        // console.log("Getting saved simpleCharSvgs: ", savedSimpleCharSvgs);
-        if (savedSimpleCharSvgs !== null) {
-          app.ports.gotSavedSimpleCharsPort.send(savedSimpleCharSvgs);
+      });
+
+      app.ports.useBrowserSnapshotsPort.subscribe(function () {
+        snapshotDirectoryHandle = null;
+        localforage.removeItem(snapshotDirectoryHandleStorageKey, function (error) {
+          if (error !== null) {
+            console.error("Error removing snapshotDirectoryHandle: ", error);
+          }
+        });
+        sendSnapshots();
+      });
+
+      app.ports.loadSnapshotPort.subscribe(async function (id) {
+        try {
+          var result = await readSnapshot(await getSnapshotStore(), id);
+          if (result.errors.length > 0) {
+            app.ports.gotBackupErrorsPort.send(result.errors);
+            return;
+          }
+          sendBackup(app.ports.gotSnapshotPort, new Date(id).toLocaleString(), result.backup);
+        } catch (error) {
+          console.error("Error loading snapshot: ", error);
         }
       });
     });
 });
 
-// If you want your app to work offline and load faster, you can change
-// unregister() to register() below. Note this comes with some pitfalls.
+// Lets the browser pick the fonts and line breaking of the language
+function setDocumentLanguage(id) {
+  var language = findLanguage(languages, id);
+  if (language !== null) {
+    document.documentElement.lang = language.tags[0];
+  }
+}
+
+function codePointsOf(char) {
+  return Array.from(char)
+    .map(function (codePoint) {
+      return "U+" + codePoint.codePointAt(0).toString(16).toUpperCase().padStart(4, "0");
+    })
+    .join(" ");
+}
+
+// Characters like "/" or "." cannot name a file, so files are named after the
+// code points of their characters, like `U+6728.svg`, which the import reads back
+function charFileName(char) {
+  return codePointsOf(char).replace(/ /g, "_");
+}
+
+// The width and height of the glyph on every page of the printed catalogue in pixels
+var catalogGlyphSize = 160;
+
+// Pixels of the PNG and PDF specimens per pixel on screen
+var specimenResolution = 2;
+
+var pointsPerPixel = 72 / 96;
+
+/**
+ * Reads where the paragraph preview shows every character
+ * @param {number} margin the space around the characters in pixels
+ * @return {object} the size of the preview and its characters, as `buildSpecimenSvg` reads them
+ */
+function measureSpecimen(margin) {
+  var cells = Array.from(document.querySelectorAll("[data-specimen-kind]")).map(function (element) {
+    var rect = element.getBoundingClientRect();
+    var cell = {
+      char: element.getAttribute("data-specimen-char"),
+      kind: element.getAttribute("data-specimen-kind"),
+      box: { x: rect.left, y: rect.top, width: rect.width, height: rect.height },
+    };
+    var svgElement = element.querySelector("svg");
+    if (cell.kind === "glyph" && svgElement !== null) {
+      // the preview draws the 0 to 100 box of a character over its whole svg
+      var svgRect = svgElement.getBoundingClientRect();
+      cell.emBox = { x: svgRect.left, y: svgRect.top, size: svgRect.width };
+    } else if (cell.kind === "glyph") {
+      cell.kind = "blank";
+    }
+    return cell;
+  });
+  if (cells.length === 0) {
+    throw new Error("the preview is empty");
+  }
+  // glyphs may reach outside their boxes
+  var boxes = [];
+  cells.forEach(function (cell) {
+    boxes.push(cell.box);
+    if (cell.emBox) {
+      boxes.push({ x: cell.emBox.x, y: cell.emBox.y, width: cell.emBox.size, height: cell.emBox.size });
+    }
+  });
+  var left = Math.min.apply(null, boxes.map(function (box) { return box.x; }));
+  var top = Math.min.apply(null, boxes.map(function (box) { return box.y; }));
+  var right = Math.max.apply(null, boxes.map(function (box) { return box.x + box.width; }));
+  var bottom = Math.max.apply(null, boxes.map(function (box) { return box.y + box.height; }));
+  cells.forEach(function (cell) {
+    cell.box.x += margin - left;
+    cell.box.y += margin - top;
+    if (cell.emBox) {
+      cell.emBox.x += margin - left;
+      cell.emBox.y += margin - top;
+    }
+  });
+  return {
+    width: right - left + margin * 2,
+    height: bottom - top + margin * 2,
+    cells: cells,
+  };
+}
+
+function bytesFromDataUrl(dataUrl) {
+  var binary = atob(dataUrl.slice(dataUrl.indexOf(",") + 1));
+  var bytes = new Uint8Array(binary.length);
+  for (var i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+function encodeBase64(text) {
+  var binary = "";
+  new TextEncoder().encode(text).forEach(function (byte) {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+function downloadTextFile(text, type, fileName) {
+  var url = URL.createObjectURL(new Blob([text], { type: type }));
+  downloadFile(url, fileName);
+  setTimeout(function () {
+    URL.revokeObjectURL(url);
+  }, 1000);
+}
+
+function downloadFile(href, fileName) {
+  var downloadLink = document.createElement("a");
+  downloadLink.href = href;
+  downloadLink.download = fileName;
+  document.body.appendChild(downloadLink);
+  downloadLink.click();
+  document.body.removeChild(downloadLink);
+}
+
+// Caches the app and its translations so it works offline, see public/offline-worker.js
 // Learn more about service workers: https://bit.ly/CRA-PWA
-serviceWorker.unregister();
+serviceWorker.register({
+  onUpdate: function (registration) {
+    waitingServiceWorker = registration.waiting;
+    sendUpdateAvailable();
+  },
+});
@@ -0,0 +1,130 @@
+/**
+ * Choosing and loading the language of the app.
+ *
+ * The languages are listed in `translations/languages.json`. Each has an
+ * `id`, which is also the name of its translation file, the `name` it is
+ * shown with and the BCP 47 `tags` it is chosen for, the first being the tag
+ * of the documents it translates. A language is added by dropping its
+ * translation file next to the manifest and listing it there. Every
+ * translation is laid over the one of the `fallback` language, so keys that
+ * a language does not translate yet show in the fallback language.
+ */
+
+var manifestUrl = "translations/languages.json";
+
+// Used when the manifest cannot be loaded
+var defaultManifest = {
+  fallback: "LanguageEn",
+  languages: [{ id: "LanguageEn", name: "English", tags: ["en"] }],
+};
+
+/**
+ * @return {Promise<object>} the manifest of the languages
+ */
+async function loadLanguages() {
+  try {
+    var response = await fetch(manifestUrl);
+    if (!response.ok) {
+      throw new Error(response.status + " " + response.statusText);
+    }
+    return await response.json();
+  } catch (error) {
+    console.error("Error getting languages: ", error);
+    return defaultManifest;
+  }
+}
+
+/**
+ * Picks the language that best matches the preferences of the browser. Each
+ * preferred tag is tried from its most specific form to its primary language,
+ * so `zh-Hant-HK` matches `zh-Hant` and `en-GB` matches `en`. Tags without
+ * any translation, like `ja` or `ko`, give way to the next preferred tag.
+ * @param {object} manifest the manifest of the languages
+ * @param {Array} preferredTags the tags in order of preference, like `navigator.languages`
+ * @return {string} the id of the language
+ */
+function negotiateLanguage(manifest, preferredTags) {
+  for (var i = 0; i < preferredTags.length; i++) {
+    var subtags = preferredTags[i].toLowerCase().split("-");
+    for (var length = subtags.length; length > 0; length--) {
+      var language = languageOfTag(manifest, subtags.slice(0, length).join("-"));
+      if (language !== null) {
+        return language.id;
+      }
+    }
+  }
+  return manifest.fallback;
+}
+
+function languageOfTag(manifest, tag) {
+  return manifest.languages.find(function (language) {
+    return language.tags.some(function (languageTag) {
+      return languageTag.toLowerCase() === tag;
+    });
+  }) || null;
+}
+
+/**
+ * @param {object} manifest the manifest of the languages
+ * @param {string} id the id of a language
+ * @return {?object} the language, or null when it is not in the manifest
+ */
+function findLanguage(manifest, id) {
+  return manifest.languages.find(function (language) {
+    return language.id === id;
+  }) || null;
+}
+
+/**
+ * Loads the translations of a language over those of the fallback language.
+ * When the language cannot be loaded, the fallback language is used alone,
+ * and when neither can the app shows the keys.
+ * @param {object} manifest the manifest of the languages
+ * @param {string} id the id of the language
+ * @return {Promise<object>} the translations
+ */
+async function loadTranslations(manifest, id) {
+  var fallback = {};
+  try {
+    fallback = await fetchTranslations(manifest.fallback);
+  } catch (error) {
+    console.error("Error getting translations of " + manifest.fallback + ": ", error);
+  }
+  if (id === manifest.fallback) {
+    return fallback;
+  }
+  try {
+    return mergeTranslations(fallback, await fetchTranslations(id));
+  } catch (error) {
+    console.error("Error getting translations of " + id + ": ", error);
+    return fallback;
+  }
+}
+
+async function fetchTranslations(id) {
+  var response = await fetch("translations/" + id + ".json");
+  if (!response.ok) {
+    throw new Error(response.status + " " + response.statusText);
+  }
+  return response.json();
+}
+
+// Nested keys like `scriptName.oracle` are merged one by one
+function mergeTranslations(fallback, translations) {
+  var merged = Object.assign({}, fallback);
+  Object.keys(translations).forEach(function (key) {
+    var value = translations[key];
+    if (isObject(value) && isObject(fallback[key])) {
+      merged[key] = mergeTranslations(fallback[key], value);
+    } else if (value !== "") {
+      merged[key] = value;
+    }
+  });
+  return merged;
+}
+
+function isObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+export { loadLanguages, negotiateLanguage, findLanguage, loadTranslations };
@@ -0,0 +1,65 @@
+/**
+ * Wrapping an image into a one page PDF document. The page is as large as
+ * the image is shown on screen, so it prints at that size while the image
+ * keeps its higher resolution.
+ */
+
+/**
+ * @param {Uint8Array} jpeg the JPEG file
+ * @param {number} pixelWidth the width of the image in pixels
+ * @param {number} pixelHeight the height of the image in pixels
+ * @param {number} pageWidth the width of the page in points
+ * @param {number} pageHeight the height of the page in points
+ * @return {Blob} the PDF document
+ */
+function buildImagePdf(jpeg, pixelWidth, pixelHeight, pageWidth, pageHeight) {
+  var width = formatNumber(pageWidth);
+  var height = formatNumber(pageHeight);
+  // the image fills the page, as images are drawn into a 1 by 1 unit square
+  var content = "q " + width + " 0 0 " + height + " 0 0 cm /Im0 Do Q";
+  var objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    "<< /Type /Page /Parent 2 0 R /MediaBox [0 0 " + width + " " + height + "]"
+    + " /Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>",
+    [
+      "<< /Type /XObject /Subtype /Image /Width " + pixelWidth + " /Height " + pixelHeight
+      + " /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length " + jpeg.length + " >>\nstream\n",
+      jpeg,
+      "\nendstream",
+    ],
+    "<< /Length " + content.length + " >>\nstream\n" + content + "\nendstream",
+  ];
+  var encoder = new TextEncoder();
+  var parts = [];
+  var length = 0;
+  var write = function (part) {
+    var bytes = typeof part === "string" ? encoder.encode(part) : part;
+    parts.push(bytes);
+    length += bytes.length;
+  };
+  var offsets = [];
+  write("%PDF-1.4\n");
+  objects.forEach(function (object, index) {
+    offsets.push(length);
+    write((index + 1) + " 0 obj\n");
+    [].concat(object).forEach(write);
+    write("\nendobj\n");
+  });
+  var xrefOffset = length;
+  // every cross-reference entry is exactly 20 bytes long
+  write("xref\n0 " + (objects.length + 1) + "\n"
+    + "0000000000 65535 f \n"
+    + offsets.map(function (offset) {
+      return String(offset).padStart(10, "0") + " 00000 n \n";
+    }).join("")
+    + "trailer\n<< /Size " + (objects.length + 1) + " /Root 1 0 R >>\n"
+    + "startxref\n" + xrefOffset + "\n%%EOF\n");
+  return new Blob(parts, { type: "application/pdf" });
+}
+
+function formatNumber(value) {
+  return String(+value.toFixed(2));
+}
+
+export { buildImagePdf };
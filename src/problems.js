@@ -0,0 +1,46 @@
+/**
+ * Problems reported to the user.
+ *
+ * A problem is the `code` of its translation under `problem` in the
+ * translation files and the `args` that fill in its {{placeholders}}, so Elm
+ * shows it in the language of the app. Errors thrown by `problemError` carry
+ * their problem, every other error becomes an `unexpected` problem with the
+ * message of the browser.
+ */
+
+/**
+ * @param {string} code the key of the translation
+ * @param {object} [args] the values of the placeholders
+ * @return {{ code: string, args: object }} the problem
+ */
+function problem(code, args) {
+  var values = {};
+  Object.keys(args || {}).forEach(function (name) {
+    values[name] = String(args[name]);
+  });
+  return { code: code, args: values };
+}
+
+/**
+ * @param {string} code the key of the translation
+ * @param {object} [args] the values of the placeholders
+ * @return {Error} an error carrying the problem
+ */
+function problemError(code, args) {
+  var error = new Error(code);
+  error.problem = problem(code, args);
+  return error;
+}
+
+/**
+ * @param {*} error anything thrown
+ * @return {{ code: string, args: object }} the problem of the error
+ */
+function problemOf(error) {
+  if (error instanceof Error && error.problem !== undefined) {
+    return error.problem;
+  }
+  return problem("unexpected", { message: error instanceof Error ? error.message : String(error) });
+}
+
+export { problem, problemError, problemOf };
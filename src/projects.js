@@ -0,0 +1,146 @@
+/**
+ * The projects of an installation, each a separate character library.
+ *
+ * Every project keeps its characters, preferences and snapshots in its own
+ * IndexedDB database and remembers its own backup file and snapshot
+ * directory. The list of projects and which one is open are saved in the
+ * default localforage store. The first project uses the database and keys of
+ * the single library that came before projects, so existing data opens as
+ * that project.
+ */
+import localforage from 'localforage';
+import { copyStorage, deleteStorage } from './storage';
+
+var projectsKey = "buyan-studio-projects";
+var firstProjectId = "buyan-studio";
+var storageNamePrefix = "buyan-studio-";
+
+/**
+ * Loads the list of projects, creating the first project on the first start
+ * @param {string} firstProjectName the name of the first project
+ * @return {Promise<{ projects: Array, currentId: string }>} the `id` and `name` of every project, and the id of the open one
+ */
+async function loadProjects(firstProjectName) {
+  var registry = await localforage.getItem(projectsKey);
+  if (registry === null) {
+    registry = {
+      projects: [{ id: firstProjectId, name: firstProjectName }],
+      currentId: firstProjectId,
+    };
+    await localforage.setItem(projectsKey, registry);
+  }
+  return registry;
+}
+
+async function updateRegistry(update) {
+  var registry = await localforage.getItem(projectsKey);
+  update(registry);
+  await localforage.setItem(projectsKey, registry);
+  return registry;
+}
+
+/**
+ * @param {string} id the id of the project
+ * @return {string} the name of the IndexedDB database of the project
+ */
+function projectStorageName(id) {
+  return id === firstProjectId ? firstProjectId : storageNamePrefix + id;
+}
+
+/**
+ * Namespaces a localforage key to a project
+ * @param {string} id the id of the project
+ * @param {string} key the key, like `backupFileHandle`
+ * @return {string} the key of the project
+ */
+function projectKey(id, key) {
+  return id === firstProjectId ? storageNamePrefix + key : storageNamePrefix + id + "-" + key;
+}
+
+function newProjectId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+/**
+ * Adds an empty project
+ * @param {string} name the name of the project
+ * @return {Promise<object>} the updated list of projects
+ */
+function createProject(name) {
+  return updateRegistry(function (registry) {
+    registry.projects.push({ id: newProjectId(), name: name });
+  });
+}
+
+/**
+ * @param {string} id the id of the project
+ * @param {string} name the new name
+ * @return {Promise<object>} the updated list of projects
+ */
+function renameProject(id, name) {
+  return updateRegistry(function (registry) {
+    registry.projects.forEach(function (project) {
+      if (project.id === id) {
+        project.name = name;
+      }
+    });
+  });
+}
+
+/**
+ * Copies the characters and preferences of a project into a new project.
+ * Snapshots, the backup file and the snapshot directory are not copied.
+ * @param {string} id the id of the project to copy
+ * @param {string} name the name of the copy
+ * @return {Promise<object>} the updated list of projects
+ */
+async function duplicateProject(id, name) {
+  var newId = newProjectId();
+  await copyStorage(projectStorageName(id), projectStorageName(newId));
+  return updateRegistry(function (registry) {
+    registry.projects.push({ id: newId, name: name });
+  });
+}
+
+/**
+ * Deletes a project that is not open, with all of its data
+ * @param {string} id the id of the project
+ * @return {Promise<object>} the updated list of projects
+ */
+async function deleteProject(id) {
+  var registry = await localforage.getItem(projectsKey);
+  if (id === registry.currentId) {
+    throw new Error("the open project cannot be deleted");
+  }
+  await deleteStorage(projectStorageName(id));
+  await localforage.removeItem(projectKey(id, "backupFileHandle"));
+  await localforage.removeItem(projectKey(id, "snapshotDirectoryHandle"));
+  return updateRegistry(function (registry) {
+    registry.projects = registry.projects.filter(function (project) {
+      return project.id !== id;
+    });
+  });
+}
+
+/**
+ * Chooses the project that opens when the app starts
+ * @param {string} id the id of the project
+ * @return {Promise<object>} the updated list of projects
+ */
+function setCurrentProject(id) {
+  return updateRegistry(function (registry) {
+    registry.currentId = id;
+  });
+}
+
+export {
+  firstProjectId,
+  loadProjects,
+  projectStorageName,
+  projectKey,
+  createProject,
+  renameProject,
+  duplicateProject,
+  deleteProject,
+  setCurrentProject,
+};
@@ -58,6 +58,12 @@ function registerValidSW(swUrl, config) {
   navigator.serviceWorker
     .register(swUrl)
     .then(registration => {
+      // A new version was installed during an earlier visit but never activated
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        if (config && config.onUpdate) {
+          config.onUpdate(registration);
+        }
+      }
       registration.onupdatefound = () => {
         const installingWorker = registration.installing;
         if (installingWorker == null) {
@@ -0,0 +1,173 @@
+/**
+ * Reading many simple characters at once, from svg files named after their
+ * characters, from the symbols of an svg sprite sheet or from the glyphs of
+ * an OpenType, TrueType or WOFF font. Nothing is stored here, the results are
+ * previewed before they are added to the library.
+ */
+import { parse as parseFont } from 'opentype.js';
+import { problem, problemError } from './problems';
+
+// Keeps a mistyped range from freezing the page
+var maxSelectedCodePoints = 10000;
+
+// Decimal places kept in font units
+var precision = 2;
+
+var codePointRegex = /^u\+([0-9a-f]{4,6})$/i;
+var codePointRangeRegex = /^u\+([0-9a-f]{4,6})(?:-|\.\.)(?:u\+)?([0-9a-f]{4,6})$/i;
+// `U+6728`, `u+6728` or `u+6C34-6728` for characters made of several code points
+var codePointNameRegex = /^u\+([0-9a-f]{4,6}(?:[-_]u?\+?[0-9a-f]{4,6})*)$/i;
+
+// Six hex digits go beyond the last code point of Unicode
+var maxCodePoint = 0x10FFFF;
+
+/**
+ * Finds the character a file or symbol is named after
+ * @param {string} name the name without extension, either the character itself or its code points like `U+6728`
+ * @return {?string} the character, or null when the name has a code point beyond U+10FFFF
+ */
+function charFromName(name) {
+  var match = codePointNameRegex.exec(name.trim());
+  if (match === null) {
+    return name;
+  }
+  var codePoints = match[1]
+    .split(/[-_]u?\+?/i)
+    .map(function (hex) {
+      return parseInt(hex, 16);
+    });
+  if (codePoints.some(function (codePoint) { return codePoint > maxCodePoint; })) {
+    return null;
+  }
+  return String.fromCodePoint.apply(null, codePoints);
+}
+
+/**
+ * Reads which characters to import from a font
+ * @param {string} text code points like `U+4E00`, ranges like `U+4E00-U+4E8F` or `U+4E00..4E8F`,
+ *   and any other characters, separated by spaces or commas
+ * @return {Array} the selected characters, each a single code point
+ */
+function parseCharSelection(text) {
+  var chars = [];
+  text.split(/[\s,，、]+/).forEach(function (token) {
+    var range = codePointRangeRegex.exec(token);
+    var single = codePointRegex.exec(token);
+    if (range !== null) {
+      var first = parseInt(range[1], 16);
+      var last = parseInt(range[2], 16);
+      if (last > maxCodePoint) {
+        throw problemError("rangeBeyondUnicode", { range: token });
+      }
+      if (last < first) {
+        throw problemError("reversedRange", { range: token });
+      }
+      if (last - first >= maxSelectedCodePoints) {
+        throw problemError("rangeTooLarge", { range: token, max: maxSelectedCodePoints });
+      }
+      for (var codePoint = first; codePoint <= last; codePoint++) {
+        chars.push(String.fromCodePoint(codePoint));
+      }
+    } else if (single !== null) {
+      if (parseInt(single[1], 16) > maxCodePoint) {
+        throw problemError("codePointBeyondUnicode", { codePoint: token });
+      }
+      chars.push(String.fromCodePoint(parseInt(single[1], 16)));
+    } else if (/^u\+/i.test(token)) {
+      throw problemError("unreadableCodePoint", { codePoint: token });
+    } else {
+      chars.push.apply(chars, Array.from(token));
+    }
+  });
+  return chars.filter(function (char, index) {
+    return chars.indexOf(char) === index;
+  });
+}
+
+/**
+ * Turns the glyphs of a font into simple character svgs
+ * @param {ArrayBuffer} buffer the OpenType, TrueType or WOFF file
+ * @param {Array} chars the characters to import
+ * @return {{ svgs: object, skipped: Array }} the svg text of each imported character, and the name and problem of every character left out
+ */
+function readFontGlyphs(buffer, chars) {
+  var font;
+  try {
+    font = parseFont(buffer);
+  } catch (error) {
+    // opentype.js cannot decompress WOFF2
+    throw problemError("unreadableFont", { message: error.message });
+  }
+  var svgs = {};
+  var skipped = [];
+  chars.forEach(function (char) {
+    var glyph = font.charToGlyph(char);
+    if (glyph.index === 0) {
+      skipped.push({ name: char, reason: problem("notInFont") });
+      return;
+    }
+    // with a font size of unitsPerEm, the path is in font units with y pointing down
+    var path = glyph.getPath(0, 0, font.unitsPerEm);
+    var box = path.getBoundingBox();
+    if (path.commands.length === 0 || box.x2 <= box.x1 || box.y2 <= box.y1) {
+      skipped.push({ name: char, reason: problem("noOutline") });
+      return;
+    }
+    var viewBox = [box.x1, box.y1, box.x2 - box.x1, box.y2 - box.y1].map(function (value) {
+      return +value.toFixed(precision);
+    });
+    svgs[char] = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="' + viewBox.join(" ") + '">'
+      + '<path d="' + path.toPathData(precision) + '"/>'
+      + '</svg>';
+  });
+  return { svgs: svgs, skipped: skipped };
+}
+
+/**
+ * Turns every `<symbol>` with an id in a sprite sheet into a simple character svg
+ * @param {string} text the svg text of the sprite sheet
+ * @return {{ svgs: object, skipped: Array }} the svg text of each imported character, and the name and problem of every symbol left out
+ */
+function readSpriteSheet(text) {
+  var svgDocument = new DOMParser().parseFromString(text, "image/svg+xml");
+  var root = svgDocument.documentElement;
+  if (root.localName !== "svg" || svgDocument.getElementsByTagName("parsererror").length > 0) {
+    throw problemError("invalidSpriteSheet");
+  }
+  var symbols = Array.from(root.getElementsByTagNameNS(root.namespaceURI, "symbol"));
+  if (symbols.length === 0) {
+    throw problemError("noSymbols");
+  }
+  var svgs = {};
+  var skipped = [];
+  symbols.forEach(function (symbol) {
+    var id = symbol.getAttribute("id");
+    if (!id) {
+      skipped.push({ name: "<symbol>", reason: problem("noId") });
+      return;
+    }
+    var viewBox = symbol.getAttribute("viewBox") || root.getAttribute("viewBox");
+    if (!viewBox) {
+      skipped.push({ name: id, reason: problem("noViewBox") });
+      return;
+    }
+    var char = charFromName(id);
+    if (char === null) {
+      skipped.push({ name: id, reason: problem("nameBeyondUnicode") });
+      return;
+    }
+    if (char in svgs) {
+      skipped.push({ name: id, reason: problem("sameCharAsOtherSymbol") });
+      return;
+    }
+    var svg = svgDocument.createElementNS(root.namespaceURI, "svg");
+    svg.setAttribute("viewBox", viewBox);
+    Array.from(symbol.childNodes).forEach(function (child) {
+      svg.appendChild(child.cloneNode(true));
+    });
+    svgs[char] = new XMLSerializer().serializeToString(svg);
+  });
+  return { svgs: svgs, skipped: skipped };
+}
+
+export { charFromName, parseCharSelection, readFontGlyphs, readSpriteSheet };
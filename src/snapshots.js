@@ -0,0 +1,145 @@
+/**
+ * A rolling history of automatic backups.
+ *
+ * Snapshots are backups in the format of `./backup` and are identified by
+ * the ISO timestamp of when they were taken, so sorting the ids sorts the
+ * snapshots chronologically. They are kept either as files in a directory
+ * chosen by the user or in a separate IndexedDB store through localforage.
+ */
+import localforage from 'localforage';
+import { createBackup, readBackup } from './backup';
+
+var fileNamePrefix = "buyan-studio-snapshot-";
+var fileNameSuffix = ".json";
+
+/**
+ * Keeps snapshots in IndexedDB
+ * @param {string} name the name of the IndexedDB database of the library
+ * @return {object} the snapshot store
+ */
+function browserSnapshots(name) {
+  var browserStore = localforage.createInstance({
+    name: name,
+    storeName: "snapshots",
+  });
+  return {
+    location: { type: "browser" },
+    list: function () {
+      return browserStore.keys();
+    },
+    read: function (id) {
+      return browserStore.getItem(id);
+    },
+    write: function (id, text) {
+      return browserStore.setItem(id, text);
+    },
+    remove: function (id) {
+      return browserStore.removeItem(id);
+    },
+  };
+}
+
+/**
+ * Keeps snapshots as files in a directory
+ * @param {FileSystemDirectoryHandle} directoryHandle the directory
+ * @return {object} the snapshot store
+ */
+function directorySnapshots(directoryHandle) {
+  return {
+    location: { type: "directory", name: directoryHandle.name },
+    list: async function () {
+      var ids = [];
+      for await (var entry of directoryHandle.values()) {
+        if (entry.kind === "file"
+          && entry.name.startsWith(fileNamePrefix)
+          && entry.name.endsWith(fileNameSuffix)) {
+          ids.push(idFromFileName(entry.name));
+        }
+      }
+      return ids;
+    },
+    read: async function (id) {
+      var fileHandle = await directoryHandle.getFileHandle(fileNameFromId(id));
+      return (await fileHandle.getFile()).text();
+    },
+    write: async function (id, text) {
+      var fileHandle = await directoryHandle.getFileHandle(fileNameFromId(id), { create: true });
+      var writable = await fileHandle.createWritable();
+      await writable.write(text);
+      await writable.close();
+    },
+    remove: function (id) {
+      return directoryHandle.removeEntry(fileNameFromId(id));
+    },
+  };
+}
+
+// colons are not allowed in file names on Windows
+function fileNameFromId(id) {
+  return fileNamePrefix + id.replace(/:/g, "-") + fileNameSuffix;
+}
+
+function idFromFileName(fileName) {
+  return fileName
+    .slice(fileNamePrefix.length, -fileNameSuffix.length)
+    .replace(/T(\d\d)-(\d\d)-(\d\d)/, "T$1:$2:$3");
+}
+
+/**
+ * Lists the snapshots in a store
+ * @param {object} store the snapshot store
+ * @return {Promise<Array>} the ids of the snapshots, newest first
+ */
+async function listSnapshots(store) {
+  return (await store.list()).sort().reverse();
+}
+
+/**
+ * Saves the library as a new snapshot unless it is unchanged since the
+ * latest snapshot, then deletes the oldest snapshots beyond `maxSnapshots`.
+ * The library is not validated here, so a damaged library is still saved and
+ * its problems are only reported when a snapshot is restored.
+ * @param {object} store the snapshot store
+ * @param {object} model the saved model sent by Elm
+ * @param {object} simpleCharSvgs the svg text of every simple character
+ * @param {number} maxSnapshots the number of snapshots to keep
+ * @return {Promise}
+ */
+async function takeSnapshot(store, model, simpleCharSvgs, maxSnapshots) {
+  var backup = createBackup(model, simpleCharSvgs);
+  var ids = (await store.list()).sort();
+  if (ids.length > 0 && isSameLibrary(await readLatest(store, ids[ids.length - 1]), backup)) {
+    return;
+  }
+  await store.write(backup.createdAt, JSON.stringify(backup));
+  ids.push(backup.createdAt);
+  while (ids.length > maxSnapshots) {
+    await store.remove(ids.shift());
+  }
+}
+
+// The latest snapshot as it was written, or null when it cannot be read
+async function readLatest(store, id) {
+  try {
+    return JSON.parse(await store.read(id));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Reads a snapshot, migrating and validating it like any other backup
+ * @param {object} store the snapshot store
+ * @param {string} id the id of the snapshot
+ * @return {Promise<{ backup: ?object, errors: Array }>} the result of `readBackup`
+ */
+async function readSnapshot(store, id) {
+  return readBackup(await store.read(id));
+}
+
+function isSameLibrary(backup, otherBackup) {
+  return backup !== null && JSON.stringify([backup.model, backup.simpleCharSvgs])
+    === JSON.stringify([otherBackup.model, otherBackup.simpleCharSvgs]);
+}
+
+export { browserSnapshots, directorySnapshots, listSnapshots, takeSnapshot, readSnapshot };
@@ -0,0 +1,358 @@
+/**
+ * Incremental storage of the library.
+ *
+ * Every character, explanation, simple character SVG, reference image and
+ * history entry is kept under its own key in a separate IndexedDB store, so
+ * saving a change only writes the entries that changed. The reference images
+ * of a character are stored together as a list of Blobs and turned back into
+ * data URLs for Elm when loading. Explanations saved before characters had
+ * several reference images are read as a list of one. All reads and writes
+ * go through one queue, so a write never races an earlier one.
+ */
+import localforage from 'localforage';
+
+// The whole library used to be saved under these two keys
+var legacyModelKey = 'buyan-studio-model';
+var legacySimpleCharSvgsKey = 'buyan-studio-simpleCharSvgs';
+// The database the legacy library is moved into
+var legacyDatabaseName = "buyan-studio";
+
+var settingsKey = "settings";
+// the id of the last history entry that is not undone, 0 when everything is undone
+var historyPositionKey = "historyPosition";
+
+var storeNames = ["chars", "charExplainations", "simpleCharSvgs", "referenceImages", "history", "settings"];
+
+/**
+ * Opens the stores of a library
+ * @param {string} name the name of the IndexedDB database
+ * @return {object} the storage
+ */
+function createStorage(name) {
+  var stores = openStores(name);
+  var queue = Promise.resolve();
+  // the data URLs of the reference images last written for each character
+  var writtenImages = {};
+
+  function enqueue(task) {
+    var result = queue.then(task);
+    // the caller handles the error, but the tasks after it must still run
+    queue = result.catch(function () { });
+    return result;
+  }
+
+  async function writeChanges(changes) {
+    if (changes.chars) {
+      await applyEntryChanges(stores.chars, changes.chars);
+    }
+    if (changes.charExplainations) {
+      var upserts = changes.charExplainations.upserts;
+      await Promise.all(Object.keys(upserts).map(async function (char) {
+        var explaination = withReferenceImages(upserts[char]);
+        var images = explaination.referenceImages.map(function (referenceImage) {
+          return referenceImage.image;
+        });
+        if (images.length === 0) {
+          delete writtenImages[char];
+          await stores.referenceImages.removeItem(char);
+        } else if (!isSameList(writtenImages[char], images)) {
+          await stores.referenceImages.setItem(char, await Promise.all(images.map(blobFromDataUrl)));
+          writtenImages[char] = images;
+        }
+        await stores.charExplainations.setItem(char, withoutImages(explaination));
+      }));
+      await Promise.all(changes.charExplainations.removals.map(async function (char) {
+        delete writtenImages[char];
+        await stores.referenceImages.removeItem(char);
+        await stores.charExplainations.removeItem(char);
+      }));
+    }
+    if (changes.settings) {
+      await stores.settings.setItem(settingsKey, changes.settings);
+    }
+  }
+
+  async function migrateLegacyStorage() {
+    if (name !== legacyDatabaseName) {
+      return;
+    }
+    var model = await localforage.getItem(legacyModelKey);
+    var simpleCharSvgs = await localforage.getItem(legacySimpleCharSvgsKey);
+    if (model === null && simpleCharSvgs === null) {
+      return;
+    }
+    if (model !== null) {
+      await writeChanges({
+        chars: { upserts: model.chars || {}, removals: [] },
+        charExplainations: { upserts: model.charExplainations || {}, removals: [] },
+        settings: settingsOf(model),
+      });
+    }
+    if (simpleCharSvgs !== null) {
+      await applyEntryChanges(stores.simpleCharSvgs, { upserts: simpleCharSvgs, removals: [] });
+    }
+    await localforage.removeItem(legacyModelKey);
+    await localforage.removeItem(legacySimpleCharSvgsKey);
+  }
+
+  return {
+    /**
+     * Loads the saved model, the svg text of every simple character and the history
+     * @return {Promise<{ model: ?object, simpleCharSvgs: object, history: object }>} the model is null for an empty library
+     */
+    load: function () {
+      return enqueue(async function () {
+        await migrateLegacyStorage();
+        var settings = await stores.settings.getItem(settingsKey);
+        var chars = await readAll(stores.chars);
+        var charExplainations = await readAll(stores.charExplainations);
+        Object.keys(charExplainations).forEach(function (char) {
+          charExplainations[char] = withReferenceImages(charExplainations[char]);
+        });
+        var storedImages = await readAll(stores.referenceImages);
+        await Promise.all(Object.keys(storedImages).map(async function (char) {
+          if (char in charExplainations) {
+            // a single Blob was stored before characters had several reference images
+            var blobs = Array.isArray(storedImages[char]) ? storedImages[char] : [storedImages[char]];
+            var images = await Promise.all(blobs.map(dataUrlFromBlob));
+            charExplainations[char].referenceImages.forEach(function (referenceImage, index) {
+              if (index < images.length) {
+                referenceImage.image = images[index];
+              }
+            });
+            writtenImages[char] = images;
+          }
+        }));
+        return {
+          model: settings === null && Object.keys(chars).length === 0
+            ? null
+            : Object.assign({}, settings, { chars: chars, charExplainations: charExplainations }),
+          simpleCharSvgs: await readAll(stores.simpleCharSvgs),
+          history: {
+            entries: Object.values(await readAll(stores.history)),
+            position: (await stores.settings.getItem(historyPositionKey)) || 0,
+          },
+        };
+      });
+    },
+
+    /**
+     * Writes the history entries that changed
+     * @param {object} changes the `upserts` and `removals` of history entries by id, and the new `position`
+     * @return {Promise}
+     */
+    saveHistoryChanges: function (changes) {
+      return enqueue(async function () {
+        await applyEntryChanges(stores.history, changes);
+        await stores.settings.setItem(historyPositionKey, changes.position);
+      });
+    },
+
+    /**
+     * Writes the entries of the model that changed since the last save
+     * @param {object} changes the `upserts` and `removals` of `chars` and `charExplainations`, and the new `settings` if they changed
+     * @return {Promise}
+     */
+    saveChanges: function (changes) {
+      return enqueue(function () {
+        return writeChanges(changes);
+      });
+    },
+
+    /**
+     * @return {Promise<Array>} the characters in the library
+     */
+    getCharNames: function () {
+      return enqueue(function () {
+        return stores.chars.keys();
+      });
+    },
+
+    /**
+     * @return {Promise<object>} the svg text of every simple character
+     */
+    getSimpleCharSvgs: function () {
+      return enqueue(function () {
+        return readAll(stores.simpleCharSvgs);
+      });
+    },
+
+    /**
+     * Adds or replaces the svgs of some simple characters
+     * @param {object} simpleCharSvgs the svg text of each simple character
+     * @return {Promise}
+     */
+    setSimpleCharSvgs: function (simpleCharSvgs) {
+      return enqueue(function () {
+        return applyEntryChanges(stores.simpleCharSvgs, { upserts: simpleCharSvgs, removals: [] });
+      });
+    },
+
+    /**
+     * Adds, replaces and removes the svgs of some simple characters
+     * @param {object} changes the `upserts` and `removals` of simple character svgs
+     * @return {Promise}
+     */
+    saveSimpleCharSvgChanges: function (changes) {
+      return enqueue(function () {
+        return applyEntryChanges(stores.simpleCharSvgs, changes);
+      });
+    },
+
+    /**
+     * @param {string} char the simple character
+     * @return {Promise}
+     */
+    removeSimpleCharSvg: function (char) {
+      return enqueue(function () {
+        return stores.simpleCharSvgs.removeItem(char);
+      });
+    },
+
+    /**
+     * Waits for every write started so far
+     * @return {Promise}
+     */
+    flush: function () {
+      return enqueue(function () { });
+    },
+
+    /**
+     * Replaces the svgs of all simple characters
+     * @param {object} simpleCharSvgs the svg text of each simple character
+     * @return {Promise}
+     */
+    replaceSimpleCharSvgs: function (simpleCharSvgs) {
+      return enqueue(async function () {
+        await stores.simpleCharSvgs.clear();
+        await applyEntryChanges(stores.simpleCharSvgs, { upserts: simpleCharSvgs, removals: [] });
+      });
+    },
+  };
+}
+
+/**
+ * Copies every entry of a library into another, empty one
+ * @param {string} name the name of the IndexedDB database to copy
+ * @param {string} newName the name of the IndexedDB database to copy into
+ * @return {Promise}
+ */
+async function copyStorage(name, newName) {
+  var stores = openStores(name);
+  var newStores = openStores(newName);
+  await Promise.all(storeNames.map(async function (storeName) {
+    await applyEntryChanges(newStores[storeName], { upserts: await readAll(stores[storeName]), removals: [] });
+  }));
+}
+
+/**
+ * Deletes a library with all of its stores
+ * @param {string} name the name of the IndexedDB database
+ * @return {Promise}
+ */
+function deleteStorage(name) {
+  return localforage.dropInstance({ name: name });
+}
+
+/**
+ * How much the browser lets the app store
+ * @return {Promise<?{ usage: number, quota: number }>} the bytes used and available, or null when unknown
+ */
+async function estimateStorage() {
+  if (!(navigator.storage && navigator.storage.estimate)) {
+    return null;
+  }
+  var estimate = await navigator.storage.estimate();
+  return { usage: estimate.usage, quota: estimate.quota };
+}
+
+/**
+ * Asks the browser not to evict the library when it runs low on space
+ * @return {Promise<boolean>} whether the storage is persistent
+ */
+async function persistStorage() {
+  if (!(navigator.storage && navigator.storage.persist)) {
+    return false;
+  }
+  return (await navigator.storage.persisted()) || navigator.storage.persist();
+}
+
+function openStores(name) {
+  var stores = {};
+  storeNames.forEach(function (storeName) {
+    stores[storeName] = localforage.createInstance({ name: name, storeName: storeName });
+  });
+  return stores;
+}
+
+async function applyEntryChanges(store, changes) {
+  await Promise.all(Object.keys(changes.upserts).map(function (key) {
+    return store.setItem(key, changes.upserts[key]);
+  }));
+  await Promise.all(changes.removals.map(function (key) {
+    return store.removeItem(key);
+  }));
+}
+
+async function readAll(store) {
+  var items = {};
+  await store.iterate(function (value, key) {
+    items[key] = value;
+  });
+  return items;
+}
+
+// everything in the model apart from the characters and their explanations
+function settingsOf(model) {
+  var settings = Object.assign({}, model);
+  delete settings.chars;
+  delete settings.charExplainations;
+  return settings;
+}
+
+// Turns the single reference image of an explanation saved by an earlier version into a list
+function withReferenceImages(explaination) {
+  if (explaination.referenceImages !== undefined) {
+    return explaination;
+  }
+  var upgraded = Object.assign({}, explaination, {
+    referenceImages: explaination.referenceImage === undefined ? [] : [explaination.referenceImage],
+  });
+  delete upgraded.referenceImage;
+  return upgraded;
+}
+
+function withoutImages(explaination) {
+  return Object.assign({}, explaination, {
+    referenceImages: explaination.referenceImages.map(function (referenceImage) {
+      return Object.assign({}, referenceImage, { image: "" });
+    }),
+  });
+}
+
+function isSameList(list, otherList) {
+  return list !== undefined
+    && list.length === otherList.length
+    && list.every(function (item, index) {
+      return item === otherList[index];
+    });
+}
+
+async function blobFromDataUrl(dataUrl) {
+  return (await fetch(dataUrl)).blob();
+}
+
+function dataUrlFromBlob(blob) {
+  return new Promise(function (resolve, reject) {
+    var reader = new FileReader();
+    reader.addEventListener('load', function () {
+      resolve(reader.result);
+    });
+    reader.addEventListener('error', function () {
+      reject(reader.error);
+    });
+    reader.readAsDataURL(blob);
+  });
+}
+
+export { createStorage, copyStorage, deleteStorage, estimateStorage, persistStorage };
@@ -0,0 +1,54 @@
+/**
+ * Reading simple characters into the strokes the stroke editor works on.
+ *
+ * A stroke is a list of anchors, each with a `point` and the `handleIn` and
+ * `handleOut` control points of the curves on either side of it. A handle
+ * that sits on its point makes that side of the anchor a straight line. All
+ * points are in em percent, in the 0 to 100 box the editor shows, so any
+ * simple character can be edited whatever the viewBox of its SVG.
+ */
+import { readSvgOutline, placementMatrix, transformSubpath } from './svgOutline';
+
+/**
+ * Reads the strokes of a simple character
+ * @param {string} svgText the svg text of the simple character
+ * @param {{ x: number, y: number, width: number, height: number }} box where the character is drawn, in em percent
+ * @return {Array} the strokes, each with its `anchors` and whether it is `closed`
+ */
+function readStrokes(svgText, box) {
+  var outline = readSvgOutline(svgText);
+  var matrix = placementMatrix(outline.viewBox, box);
+  return outline.subpaths.map(function (subpath) {
+    return strokeFromSubpath(transformSubpath(subpath, matrix));
+  });
+}
+
+function strokeFromSubpath(subpath) {
+  var anchors = [anchorAt(subpath.start)];
+  subpath.segments.forEach(function (segment) {
+    var end = segment[segment.length - 1];
+    var anchor = anchorAt(end);
+    if (segment.length === 3) {
+      anchors[anchors.length - 1].handleOut = toPoint(segment[0]);
+      anchor.handleIn = toPoint(segment[1]);
+    }
+    anchors.push(anchor);
+  });
+  // the segment that closes the stroke ends on its first anchor
+  var last = anchors[anchors.length - 1];
+  if (subpath.closed && anchors.length > 1 && last.point.x === anchors[0].point.x && last.point.y === anchors[0].point.y) {
+    anchors.pop();
+    anchors[0].handleIn = last.handleIn;
+  }
+  return { anchors: anchors, closed: subpath.closed };
+}
+
+function anchorAt(point) {
+  return { point: toPoint(point), handleIn: toPoint(point), handleOut: toPoint(point) };
+}
+
+function toPoint(point) {
+  return { x: point[0], y: point[1] };
+}
+
+export { readStrokes };
@@ -0,0 +1,153 @@
+import {
+  readSvgOutline,
+  placementMatrix,
+  transformSubpath,
+  pathDataFromSubpaths,
+} from './svgOutline';
+import { problemError } from './problems';
+
+// Decimal places kept in em percent (the editor's 0 to 100 coordinate system)
+var precision = 3;
+
+/**
+ * Creates the outline readers of the exporters, which cache every simple character they read
+ * @param {object} simpleCharSvgs the svg text of every simple character
+ * @return {function} a function from a glyph sent by the ports to its path data in em percent
+ */
+function pathDataReader(simpleCharSvgs) {
+  var outlines = {};
+
+  function readOutline(char) {
+    if (!(char in outlines)) {
+      if (!(char in simpleCharSvgs)) {
+        throw problemError("missingSimpleCharSvg", { char: char });
+      }
+      outlines[char] = readSvgOutline(simpleCharSvgs[char]);
+    }
+    return outlines[char];
+  }
+
+  return function (glyph) {
+    var subpaths = [];
+    glyph.placements.forEach(function (placement) {
+      var outline = readOutline(placement.char);
+      var matrix = placementMatrix(outline.viewBox, placement);
+      outline.subpaths.forEach(function (subpath) {
+        subpaths.push(transformSubpath(subpath, matrix));
+      });
+    });
+    return pathDataFromSubpaths(subpaths, precision);
+  };
+}
+
+/**
+ * Builds a standalone svg document for a character, with all components inlined
+ * @param {string} pathData the path data of the character in em percent
+ * @param {object} options the image settings
+ * @param {number} options.size the width and height of the image in pixels
+ * @param {number} options.padding the space between the character and the image border in pixels
+ * @param {?string} options.background a css colour, or null for a transparent background
+ * @param {number} options.strokeWidth the stroke width in em percent
+ * @return {string} the svg document
+ */
+function buildCharSvg(pathData, options) {
+  var innerSize = Math.max(1, options.size - options.padding * 2);
+  var padding = options.padding * 100 / innerSize;
+  var viewBox = [-padding, -padding, 100 + padding * 2, 100 + padding * 2].map(formatNumber);
+  return '<?xml version="1.0" encoding="UTF-8"?>\n'
+    + '<svg xmlns="http://www.w3.org/2000/svg"'
+    + ' width="' + options.size + '" height="' + options.size + '"'
+    + ' viewBox="' + viewBox.join(" ") + '">\n'
+    + (options.background
+      ? '  <rect x="' + viewBox[0] + '" y="' + viewBox[1] + '" width="' + viewBox[2] + '" height="' + viewBox[3] + '"'
+      + ' fill="' + escapeAttribute(options.background) + '"/>\n'
+      : '')
+    + '  ' + pathElement(pathData, options.strokeWidth) + '\n'
+    + '</svg>\n';
+}
+
+/**
+ * Builds a sprite sheet with one `<symbol id="u+XXXX">` per character
+ * @param {Array} symbols the characters, each with its `char` and `pathData` in em percent
+ * @param {number} strokeWidth the stroke width in em percent
+ * @return {string} the svg document
+ */
+function buildSpriteSheet(symbols, strokeWidth) {
+  return '<?xml version="1.0" encoding="UTF-8"?>\n'
+    + '<svg xmlns="http://www.w3.org/2000/svg">\n'
+    + symbols.map(function (symbol) {
+      return '  <symbol id="' + symbolId(symbol.char) + '" viewBox="0 0 100 100">\n'
+        + '    ' + pathElement(symbol.pathData, strokeWidth) + '\n'
+        + '  </symbol>\n';
+    }).join("")
+    + '</svg>\n';
+}
+
+/**
+ * Builds a standalone svg document of a paragraph preview, laid out as it is shown in the app
+ * @param {object} specimen the measured preview
+ * @param {number} specimen.width the width of the preview in pixels
+ * @param {number} specimen.height the height of the preview in pixels
+ * @param {Array} specimen.cells every character with its `char`, its `kind` ("glyph", "fallback" or "blank"),
+ *   its `box` in pixels and, for glyphs, its `emBox` in pixels and `pathData` in em percent
+ * @param {object} options the image settings
+ * @param {?string} options.background a css colour, or null for a transparent background
+ * @param {number} options.strokeWidth the stroke width in em percent
+ * @param {number} options.fontSize the size of the fallback font in pixels
+ * @param {boolean} options.isBoxShown whether to outline the box of every character
+ * @return {string} the svg document
+ */
+function buildSpecimenSvg(specimen, options) {
+  return '<?xml version="1.0" encoding="UTF-8"?>\n'
+    + '<svg xmlns="http://www.w3.org/2000/svg"'
+    + ' width="' + formatNumber(specimen.width) + '" height="' + formatNumber(specimen.height) + '"'
+    + ' viewBox="0 0 ' + formatNumber(specimen.width) + ' ' + formatNumber(specimen.height) + '">\n'
+    + (options.background
+      ? '  <rect width="100%" height="100%" fill="' + escapeAttribute(options.background) + '"/>\n'
+      : '')
+    + specimen.cells.map(function (cell) {
+      return (options.isBoxShown
+        ? '  <rect x="' + formatNumber(cell.box.x) + '" y="' + formatNumber(cell.box.y) + '"'
+        + ' width="' + formatNumber(cell.box.width) + '" height="' + formatNumber(cell.box.height) + '"'
+        + ' fill="none" stroke="#999" stroke-width="1" stroke-dasharray="4 2"/>\n'
+        : '')
+        + (cell.kind === "glyph"
+          ? '  <g transform="translate(' + formatNumber(cell.emBox.x) + ' ' + formatNumber(cell.emBox.y) + ')'
+          + ' scale(' + formatNumber(cell.emBox.size / 100) + ')">'
+          + pathElement(cell.pathData, options.strokeWidth) + '</g>\n'
+          : '')
+        + (cell.kind === "fallback"
+          ? '  <text x="' + formatNumber(cell.box.x + cell.box.width / 2) + '" y="' + formatNumber(cell.box.y + cell.box.height / 2) + '"'
+          + ' font-family="sans-serif" font-size="' + formatNumber(options.fontSize) + '"'
+          + ' text-anchor="middle" dominant-baseline="central">' + escapeText(cell.char) + '</text>\n'
+          : '');
+    }).join("")
+    + '</svg>\n';
+}
+
+function symbolId(char) {
+  return "u+" + Array.from(char)
+    .map(function (codePoint) {
+      return codePoint.codePointAt(0).toString(16).toUpperCase().padStart(4, "0");
+    })
+    .join("-");
+}
+
+function pathElement(pathData, strokeWidth) {
+  return '<path d="' + pathData + '" fill="none" stroke="#000" stroke-width="' + formatNumber(strokeWidth) + '"'
+    + ' stroke-linecap="round" stroke-linejoin="round" stroke-miterlimit="10"/>';
+}
+
+function formatNumber(value) {
+  return String(+value.toFixed(precision));
+}
+
+function escapeAttribute(value) {
+  return value.replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;");
+}
+
+function escapeText(value) {
+  return value.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+export { pathDataReader, buildCharSvg, buildSpriteSheet, buildSpecimenSvg };
@@ -0,0 +1,833 @@
+/**
+ * Geometry helpers shared by the exporters.
+ *
+ * A simple character SVG is read into a list of subpaths expressed in the
+ * coordinates of its viewBox. Each subpath has a `start` point and a list of
+ * `segments`, where a segment is either `[end]` (a straight line) or
+ * `[control1, control2, end]` (a cubic Bézier curve). Every other SVG
+ * command and shape is converted into these two segment kinds, so placing,
+ * mirroring and expanding strokes are all simple point operations.
+ */
+import { problemError } from './problems';
+
+var identityMatrix = [1, 0, 0, 1, 0, 0];
+
+var ignoredElements = [
+  "clipPath", "defs", "desc", "filter", "foreignObject", "image", "linearGradient",
+  "marker", "mask", "metadata", "pattern", "radialGradient", "script", "style",
+  "symbol", "text", "title",
+];
+
+var containerElements = ["a", "g", "switch", "svg"];
+
+var numberRegex = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/y;
+
+// Magic number for approximating a quarter circle with a cubic Bézier curve
+var circleKappa = 0.5522847498;
+
+/**
+ * Reads the outline of an SVG document
+ * @param {string} svgText the svg text
+ * @return {{ viewBox: object, subpaths: Array }} the viewBox and all subpaths in viewBox coordinates
+ */
+function readSvgOutline(svgText) {
+  var svgDocument = new DOMParser().parseFromString(svgText, "image/svg+xml");
+  var root = svgDocument.documentElement;
+  if (root.localName !== "svg" || svgDocument.getElementsByTagName("parsererror").length > 0) {
+    throw problemError("invalidSvg");
+  }
+  var subpaths = [];
+  collectSubpaths(root, identityMatrix, subpaths);
+  return {
+    viewBox: readViewBox(root),
+    subpaths: subpaths,
+  };
+}
+
+function readViewBox(root) {
+  var values = (root.getAttribute("viewBox") || "").trim().split(/[\s,]+/).map(parseFloat);
+  if (values.length === 4 && values.every(isFinite) && values[2] > 0 && values[3] > 0) {
+    return { x: values[0], y: values[1], width: values[2], height: values[3] };
+  }
+  return {
+    x: 0,
+    y: 0,
+    width: parseFloat(root.getAttribute("width")) || 100,
+    height: parseFloat(root.getAttribute("height")) || 100,
+  };
+}
+
+function collectSubpaths(element, matrix, subpaths) {
+  Array.from(element.children).forEach(function (child) {
+    var name = child.localName;
+    if (ignoredElements.indexOf(name) !== -1) {
+      return;
+    }
+    var childMatrix = multiplyMatrices(matrix, parseTransform(child.getAttribute("transform")));
+    if (containerElements.indexOf(name) !== -1) {
+      if (name === "svg") {
+        childMatrix = multiplyMatrices(childMatrix, translationMatrix(
+          parseFloat(child.getAttribute("x")) || 0,
+          parseFloat(child.getAttribute("y")) || 0
+        ));
+      }
+      collectSubpaths(child, childMatrix, subpaths);
+      return;
+    }
+    if (name === "use") {
+      var href = child.getAttribute("href") || child.getAttribute("xlink:href") || "";
+      var target = href.startsWith("#")
+        ? child.ownerDocument.querySelector('[id="' + href.slice(1) + '"]')
+        : null;
+      if (target === null) {
+        return;
+      }
+      var useMatrix = multiplyMatrices(childMatrix, translationMatrix(
+        parseFloat(child.getAttribute("x")) || 0,
+        parseFloat(child.getAttribute("y")) || 0
+      ));
+      if (target.localName === "symbol" || containerElements.indexOf(target.localName) !== -1) {
+        collectSubpaths(target, useMatrix, subpaths);
+      } else {
+        var wrapper = child.ownerDocument.createElementNS(child.namespaceURI, "g");
+        wrapper.appendChild(target.cloneNode(true));
+        collectSubpaths(wrapper, useMatrix, subpaths);
+      }
+      return;
+    }
+    var pathData = shapeToPathData(child);
+    if (pathData !== null) {
+      parsePathData(pathData).forEach(function (subpath) {
+        subpaths.push(transformSubpath(subpath, childMatrix));
+      });
+    }
+  });
+}
+
+function readLength(element, name) {
+  return parseFloat(element.getAttribute(name)) || 0;
+}
+
+/**
+ * Converts a basic shape element into equivalent path data
+ * @param {Element} element the shape element
+ * @return {string|null} the path data or null if the element is not a shape
+ */
+function shapeToPathData(element) {
+  switch (element.localName) {
+    case "path":
+      return element.getAttribute("d") || "";
+
+    case "line":
+      return "M" + readLength(element, "x1") + " " + readLength(element, "y1")
+        + "L" + readLength(element, "x2") + " " + readLength(element, "y2");
+
+    case "polyline":
+    case "polygon":
+      var points = (element.getAttribute("points") || "").trim().split(/[\s,]+/).filter(Boolean);
+      if (points.length < 2) {
+        return "";
+      }
+      return "M" + points.slice(0, 2).join(" ")
+        + (points.length > 2 ? "L" + points.slice(2).join(" ") : "")
+        + (element.localName === "polygon" ? "Z" : "");
+
+    case "rect":
+      var x = readLength(element, "x");
+      var y = readLength(element, "y");
+      var width = readLength(element, "width");
+      var height = readLength(element, "height");
+      var rx = Math.min(readLength(element, "rx") || readLength(element, "ry"), width / 2);
+      var ry = Math.min(readLength(element, "ry") || readLength(element, "rx"), height / 2);
+      if (rx === 0 || ry === 0) {
+        return "M" + x + " " + y + "H" + (x + width) + "V" + (y + height) + "H" + x + "Z";
+      }
+      return "M" + (x + rx) + " " + y
+        + "H" + (x + width - rx) + "A" + rx + " " + ry + " 0 0 1 " + (x + width) + " " + (y + ry)
+        + "V" + (y + height - ry) + "A" + rx + " " + ry + " 0 0 1 " + (x + width - rx) + " " + (y + height)
+        + "H" + (x + rx) + "A" + rx + " " + ry + " 0 0 1 " + x + " " + (y + height - ry)
+        + "V" + (y + ry) + "A" + rx + " " + ry + " 0 0 1 " + (x + rx) + " " + y + "Z";
+
+    case "circle":
+    case "ellipse":
+      var cx = readLength(element, "cx");
+      var cy = readLength(element, "cy");
+      var radiusX = element.localName === "circle" ? readLength(element, "r") : readLength(element, "rx");
+      var radiusY = element.localName === "circle" ? readLength(element, "r") : readLength(element, "ry");
+      return "M" + (cx - radiusX) + " " + cy
+        + "A" + radiusX + " " + radiusY + " 0 1 0 " + (cx + radiusX) + " " + cy
+        + "A" + radiusX + " " + radiusY + " 0 1 0 " + (cx - radiusX) + " " + cy + "Z";
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Parses SVG path data into subpaths made of lines and cubic Bézier curves
+ * @param {string} pathData the value of a `d` attribute
+ * @return {Array} the subpaths
+ */
+function parsePathData(pathData) {
+  var index = 0;
+  var subpaths = [];
+  var subpath = null;
+  var current = [0, 0];
+  var lastControl = null;
+  var lastCommand = "";
+
+  function skipSeparators() {
+    while (index < pathData.length && /[\s,]/.test(pathData[index])) {
+      index += 1;
+    }
+  }
+
+  function readNumber() {
+    skipSeparators();
+    numberRegex.lastIndex = index;
+    var match = numberRegex.exec(pathData);
+    if (match === null) {
+      throw new Error("expected a number at position " + index + " of path data");
+    }
+    index += match[0].length;
+    return parseFloat(match[0]);
+  }
+
+  function readFlag() {
+    skipSeparators();
+    var flag = pathData[index];
+    if (flag !== "0" && flag !== "1") {
+      throw new Error("expected a flag at position " + index + " of path data");
+    }
+    index += 1;
+    return flag === "1";
+  }
+
+  function readPoint(isRelative) {
+    var x = readNumber();
+    var y = readNumber();
+    return isRelative ? [current[0] + x, current[1] + y] : [x, y];
+  }
+
+  function startSubpath(point) {
+    subpath = { start: point, segments: [], closed: false };
+    subpaths.push(subpath);
+  }
+
+  function ensureSubpath() {
+    if (subpath === null || subpath.closed) {
+      startSubpath(current);
+    }
+  }
+
+  function lineTo(point) {
+    ensureSubpath();
+    subpath.segments.push([point]);
+    current = point;
+  }
+
+  function curveTo(control1, control2, point) {
+    ensureSubpath();
+    subpath.segments.push([control1, control2, point]);
+    current = point;
+  }
+
+  while (true) {
+    skipSeparators();
+    if (index >= pathData.length) {
+      break;
+    }
+    var command = pathData[index];
+    if (/[A-Za-z]/.test(command)) {
+      index += 1;
+    } else if (lastCommand !== "" && lastCommand.toUpperCase() !== "Z") {
+      // Repeated parameters reuse the previous command, except after a moveto
+      command = lastCommand === "M" ? "L" : lastCommand === "m" ? "l" : lastCommand;
+    } else {
+      throw new Error("unexpected character '" + command + "' in path data");
+    }
+    var isRelative = command === command.toLowerCase();
+    var control;
+    var point;
+    switch (command.toUpperCase()) {
+      case "M":
+        current = readPoint(isRelative);
+        startSubpath(current);
+        lastControl = null;
+        break;
+
+      case "L":
+        lineTo(readPoint(isRelative));
+        lastControl = null;
+        break;
+
+      case "H":
+        var x = readNumber();
+        lineTo([isRelative ? current[0] + x : x, current[1]]);
+        lastControl = null;
+        break;
+
+      case "V":
+        var y = readNumber();
+        lineTo([current[0], isRelative ? current[1] + y : y]);
+        lastControl = null;
+        break;
+
+      case "C":
+        var control1 = readPoint(isRelative);
+        control = readPoint(isRelative);
+        point = readPoint(isRelative);
+        curveTo(control1, control, point);
+        lastControl = { kind: "C", point: control };
+        break;
+
+      case "S":
+        var reflected = lastControl !== null && lastControl.kind === "C"
+          ? reflectPoint(lastControl.point, current)
+          : current;
+        control = readPoint(isRelative);
+        point = readPoint(isRelative);
+        curveTo(reflected, control, point);
+        lastControl = { kind: "C", point: control };
+        break;
+
+      case "Q":
+        control = readPoint(isRelative);
+        point = readPoint(isRelative);
+        quadraticTo(current, control, point);
+        lastControl = { kind: "Q", point: control };
+        break;
+
+      case "T":
+        control = lastControl !== null && lastControl.kind === "Q"
+          ? reflectPoint(lastControl.point, current)
+          : current;
+        point = readPoint(isRelative);
+        quadraticTo(current, control, point);
+        lastControl = { kind: "Q", point: control };
+        break;
+
+      case "A":
+        var radiusX = readNumber();
+        var radiusY = readNumber();
+        var rotation = readNumber();
+        var largeArc = readFlag();
+        var sweep = readFlag();
+        point = readPoint(isRelative);
+        arcToCurves(current, radiusX, radiusY, rotation, largeArc, sweep, point).forEach(function (segment) {
+          if (segment.length === 1) {
+            lineTo(segment[0]);
+          } else {
+            curveTo(segment[0], segment[1], segment[2]);
+          }
+        });
+        current = point;
+        lastControl = null;
+        break;
+
+      case "Z":
+        if (subpath !== null && !subpath.closed) {
+          if (current[0] !== subpath.start[0] || current[1] !== subpath.start[1]
+            || subpath.segments.length === 0) {
+            lineTo(subpath.start);
+          }
+          subpath.closed = true;
+          current = subpath.start;
+        }
+        lastControl = null;
+        break;
+
+      default:
+        throw new Error("unknown command '" + command + "' in path data");
+    }
+    lastCommand = command;
+  }
+
+  function quadraticTo(start, control, end) {
+    curveTo(
+      [start[0] + 2 / 3 * (control[0] - start[0]), start[1] + 2 / 3 * (control[1] - start[1])],
+      [end[0] + 2 / 3 * (control[0] - end[0]), end[1] + 2 / 3 * (control[1] - end[1])],
+      end
+    );
+  }
+
+  return subpaths.filter(function (subpath) {
+    return subpath.segments.length > 0;
+  });
+}
+
+function reflectPoint(point, center) {
+  return [2 * center[0] - point[0], 2 * center[1] - point[1]];
+}
+
+function vectorAngle(ux, uy, vx, vy) {
+  return Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+}
+
+// Endpoint to center parameterization, see https://www.w3.org/TR/SVG11/implnote.html#ArcImplementationNotes
+function arcToCurves(start, radiusX, radiusY, rotation, largeArc, sweep, end) {
+  if (start[0] === end[0] && start[1] === end[1]) {
+    return [];
+  }
+  radiusX = Math.abs(radiusX);
+  radiusY = Math.abs(radiusY);
+  if (radiusX === 0 || radiusY === 0) {
+    return [[end]];
+  }
+  var phi = rotation * Math.PI / 180;
+  var cosPhi = Math.cos(phi);
+  var sinPhi = Math.sin(phi);
+  var dx = (start[0] - end[0]) / 2;
+  var dy = (start[1] - end[1]) / 2;
+  var x1 = cosPhi * dx + sinPhi * dy;
+  var y1 = -sinPhi * dx + cosPhi * dy;
+  var lambda = (x1 * x1) / (radiusX * radiusX) + (y1 * y1) / (radiusY * radiusY);
+  if (lambda > 1) {
+    radiusX *= Math.sqrt(lambda);
+    radiusY *= Math.sqrt(lambda);
+  }
+  var numerator = radiusX * radiusX * radiusY * radiusY
+    - radiusX * radiusX * y1 * y1
+    - radiusY * radiusY * x1 * x1;
+  var denominator = radiusX * radiusX * y1 * y1 + radiusY * radiusY * x1 * x1;
+  var coefficient = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+  var centerX1 = coefficient * radiusX * y1 / radiusY;
+  var centerY1 = -coefficient * radiusY * x1 / radiusX;
+  var centerX = cosPhi * centerX1 - sinPhi * centerY1 + (start[0] + end[0]) / 2;
+  var centerY = sinPhi * centerX1 + cosPhi * centerY1 + (start[1] + end[1]) / 2;
+  var theta = vectorAngle(1, 0, (x1 - centerX1) / radiusX, (y1 - centerY1) / radiusY);
+  var deltaTheta = vectorAngle(
+    (x1 - centerX1) / radiusX, (y1 - centerY1) / radiusY,
+    (-x1 - centerX1) / radiusX, (-y1 - centerY1) / radiusY
+  );
+  if (!sweep && deltaTheta > 0) {
+    deltaTheta -= 2 * Math.PI;
+  } else if (sweep && deltaTheta < 0) {
+    deltaTheta += 2 * Math.PI;
+  }
+
+  function mapPoint(x, y) {
+    x *= radiusX;
+    y *= radiusY;
+    return [cosPhi * x - sinPhi * y + centerX, sinPhi * x + cosPhi * y + centerY];
+  }
+
+  var segmentCount = Math.max(1, Math.ceil(Math.abs(deltaTheta) / (Math.PI / 2) - 1e-9));
+  var delta = deltaTheta / segmentCount;
+  var kappa = 4 / 3 * Math.tan(delta / 4);
+  var curves = [];
+  for (var i = 0; i < segmentCount; i++) {
+    var cos1 = Math.cos(theta);
+    var sin1 = Math.sin(theta);
+    var cos2 = Math.cos(theta + delta);
+    var sin2 = Math.sin(theta + delta);
+    curves.push([
+      mapPoint(cos1 - kappa * sin1, sin1 + kappa * cos1),
+      mapPoint(cos2 + kappa * sin2, sin2 - kappa * cos2),
+      i === segmentCount - 1 ? end : mapPoint(cos2, sin2),
+    ]);
+    theta += delta;
+  }
+  return curves;
+}
+
+/**
+ * Parses the value of a `transform` attribute
+ * @param {string|null} transform the transform list
+ * @return {Array} the equivalent matrix [a, b, c, d, e, f]
+ */
+function parseTransform(transform) {
+  var matrix = identityMatrix;
+  var regex = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+  var match;
+  while ((match = regex.exec(transform || "")) !== null) {
+    var values = match[2].trim().split(/[\s,]+/).map(parseFloat);
+    matrix = multiplyMatrices(matrix, transformFunctionToMatrix(match[1], values));
+  }
+  return matrix;
+}
+
+function transformFunctionToMatrix(name, values) {
+  switch (name) {
+    case "matrix":
+      return values.length === 6 ? values : identityMatrix;
+
+    case "translate":
+      return translationMatrix(values[0] || 0, values[1] || 0);
+
+    case "scale":
+      var scaleX = isFinite(values[0]) ? values[0] : 1;
+      var scaleY = isFinite(values[1]) ? values[1] : scaleX;
+      return [scaleX, 0, 0, scaleY, 0, 0];
+
+    case "rotate":
+      var angle = (values[0] || 0) * Math.PI / 180;
+      var rotation = [Math.cos(angle), Math.sin(angle), -Math.sin(angle), Math.cos(angle), 0, 0];
+      if (values.length === 3) {
+        return multiplyMatrices(
+          multiplyMatrices(translationMatrix(values[1], values[2]), rotation),
+          translationMatrix(-values[1], -values[2])
+        );
+      }
+      return rotation;
+
+    case "skewX":
+      return [1, 0, Math.tan((values[0] || 0) * Math.PI / 180), 1, 0, 0];
+
+    case "skewY":
+      return [1, Math.tan((values[0] || 0) * Math.PI / 180), 0, 1, 0, 0];
+
+    default:
+      return identityMatrix;
+  }
+}
+
+function translationMatrix(x, y) {
+  return [1, 0, 0, 1, x, y];
+}
+
+/**
+ * Multiplies two matrices so that `n` is applied before `m`
+ */
+function multiplyMatrices(m, n) {
+  return [
+    m[0] * n[0] + m[2] * n[1],
+    m[1] * n[0] + m[3] * n[1],
+    m[0] * n[2] + m[2] * n[3],
+    m[1] * n[2] + m[3] * n[3],
+    m[0] * n[4] + m[2] * n[5] + m[4],
+    m[1] * n[4] + m[3] * n[5] + m[5],
+  ];
+}
+
+function transformPoint(matrix, point) {
+  return [
+    matrix[0] * point[0] + matrix[2] * point[1] + matrix[4],
+    matrix[1] * point[0] + matrix[3] * point[1] + matrix[5],
+  ];
+}
+
+/**
+ * Applies a matrix to every point of a subpath
+ * @param {object} subpath the subpath
+ * @param {Array} matrix the matrix [a, b, c, d, e, f]
+ * @return {object} the transformed subpath
+ */
+function transformSubpath(subpath, matrix) {
+  return {
+    start: transformPoint(matrix, subpath.start),
+    segments: subpath.segments.map(function (segment) {
+      return segment.map(function (point) {
+        return transformPoint(matrix, point);
+      });
+    }),
+    closed: subpath.closed,
+  };
+}
+
+/**
+ * The matrix that stretches a viewBox over a placement box, the way
+ * `preserveAspectRatio="none"` does in the editor. A negative placement
+ * width or height mirrors the content inside the box.
+ * @param {object} viewBox the viewBox of the simple character
+ * @param {{ x: number, y: number, width: number, height: number }} placement the box in em percent
+ * @return {Array} the matrix [a, b, c, d, e, f]
+ */
+function placementMatrix(viewBox, placement) {
+  var scaleX = placement.width / viewBox.width;
+  var scaleY = placement.height / viewBox.height;
+  return [scaleX, 0, 0, scaleY, placement.x - scaleX * viewBox.x, placement.y - scaleY * viewBox.y];
+}
+
+function distance(p, q) {
+  return Math.hypot(q[0] - p[0], q[1] - p[1]);
+}
+
+function cubicPoint(p0, p1, p2, p3, t) {
+  var mt = 1 - t;
+  return [
+    mt * mt * mt * p0[0] + 3 * mt * mt * t * p1[0] + 3 * mt * t * t * p2[0] + t * t * t * p3[0],
+    mt * mt * mt * p0[1] + 3 * mt * mt * t * p1[1] + 3 * mt * t * t * p2[1] + t * t * t * p3[1],
+  ];
+}
+
+/**
+ * Approximates a subpath with straight lines
+ * @param {object} subpath the subpath
+ * @param {number} tolerance the maximum length of one straight line
+ * @return {{ points: Array, closed: boolean }} the polyline
+ */
+function flattenSubpath(subpath, tolerance) {
+  var points = [subpath.start];
+  var current = subpath.start;
+  subpath.segments.forEach(function (segment) {
+    if (segment.length === 1) {
+      points.push(segment[0]);
+    } else {
+      var length = distance(current, segment[0]) + distance(segment[0], segment[1]) + distance(segment[1], segment[2]);
+      var steps = Math.max(1, Math.min(64, Math.ceil(length / tolerance)));
+      for (var step = 1; step <= steps; step++) {
+        points.push(cubicPoint(current, segment[0], segment[1], segment[2], step / steps));
+      }
+    }
+    current = segment[segment.length - 1];
+  });
+  return { points: points, closed: subpath.closed };
+}
+
+function distanceToLine(point, start, end) {
+  var length = distance(start, end);
+  if (length === 0) {
+    return distance(point, start);
+  }
+  return Math.abs((end[0] - start[0]) * (start[1] - point[1]) - (start[0] - point[0]) * (end[1] - start[1])) / length;
+}
+
+/**
+ * Removes points that deviate less than `tolerance` from a straight line
+ * (Ramer–Douglas–Peucker)
+ * @param {Array} points the points of a polyline
+ * @param {number} tolerance the maximum deviation
+ * @return {Array} the remaining points
+ */
+function simplifyPolyline(points, tolerance) {
+  if (points.length <= 2) {
+    return points;
+  }
+  var isKept = points.map(function () { return false; });
+  isKept[0] = true;
+  isKept[points.length - 1] = true;
+  var ranges = [[0, points.length - 1]];
+  while (ranges.length > 0) {
+    var range = ranges.pop();
+    var farthestIndex = -1;
+    var farthestDistance = tolerance;
+    for (var i = range[0] + 1; i < range[1]; i++) {
+      var pointDistance = distanceToLine(points[i], points[range[0]], points[range[1]]);
+      if (pointDistance > farthestDistance) {
+        farthestIndex = i;
+        farthestDistance = pointDistance;
+      }
+    }
+    if (farthestIndex !== -1) {
+      isKept[farthestIndex] = true;
+      ranges.push([range[0], farthestIndex], [farthestIndex, range[1]]);
+    }
+  }
+  return points.filter(function (_, index) {
+    return isKept[index];
+  });
+}
+
+function signedArea(contour) {
+  var points = [contour.start].concat(contour.segments.map(function (segment) {
+    return segment[segment.length - 1];
+  }));
+  var area = 0;
+  for (var i = 0; i < points.length; i++) {
+    var p = points[i];
+    var q = points[(i + 1) % points.length];
+    area += p[0] * q[1] - q[0] * p[1];
+  }
+  return area / 2;
+}
+
+function reverseContour(contour) {
+  var starts = [contour.start].concat(contour.segments.map(function (segment) {
+    return segment[segment.length - 1];
+  }));
+  var segments = [];
+  for (var i = contour.segments.length - 1; i >= 0; i--) {
+    var segment = contour.segments[i];
+    segments.push(segment.length === 1
+      ? [starts[i]]
+      : [segment[1], segment[0], starts[i]]
+    );
+  }
+  return { start: starts[starts.length - 1], segments: segments, closed: true };
+}
+
+// Clockwise in the y-down coordinates of SVG, which becomes counter-clockwise
+// once the font flips the y axis
+function orientContour(contour) {
+  return signedArea(contour) < 0 ? reverseContour(contour) : contour;
+}
+
+function circleContour(center, radius) {
+  var k = radius * circleKappa;
+  var x = center[0];
+  var y = center[1];
+  return orientContour({
+    start: [x + radius, y],
+    segments: [
+      [[x + radius, y + k], [x + k, y + radius], [x, y + radius]],
+      [[x - k, y + radius], [x - radius, y + k], [x - radius, y]],
+      [[x - radius, y - k], [x - k, y - radius], [x, y - radius]],
+      [[x + k, y - radius], [x + radius, y - k], [x + radius, y]],
+    ],
+    closed: true,
+  });
+}
+
+// Quarter circles at most, approximated by cubic Bézier curves
+function arcSegments(center, radius, startAngle, sweepAngle) {
+  var segmentCount = Math.max(1, Math.ceil(Math.abs(sweepAngle) / (Math.PI / 2) - 1e-9));
+  var delta = sweepAngle / segmentCount;
+  var kappa = 4 / 3 * Math.tan(delta / 4);
+  var segments = [];
+  for (var i = 0; i < segmentCount; i++) {
+    var angle1 = startAngle + i * delta;
+    var angle2 = angle1 + delta;
+    var cos1 = Math.cos(angle1);
+    var sin1 = Math.sin(angle1);
+    var cos2 = Math.cos(angle2);
+    var sin2 = Math.sin(angle2);
+    segments.push([
+      [center[0] + radius * (cos1 - kappa * sin1), center[1] + radius * (sin1 + kappa * cos1)],
+      [center[0] + radius * (cos2 + kappa * sin2), center[1] + radius * (sin2 - kappa * cos2)],
+      [center[0] + radius * cos2, center[1] + radius * sin2],
+    ]);
+  }
+  return segments;
+}
+
+function offsetPoint(point, normal) {
+  return [point[0] + normal[0], point[1] + normal[1]];
+}
+
+// The normal of a segment, turned a quarter from its direction towards the
+// side offset by `offsetSide`
+function segmentNormal(p, q, radius) {
+  var length = distance(p, q);
+  return [-(q[1] - p[1]) / length * radius, (q[0] - p[0]) / length * radius];
+}
+
+// Walks one side of a polyline from the offset of its first point to the
+// offset of its last point. Corners that turn away from the side are rounded
+// and corners that turn towards it pass through the corner itself, which
+// stays inside the stroke where the offsets of short segments would not meet.
+function offsetSide(points, closed, radius) {
+  var segmentCount = closed ? points.length : points.length - 1;
+  var normals = [];
+  for (var i = 0; i < segmentCount; i++) {
+    normals.push(segmentNormal(points[i], points[(i + 1) % points.length], radius));
+  }
+  var segments = [];
+  for (var j = 0; j < segmentCount; j++) {
+    var corner = points[(j + 1) % points.length];
+    var normal = normals[j];
+    segments.push([offsetPoint(corner, normal)]);
+    if (!closed && j === segmentCount - 1) {
+      break;
+    }
+    var nextNormal = normals[(j + 1) % segmentCount];
+    var turn = vectorAngle(normal[0], normal[1], nextNormal[0], nextNormal[1]);
+    // a stroke that turns right back has no inner side, so both sides round it
+    if (turn > 0 && turn < Math.PI) {
+      segments.push([corner], [offsetPoint(corner, nextNormal)]);
+    } else if (turn !== 0) {
+      var sweep = turn < 0 ? turn : -Math.PI;
+      segments.push.apply(segments, arcSegments(corner, radius, Math.atan2(normal[1], normal[0]), sweep));
+    }
+  }
+  return {
+    start: offsetPoint(points[0], normals[0]),
+    segments: segments,
+  };
+}
+
+function removeRepeatedPoints(points, closed) {
+  var remaining = points.filter(function (point, index) {
+    return index === 0 || distance(point, points[index - 1]) > 0;
+  });
+  if (closed && remaining.length > 1 && distance(remaining[0], remaining[remaining.length - 1]) === 0) {
+    remaining.pop();
+  }
+  return remaining;
+}
+
+/**
+ * Expands a stroked polyline into the outline of the stroke, with the round
+ * caps and round joins the editor draws. An open stroke becomes one contour
+ * around both of its sides, a closed stroke an outer contour and a hole.
+ * Every stroke keeps one orientation, so overlapping strokes and contours
+ * that cross themselves at sharp corners fill correctly under the nonzero
+ * winding rule.
+ * @param {{ points: Array, closed: boolean }} polyline the stroked polyline
+ * @param {number} strokeWidth the stroke width
+ * @return {Array} the contours
+ */
+function expandStroke(polyline, strokeWidth) {
+  var radius = strokeWidth / 2;
+  var points = removeRepeatedPoints(polyline.points, polyline.closed);
+  if (points.length === 0) {
+    return [];
+  }
+  if (points.length === 1) {
+    return [circleContour(points[0], radius)];
+  }
+  if (polyline.closed && points.length > 2) {
+    var outside = offsetSide(points, true, radius);
+    var inside = offsetSide(points.slice().reverse(), true, radius);
+    var contours = [
+      { start: outside.start, segments: outside.segments, closed: true },
+      { start: inside.start, segments: inside.segments, closed: true },
+    ];
+    return signedArea(contours[0]) + signedArea(contours[1]) < 0
+      ? contours.map(reverseContour)
+      : contours;
+  }
+  var reversedPoints = points.slice().reverse();
+  var forward = offsetSide(points, false, radius);
+  var backward = offsetSide(reversedPoints, false, radius);
+  var end = points[points.length - 1];
+  var endNormal = segmentNormal(points[points.length - 2], end, radius);
+  var startNormal = segmentNormal(reversedPoints[reversedPoints.length - 2], points[0], radius);
+  return [orientContour({
+    start: forward.start,
+    segments: forward.segments
+      .concat(arcSegments(end, radius, Math.atan2(endNormal[1], endNormal[0]), -Math.PI))
+      .concat(backward.segments)
+      .concat(arcSegments(points[0], radius, Math.atan2(startNormal[1], startNormal[0]), -Math.PI)),
+    closed: true,
+  })];
+}
+
+/**
+ * Writes subpaths back into SVG path data
+ * @param {Array} subpaths the subpaths
+ * @param {number} precision the number of decimal places to keep
+ * @return {string} the path data
+ */
+function pathDataFromSubpaths(subpaths, precision) {
+  function formatPoint(point) {
+    return point.map(function (value) {
+      // the unary plus drops trailing zeros
+      return String(+value.toFixed(precision));
+    }).join(" ");
+  }
+  return subpaths.map(function (subpath) {
+    var segments = subpath.segments;
+    // the closing line is drawn by "Z"
+    if (subpath.closed && segments.length > 1 && segments[segments.length - 1].length === 1) {
+      segments = segments.slice(0, -1);
+    }
+    return "M" + formatPoint(subpath.start)
+      + segments.map(function (segment) {
+        return (segment.length === 1 ? "L" : "C") + segment.map(formatPoint).join(" ");
+      }).join("")
+      + (subpath.closed ? "Z" : "");
+  }).join("");
+}
+
+export {
+  readSvgOutline,
+  parsePathData,
+  parseTransform,
+  placementMatrix,
+  transformSubpath,
+  flattenSubpath,
+  simplifyPolyline,
+  expandStroke,
+  pathDataFromSubpaths,
+};
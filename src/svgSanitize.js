@@ -0,0 +1,308 @@
+/**
+ * Cleaning up uploaded svgs before they enter the library.
+ *
+ * Files exported from drawing programs may run scripts, load external
+ * resources, embed raster images, measure themselves in physical units or
+ * have no viewBox at all. `sanitizeSvg` removes everything unsafe, turns
+ * every length into user units, gives the svg a tight viewBox when it has
+ * none and can trace filled shapes into the centre lines the editor strokes.
+ * Every change that may alter how the character looks is reported as a
+ * warning.
+ */
+import { readSvgOutline, flattenSubpath, pathDataFromSubpaths } from './svgOutline';
+import { traceCenterlines } from './centerline';
+import { problem, problemError } from './problems';
+
+// The warning of every unsafe element
+var unsafeElements = {
+  script: "scriptsRemoved",
+  foreignObject: "embeddedHtmlRemoved",
+  iframe: "embeddedHtmlRemoved",
+  embed: "embeddedObjectsRemoved",
+  object: "embeddedObjectsRemoved",
+  audio: "embeddedMediaRemoved",
+  video: "embeddedMediaRemoved",
+  canvas: "embeddedHtmlRemoved",
+  image: "rasterImagesRemoved",
+  style: "styleSheetsRemoved",
+  link: "externalResourcesRemoved",
+  animate: "animationsRemoved",
+  animateMotion: "animationsRemoved",
+  animateTransform: "animationsRemoved",
+  set: "animationsRemoved",
+};
+
+var shapeElements = ["path", "rect", "circle", "ellipse", "line", "polyline", "polygon"];
+
+// Shapes inside these are never drawn directly
+var definitionElements = ["clipPath", "defs", "marker", "mask", "pattern", "symbol"];
+
+var lengthAttributes = ["x", "y", "width", "height", "x1", "y1", "x2", "y2", "cx", "cy", "r", "rx", "ry"];
+
+// User units (CSS pixels) per unit
+var unitSizes = {
+  px: 1,
+  pt: 4 / 3,
+  pc: 16,
+  mm: 96 / 25.4,
+  cm: 96 / 2.54,
+  in: 96,
+};
+
+var lengthRegex = /^\s*([-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)\s*(px|pt|pc|mm|cm|in)?\s*$/;
+
+// Anything that may load a resource from outside the svg or run code
+var unsafeValueRegex = /url\(\s*['"]?\s*(?!#)|javascript:|expression\(|@import/i;
+
+// Decimal places kept in the viewBox and in traced centre lines
+var precision = 3;
+
+/**
+ * Makes an uploaded svg safe and normalized for the library
+ * @param {string} svgText the svg text
+ * @param {object} options the import settings
+ * @param {boolean} options.convertFillsToStrokes whether to trace filled shapes into stroked centre lines
+ * @return {{ svg: string, warnings: Array }} the cleaned svg text, and the problems of the changes that may alter how it looks
+ */
+function sanitizeSvg(svgText, options) {
+  var warnings = [];
+  var warn = function (code) {
+    if (warnings.indexOf(code) === -1) {
+      warnings.push(code);
+    }
+  };
+  var svgDocument = new DOMParser().parseFromString(svgText, "image/svg+xml");
+  var root = svgDocument.documentElement;
+  if (root.localName !== "svg" || svgDocument.getElementsByTagName("parsererror").length > 0) {
+    throw problemError("invalidSvg");
+  }
+  inlineClassStyles(root);
+  removeUnsafeContent(root, warn);
+  convertUnits(root, warn);
+
+  var filledShapes = Array.from(root.getElementsByTagName("*")).filter(isFilledShape);
+  if (filledShapes.length > 0) {
+    if (options.convertFillsToStrokes) {
+      convertFillsToStrokes(root, filledShapes, warn);
+    } else {
+      warn("filledShapesOutlined");
+    }
+  }
+
+  var viewBox = readViewBox(root);
+  if (viewBox === null) {
+    viewBox = shapesBox(root) || sizeBox(root);
+    if (viewBox === null) {
+      throw problemError("noShapesAndNoSize");
+    }
+    warn("viewBoxComputed");
+  }
+  root.setAttribute("viewBox", viewBox.map(formatNumber).join(" "));
+  // the editor sizes every character itself
+  ["width", "height", "x", "y", "preserveAspectRatio"].forEach(function (name) {
+    root.removeAttribute(name);
+  });
+  return {
+    svg: new XMLSerializer().serializeToString(root),
+    warnings: warnings.map(function (code) {
+      return problem(code);
+    }),
+  };
+}
+
+// Style sheets are removed, but the rules on plain class selectors that drawing programs
+// write (like `.st0 { fill: none; stroke: #000 }`) are moved into style attributes first
+function inlineClassStyles(root) {
+  var classDeclarations = new Map();
+  Array.from(root.getElementsByTagNameNS("*", "style")).forEach(function (style) {
+    var ruleRegex = /([^{}]+)\{([^{}]*)\}/g;
+    var rule;
+    while ((rule = ruleRegex.exec(style.textContent)) !== null) {
+      var declarations = rule[2].trim();
+      rule[1].split(",").forEach(function (selector) {
+        var match = /^\s*\.([\w-]+)\s*$/.exec(selector);
+        if (match === null) {
+          return;
+        }
+        Array.from(root.getElementsByTagName("*")).forEach(function (element) {
+          if ((" " + (element.getAttribute("class") || "") + " ").replace(/\s+/g, " ").indexOf(" " + match[1] + " ") !== -1) {
+            classDeclarations.set(element, (classDeclarations.get(element) || []).concat([declarations]));
+          }
+        });
+      });
+    }
+  });
+  // inline styles come last so they still win
+  classDeclarations.forEach(function (declarations, element) {
+    element.setAttribute("style", declarations.concat([element.getAttribute("style") || ""]).join(";"));
+  });
+}
+
+function removeUnsafeContent(root, warn) {
+  Object.keys(unsafeElements).forEach(function (name) {
+    // by local name, so prefixed elements like <svg:script> are removed too
+    Array.from(root.getElementsByTagNameNS("*", name)).forEach(function (element) {
+      element.parentNode.removeChild(element);
+      warn(unsafeElements[name]);
+    });
+  });
+  [root].concat(Array.from(root.getElementsByTagName("*"))).forEach(function (element) {
+    Array.from(element.attributes).forEach(function (attribute) {
+      if (/^on/i.test(attribute.localName)) {
+        element.removeAttributeNode(attribute);
+        warn("scriptsRemoved");
+      } else if (attribute.localName === "href" && !attribute.value.trim().startsWith("#")) {
+        element.removeAttributeNode(attribute);
+        warn("linksRemoved");
+      } else if (attribute.localName === "style" && unsafeValueRegex.test(attribute.value)) {
+        // keep the safe declarations, they may be all that make a shape a stroke
+        element.setAttribute("style", attribute.value.split(";").filter(function (declaration) {
+          return !unsafeValueRegex.test(declaration);
+        }).join(";"));
+        warn("externalResourcesRemoved");
+      } else if (unsafeValueRegex.test(attribute.value)) {
+        element.removeAttributeNode(attribute);
+        warn("externalResourcesRemoved");
+      }
+    });
+  });
+}
+
+function convertUnits(root, warn) {
+  Array.from(root.getElementsByTagName("*")).forEach(function (element) {
+    lengthAttributes.forEach(function (name) {
+      var value = element.getAttribute(name);
+      if (value === null) {
+        return;
+      }
+      var length = lengthInUserUnits(value);
+      if (length !== null) {
+        element.setAttribute(name, formatNumber(length));
+      } else if (value.trim().endsWith("%")) {
+        warn("percentageLengths");
+      }
+    });
+  });
+}
+
+function lengthInUserUnits(value) {
+  var match = lengthRegex.exec(value || "");
+  if (match === null) {
+    return null;
+  }
+  return parseFloat(match[1]) * unitSizes[match[2] || "px"];
+}
+
+// The value of a presentation property, looking up the ancestors for inherited values
+function presentationValue(element, name) {
+  for (var node = element; node !== null && node.nodeType === 1; node = node.parentNode) {
+    var declarations = (node.getAttribute("style") || "").split(";");
+    // later declarations win
+    for (var i = declarations.length - 1; i >= 0; i--) {
+      var colon = declarations[i].indexOf(":");
+      if (colon !== -1 && declarations[i].slice(0, colon).trim() === name) {
+        return declarations[i].slice(colon + 1).replace(/!important/, "").trim();
+      }
+    }
+    if (node.hasAttribute(name)) {
+      return node.getAttribute(name).trim();
+    }
+  }
+  return null;
+}
+
+// Shapes that are filled without a stroke, as fills are black and strokes are off by default
+function isFilledShape(element) {
+  if (shapeElements.indexOf(element.localName) === -1 || element.localName === "line") {
+    return false;
+  }
+  for (var node = element.parentNode; node !== null && node.nodeType === 1; node = node.parentNode) {
+    if (definitionElements.indexOf(node.localName) !== -1) {
+      return false;
+    }
+  }
+  var fill = presentationValue(element, "fill");
+  var stroke = presentationValue(element, "stroke");
+  return fill !== "none" && fill !== "transparent" && (stroke === null || stroke === "none");
+}
+
+function convertFillsToStrokes(root, filledShapes, warn) {
+  // read the filled shapes on their own, with all their transforms applied
+  var filledOnly = root.cloneNode(true);
+  var clonedElements = Array.from(filledOnly.getElementsByTagName("*"));
+  Array.from(root.getElementsByTagName("*")).forEach(function (element, index) {
+    if (shapeElements.indexOf(element.localName) !== -1 && filledShapes.indexOf(element) === -1) {
+      clonedElements[index].parentNode.removeChild(clonedElements[index]);
+    }
+  });
+  var centerlines = traceCenterlines(
+    readSvgOutline(new XMLSerializer().serializeToString(filledOnly)).subpaths
+  );
+  filledShapes.forEach(function (element) {
+    element.parentNode.removeChild(element);
+  });
+  if (centerlines === null) {
+    return;
+  }
+  var path = root.ownerDocument.createElementNS(root.namespaceURI, "path");
+  path.setAttribute("d", pathDataFromSubpaths(centerlines.subpaths, precision));
+  path.setAttribute("fill", "none");
+  path.setAttribute("stroke", "#000");
+  path.setAttribute("stroke-width", formatNumber(centerlines.strokeWidth));
+  path.setAttribute("stroke-linecap", "round");
+  path.setAttribute("stroke-linejoin", "round");
+  // readSvgOutline applies every transform below the root, so the path goes right under it
+  root.appendChild(path);
+  warn("filledShapesTraced");
+}
+
+function readViewBox(root) {
+  var values = (root.getAttribute("viewBox") || "").trim().split(/[\s,]+/).map(parseFloat);
+  if (values.length === 4 && values.every(isFinite) && values[2] > 0 && values[3] > 0) {
+    return values;
+  }
+  return null;
+}
+
+// The tight box around every shape, never thinner than a tenth of its longer side
+// so that a single straight stroke still has an area
+function shapesBox(root) {
+  var points = [];
+  readSvgOutline(new XMLSerializer().serializeToString(root)).subpaths.forEach(function (subpath) {
+    points.push.apply(points, flattenSubpath(subpath, 1).points);
+  });
+  if (points.length === 0) {
+    return null;
+  }
+  var xs = points.map(function (point) { return point[0]; });
+  var ys = points.map(function (point) { return point[1]; });
+  var x = Math.min.apply(null, xs);
+  var y = Math.min.apply(null, ys);
+  var width = Math.max.apply(null, xs) - x;
+  var height = Math.max.apply(null, ys) - y;
+  var minSize = Math.max(width, height, 1) / 10;
+  if (width < minSize) {
+    x -= (minSize - width) / 2;
+    width = minSize;
+  }
+  if (height < minSize) {
+    y -= (minSize - height) / 2;
+    height = minSize;
+  }
+  return [x, y, width, height];
+}
+
+function sizeBox(root) {
+  var width = lengthInUserUnits(root.getAttribute("width"));
+  var height = lengthInUserUnits(root.getAttribute("height"));
+  if (width === null || height === null || width <= 0 || height <= 0) {
+    return null;
+  }
+  return [0, 0, width, height];
+}
+
+function formatNumber(value) {
+  return String(+value.toFixed(precision));
+}
+
+export { sanitizeSvg };
@@ -0,0 +1,124 @@
+import { problemError } from './problems';
+
+var mimeTypes = {
+    png: "image/png",
+    webp: "image/webp",
+    jpeg: "image/jpeg",
+};
+
+/**
+ * Based on: https://ramblings.mcpher.com/gassnippets2/converting-svg-to-png-with-javascript/
+ * converts an svg string to a base64 raster image using the domUrl
+ * @param {string} svgText the svgtext
+ * @param {object} options the image settings
+ * @param {number} options.size the width and height of the square image in pixels
+ * @param {number} [options.width] the width of the image in pixels when it is not square
+ * @param {number} [options.height] the height of the image in pixels when it is not square
+ * @param {number} options.padding the space between the character and the image border in pixels
+ * @param {?string} options.background a css colour, or null for a transparent background
+ * @param {string} options.format one of "png", "webp" and "jpeg"
+ * @return {Promise} a promise to the base64 image
+ */
+var svgToImage = function (svgText, options) {
+    // convert an svg text to an image using the browser
+    return new Promise(function (resolve, reject) {
+        try {
+            // can use the domUrl function from the browser
+            var domUrl = window.URL || window.webkitURL || window;
+            if (!domUrl) {
+                throw new Error("(browser doesnt support this)")
+            }
+            var mimeType = mimeTypes[options.format];
+            if (!mimeType) {
+                throw new Error("unknown image format " + options.format);
+            }
+
+            // fit the character inside the padded image, keeping its aspect ratio
+            var imageWidth = options.width || options.size;
+            var imageHeight = options.height || options.size;
+            var svgElement = parseSvg(svgText);
+            var svgSize = sizeOf(svgElement);
+            var scale = Math.min(
+                Math.max(1, imageWidth - options.padding * 2) / svgSize.width,
+                Math.max(1, imageHeight - options.padding * 2) / svgSize.height
+            );
+            var width = svgSize.width * scale;
+            var height = svgSize.height * scale;
+            svgElement.setAttribute("width", width);
+            svgElement.setAttribute("height", height);
+
+            // create a canvas element to pass through
+            var canvas = document.createElement("canvas");
+            canvas.width = imageWidth;
+            canvas.height = imageHeight;
+            var ctx = canvas.getContext("2d");
+            // jpeg has no alpha channel so transparent pixels would turn black
+            var background = options.background || (options.format === "jpeg" ? "#ffffff" : null);
+            if (background) {
+                ctx.fillStyle = background;
+                ctx.fillRect(0, 0, canvas.width, canvas.height);
+            }
+
+            // make a blob from the svg
+            var svg = new Blob([new XMLSerializer().serializeToString(svgElement)], {
+                type: "image/svg+xml;charset=utf-8"
+            });
+
+            // create a dom object for that image
+            var url = domUrl.createObjectURL(svg);
+
+            // create a new image to hold it the converted type
+            var myImage = new Image();
+
+            // when the image is loaded we can get it as base64 url
+            myImage.onload = function () {
+                // draw it in the middle of the canvas
+                ctx.drawImage(myImage, (canvas.width - width) / 2, (canvas.height - height) / 2, width, height);
+                // we don't need the original any more
+                domUrl.revokeObjectURL(url);
+                var dataUrl = canvas.toDataURL(mimeType);
+                // browsers fall back to png for formats they can't encode
+                if (dataUrl.indexOf("data:" + mimeType) !== 0) {
+                    reject(options.format + " is not supported by this browser");
+                    return;
+                }
+                // now we can resolve the promise, passing the base64 url
+                resolve(dataUrl);
+            };
+            myImage.onerror = function () {
+                domUrl.revokeObjectURL(url);
+                reject('failed to load svg as an image');
+            };
+            // load the image
+            myImage.src = url;
+        } catch (err) {
+            reject('failed to convert svg to ' + options.format + ' ' + err);
+        }
+    });
+};
+
+function parseSvg(svgText) {
+    var svgDocument = new DOMParser().parseFromString(svgText, "image/svg+xml");
+    var svgElement = svgDocument.documentElement;
+    if (svgElement.nodeName !== "svg" || svgDocument.getElementsByTagName("parsererror").length > 0) {
+        throw problemError("invalidSvg");
+    }
+    return svgElement;
+}
+
+// the box drawn by the svg, also setting a view box on it so it can be resized
+function sizeOf(svgElement) {
+    var viewBox = (svgElement.getAttribute("viewBox") || "")
+        .trim()
+        .split(/[\s,]+/)
+        .map(parseFloat);
+    if (viewBox.length === 4 && viewBox.every(isFinite) && viewBox[2] > 0 && viewBox[3] > 0) {
+        return { x: viewBox[0], y: viewBox[1], width: viewBox[2], height: viewBox[3] };
+    }
+    var width = parseFloat(svgElement.getAttribute("width")) || 200;
+    var height = parseFloat(svgElement.getAttribute("height")) || 200;
+    svgElement.setAttribute("viewBox", [0, 0, width, height].join(" "));
+    return { x: 0, y: 0, width: width, height: height };
+}
+
+export { svgToImage };
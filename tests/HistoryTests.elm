@@ -0,0 +1,281 @@
+module HistoryTests exposing (suite)
+
+import Dict exposing (Dict)
+import Expect
+import Json.Encode as Encode
+import Main
+import Math.Vector2 as Vector2
+import Test exposing (Test, describe, test)
+import Time
+
+
+suite : Test
+suite =
+    describe "History"
+        [ describe "recordHistoryAt"
+            [ test "records the added character as one entry" <|
+                \_ ->
+                    List.map .command addedModel.history.done
+                        |> Expect.equal [ Main.AddCharsCommand [ "木" ] ]
+            , test "marks the character as modified when the change was recorded" <|
+                \_ ->
+                    Dict.get "木" addedModel.charExplainations
+                        |> Maybe.andThen .modified
+                        |> Expect.equal (Just <| Time.millisToPosix 1000)
+            , test "records nothing when nothing changed" <|
+                \_ ->
+                    recordAt (Main.EditNoteCommand "木") 2000 addedModel
+                        |> .history
+                        |> .done
+                        |> List.length
+                        |> Expect.equal 1
+            , test "adds typing into the same field to the last entry" <|
+                \_ ->
+                    addedModel
+                        |> editNote "a" 2000
+                        |> editNote "ab" 3000
+                        |> .history
+                        |> .done
+                        |> List.map .command
+                        |> Expect.equal [ Main.EditNoteCommand "木", Main.AddCharsCommand [ "木" ] ]
+            , test "forgets the undone entries when a new change is recorded" <|
+                \_ ->
+                    addedModel
+                        |> editNote "a" 2000
+                        |> undoOnce
+                        |> editNote "b" 3000
+                        |> .history
+                        |> .undone
+                        |> Expect.equal []
+            ]
+        , describe "undo and redo"
+            [ test "undoing removes the added character" <|
+                \_ ->
+                    undoOnce addedModel
+                        |> Main.libraryState
+                        |> Expect.equal emptyLibrary
+            , test "redoing brings the character back" <|
+                \_ ->
+                    addedModel
+                        |> undoOnce
+                        |> redoOnce
+                        |> Main.libraryState
+                        |> Expect.equal (Main.libraryState addedModel)
+            , test "undoing a note restores the previous note and modified time" <|
+                \_ ->
+                    addedModel
+                        |> editNote "a" 2000
+                        |> undoOnce
+                        |> .charExplainations
+                        |> Expect.equal addedModel.charExplainations
+            , test "nothing is undone at the start of the history" <|
+                \_ ->
+                    Main.undoHistoryEntry baseModel
+                        |> Maybe.map Main.libraryState
+                        |> Expect.equal Nothing
+            ]
+        , describe "reloading"
+            [ test "restores the entries and the position" <|
+                \_ ->
+                    let
+                        undoneModel =
+                            undoOnce (editNote "a" 2000 addedModel)
+
+                        reloaded =
+                            reload undoneModel
+                    in
+                    Expect.equal
+                        ( reloaded.history.done, reloaded.history.undone )
+                        ( undoneModel.history.done, undoneModel.history.undone )
+            , test "can undo the reloaded entries" <|
+                \_ ->
+                    reload addedModel
+                        |> undoOnce
+                        |> Main.libraryState
+                        |> Expect.equal emptyLibrary
+            ]
+        , describe "replacing the library with a backup"
+            [ test "keeps the history" <|
+                \_ ->
+                    replaceWithBackup addedModel
+                        |> .history
+                        |> .done
+                        |> List.map .command
+                        |> Expect.equal [ Main.RestoreFromBackupCommand, Main.AddCharsCommand [ "木" ] ]
+            , test "can be undone" <|
+                \_ ->
+                    replaceWithBackup addedModel
+                        |> undoOnce
+                        |> Main.libraryState
+                        |> Expect.equal (Main.libraryState addedModel)
+            ]
+        , describe "mergeChanges"
+            [ test "keeps the oldest before and the newest after" <|
+                \_ ->
+                    Main.mergeChanges
+                        (Dict.singleton "木" { before = Just "a", after = Just "b" })
+                        (Dict.singleton "木" { before = Just "b", after = Just "c" })
+                        |> Expect.equal (Dict.singleton "木" { before = Just "a", after = Just "c" })
+            , test "drops a change that was reverted" <|
+                \_ ->
+                    Main.mergeChanges
+                        (Dict.singleton "木" { before = Just "a", after = Just "b" })
+                        (Dict.singleton "木" { before = Just "b", after = Just "a" })
+                        |> Expect.equal Dict.empty
+            , test "keeps the changes of other keys" <|
+                \_ ->
+                    Main.mergeChanges
+                        (Dict.singleton "木" { before = Nothing, after = Just "a" })
+                        (Dict.singleton "水" { before = Just "b", after = Nothing })
+                        |> Dict.keys
+                        |> Expect.equal [ "木", "水" ]
+            ]
+        , describe "applyChanges"
+            [ test "undoing puts back the values before and removes the added keys" <|
+                \_ ->
+                    Main.applyChanges True
+                        changes
+                        (Dict.fromList [ ( "木", "b" ), ( "火", "c" ) ])
+                        |> Expect.equal (Dict.fromList [ ( "木", "a" ), ( "水", "w" ) ])
+            , test "redoing puts back the values after and removes the deleted keys" <|
+                \_ ->
+                    Main.applyChanges False
+                        changes
+                        (Dict.fromList [ ( "木", "a" ), ( "水", "w" ) ])
+                        |> Expect.equal (Dict.fromList [ ( "木", "b" ), ( "火", "c" ) ])
+            ]
+        ]
+
+
+baseModel : Main.Model
+baseModel =
+    Tuple.first <| Main.init Encode.null
+
+
+addedModel : Main.Model
+addedModel =
+    recordAt (Main.AddCharsCommand [ "木" ])
+        1000
+        { baseModel
+            | chars =
+                Dict.singleton "木" <| simpleChar "木"
+            , simpleCharSvgTexts =
+                Dict.singleton "木" emptySvg
+        }
+
+
+simpleChar : Main.Grapheme -> Main.MyChar
+simpleChar char =
+    Main.SimpleChar
+        { char = char
+        , dimension = Vector2.vec2 100 100
+        , position = Vector2.vec2 0 0
+        , mirror = Main.emptyMirror
+        }
+
+
+emptySvg : String
+emptySvg =
+    "<svg xmlns=\"http://www.w3.org/2000/svg\"/>"
+
+
+emptyLibrary : Main.LibraryState
+emptyLibrary =
+    { chars = Dict.empty
+    , charExplainations = Dict.empty
+    , simpleCharSvgs = Dict.empty
+    }
+
+
+changes : Dict Main.Grapheme (Main.Change String)
+changes =
+    Dict.fromList
+        [ ( "木", { before = Just "a", after = Just "b" } )
+        , ( "水", { before = Just "w", after = Nothing } )
+        , ( "火", { before = Nothing, after = Just "c" } )
+        ]
+
+
+recordAt : Main.HistoryCommand -> Int -> Main.Model -> Main.Model
+recordAt command millis model =
+    Tuple.first <| Main.recordHistoryAt command (Time.millisToPosix millis) model
+
+
+editNote : String -> Int -> Main.Model -> Main.Model
+editNote note millis model =
+    recordAt (Main.EditNoteCommand "木")
+        millis
+        { model
+            | charExplainations =
+                Dict.update "木"
+                    (Maybe.map
+                        (\explaination ->
+                            { explaination
+                                | note =
+                                    note
+                            }
+                        )
+                    )
+                    model.charExplainations
+        }
+
+
+
+-- A library with only 水 replaces the library, and the history is recorded when the time arrives
+
+
+replaceWithBackup : Main.Model -> Main.Model
+replaceWithBackup model =
+    Main.replaceWithBackup
+        { model
+            | pendingBackup =
+                Just
+                    { fileName = "backup.json"
+                    , savedModel =
+                        Main.savedModelFromModel
+                            { model
+                                | chars =
+                                    Dict.singleton "水" <| simpleChar "水"
+                                , charExplainations =
+                                    Dict.empty
+                            }
+                    , simpleCharSvgs = Dict.singleton "水" emptySvg
+                    , conflicts = Dict.empty
+                    }
+        }
+        |> Tuple.first
+        |> recordAt Main.RestoreFromBackupCommand 2000
+
+
+undoOnce : Main.Model -> Main.Model
+undoOnce model =
+    Tuple.first <| Main.undo model
+
+
+redoOnce : Main.Model -> Main.Model
+redoOnce model =
+    Tuple.first <| Main.redo model
+
+
+
+-- Saves the history as the library does and loads it into the same library without a history
+
+
+reload : Main.Model -> Main.Model
+reload model =
+    let
+        entries =
+            model.history.done ++ model.history.undone
+
+        historyJson =
+            Encode.object
+                [ ( "entries", Encode.list Main.encodeHistoryEntry entries )
+                , ( "position", Encode.int <| Main.currentHistoryId model.history )
+                ]
+    in
+    Tuple.first <|
+        Main.gotHistory historyJson
+            { model
+                | history =
+                    Main.emptyHistory
+            }
@@ -0,0 +1,142 @@
+module IdsTests exposing (suite)
+
+import Dict exposing (Dict)
+import Expect
+import Main
+import Math.Vector2 as Vector2
+import String.Graphemes
+import Test exposing (Test, describe, test)
+
+
+suite : Test
+suite =
+    describe "Ideographic Description Sequences"
+        [ describe "parseIdsLines"
+            [ test "reads a typed character and its sequence" <|
+                \_ ->
+                    Main.parseIdsLines "林 ⿰木木"
+                        |> Expect.equal [ ( "林", Just "⿰木木" ) ]
+            , test "reads the lines of the CHISE IDS files without their source regions" <|
+                \_ ->
+                    Main.parseIdsLines "U+6797\t林\t⿰木木[GTJV]\nU+5B57\t字\t⿱宀子[GTJKV]"
+                        |> Expect.equal [ ( "林", Just "⿰木木" ), ( "字", Just "⿱宀子" ) ]
+            , test "reads the lines of the cjkvi IDS files without their markers" <|
+                \_ ->
+                    Main.parseIdsLines "U+4E0E\t与\t^⿹②一$(GTKV)"
+                        |> Expect.equal [ ( "与", Just "⿹②一" ) ]
+            , test "keeps the first of several sequences" <|
+                \_ ->
+                    Main.parseIdsLines "U+9AA8\t骨\t⿱⿵冎一月[GTKV]\t⿱⿵&CDP-8BF1;一月[J]"
+                        |> Expect.equal [ ( "骨", Just "⿱⿵冎一月" ) ]
+            , test "keeps entities" <|
+                \_ ->
+                    Main.parseIdsLines "U+4E1F\t丟\t⿱&CDP-8BF1;去[J]"
+                        |> Expect.equal [ ( "丟", Just "⿱&CDP-8BF1;去" ) ]
+            , test "leaves out comments" <|
+                \_ ->
+                    Main.parseIdsLines "# CHISE IDS\n;; cjkvi\n林 ⿰木木"
+                        |> Expect.equal [ ( "林", Just "⿰木木" ) ]
+            , test "looks up characters typed without a sequence" <|
+                \_ ->
+                    Main.parseIdsLines "林森\n\n字"
+                        |> Expect.equal [ ( "林", Nothing ), ( "森", Nothing ), ( "字", Nothing ) ]
+            ]
+        , describe "idsTokens"
+            [ test "keeps an entity as one token" <|
+                \_ ->
+                    Main.idsTokens (String.Graphemes.toList "⿱&CDP-8BF1;去")
+                        |> Expect.equal [ "⿱", "&CDP-8BF1;", "去" ]
+            , test "leaves an unterminated entity as it is" <|
+                \_ ->
+                    Main.idsTokens (String.Graphemes.toList "⿱&CDP去")
+                        |> Expect.equal [ "⿱", "&", "C", "D", "P", "去" ]
+            ]
+        , describe "parseIds"
+            [ test "parses nested operators" <|
+                \_ ->
+                    Main.parseIds "⿰氵⿱木口"
+                        |> Expect.equal
+                            (Just <|
+                                Main.IdsLayout "⿰"
+                                    [ Main.IdsComponent "氵"
+                                    , Main.IdsLayout "⿱" [ Main.IdsComponent "木", Main.IdsComponent "口" ]
+                                    ]
+                            )
+            , test "parses entities as components" <|
+                \_ ->
+                    Main.parseIds "⿱&CDP-8BF1;去"
+                        |> Expect.equal
+                            (Just <| Main.IdsLayout "⿱" [ Main.IdsComponent "&CDP-8BF1;", Main.IdsComponent "去" ])
+            , test "fails without enough operands" <|
+                \_ ->
+                    Main.parseIds "⿰木"
+                        |> Expect.equal Nothing
+            , test "fails with operands left over" <|
+                \_ ->
+                    Main.parseIds "⿰木木木"
+                        |> Expect.equal Nothing
+            ]
+        , describe "layoutIds"
+            [ test "splits the box of each operator between its operands" <|
+                \_ ->
+                    Main.parseIds "⿰氵⿱木口"
+                        |> Maybe.map (Main.layoutIds (box "沐"))
+                        |> Expect.equal
+                            (Just
+                                [ { char = "氵", x = 0, y = 0, width = 50, height = 100 }
+                                , { char = "木", x = 50, y = 0, width = 50, height = 50 }
+                                , { char = "口", x = 50, y = 50, width = 50, height = 50 }
+                                ]
+                            )
+            ]
+        , describe "checkIdsComponents"
+            [ test "accepts components in the library or built at the same time" <|
+                \_ ->
+                    Main.checkIdsComponents library
+                        [ idsImport "林" [ "木", "木" ]
+                        , idsImport "森" [ "木", "林" ]
+                        ]
+                        |> List.map .result
+                        |> Expect.equal
+                            [ Ok [ box "木", box "木" ]
+                            , Ok [ box "木", box "林" ]
+                            ]
+            , test "leaves out characters with missing components and the characters built from them" <|
+                \_ ->
+                    Main.checkIdsComponents library
+                        [ idsImport "某" [ "甘", "木" ]
+                        , idsImport "楳" [ "木", "某" ]
+                        , idsImport "林" [ "木", "木" ]
+                        ]
+                        |> List.map .result
+                        |> Expect.equal
+                            [ Err <| Main.MissingComponents [ "甘" ]
+                            , Err <| Main.MissingComponents [ "某" ]
+                            , Ok [ box "木", box "木" ]
+                            ]
+            ]
+        ]
+
+
+library : Dict Main.Grapheme Main.MyChar
+library =
+    Dict.singleton "木" <|
+        Main.SimpleChar
+            { char = "木"
+            , dimension = Vector2.vec2 100 100
+            , position = Vector2.vec2 0 0
+            , mirror = Main.emptyMirror
+            }
+
+
+box : Main.Grapheme -> Main.Placement
+box char =
+    { char = char, x = 0, y = 0, width = 100, height = 100 }
+
+
+idsImport : Main.Grapheme -> List Main.Grapheme -> Main.IdsImport
+idsImport char components =
+    { char = char
+    , ids = ""
+    , result = Ok <| List.map box components
+    }
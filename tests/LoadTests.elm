@@ -0,0 +1,82 @@
+module LoadTests exposing (suite)
+
+import Dict
+import Expect
+import Json.Encode as Encode
+import Main
+import Test exposing (Test, describe, test)
+
+
+suite : Test
+suite =
+    describe "Loading the library"
+        [ test "starts saving a new library" <|
+            \_ ->
+                load Encode.null
+                    |> .lastSavedModel
+                    |> Expect.notEqual Nothing
+        , describe "a corrupt library"
+            [ test "shows why it could not be loaded" <|
+                \_ ->
+                    load (Encode.string "not a library")
+                        |> .loadProblem
+                        |> Maybe.map .code
+                        |> Expect.equal (Just "unexpected")
+            , test "is never saved over" <|
+                \_ ->
+                    load (Encode.string "not a library")
+                        |> Main.saveModel
+                        |> Tuple.first
+                        |> .lastSavedModel
+                        |> Expect.equal Nothing
+            ]
+        , describe "a library with a character type of an unknown version"
+            [ test "shows why it could not be loaded" <|
+                \_ ->
+                    load unknownCharType
+                        |> .loadProblem
+                        |> Maybe.map .code
+                        |> Expect.equal (Just "unexpected")
+            , test "is never saved over" <|
+                \_ ->
+                    load unknownCharType
+                        |> Main.saveModel
+                        |> Tuple.first
+                        |> .lastSavedModel
+                        |> Expect.equal Nothing
+            ]
+        , test "shows the problem index.js sends when it cannot read the library" <|
+            \_ ->
+                Main.gotLoadProblem
+                    (Encode.object
+                        [ ( "code", Encode.string "unexpected" )
+                        , ( "args", Encode.object [ ( "message", Encode.string "QuotaExceededError" ) ] )
+                        ]
+                    )
+                    baseModel
+                    |> Tuple.first
+                    |> .loadProblem
+                    |> Maybe.andThen (Dict.get "message" << .args)
+                    |> Expect.equal (Just "QuotaExceededError")
+        ]
+
+
+baseModel : Main.Model
+baseModel =
+    Tuple.first <| Main.init Encode.null
+
+
+load : Encode.Value -> Main.Model
+load savedModelJson =
+    Tuple.first <| Main.gotModel savedModelJson baseModel
+
+
+unknownCharType : Encode.Value
+unknownCharType =
+    Encode.object
+        [ ( "chars"
+          , Encode.object
+                [ ( "木", Encode.object [ ( "type", Encode.string "StrokedChar" ) ] ) ]
+          )
+        , ( "charExplainations", Encode.object [] )
+        ]
@@ -0,0 +1,48 @@
+module SortTests exposing (suite)
+
+import Dict
+import Expect
+import Main
+import Math.Vector2 as Vector2
+import Test exposing (Test, describe, test)
+
+
+suite : Test
+suite =
+    describe "sortChars"
+        [ describe "by radical"
+            [ test "orders by radical and then by strokes" <|
+                \_ ->
+                    sortByRadical [ "林", "口", "木", "丁" ]
+                        |> Expect.equal [ "丁", "口", "木", "林" ]
+            , test "puts a simplified radical after its traditional form" <|
+                \_ ->
+                    sortByRadical [ "说", "說" ]
+                        |> Expect.equal [ "說", "说" ]
+            , test "orders extension A and the compatibility ideographs among the others" <|
+                \_ ->
+                    sortByRadical [ "豈", "㐀", "口" ]
+                        |> Expect.equal [ "㐀", "口", "豈" ]
+            , test "puts characters without a radical last in code point order" <|
+                \_ ->
+                    sortByRadical [ "𠀀", "stroke", "木" ]
+                        |> Expect.equal [ "木", "stroke", "𠀀" ]
+            ]
+        ]
+
+
+sortByRadical : List Main.Grapheme -> List Main.Grapheme
+sortByRadical chars =
+    List.map simpleChar chars
+        |> Main.sortChars Main.SortByRadical Dict.empty
+        |> List.map Main.charFromMyChar
+
+
+simpleChar : Main.Grapheme -> Main.MyChar
+simpleChar char =
+    Main.SimpleChar
+        { char = char
+        , dimension = Vector2.vec2 100 100
+        , position = Vector2.vec2 0 0
+        , mirror = Main.emptyMirror
+        }